@@ -0,0 +1,1004 @@
+/**
+ * CheckoutForm.js v1.0.0
+ * Checkout step between the cart and WhatsApp: contact details, a structured
+ * delivery address (line, landmark, pincode checked through
+ * LocationDetector.lookupPincode, city/state filled in), an address book kept
+ * in localStorage, and delivery slots defined in a config sheet. The result is
+ * one orderData object for WhatsAppBilling.placeOrder().
+ * (c) 2025
+ * MIT License
+ *
+ * Dependencies:
+ * - ShopUtils (shop_utils.js), included first
+ * - SecureSheets client (securesheets_Client_v140.js), configured - or pass options.fetcher / options.slots
+ * - LocationDetector (location_detection.js) for pincode lookup (optional)
+ * - StoreLocator (store_locator.js) to send the order to the customer's branch (optional)
+ *
+ * Slot sheet columns (header names are case-insensitive):
+ *   id, label, days, start, end, lead, charge, enabled
+ *   days: "Mon-Sat", "Sat,Sun" or empty for every day; start/end: "10:00" or "6 PM"
+ *   lead: minutes before start the slot stops taking orders; charge: delivery charge for the slot
+ *
+ * Usage:
+ * const checkout = new CheckoutForm({
+ *     container: '#checkout',
+ *     cart: shopCart,                          // re-checked (validateForCheckout) on submit
+ *     billing: billing,                        // placeOrder(orderData) on submit
+ *     locationDetector: locationDetectorInstance,
+ *     payments: upiPayment                     // optional UPI step before sending
+ * });
+ * await checkout.loadSlots();
+ * checkout.render();
+ */
+
+(function(global) {
+    'use strict';
+
+    // Shared config, sheet and message helpers (shop_utils.js)
+    const ShopUtils = typeof global.ShopUtils !== 'undefined' ? global.ShopUtils
+        : (typeof require === 'function' ? require('./shop_utils.js') : undefined);
+
+    const CHECKOUT_MESSAGES = {
+        'checkout.contact': 'Contact',
+        'checkout.name': 'Full name',
+        'checkout.mobile': 'Mobile number',
+        'checkout.email': 'Email (optional)',
+        'checkout.delivery': 'Delivery',
+        'checkout.homeDelivery': 'Home Delivery',
+        'checkout.pickup': 'Store Pickup',
+        'checkout.savedAddresses': 'Saved addresses',
+        'checkout.newAddress': 'New address',
+        'checkout.remove': 'Remove',
+        'checkout.default': 'Default',
+        'checkout.label': 'Save as',
+        'checkout.label.home': 'Home',
+        'checkout.label.work': 'Work',
+        'checkout.label.other': 'Other',
+        'checkout.line1': 'House / flat, street',
+        'checkout.line2': 'Area (optional)',
+        'checkout.landmark': 'Landmark (optional)',
+        'checkout.near': 'Near {landmark}',
+        'checkout.pincode': 'Pincode',
+        'checkout.city': 'City / district',
+        'checkout.state': 'State',
+        'checkout.saveAddress': 'Save this address for next time',
+        'checkout.slot': 'Delivery slot',
+        'checkout.slotNone': 'Any time',
+        'checkout.slotCharge': '+{amount}',
+        'checkout.today': 'Today',
+        'checkout.tomorrow': 'Tomorrow',
+        'checkout.notes': 'Notes for the shop (optional)',
+        'checkout.submit': 'Place order',
+        'checkout.checking': 'Checking pincode...',
+        'checkout.error.name': 'Please enter your name',
+        'checkout.error.mobile': 'Please enter a 10-digit mobile number',
+        'checkout.error.email': 'Please enter a valid email',
+        'checkout.error.line1': 'Please enter your house / street',
+        'checkout.error.pincode': 'Please enter a valid 6-digit pincode',
+        'checkout.error.pincodeUnknown': 'We could not find this pincode',
+        'checkout.error.city': 'Please enter your city',
+        'checkout.error.slot': 'Please choose a delivery slot',
+        'checkout.error.pickupOnly': '{store} offers pickup only',
+        'checkout.error.branchRange': '{store} does not deliver to this address',
+        'checkout.error.noPickup': '{store} does not offer pickup',
+        'checkout.error.branchMinOrder': 'Minimum order at {store} is {amount}',
+        'checkout.error.cartEmpty': 'Your cart is empty',
+        'checkout.error.cartIssues': 'Please review your cart: {issues}',
+        'checkout.error.failed': 'The order could not be placed. Please try again.',
+        'checkout.error.failedPaid': 'The order could not be placed. Your UPI payment (Ref {reference}) is saved - try again without paying twice, or send the reference to the shop.'
+    };
+
+    const DAY_NAMES = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+    const ADDRESS_FIELDS = ['label', 'line1', 'line2', 'landmark', 'pincode', 'city', 'state'];
+
+    function escapeHtml(value) {
+        return String(value === undefined || value === null ? '' : value)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+
+    class CheckoutForm {
+        constructor(options = {}) {
+            this.options = {
+                container: options.container || null,
+                cart: options.cart || null, // ShopCart: items and totals
+                billing: options.billing || null, // WhatsAppBilling: placeOrder() on submit
+                payments: options.payments || null, // UpiPayment: payment step before sending
+                deliveryZones: options.deliveryZones || null, // DeliveryZones: serviceable pincodes, zone charge and minimum order
+                storeLocator: options.storeLocator || null, // StoreLocator: branch that receives the order
+                locationDetector: options.locationDetector || null, // defaults to window.locationDetectorInstance
+                fetcher: options.fetcher || ShopUtils.defaultFetcher(),
+                slotSheet: options.slotSheet || 'DeliverySlots',
+                slotDays: options.slotDays || 3, // how many days ahead slots are offered
+                leadMinutes: options.leadMinutes !== undefined ? options.leadMinutes : 60,
+                requireSlot: options.requireSlot || false,
+                timeZone: options.timeZone || null, // shop's IANA zone for slot days/cut-offs, e.g. 'Asia/Kolkata'; null = the browser's
+                allowPickup: options.allowPickup !== undefined ? options.allowPickup : true,
+                storageKey: options.storageKey || 'checkout_addresses',
+                maxAddresses: options.maxAddresses || 5,
+                paymentMinutes: options.paymentMinutes || 30, // how long a paid order whose send failed can be retried without paying again
+                i18n: options.i18n || null,
+                onSubmit: options.onSubmit || null, // async (orderData) => result; replaces billing.placeOrder
+                onComplete: options.onComplete || null,
+                onError: options.onError || null,
+                debug: options.debug || false
+            };
+
+            this.slots = [];
+            this.pincodes = new Map();
+            this.element = null;
+            this.addresses = this.loadAddresses();
+
+            if (Array.isArray(options.slots)) {
+                this.setSlots(options.slots);
+            }
+        }
+
+        /**
+         * Build a checkout from ConfigManager (or a plain config object)
+         * @param {Object} config - ConfigManager instance or config object
+         * @param {Object} [overrides] - Options that take precedence (cart, billing, ...)
+         * @returns {CheckoutForm}
+         */
+        static fromConfig(config, overrides = {}) {
+            const get = ShopUtils.configGetter(config);
+
+            return new CheckoutForm({
+                slotSheet: get('checkout.slotSheet', 'DeliverySlots'),
+                slotDays: get('checkout.slotDays', 3),
+                leadMinutes: get('checkout.leadMinutes', 60),
+                requireSlot: get('checkout.requireSlot', false),
+                timeZone: get('localization.timeZone', null),
+                allowPickup: get('checkout.allowPickup', true),
+                ...overrides
+            });
+        }
+
+        t(key, params = {}) {
+            return ShopUtils.translate(this.options.i18n, CHECKOUT_MESSAGES, key, params);
+        }
+
+        // ============================================
+        // ADDRESS BOOK
+        // ============================================
+
+        loadAddresses() {
+            try {
+                const saved = JSON.parse(localStorage.getItem(this.options.storageKey) || '[]');
+                return Array.isArray(saved) ? saved : [];
+            } catch (e) {
+                return [];
+            }
+        }
+
+        persistAddresses() {
+            try {
+                localStorage.setItem(this.options.storageKey, JSON.stringify(this.addresses));
+            } catch (e) {
+                console.warn('CheckoutForm: Could not save addresses:', e);
+            }
+        }
+
+        getAddresses() {
+            return this.addresses.slice();
+        }
+
+        getAddress(id) {
+            return this.addresses.find(address => address.id === id) || null;
+        }
+
+        getDefaultAddress() {
+            return this.addresses.find(address => address.isDefault) || this.addresses[0] || null;
+        }
+
+        /**
+         * Save an address to the book (same line + pincode updates the existing entry)
+         * @param {Object} address - { label, line1, line2, landmark, pincode, city, state }
+         * @param {Object} [options] - { makeDefault }
+         * @returns {Object} Saved address with id
+         */
+        saveAddress(address, options = {}) {
+            const clean = {};
+            ADDRESS_FIELDS.forEach(field => {
+                clean[field] = String(address[field] || '').trim();
+            });
+
+            const key = entry => `${entry.line1.toLowerCase()}|${entry.pincode}`;
+            const existing = address.id ? this.getAddress(address.id) : this.addresses.find(entry => key(entry) === key(clean));
+
+            const saved = {
+                ...clean,
+                id: existing ? existing.id : `addr_${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`,
+                isDefault: existing ? existing.isDefault : this.addresses.length === 0,
+                updatedAt: new Date().toISOString()
+            };
+
+            this.addresses = [saved, ...this.addresses.filter(entry => entry !== existing)];
+            if (options.makeDefault) {
+                this.addresses.forEach(entry => { entry.isDefault = entry.id === saved.id; });
+            }
+
+            // Keep the newest; never drop the default
+            while (this.addresses.length > this.options.maxAddresses) {
+                const index = this.addresses.map(entry => entry.isDefault).lastIndexOf(false);
+                this.addresses.splice(index === -1 ? this.addresses.length - 1 : index, 1);
+            }
+
+            this.persistAddresses();
+            return saved;
+        }
+
+        removeAddress(id) {
+            const removed = this.getAddress(id);
+            if (!removed) return false;
+
+            this.addresses = this.addresses.filter(entry => entry.id !== id);
+            if (removed.isDefault && this.addresses.length > 0) {
+                this.addresses[0].isDefault = true;
+            }
+            this.persistAddresses();
+            return true;
+        }
+
+        setDefaultAddress(id) {
+            if (!this.getAddress(id)) return false;
+            this.addresses.forEach(entry => { entry.isDefault = entry.id === id; });
+            this.persistAddresses();
+            return true;
+        }
+
+        /**
+         * One-line address for the WhatsApp message and order record
+         */
+        formatAddress(address) {
+            if (!address) return '';
+            const place = [address.city, address.state].filter(Boolean).join(', ');
+            return [
+                address.line1,
+                address.line2,
+                address.landmark ? this.t('checkout.near', { landmark: address.landmark }) : '',
+                place && address.pincode ? `${place} - ${address.pincode}` : place || address.pincode
+            ].filter(Boolean).join(', ');
+        }
+
+        /**
+         * Pincode details through LocationDetector (cached)
+         * @returns {Promise<Object|null>} { pincode, district, state, country }, null if unknown;
+         *   rejects when the lookup itself fails (offline)
+         */
+        async verifyPincode(pincode) {
+            pincode = String(pincode || '').trim();
+            if (!/^[1-9]\d{5}$/.test(pincode)) return null;
+            if (this.pincodes.has(pincode)) return this.pincodes.get(pincode);
+
+            const detector = this.options.locationDetector || global.locationDetectorInstance;
+            if (!detector || typeof detector.lookupPincode !== 'function') {
+                throw new Error('CheckoutForm: LocationDetector is not available for pincode lookup');
+            }
+
+            const details = await detector.lookupPincode(pincode);
+            this.pincodes.set(pincode, details);
+            return details;
+        }
+
+        // ============================================
+        // DELIVERY SLOTS
+        // ============================================
+
+        // Fetch slot definitions from the config sheet
+        async loadSlots(force = false) {
+            if (this.slots.length > 0 && !force) return this.slots;
+
+            const rows = await ShopUtils.loadSheetRows(this.options.fetcher, this.options.slotSheet, { owner: 'CheckoutForm', what: 'delivery slots' });
+            this.setSlots(rows);
+            this.log('Loaded', this.slots.length, 'delivery slots');
+            return this.slots;
+        }
+
+        setSlots(rows) {
+            this.slots = rows.map(row => this.parseSlot(row)).filter(Boolean);
+            return this;
+        }
+
+        // Turn a sheet row into a slot definition
+        parseSlot(row) {
+            if (!row || typeof row !== 'object') return null;
+
+            const field = (...names) => ShopUtils.rowField(row, ...names);
+
+            if (ShopUtils.isDisabled(field('enabled', 'active'))) {
+                return null;
+            }
+
+            const start = this.parseTime(field('start', 'from'));
+            const end = this.parseTime(field('end', 'to'));
+            if (start === null || (end !== null && end <= start)) return null;
+
+            const lead = parseInt(field('lead', 'leadTime', 'leadMinutes', 'cutoff'), 10);
+            const charge = field('charge', 'deliveryCharge', 'fee');
+
+            return {
+                id: String(field('id', 'slot') || `${start}-${end}`).trim(),
+                label: String(field('label', 'name') || '').trim(),
+                days: this.parseDays(field('days', 'day')),
+                start: start,
+                end: end,
+                leadMinutes: isNaN(lead) ? this.options.leadMinutes : lead,
+                charge: charge === undefined ? null : parseFloat(String(charge).replace(/[^0-9.]/g, '')) || 0
+            };
+        }
+
+        // "Mon-Fri", "Sat, Sun", "daily" → [1, 2, 3, 4, 5]; empty = every day
+        parseDays(value) {
+            const text = String(value || '').trim().toLowerCase();
+            if (!text || text === 'all' || text === 'daily' || text === 'everyday') {
+                return [0, 1, 2, 3, 4, 5, 6];
+            }
+
+            const index = name => DAY_NAMES.indexOf(name.trim().slice(0, 3));
+            const days = new Set();
+            text.split(/[,;\/]/).forEach(part => {
+                const [from, to] = part.split(/\s*(?:-|–|to)\s*/);
+                const first = index(from || '');
+                const last = to ? index(to) : first;
+                if (first === -1 || last === -1) return;
+                for (let day = first; ; day = (day + 1) % 7) {
+                    days.add(day);
+                    if (day === last) break;
+                }
+            });
+            return Array.from(days).sort();
+        }
+
+        // "09:30", "9.30", "6 PM", "18:00" → minutes after midnight
+        parseTime(value) {
+            if (value === undefined || value === null || value === '') return null;
+            const match = String(value).trim().toLowerCase().match(/^(\d{1,2})(?:[:.](\d{2}))?\s*(am|pm)?$/);
+            if (!match) return null;
+
+            let hours = parseInt(match[1], 10);
+            const minutes = parseInt(match[2] || '0', 10);
+            if (match[3] === 'pm' && hours < 12) hours += 12;
+            if (match[3] === 'am' && hours === 12) hours = 0;
+            return hours < 24 && minutes < 60 ? hours * 60 + minutes : null;
+        }
+
+        formatTime(minutes) {
+            const date = new Date(2000, 0, 1, Math.floor(minutes / 60), minutes % 60);
+            const locale = this.options.i18n ? this.options.i18n.getLocale() : undefined;
+            return date.toLocaleTimeString(locale, { hour: 'numeric', minute: '2-digit' });
+        }
+
+        /**
+         * Date and time on the shop's clock (options.timeZone), whatever the customer's is
+         * @param {Date} date
+         * @returns {Object} { year, month (1-12), day, minutes after midnight }
+         */
+        getShopTime(date) {
+            const parts = {};
+            new Intl.DateTimeFormat('en-US', {
+                timeZone: this.options.timeZone || undefined,
+                year: 'numeric', month: 'numeric', day: 'numeric', hour: 'numeric', minute: 'numeric', hourCycle: 'h23'
+            }).formatToParts(date).forEach(part => { parts[part.type] = Number(part.value); });
+            return { year: parts.year, month: parts.month, day: parts.day, minutes: parts.hour * 60 + parts.minute };
+        }
+
+        /**
+         * Slots the customer can still pick, over the next options.slotDays days
+         * (days and cut-offs on the shop's clock)
+         * @param {Date} [now]
+         * @returns {Array} [{ key, id, date, start, end, label, dayLabel, time, charge }]
+         */
+        getAvailableSlots(now = new Date()) {
+            const available = [];
+            const locale = this.options.i18n ? this.options.i18n.getLocale() : undefined;
+            const today = this.getShopTime(now);
+
+            for (let offset = 0; offset < this.options.slotDays; offset++) {
+                // Calendar day in UTC so the customer's own zone can't shift it
+                const day = new Date(Date.UTC(today.year, today.month - 1, today.day + offset));
+                const date = day.toISOString().slice(0, 10);
+                const dayLabel = offset === 0 ? this.t('checkout.today')
+                    : offset === 1 ? this.t('checkout.tomorrow')
+                        : day.toLocaleDateString(locale, { weekday: 'short', day: 'numeric', month: 'short', timeZone: 'UTC' });
+
+                this.slots.forEach(slot => {
+                    if (!slot.days.includes(day.getUTCDay())) return;
+
+                    // Minutes from now until the slot stops taking orders
+                    if (offset * 1440 + slot.start - slot.leadMinutes - today.minutes <= 0) return;
+
+                    const hours = slot.end !== null
+                        ? `${this.formatTime(slot.start)} – ${this.formatTime(slot.end)}`
+                        : this.formatTime(slot.start);
+                    const time = slot.label ? `${slot.label} (${hours})` : hours;
+
+                    available.push({
+                        key: `${date}|${slot.id}`,
+                        id: slot.id,
+                        date: date,
+                        start: slot.start,
+                        end: slot.end,
+                        dayLabel: dayLabel,
+                        time: time,
+                        label: `${dayLabel}, ${time}`,
+                        charge: slot.charge
+                    });
+                });
+            }
+
+            return available;
+        }
+
+        findSlot(key, now) {
+            return this.getAvailableSlots(now).find(slot => slot.key === key) || null;
+        }
+
+        // ============================================
+        // ORDER
+        // ============================================
+
+        /**
+         * Check form values
+         * @param {Object} values - See readForm()
+         * @returns {Object} field → message (empty when valid)
+         */
+        validate(values) {
+            const errors = {};
+
+            if (!String(values.name || '').trim()) errors.name = this.t('checkout.error.name');
+            if (String(values.mobile || '').replace(/\D/g, '').length !== 10) errors.mobile = this.t('checkout.error.mobile');
+            if (values.email && !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(values.email)) errors.email = this.t('checkout.error.email');
+
+            if (values.deliveryType !== 'pickup') {
+                const address = values.address || {};
+                if (!String(address.line1 || '').trim()) errors.line1 = this.t('checkout.error.line1');
+                if (!/^[1-9]\d{5}$/.test(String(address.pincode || '').trim())) errors.pincode = this.t('checkout.error.pincode');
+                if (!String(address.city || '').trim() && !errors.pincode) errors.city = this.t('checkout.error.city');
+            }
+
+            if ((this.options.requireSlot && this.slots.length > 0 && !values.slot) || (values.slot && !this.findSlot(values.slot))) {
+                errors.slot = this.t('checkout.error.slot');
+            }
+
+            const cart = this.options.cart;
+            if (cart && cart.getCart().length === 0) errors.form = this.t('checkout.error.cartEmpty');
+
+            return errors;
+        }
+
+        /**
+         * orderData for WhatsAppBilling from form values
+         * @param {Object} values - See readForm()
+         * @param {Object|null} [slot] - values.slot resolved (submit() has checked it is still open)
+         * @returns {Object}
+         */
+        buildOrderData(values, slot = values.slot ? this.findSlot(values.slot) : null) {
+            const pickup = values.deliveryType === 'pickup';
+            const address = pickup ? null : { ...values.address };
+
+            const adjustments = { deliveryType: pickup ? 'pickup' : 'delivery', pincode: address ? address.pincode : undefined };
+            const zones = this.options.deliveryZones;
+            const zone = zones && address ? zones.findZone(address.pincode, zones.getCoordinates()) : null;
+
+            // A slot's own charge replaces the zone charge
+            if (slot && slot.charge !== null && !pickup) {
+                adjustments.deliveryCharge = slot.charge;
+            } else if (zone && !this.options.cart) {
+                adjustments.deliveryCharge = zones.getZoneCharge(zone, this.getOrderAmount(values));
+            }
+
+            const cart = this.options.cart;
+            const totals = cart ? cart.getTotals(adjustments) : null;
+
+            const order = {
+                name: String(values.name || '').trim(),
+                mobile: String(values.mobile || '').replace(/\D/g, ''),
+                email: String(values.email || '').trim(),
+                deliveryType: adjustments.deliveryType,
+                address: this.formatAddress(address),
+                addressDetails: address,
+                pincode: address ? address.pincode : '',
+                state: address ? address.state : '',
+                deliverySlot: slot ? { id: slot.id, date: slot.date, start: slot.start, end: slot.end, label: slot.label } : null,
+                deliveryZone: zone ? { id: zone.id, name: zone.name, eta: zones.formatEta(zone.eta) } : null,
+                notes: String(values.notes || '').trim(),
+                cart: cart ? cart.getCart() : (values.cart || [])
+            };
+
+            if (totals) {
+                order.totals = totals;
+                order.couponCode = totals.couponCode || undefined;
+            } else if (adjustments.deliveryCharge !== undefined) {
+                order.deliveryCharge = adjustments.deliveryCharge;
+            }
+
+            return this.options.storeLocator ? this.options.storeLocator.attach(order) : order;
+        }
+
+        formatAmount(amount) {
+            return this.options.billing ? this.options.billing.formatCurrency(amount) : amount;
+        }
+
+        // Cart amount after discount, before delivery (minimum order / free delivery)
+        getOrderAmount(values) {
+            const cart = this.options.cart;
+            if (cart) return cart.getTotals({ deliveryType: values.deliveryType }).netAmount;
+            return (values.cart || []).reduce((sum, item) => sum + item.price * item.quantity, 0);
+        }
+
+        /**
+         * Validate, check the pincode, remember the address and place the order
+         * @param {Object} [values] - Defaults to the rendered form
+         * @returns {Promise<Object|false>} placeOrder / onSubmit result, or false
+         */
+        async submit(values = this.readForm()) {
+            const errors = this.validate(values);
+
+            // Stock, limits and prices may have changed since the items were added
+            const cart = this.options.cart;
+            if (cart && typeof cart.validateForCheckout === 'function' && !errors.form) {
+                const check = await cart.validateForCheckout();
+                if (!check.valid) {
+                    errors.form = this.t('checkout.error.cartIssues', { issues: check.issues.map(issue => issue.message).join('; ') });
+                }
+            }
+
+            if (!errors.pincode && values.deliveryType !== 'pickup') {
+                try {
+                    const details = await this.verifyPincode(values.address.pincode);
+                    if (details) {
+                        values.address.city = values.address.city || details.district;
+                        values.address.state = values.address.state || details.state;
+                        delete errors.city;
+                    } else {
+                        errors.pincode = this.t('checkout.error.pincodeUnknown');
+                    }
+                } catch (error) {
+                    // Lookup unavailable (offline, no detector): trust what was typed
+                    this.log('Pincode not verified:', error.message);
+                }
+            }
+
+            // Branch that takes the order: the customer's own pick, else the nearest for this order
+            const locator = this.options.storeLocator;
+            if (locator && locator.branches.length > 0 && !errors.pincode) {
+                const pincode = values.deliveryType !== 'pickup' ? values.address.pincode : undefined;
+                const branch = locator.getChosen() || await locator.selectNearest(pincode, values.deliveryType);
+                await locator.ready; // branch delivery zones
+
+                if (branch && values.deliveryType === 'pickup') {
+                    if (!branch.pickup) errors.form = this.t('checkout.error.noPickup', { store: branch.name });
+                } else if (branch) {
+                    const position = await locator.getCustomerPosition(pincode);
+                    const ranked = locator.rank(position).find(entry => entry.branch.id === branch.id);
+                    if (!branch.delivery) {
+                        errors.form = this.t('checkout.error.pickupOnly', { store: branch.name });
+                    } else if (ranked && !ranked.deliverable) {
+                        errors.pincode = this.t('checkout.error.branchRange', { store: branch.name });
+                    }
+                }
+
+                if (branch && branch.minOrder > 0 && !errors.form && this.getOrderAmount(values) < branch.minOrder) {
+                    errors.form = this.t('checkout.error.branchMinOrder', { store: branch.name, amount: this.formatAmount(branch.minOrder) });
+                }
+            }
+
+            const zones = this.options.deliveryZones;
+            if (zones && !errors.pincode && values.deliveryType !== 'pickup') {
+                const status = zones.check(values.address.pincode, this.getOrderAmount(values));
+                if (!status.serviceable) {
+                    errors.pincode = status.message;
+                } else if (status.shortfall > 0) {
+                    errors.form = zones.t('zones.minOrder', { zone: status.zone.name, amount: zones.formatPrice(status.minOrder) });
+                }
+            }
+
+            // The slot can close while the pincode and cart are checked
+            const slot = values.slot ? this.findSlot(values.slot) : null;
+            if (values.slot && !slot) errors.slot = this.t('checkout.error.slot');
+
+            if (Object.keys(errors).length > 0) {
+                this.showErrors(errors);
+                return false;
+            }
+            this.showErrors({});
+
+            // Only a pincode the whole form was accepted with becomes the cart's delivery pincode
+            if (zones && values.deliveryType !== 'pickup') {
+                zones.setPincode(values.address.pincode);
+            }
+
+            if (values.deliveryType !== 'pickup' && values.saveAddress) {
+                const saved = this.saveAddress({ ...values.address, id: values.addressId !== 'new' ? values.addressId : undefined });
+                values.addressId = saved.id;
+            }
+            this.saveContact(values);
+
+            let order = this.buildOrderData(values, slot);
+            this.setBusy(true);
+
+            try {
+                const payments = this.options.payments;
+                if (payments) {
+                    const billing = this.options.billing;
+                    const priced = billing ? billing.applyPricing(order) : order;
+
+                    // Paid for this same order on an earlier attempt that failed to send:
+                    // same order ID, no second payment
+                    const paid = this.loadPayment(priced);
+                    if (paid) {
+                        order = payments.attach({ ...priced, orderId: paid.orderId }, paid);
+                    } else {
+                        order = payments.prepare(priced);
+                        const payment = await payments.collect(order);
+                        if (!payment) return false;
+                        order = payments.attach(order, payment);
+                        if (payment.reference) this.savePayment(payment, priced);
+                    }
+                }
+
+                const result = this.options.onSubmit
+                    ? await this.options.onSubmit(order)
+                    : this.options.billing ? await this.options.billing.placeOrder(order) : order;
+
+                if (!result) {
+                    this.showErrors({ form: this.getFailureMessage(order) });
+                    return false;
+                }
+                this.savePayment(null);
+
+                if (this.options.cart && this.options.cart.getAppliedCoupon && this.options.cart.getAppliedCoupon()) {
+                    this.options.cart.redeemCoupon();
+                }
+                if (this.options.onComplete) {
+                    this.options.onComplete(order, result);
+                }
+                return result;
+            } catch (error) {
+                console.error('CheckoutForm: Order failed:', error);
+                this.showErrors({ form: this.getFailureMessage(order) });
+                if (this.options.onError) this.options.onError(error);
+                return false;
+            } finally {
+                this.setBusy(false);
+            }
+        }
+
+        // A paid order that failed keeps its reference in front of the customer
+        getFailureMessage(order) {
+            return order.payment && order.payment.reference
+                ? this.t('checkout.error.failedPaid', { reference: order.payment.reference })
+                : this.t('checkout.error.failed');
+        }
+
+        // What a payment was made for: customer, items, delivery, coupon and total
+        getOrderFingerprint(order) {
+            return JSON.stringify([
+                order.mobile,
+                (order.cart || []).map(item => [item.id || item.name, item.variantId || '', item.price, item.quantity]),
+                order.deliveryType,
+                order.pincode || '',
+                order.couponCode || '',
+                order.total
+            ]);
+        }
+
+        /**
+         * Keep a UPI payment whose order hasn't been placed yet (survives a reload)
+         * @param {Object|null} payment - null forgets it
+         * @param {Object} [order] - Priced order it was made for
+         */
+        savePayment(payment, order) {
+            try {
+                if (payment) {
+                    localStorage.setItem(`${this.options.storageKey}_payment`, JSON.stringify({
+                        payment: payment,
+                        fingerprint: this.getOrderFingerprint(order),
+                        savedAt: Date.now()
+                    }));
+                } else {
+                    localStorage.removeItem(`${this.options.storageKey}_payment`);
+                }
+            } catch (e) {
+                // Private mode; the reference is still shown with the error
+            }
+        }
+
+        /**
+         * The saved payment if it was made for this order within options.paymentMinutes
+         * @param {Object} order - Priced order
+         * @returns {Object|null}
+         */
+        loadPayment(order) {
+            let saved;
+            try {
+                saved = JSON.parse(localStorage.getItem(`${this.options.storageKey}_payment`) || 'null');
+            } catch (e) {
+                return null;
+            }
+            if (!saved || !saved.payment) return null;
+
+            if (!(Date.now() - saved.savedAt < this.options.paymentMinutes * 60000)) {
+                this.savePayment(null);
+                return null;
+            }
+            return saved.fingerprint === this.getOrderFingerprint(order) ? saved.payment : null;
+        }
+
+        saveContact(values) {
+            try {
+                localStorage.setItem(`${this.options.storageKey}_contact`, JSON.stringify({
+                    name: values.name, mobile: values.mobile, email: values.email
+                }));
+            } catch (e) {
+                // Private mode; the form just won't be pre-filled next time
+            }
+        }
+
+        loadContact() {
+            try {
+                return JSON.parse(localStorage.getItem(`${this.options.storageKey}_contact`) || '{}') || {};
+            } catch (e) {
+                return {};
+            }
+        }
+
+        // ============================================
+        // UI
+        // ============================================
+
+        /**
+         * Render the form
+         * @param {string|HTMLElement} [container] - Defaults to options.container
+         */
+        render(container = this.options.container) {
+            const element = typeof container === 'string' ? document.querySelector(container) : container;
+            if (!element) {
+                console.error('CheckoutForm: Container not found:', container);
+                return null;
+            }
+
+            this.injectStyles();
+            this.element = element;
+
+            const contact = this.loadContact();
+            const selected = this.getDefaultAddress();
+            const dir = this.options.i18n ? this.options.i18n.getDirection() : 'ltr';
+            const field = (name, label, value, attrs = '') => `
+                <label class="checkout-field" data-field="${name}">
+                    <span>${escapeHtml(label)}</span>
+                    <input name="${name}" value="${escapeHtml(value)}" ${attrs}>
+                    <small class="checkout-error"></small>
+                </label>`;
+
+            element.innerHTML = `
+                <form class="checkout-form" dir="${dir}" novalidate>
+                    <h3>${escapeHtml(this.t('checkout.contact'))}</h3>
+                    ${field('name', this.t('checkout.name'), contact.name || '', 'autocomplete="name" required')}
+                    ${field('mobile', this.t('checkout.mobile'), contact.mobile || '', 'type="tel" inputmode="numeric" autocomplete="tel-national" maxlength="14" required')}
+                    ${field('email', this.t('checkout.email'), contact.email || '', 'type="email" autocomplete="email"')}
+
+                    <h3>${escapeHtml(this.t('checkout.delivery'))}</h3>
+                    ${this.options.allowPickup ? `
+                    <div class="checkout-options">
+                        <label><input type="radio" name="deliveryType" value="delivery" checked> ${escapeHtml(this.t('checkout.homeDelivery'))}</label>
+                        <label><input type="radio" name="deliveryType" value="pickup"> ${escapeHtml(this.t('checkout.pickup'))}</label>
+                    </div>` : ''}
+
+                    <div class="checkout-address">
+                        ${this.addresses.length > 0 ? `
+                        <div class="checkout-saved">
+                            <span>${escapeHtml(this.t('checkout.savedAddresses'))}</span>
+                            ${this.addresses.map(address => `
+                            <label class="checkout-saved-item">
+                                <input type="radio" name="addressId" value="${escapeHtml(address.id)}"${selected && selected.id === address.id ? ' checked' : ''}>
+                                <span><strong>${escapeHtml(CHECKOUT_MESSAGES[`checkout.label.${address.label}`] ? this.t(`checkout.label.${address.label}`) : address.label)}</strong>${address.isDefault ? ` <em>${escapeHtml(this.t('checkout.default'))}</em>` : ''}<br>${escapeHtml(this.formatAddress(address))}</span>
+                                <button type="button" class="checkout-remove" data-address-id="${escapeHtml(address.id)}">${escapeHtml(this.t('checkout.remove'))}</button>
+                            </label>`).join('')}
+                            <label class="checkout-saved-item">
+                                <input type="radio" name="addressId" value="new"> <span>${escapeHtml(this.t('checkout.newAddress'))}</span>
+                            </label>
+                        </div>` : '<input type="hidden" name="addressId" value="new">'}
+
+                        <div class="checkout-new-address"${selected ? ' hidden' : ''}>
+                            <label class="checkout-field">
+                                <span>${escapeHtml(this.t('checkout.label'))}</span>
+                                <select name="label">
+                                    ${['home', 'work', 'other'].map(label => `<option value="${label}">${escapeHtml(this.t(`checkout.label.${label}`))}</option>`).join('')}
+                                </select>
+                            </label>
+                            ${field('line1', this.t('checkout.line1'), '', 'autocomplete="address-line1" required')}
+                            ${field('line2', this.t('checkout.line2'), '', 'autocomplete="address-line2"')}
+                            ${field('landmark', this.t('checkout.landmark'), '')}
+                            ${field('pincode', this.t('checkout.pincode'), '', 'inputmode="numeric" autocomplete="postal-code" maxlength="6" required')}
+                            ${field('city', this.t('checkout.city'), '', 'autocomplete="address-level2"')}
+                            ${field('state', this.t('checkout.state'), '', 'autocomplete="address-level1"')}
+                            <label class="checkout-check"><input type="checkbox" name="saveAddress" checked> ${escapeHtml(this.t('checkout.saveAddress'))}</label>
+                        </div>
+                    </div>
+
+                    ${this.slots.length > 0 ? `
+                    <label class="checkout-field" data-field="slot">
+                        <span>${escapeHtml(this.t('checkout.slot'))}</span>
+                        <select name="slot">${this.renderSlotOptions()}</select>
+                        <small class="checkout-error"></small>
+                    </label>` : ''}
+
+                    <label class="checkout-field">
+                        <span>${escapeHtml(this.t('checkout.notes'))}</span>
+                        <textarea name="notes" rows="2"></textarea>
+                    </label>
+
+                    <div class="checkout-error checkout-form-error" data-field="form" role="alert"></div>
+                    <button type="submit" class="checkout-submit">${escapeHtml(this.t('checkout.submit'))}</button>
+                </form>
+            `;
+
+            this.bindEvents();
+            return element;
+        }
+
+        renderSlotOptions() {
+            const groups = {};
+            this.getAvailableSlots().forEach(slot => {
+                (groups[slot.dayLabel] = groups[slot.dayLabel] || []).push(slot);
+            });
+
+            const format = amount => this.formatAmount(amount);
+            const first = this.options.requireSlot ? '' : `<option value="">${escapeHtml(this.t('checkout.slotNone'))}</option>`;
+
+            return first + Object.keys(groups).map(day => `
+                <optgroup label="${escapeHtml(day)}">
+                    ${groups[day].map(slot => `<option value="${escapeHtml(slot.key)}">${escapeHtml(slot.time)}${slot.charge ? ` ${escapeHtml(this.t('checkout.slotCharge', { amount: format(slot.charge) }))}` : ''}</option>`).join('')}
+                </optgroup>`).join('');
+        }
+
+        bindEvents() {
+            const form = this.element.querySelector('.checkout-form');
+            const newAddress = form.querySelector('.checkout-new-address');
+            const addressBlock = form.querySelector('.checkout-address');
+
+            form.addEventListener('submit', event => {
+                event.preventDefault();
+                this.submit();
+            });
+
+            form.addEventListener('change', event => {
+                const target = event.target;
+                if (target.name === 'addressId') {
+                    newAddress.hidden = target.value !== 'new';
+                } else if (target.name === 'deliveryType') {
+                    addressBlock.hidden = target.value === 'pickup';
+                }
+            });
+
+            form.querySelectorAll('.checkout-remove').forEach(button => {
+                button.addEventListener('click', event => {
+                    event.preventDefault();
+                    this.removeAddress(button.getAttribute('data-address-id'));
+                    this.render(this.element);
+                });
+            });
+
+            // Fill city/state as soon as the pincode is complete
+            const pincode = form.elements.pincode;
+            pincode.addEventListener('input', async () => {
+                const value = pincode.value.replace(/\D/g, '').slice(0, 6);
+                pincode.value = value;
+                if (value.length !== 6) return;
+
+                const hint = pincode.parentNode.querySelector('.checkout-error');
+                hint.textContent = this.t('checkout.checking');
+                try {
+                    const details = await this.verifyPincode(value);
+                    if (pincode.value !== value) return;
+                    if (details) {
+                        form.elements.city.value = details.district;
+                        form.elements.state.value = details.state;
+                        hint.textContent = '';
+                    } else {
+                        hint.textContent = this.t('checkout.error.pincodeUnknown');
+                    }
+                } catch (error) {
+                    hint.textContent = '';
+                }
+            });
+        }
+
+        /**
+         * Current form values
+         * @returns {Object} { name, mobile, email, deliveryType, addressId, address, saveAddress, slot, notes }
+         */
+        readForm() {
+            const form = this.element ? this.element.querySelector('.checkout-form') : null;
+            if (!form) return {};
+
+            const elements = form.elements;
+            const checked = name => {
+                const input = form.querySelector(`input[name="${name}"]:checked`) || form.querySelector(`input[type="hidden"][name="${name}"]`);
+                return input ? input.value : '';
+            };
+
+            const addressId = checked('addressId') || 'new';
+            const saved = addressId !== 'new' ? this.getAddress(addressId) : null;
+            const address = {};
+            ADDRESS_FIELDS.forEach(name => {
+                address[name] = saved ? saved[name] || '' : (elements[name] ? elements[name].value.trim() : '');
+            });
+
+            return {
+                name: elements.name.value.trim(),
+                mobile: elements.mobile.value.trim(),
+                email: elements.email.value.trim(),
+                deliveryType: checked('deliveryType') || 'delivery',
+                addressId: addressId,
+                address: address,
+                saveAddress: addressId === 'new' && elements.saveAddress.checked,
+                slot: elements.slot ? elements.slot.value : '',
+                notes: elements.notes.value.trim()
+            };
+        }
+
+        showErrors(errors) {
+            if (!this.element) {
+                if (Object.keys(errors).length > 0) this.log('Invalid checkout:', errors);
+                return;
+            }
+
+            this.element.querySelectorAll('[data-field]').forEach(node => {
+                const message = errors[node.getAttribute('data-field')] || '';
+                const target = node.classList.contains('checkout-error') ? node : node.querySelector('.checkout-error');
+                if (target) target.textContent = message;
+                node.classList.toggle('checkout-invalid', !!message);
+            });
+        }
+
+        setBusy(busy) {
+            const button = this.element ? this.element.querySelector('.checkout-submit') : null;
+            if (button) button.disabled = busy;
+        }
+
+        injectStyles() {
+            if (document.getElementById('checkout-styles')) return;
+
+            const style = document.createElement('style');
+            style.id = 'checkout-styles';
+            style.textContent = `
+                .checkout-form { display: flex; flex-direction: column; gap: 12px; font-family: inherit; color: #1f2937; }
+                .checkout-form h3 { margin: 8px 0 0; font-size: 16px; }
+                .checkout-field { display: flex; flex-direction: column; gap: 4px; font-size: 14px; }
+                .checkout-field input, .checkout-field select, .checkout-field textarea { padding: 10px; border: 1px solid #d1d5db; border-radius: 8px; font: inherit; }
+                .checkout-invalid input, .checkout-invalid select { border-color: #dc2626; }
+                .checkout-error { color: #dc2626; font-size: 12px; min-height: 0; }
+                .checkout-options { display: flex; gap: 16px; }
+                .checkout-saved { display: flex; flex-direction: column; gap: 8px; }
+                .checkout-saved-item { display: flex; align-items: flex-start; gap: 8px; padding: 10px; border: 1px solid #e5e7eb; border-radius: 8px; font-size: 14px; }
+                .checkout-saved-item em { color: #16a34a; font-style: normal; font-size: 12px; }
+                .checkout-remove { margin-inline-start: auto; border: none; background: none; color: #dc2626; cursor: pointer; }
+                .checkout-new-address { display: flex; flex-direction: column; gap: 12px; }
+                .checkout-check { font-size: 14px; }
+                .checkout-submit { padding: 14px; border: none; border-radius: 8px; background: #25d366; color: #fff; font-size: 16px; font-weight: 600; cursor: pointer; }
+                .checkout-submit:disabled { opacity: 0.6; cursor: wait; }
+            `;
+            document.head.appendChild(style);
+        }
+
+        log(...args) {
+            if (this.options.debug) console.log('CheckoutForm:', ...args);
+        }
+    }
+
+    CheckoutForm.MESSAGES = CHECKOUT_MESSAGES;
+
+    // Export for different module systems
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = CheckoutForm;
+    } else if (typeof define === 'function' && define.amd) {
+        define(function() { return CheckoutForm; });
+    } else {
+        global.CheckoutForm = CheckoutForm;
+    }
+})(typeof window !== 'undefined' ? window : this);
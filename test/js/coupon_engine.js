@@ -0,0 +1,303 @@
+/**
+ * CouponEngine.js v1.0.0
+ * Validates and applies discount codes loaded from the coupons sheet
+ * (GSRCDN.getCoupons() - GSRECOM router, Sheet3 rows 150+, ?type=coupons)
+ * (c) 2025
+ * MIT License
+ *
+ * Expected coupon columns (header names are case-insensitive):
+ *   code, type, value, minOrder, maxDiscount, expiry, startDate,
+ *   categories, usageLimit, used, buyQty, getQty, enabled, description
+ *
+ * Usage limits: the client can't write to the coupons sheet, so usageLimit
+ * is checked against the sheet's `used` column (kept up to date by the shop,
+ * e.g. from the coupon column of the Orders sheet) plus this browser's own
+ * redemptions (recordUsage). Across customers it is only as current as
+ * `used`; the local count just stops one customer reusing a code meanwhile.
+ *
+ * Supported types:
+ *   percentage    - value% off eligible items (capped by maxDiscount)
+ *   flat          - fixed amount off eligible items
+ *   free_delivery - waives the delivery charge
+ *   bxgy          - buy buyQty get getQty free (cheapest eligible units free)
+ *
+ * Needs shop_utils.js (ShopUtils) included first.
+ */
+
+(function(global) {
+    'use strict';
+
+    // Shared config, sheet and message helpers (shop_utils.js)
+    const ShopUtils = typeof global.ShopUtils !== 'undefined' ? global.ShopUtils
+        : (typeof require === 'function' ? require('./shop_utils.js') : undefined);
+
+    const TYPE_ALIASES = {
+        percentage: 'percentage', percent: 'percentage', pct: 'percentage', '%': 'percentage',
+        flat: 'flat', fixed: 'flat', amount: 'flat',
+        free_delivery: 'free_delivery', freedelivery: 'free_delivery', free_shipping: 'free_delivery', delivery: 'free_delivery',
+        bxgy: 'bxgy', bogo: 'bxgy', buy_x_get_y: 'bxgy'
+    };
+
+    class CouponEngine {
+        constructor(options = {}) {
+            this.coupons = new Map();
+            this.loaded = false;
+            this.options = {
+                fetcher: options.fetcher || (typeof global.GSRCDN !== 'undefined' ? global.GSRCDN : null),
+                sheetName: options.sheetName || 'Sheet3',
+                storageKey: options.storageKey || 'shopcart_coupon_usage',
+                categoryField: options.categoryField || 'category',
+                debug: options.debug || false
+            };
+
+            if (Array.isArray(options.coupons)) {
+                this.setCoupons(options.coupons);
+            }
+        }
+
+        // Fetch coupon rows from the sheet
+        async load(force = false) {
+            if (this.loaded && !force) return this.getCoupons();
+
+            if (!this.options.fetcher || typeof this.options.fetcher.getCoupons !== 'function') {
+                throw new Error('CouponEngine: GSRCDN is not loaded. Include gsrcdn_client.js or pass options.fetcher');
+            }
+
+            const response = await this.options.fetcher.getCoupons(this.options.sheetName);
+
+            let rows;
+            if (response && Array.isArray(response.data)) {
+                rows = response.data;
+            } else if (response && Array.isArray(response.coupons)) {
+                rows = response.coupons;
+            } else if (Array.isArray(response)) {
+                rows = response;
+            } else {
+                throw new Error((response && response.message) || 'CouponEngine: Invalid coupons response');
+            }
+
+            this.setCoupons(rows);
+            this.log('Loaded', this.coupons.size, 'coupons');
+            return this.getCoupons();
+        }
+
+        // Replace the coupon list with parsed rows
+        setCoupons(rows) {
+            this.coupons.clear();
+            rows.forEach(row => {
+                const coupon = this.parseCoupon(row);
+                if (coupon) this.coupons.set(coupon.code, coupon);
+            });
+            this.loaded = true;
+        }
+
+        // Get all parsed coupons
+        getCoupons() {
+            return Array.from(this.coupons.values());
+        }
+
+        // Get a single coupon by code
+        getCoupon(code) {
+            return this.coupons.get(this.normalizeCode(code)) || null;
+        }
+
+        // Normalise a code for lookup
+        normalizeCode(code) {
+            return String(code || '').trim().toUpperCase();
+        }
+
+        // Turn a sheet row into a coupon rule
+        parseCoupon(row) {
+            if (!row || typeof row !== 'object') return null;
+
+            const field = (...names) => ShopUtils.rowField(row, ...names);
+
+            const code = this.normalizeCode(field('code', 'couponCode', 'coupon'));
+            if (!code) return null;
+
+            if (ShopUtils.isDisabled(field('enabled', 'active'))) return null;
+
+            const rawType = String(field('type', 'discountType') || 'percentage').trim().toLowerCase().replace(/[\s-]/g, '_');
+            const type = TYPE_ALIASES[rawType];
+            if (!type) {
+                this.log('Skipping coupon with unknown type:', code, rawType);
+                return null;
+            }
+
+            const categories = field('categories', 'category');
+
+            return {
+                code: code,
+                type: type,
+                value: this.parseNumber(field('value', 'discount', 'amount')),
+                minOrder: this.parseNumber(field('minOrder', 'minimumOrder', 'minAmount')),
+                maxDiscount: this.parseNumber(field('maxDiscount', 'cap')),
+                startDate: this.parseDate(field('startDate', 'validFrom', 'start')),
+                expiry: this.parseDate(field('expiry', 'expiryDate', 'validUntil', 'endDate'), true),
+                categories: categories
+                    ? String(categories).split(',').map(c => c.trim().toLowerCase()).filter(Boolean)
+                    : [],
+                usageLimit: this.parseNumber(field('usageLimit', 'limit', 'maxUses')),
+                used: this.parseNumber(field('used', 'usedCount', 'uses')),
+                buyQty: this.parseNumber(field('buyQty', 'buy')) || 1,
+                getQty: this.parseNumber(field('getQty', 'get')) || 1,
+                description: field('description', 'label') || ''
+            };
+        }
+
+        // Validate a code against a cart
+        validate(code, cart = []) {
+            const coupon = this.getCoupon(code);
+            const fail = (reason, message) => ({ valid: false, code: this.normalizeCode(code), coupon, reason, message, discount: 0, freeDelivery: false });
+
+            if (!coupon) {
+                return fail('NOT_FOUND', 'Invalid coupon code');
+            }
+
+            const now = new Date();
+            if (coupon.startDate && now < coupon.startDate) {
+                return fail('NOT_STARTED', 'This coupon is not active yet');
+            }
+            if (coupon.expiry && now > coupon.expiry) {
+                return fail('EXPIRED', 'This coupon has expired');
+            }
+
+            if (coupon.usageLimit > 0 && (coupon.used + this.getUsageCount(coupon.code)) >= coupon.usageLimit) {
+                return fail('USAGE_LIMIT', 'This coupon has reached its usage limit');
+            }
+
+            const eligible = this.getEligibleItems(coupon, cart);
+            if (eligible.length === 0) {
+                return fail('NO_ELIGIBLE_ITEMS', coupon.categories.length > 0
+                    ? `This coupon only applies to ${coupon.categories.join(', ')}`
+                    : 'Your cart is empty');
+            }
+
+            const subtotal = cart.reduce((sum, item) => sum + (item.price * item.quantity), 0);
+            if (coupon.minOrder > 0 && subtotal < coupon.minOrder) {
+                return fail('MIN_ORDER', `Minimum order of ${coupon.minOrder} required for this coupon`);
+            }
+
+            const discount = this.calculateDiscount(coupon, eligible);
+            if (coupon.type === 'bxgy' && discount <= 0) {
+                return fail('MIN_QUANTITY', `Add ${coupon.buyQty + coupon.getQty} eligible items to use this coupon`);
+            }
+
+            return {
+                valid: true,
+                code: coupon.code,
+                coupon: coupon,
+                reason: null,
+                message: coupon.description || 'Coupon applied',
+                discount: Math.min(discount, subtotal),
+                freeDelivery: coupon.type === 'free_delivery'
+            };
+        }
+
+        // Items the coupon's category condition allows
+        getEligibleItems(coupon, cart) {
+            if (coupon.categories.length === 0) return cart.slice();
+            const field = this.options.categoryField;
+            return cart.filter(item => coupon.categories.includes(String(item[field] || '').trim().toLowerCase()));
+        }
+
+        // Discount amount for the eligible items
+        calculateDiscount(coupon, items) {
+            const eligibleTotal = items.reduce((sum, item) => sum + (item.price * item.quantity), 0);
+            let discount = 0;
+
+            switch (coupon.type) {
+                case 'percentage':
+                    discount = eligibleTotal * (coupon.value / 100);
+                    break;
+                case 'flat':
+                    discount = Math.min(coupon.value, eligibleTotal);
+                    break;
+                case 'bxgy': {
+                    const units = [];
+                    items.forEach(item => {
+                        for (let i = 0; i < item.quantity; i++) units.push(item.price);
+                    });
+                    units.sort((a, b) => a - b);
+                    const freeUnits = Math.floor(units.length / (coupon.buyQty + coupon.getQty)) * coupon.getQty;
+                    discount = units.slice(0, freeUnits).reduce((sum, price) => sum + price, 0);
+                    break;
+                }
+                default:
+                    discount = 0;
+            }
+
+            if (coupon.maxDiscount > 0) {
+                discount = Math.min(discount, coupon.maxDiscount);
+            }
+
+            return Math.round(discount * 100) / 100;
+        }
+
+        // Record a redemption in this browser (the sheet's `used` column is not written)
+        recordUsage(code) {
+            const usage = this.readUsage();
+            const key = this.normalizeCode(code);
+            usage[key] = (usage[key] || 0) + 1;
+            try {
+                localStorage.setItem(this.options.storageKey, JSON.stringify(usage));
+            } catch (e) {
+                console.warn('CouponEngine: Could not save coupon usage:', e);
+            }
+        }
+
+        // Local redemptions for a code
+        getUsageCount(code) {
+            return this.readUsage()[this.normalizeCode(code)] || 0;
+        }
+
+        readUsage() {
+            try {
+                return JSON.parse(localStorage.getItem(this.options.storageKey)) || {};
+            } catch (e) {
+                return {};
+            }
+        }
+
+        parseNumber(value) {
+            if (value === undefined || value === null) return 0;
+            const num = parseFloat(String(value).replace(/[^0-9.\-]/g, ''));
+            return isNaN(num) ? 0 : num;
+        }
+
+        // Parse YYYY-MM-DD, DD/MM/YYYY, DD-MM-YYYY or any Date-parsable value
+        parseDate(value, endOfDay = false) {
+            if (value === undefined || value === null || value === '') return null;
+
+            let date;
+            const str = String(value).trim();
+            const dmy = str.match(/^(\d{1,2})[\/-](\d{1,2})[\/-](\d{4})$/);
+
+            if (dmy) {
+                date = new Date(parseInt(dmy[3]), parseInt(dmy[2]) - 1, parseInt(dmy[1]));
+            } else if (/^\d{4}-\d{2}-\d{2}$/.test(str)) {
+                const [y, m, d] = str.split('-').map(Number);
+                date = new Date(y, m - 1, d);
+            } else {
+                date = new Date(value);
+            }
+
+            if (isNaN(date.getTime())) return null;
+            if (endOfDay) date.setHours(23, 59, 59, 999);
+            return date;
+        }
+
+        log(...args) {
+            if (this.options.debug) console.log('CouponEngine:', ...args);
+        }
+    }
+
+    // Export for different module systems
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = CouponEngine;
+    } else if (typeof define === 'function' && define.amd) {
+        define(function() { return CouponEngine; });
+    } else {
+        global.CouponEngine = CouponEngine;
+    }
+})(typeof window !== 'undefined' ? window : this);
@@ -0,0 +1,377 @@
+/**
+ * CurrencyManager.js v1.0.0
+ * Display prices in the customer's currency while the store keeps selling
+ * (and billing) in its settlement currency. Exchange rates come from a
+ * sheet the shop owner maintains; formatting uses Intl.NumberFormat per
+ * locale, so INR in en-IN gets lakh grouping (₹12,34,567.50).
+ * (c) 2025
+ * MIT License
+ *
+ * Dependencies:
+ * - ShopUtils (shop_utils.js), included first
+ * - SecureSheets client (securesheets_Client_v140.js), configured - or pass options.fetcher
+ * - I18n (i18n.js) for the switcher label (optional, options.i18n)
+ *
+ * Expected rate columns (header names are case-insensitive):
+ *   code, rate, symbol, locale, name, decimals, enabled
+ *   rate = price of 1 unit of that currency in the settlement currency
+ *   (base INR: USD 83.25 means $1 = ₹83.25)
+ *
+ * Usage:
+ * const currency = new CurrencyManager({ baseCurrency: 'INR', locale: 'en-IN', sheetName: 'Currencies' });
+ * await currency.load();
+ * currency.renderSwitcher(document.querySelector('#currencySwitcher'));
+ * currency.format(8325);      // "$100.00" once the customer picks USD
+ * currency.formatBase(8325);  // "₹8,325.00" - always the settlement currency
+ * const cart = new ShopCart({ currencyManager: currency });
+ */
+
+(function(global) {
+    'use strict';
+
+    // Shared config, sheet and message helpers (shop_utils.js)
+    const ShopUtils = typeof global.ShopUtils !== 'undefined' ? global.ShopUtils
+        : (typeof require === 'function' ? require('./shop_utils.js') : undefined);
+
+    const CURRENCY_MESSAGES = {
+        'currency.switcher': 'Currency'
+    };
+
+    class CurrencyManager {
+        constructor(options = {}) {
+            this.currencies = new Map();
+            this.formatters = new Map();
+            this.listeners = new Set();
+            this.loaded = false;
+            this.options = {
+                fetcher: options.fetcher || ShopUtils.defaultFetcher(),
+                sheetName: options.sheetName || 'Currencies',
+                baseCurrency: String(options.baseCurrency || 'INR').toUpperCase(),
+                locale: options.locale || 'en-IN',
+                storageKey: options.storageKey || 'shopcart_display_currency',
+                i18n: options.i18n || null,
+                onChange: options.onChange || null,
+                debug: options.debug || false
+            };
+
+            // Settlement currency is always available at rate 1
+            this.currencies.set(this.options.baseCurrency, {
+                code: this.options.baseCurrency,
+                rate: 1,
+                symbol: options.symbol || '',
+                locale: this.options.locale,
+                name: '',
+                decimals: undefined
+            });
+
+            if (Array.isArray(options.rates)) {
+                this.setRates(options.rates);
+            }
+
+            this.displayCurrency = this.loadPreference() || this.options.baseCurrency;
+        }
+
+        /**
+         * Build a manager from ConfigManager (or a plain config object)
+         * @param {Object} config - ConfigManager instance or config object
+         * @param {Object} [overrides] - Options that take precedence
+         * @returns {CurrencyManager}
+         */
+        static fromConfig(config, overrides = {}) {
+            const get = ShopUtils.configGetter(config);
+
+            return new CurrencyManager({
+                baseCurrency: get('localization.currencyCode', 'INR'),
+                locale: get('localization.locale', 'en-IN'),
+                symbol: get('localization.currency', ''),
+                sheetName: get('localization.currencySheet', 'Currencies'),
+                ...overrides
+            });
+        }
+
+        t(key, params = {}) {
+            return ShopUtils.translate(this.options.i18n, CURRENCY_MESSAGES, key, params);
+        }
+
+        // Fetch exchange rates from the sheet
+        async load(force = false) {
+            if (this.loaded && !force) return this.getCurrencies();
+
+            const rows = await ShopUtils.loadSheetRows(this.options.fetcher, this.options.sheetName, { owner: 'CurrencyManager', what: 'exchange rates' });
+            this.setRates(rows);
+            this.log('Loaded', this.currencies.size, 'currencies');
+            this.notify();
+            return this.getCurrencies();
+        }
+
+        // Replace the rate table with parsed rows
+        setRates(rows) {
+            const base = this.currencies.get(this.options.baseCurrency);
+            this.currencies.clear();
+            this.currencies.set(base.code, base);
+
+            rows.forEach(row => {
+                const currency = this.parseRate(row);
+                if (!currency) return;
+
+                if (currency.code === base.code) {
+                    // Base row may add a symbol/name/locale, never a rate
+                    this.currencies.set(base.code, { ...currency, rate: 1, locale: currency.locale || base.locale });
+                } else {
+                    this.currencies.set(currency.code, currency);
+                }
+            });
+
+            this.formatters.clear();
+            this.loaded = true;
+        }
+
+        // Turn a sheet row into a currency
+        parseRate(row) {
+            if (!row || typeof row !== 'object') return null;
+
+            const field = (...names) => ShopUtils.rowField(row, ...names);
+
+            const code = String(field('code', 'currency', 'currencyCode') || '').trim().toUpperCase();
+            if (!/^[A-Z]{3}$/.test(code)) return null;
+
+            if (ShopUtils.isDisabled(field('enabled', 'active'))) {
+                return null;
+            }
+
+            const rate = this.parseNumber(field('rate', 'exchangeRate', 'value'));
+            if (code !== this.options.baseCurrency && !(rate > 0)) {
+                this.log('Skipping currency without a valid rate:', code);
+                return null;
+            }
+
+            const decimals = parseInt(field('decimals', 'precision'), 10);
+            return {
+                code: code,
+                rate: rate > 0 ? rate : 1,
+                symbol: String(field('symbol') || '').trim(),
+                locale: String(field('locale') || '').trim() || this.options.locale,
+                name: String(field('name', 'label') || '').trim(),
+                decimals: isNaN(decimals) ? undefined : decimals
+            };
+        }
+
+        /**
+         * Parse a rate cell: "83.25", "83,25" (decimal comma), "1,234.5", "1.234,5".
+         * Commas alone are grouping only in "1,234" / "12,345,678" form (never
+         * after a leading 0); otherwise a comma is the decimal point. NaN if unparseable.
+         * @returns {number}
+         */
+        parseNumber(value) {
+            if (typeof value === 'number') return value;
+
+            let text = String(value === undefined || value === null ? '' : value).replace(/[^0-9.,]/g, '');
+            const comma = text.lastIndexOf(',');
+            const dot = text.lastIndexOf('.');
+
+            if (comma !== -1 && dot !== -1) {
+                // Whichever separator comes last is the decimal point
+                text = comma > dot ? text.replace(/\./g, '').replace(',', '.') : text.replace(/,/g, '');
+            } else if (comma !== -1) {
+                text = /^[1-9]\d{0,2}(,\d{3})+$/.test(text) ? text.replace(/,/g, '') : text.replace(',', '.');
+            }
+
+            return /^\d+(\.\d+)?$|^\.\d+$/.test(text) ? parseFloat(text) : NaN;
+        }
+
+        // All currencies the customer can pick, settlement currency first
+        getCurrencies() {
+            return Array.from(this.currencies.values());
+        }
+
+        // Get a single currency by code
+        getCurrency(code) {
+            return this.currencies.get(String(code || '').toUpperCase()) || null;
+        }
+
+        getBaseCurrency() {
+            return this.options.baseCurrency;
+        }
+
+        // Saved preference may name a currency whose rate isn't loaded yet
+        getDisplayCurrency() {
+            return this.currencies.has(this.displayCurrency) ? this.displayCurrency : this.options.baseCurrency;
+        }
+
+        // Whether prices are shown in something other than the settlement currency
+        isConverted() {
+            return this.getDisplayCurrency() !== this.options.baseCurrency;
+        }
+
+        /**
+         * Convert an amount between currencies (settlement → display by default)
+         * @param {number} amount
+         * @param {string} [to] - Target currency code
+         * @param {string} [from] - Source currency code
+         * @returns {number} Rounded to the target currency's decimals
+         */
+        convert(amount, to = this.getDisplayCurrency(), from = this.options.baseCurrency) {
+            const source = this.getCurrency(from);
+            const target = this.getCurrency(to);
+            if (!source || !target) {
+                throw new Error(`CurrencyManager: Unknown currency ${!source ? from : to}`);
+            }
+
+            const value = (parseFloat(amount) || 0) * source.rate / target.rate;
+            const factor = Math.pow(10, this.getDecimals(target));
+            return Math.round(value * factor) / factor;
+        }
+
+        /**
+         * Format a settlement-currency amount for display
+         * @param {number} amount - Amount in the settlement currency
+         * @param {Object} [options] - { currency } to format in a specific currency
+         * @returns {string}
+         */
+        format(amount, options = {}) {
+            const code = String(options.currency || this.getDisplayCurrency()).toUpperCase();
+            const value = code === this.options.baseCurrency ? parseFloat(amount) || 0 : this.convert(amount, code);
+            return this.formatIn(value, code);
+        }
+
+        // Format in the settlement currency (bills, order records)
+        formatBase(amount) {
+            return this.formatIn(parseFloat(amount) || 0, this.options.baseCurrency);
+        }
+
+        // "₹8,325.00 (≈ $100.00)" when the customer is viewing another currency
+        formatDual(amount) {
+            const base = this.formatBase(amount);
+            return this.isConverted() ? `${base} (≈ ${this.format(amount)})` : base;
+        }
+
+        // Format a value that is already in the given currency
+        formatIn(value, code) {
+            const currency = this.getCurrency(code) || { code, locale: this.options.locale };
+            const formatter = this.getFormatter(currency);
+
+            if (!formatter) {
+                const symbol = currency.symbol || currency.code + ' ';
+                return symbol + value.toFixed(this.getDecimals(currency));
+            }
+
+            // Sheet symbol wins over Intl's (e.g. "Rs." instead of "₹")
+            return currency.symbol && formatter.formatToParts
+                ? formatter.formatToParts(value).map(part => (part.type === 'currency' ? currency.symbol : part.value)).join('')
+                : formatter.format(value);
+        }
+
+        // Cached Intl.NumberFormat for a currency (null if Intl can't handle it)
+        getFormatter(currency) {
+            const key = `${currency.locale}|${currency.code}|${currency.decimals}`;
+            if (this.formatters.has(key)) return this.formatters.get(key);
+
+            let formatter = null;
+            try {
+                const options = { style: 'currency', currency: currency.code };
+                if (currency.decimals !== undefined) {
+                    options.minimumFractionDigits = currency.decimals;
+                    options.maximumFractionDigits = currency.decimals;
+                }
+                formatter = new Intl.NumberFormat(currency.locale || this.options.locale, options);
+            } catch (e) {
+                this.log('Intl.NumberFormat failed for', currency.code, e.message);
+            }
+
+            this.formatters.set(key, formatter);
+            return formatter;
+        }
+
+        // Fraction digits for a currency (sheet value, else Intl's, else 2)
+        getDecimals(currency) {
+            if (currency.decimals !== undefined) return currency.decimals;
+            const formatter = currency.code ? this.getFormatter(currency) : null;
+            return formatter ? formatter.resolvedOptions().maximumFractionDigits : 2;
+        }
+
+        /**
+         * Switch the display currency (remembered in localStorage)
+         * @param {string} code
+         * @returns {boolean} false for a currency without a rate
+         */
+        setDisplayCurrency(code) {
+            const currency = this.getCurrency(code);
+            if (!currency) {
+                this.log('Unknown currency:', code);
+                return false;
+            }
+            if (currency.code === this.getDisplayCurrency()) return true;
+
+            this.displayCurrency = currency.code;
+            this.savePreference();
+            this.notify();
+            return true;
+        }
+
+        /**
+         * Listen for display currency / rate changes
+         * @param {Function} listener - (displayCurrency, manager) => void
+         * @returns {Function} Unsubscribe
+         */
+        subscribe(listener) {
+            this.listeners.add(listener);
+            return () => this.listeners.delete(listener);
+        }
+
+        notify() {
+            ShopUtils.notifyListeners(this.listeners, [this.getDisplayCurrency(), this], 'CurrencyManager');
+            if (this.options.onChange) {
+                this.options.onChange(this.getDisplayCurrency(), this);
+            }
+            if (typeof global.dispatchEvent === 'function' && typeof global.CustomEvent === 'function') {
+                global.dispatchEvent(new global.CustomEvent('currency:change', {
+                    detail: { currency: this.getDisplayCurrency() }
+                }));
+            }
+        }
+
+        /**
+         * Render a <select> the customer can switch currency with
+         * @param {HTMLElement} container
+         * @returns {HTMLSelectElement|null}
+         */
+        renderSwitcher(container) {
+            return ShopUtils.renderSwitcher(container, {
+                className: 'currency-switcher',
+                label: () => this.t('currency.switcher'),
+                options: () => this.getCurrencies().map(currency => ({
+                    value: currency.code,
+                    text: `${currency.code}${currency.name ? ` - ${currency.name}` : ''}`,
+                    selected: currency.code === this.getDisplayCurrency()
+                })),
+                onChange: code => this.setDisplayCurrency(code),
+                subscribe: listener => {
+                    this.subscribe(listener);
+                    // The label follows the customer's language
+                    if (this.options.i18n) this.options.i18n.subscribe(listener);
+                }
+            });
+        }
+
+        loadPreference() {
+            return ShopUtils.loadPreference(this.options.storageKey);
+        }
+
+        savePreference() {
+            ShopUtils.savePreference(this.options.storageKey, this.displayCurrency, 'currency');
+        }
+
+        log(...args) {
+            if (this.options.debug) console.log('CurrencyManager:', ...args);
+        }
+    }
+
+    // Export for different module systems
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = CurrencyManager;
+    } else if (typeof define === 'function' && define.amd) {
+        define(function() { return CurrencyManager; });
+    } else {
+        global.CurrencyManager = CurrencyManager;
+    }
+})(typeof window !== 'undefined' ? window : this);
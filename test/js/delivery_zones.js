@@ -0,0 +1,489 @@
+/**
+ * DeliveryZones.js v1.0.0
+ * Where the shop delivers, for how much and how fast. Zones live in a sheet
+ * the shop owner maintains; a customer's pincode (or GPS position from
+ * LocationDetector) picks the zone, which sets the delivery charge in the
+ * cart, the minimum order at checkout and the "Delivers to 620001 in 2 days"
+ * line on the storefront.
+ * (c) 2025
+ * MIT License
+ *
+ * Dependencies:
+ * - ShopUtils (shop_utils.js), included first
+ * - SecureSheets client (securesheets_Client_v140.js), configured - or pass options.fetcher / options.zones
+ * - LocationDetector (location_detection.js) for the saved pincode and coordinates (optional)
+ *
+ * Zone sheet columns (header names are case-insensitive):
+ *   id, name, pincodes, prefixes, radius, charge, freeAbove, minOrder, eta, enabled
+ *   pincodes: "620001, 620002, 620010-620020"   prefixes: "6200, 6210"
+ *   radius: km from the store (options.store / delivery.storeLat + storeLon)
+ *   eta: days, "0" (same day), "2" or "1-3"
+ * Matching: exact pincode, then the longest prefix, then the smallest radius
+ * around the customer's coordinates. With no zones loaded every pincode is
+ * served at the default PricingEngine charge; with zones, unmatched pincodes aren't served.
+ *
+ * Delivery charge (getAdjustments): a fixed charge (delivery slot) wins, then the
+ * zone's charge, then the branch's (StoreLocator), then the shop's. The free-above
+ * threshold is picked the same way, so a zone without freeAbove keeps the
+ * branch / shop threshold; freeAbove 0 means never free in that zone.
+ *
+ * Usage:
+ * const zones = DeliveryZones.fromConfig(configManager, { locationDetector: locationDetectorInstance });
+ * await zones.load();
+ * zones.check('620001');        // { serviceable, zone, charge, eta, message: 'Delivers to 620001 in 2 days' }
+ * zones.renderChecker('#pincodeCheck');
+ * const cart = new ShopCart({ deliveryZones: zones });   // zone charge in the cart totals
+ */
+
+(function(global) {
+    'use strict';
+
+    // Shared config, sheet and message helpers (shop_utils.js)
+    const ShopUtils = typeof global.ShopUtils !== 'undefined' ? global.ShopUtils
+        : (typeof require === 'function' ? require('./shop_utils.js') : undefined);
+
+    const ZONE_MESSAGES = {
+        'zones.deliversTo': 'Delivers to {pincode} {eta}',
+        'zones.deliversHere': 'Delivers to your location {eta}',
+        'zones.etaToday': 'today',
+        'zones.etaTomorrow': 'tomorrow',
+        'zones.etaDays': { one: 'in {days} day', other: 'in {days} days' },
+        'zones.etaRange': 'in {min}-{max} days',
+        'zones.notServiceable': "Sorry, we don't deliver to {pincode} yet",
+        'zones.invalidPincode': 'Please enter a valid 6-digit pincode',
+        'zones.minOrder': 'Minimum order for {zone} is {amount}',
+        'zones.charge': 'Delivery {amount}',
+        'zones.free': 'Free delivery',
+        'zones.placeholder': 'Enter pincode',
+        'zones.check': 'Check'
+    };
+
+    const EARTH_RADIUS_KM = 6371;
+
+    class DeliveryZones {
+        constructor(options = {}) {
+            this.zones = [];
+            this.listeners = new Set();
+            this.loaded = false;
+            this.options = {
+                fetcher: options.fetcher || ShopUtils.defaultFetcher(),
+                sheetName: options.sheetName || 'DeliveryZones',
+                store: options.store || null, // { lat, lon } for radius zones
+                locationDetector: options.locationDetector || null, // defaults to window.locationDetectorInstance
+                formatPrice: options.formatPrice || null, // amount → text, e.g. cart.formatPrice
+                storageKey: options.storageKey || 'delivery_pincode',
+                i18n: options.i18n || null,
+                onChange: options.onChange || null,
+                debug: options.debug || false
+            };
+
+            // Sheet and store in use (a branch's, see useSource()) and the latest load
+            this.source = { sheetName: this.options.sheetName, store: this.options.store };
+            this.loadId = 0;
+
+            this.pincode = this.loadPreference();
+
+            if (Array.isArray(options.zones)) {
+                this.setZones(options.zones);
+            }
+        }
+
+        /**
+         * Build from ConfigManager (or a plain config object)
+         * @param {Object} config - ConfigManager instance or config object
+         * @param {Object} [overrides] - Options that take precedence
+         * @returns {DeliveryZones}
+         */
+        static fromConfig(config, overrides = {}) {
+            const get = ShopUtils.configGetter(config);
+
+            const lat = parseFloat(get('delivery.storeLat', ''));
+            const lon = parseFloat(get('delivery.storeLon', ''));
+
+            return new DeliveryZones({
+                sheetName: get('delivery.zonesSheet', 'DeliveryZones'),
+                store: isNaN(lat) || isNaN(lon) ? null : { lat, lon },
+                ...overrides
+            });
+        }
+
+        t(key, params = {}) {
+            return ShopUtils.translate(this.options.i18n, ZONE_MESSAGES, key, params);
+        }
+
+        // Fetch zones from the sheet
+        async load(force = false) {
+            if (this.loaded && !force) return this.zones;
+
+            const loadId = ++this.loadId;
+            const rows = await ShopUtils.loadSheetRows(this.options.fetcher, this.source.sheetName, { owner: 'DeliveryZones', what: 'delivery zones' })
+                .catch(error => {
+                    if (loadId === this.loadId) throw error;
+                });
+
+            // Another sheet was requested meanwhile; its load decides the zones
+            if (loadId !== this.loadId) return this.zones;
+
+            this.setZones(rows);
+            this.log('Loaded', this.zones.length, 'delivery zones');
+            this.notify();
+            return this.zones;
+        }
+
+        /**
+         * Zones from another sheet and radius zones measured from another store,
+         * e.g. the customer's branch
+         * @param {Object|null} source - { sheetName, store: { lat, lon } }; null (or a missing field) uses the configured one
+         * @returns {Promise<Array>} Zones, loaded when the sheet changes
+         */
+        useSource(source) {
+            const sheetName = (source && source.sheetName) || this.options.sheetName;
+            const changed = sheetName !== this.source.sheetName;
+            this.source = { sheetName: sheetName, store: (source && source.store) || this.options.store };
+
+            if (changed) {
+                return this.load(true);
+            }
+            this.notify();
+            return Promise.resolve(this.zones);
+        }
+
+        setZones(rows) {
+            this.zones = rows.map(row => this.parseZone(row)).filter(Boolean);
+            this.loaded = true;
+            return this;
+        }
+
+        // Turn a sheet row into a zone
+        parseZone(row) {
+            if (!row || typeof row !== 'object') return null;
+
+            const field = (...names) => ShopUtils.rowField(row, ...names);
+
+            if (ShopUtils.isDisabled(field('enabled', 'active'))) {
+                return null;
+            }
+
+            const list = value => String(value || '').split(/[\s,;]+/).map(entry => entry.trim()).filter(Boolean);
+            const number = value => {
+                const parsed = parseFloat(String(value === undefined ? '' : value).replace(/[^0-9.]/g, ''));
+                return isNaN(parsed) ? null : parsed;
+            };
+
+            const pincodes = [];
+            const ranges = [];
+            list(field('pincodes', 'pincode', 'pins')).forEach(entry => {
+                const range = entry.match(/^(\d{6})-(\d{6})$/);
+                if (range) ranges.push([Number(range[1]), Number(range[2])]);
+                else if (/^\d{6}$/.test(entry)) pincodes.push(entry);
+            });
+
+            const zone = {
+                id: String(field('id', 'zone') || field('name') || '').trim(),
+                name: String(field('name', 'label') || field('id') || '').trim(),
+                pincodes: pincodes,
+                ranges: ranges,
+                prefixes: list(field('prefixes', 'prefix')).filter(prefix => /^\d{1,5}$/.test(prefix)),
+                radiusKm: number(field('radius', 'radiusKm', 'km')),
+                charge: number(field('charge', 'deliveryCharge', 'fee')) || 0,
+                freeAbove: number(field('freeAbove', 'freeDeliveryAbove')), // null: the branch / shop threshold
+                minOrder: number(field('minOrder', 'minimumOrder', 'minimum')) || 0,
+                eta: this.parseEta(field('eta', 'etaDays', 'days'))
+            };
+
+            if (!zone.id || (!zone.pincodes.length && !zone.ranges.length && !zone.prefixes.length && !zone.radiusKm)) {
+                this.log('Skipping zone without an id or area:', row);
+                return null;
+            }
+            return zone;
+        }
+
+        // "2" → { min: 2, max: 2 }, "1-3" → { min: 1, max: 3 }, "same day" → 0
+        parseEta(value) {
+            const text = String(value === undefined ? '' : value).trim().toLowerCase();
+            if (!text) return null;
+            if (/same/.test(text)) return { min: 0, max: 0 };
+
+            const match = text.match(/(\d+)(?:\s*(?:-|–|to)\s*(\d+))?/);
+            if (!match) return null;
+            const min = parseInt(match[1], 10);
+            return { min: min, max: match[2] ? Math.max(min, parseInt(match[2], 10)) : min };
+        }
+
+        formatEta(eta) {
+            if (!eta) return '';
+            if (eta.min !== eta.max) return this.t('zones.etaRange', { min: eta.min, max: eta.max });
+            if (eta.min === 0) return this.t('zones.etaToday');
+            if (eta.min === 1) return this.t('zones.etaTomorrow');
+            return this.t('zones.etaDays', { days: eta.min, count: eta.min });
+        }
+
+        formatPrice(amount) {
+            return this.options.formatPrice ? this.options.formatPrice(amount) : `₹${(Number(amount) || 0).toFixed(2)}`;
+        }
+
+        // ============================================
+        // MATCHING
+        // ============================================
+
+        /**
+         * Zone for a pincode and/or coordinates
+         * @param {string} [pincode]
+         * @param {Object} [coordinates] - { lat, lon }; used for radius zones
+         * @returns {Object|null}
+         */
+        findZone(pincode, coordinates) {
+            const code = String(pincode || '').trim();
+
+            if (/^\d{6}$/.test(code)) {
+                const value = Number(code);
+                const exact = this.zones.find(zone => zone.pincodes.includes(code)
+                    || zone.ranges.some(([from, to]) => value >= from && value <= to));
+                if (exact) return exact;
+
+                let best = null;
+                let bestLength = 0;
+                this.zones.forEach(zone => {
+                    zone.prefixes.forEach(prefix => {
+                        if (code.startsWith(prefix) && prefix.length > bestLength) {
+                            best = zone;
+                            bestLength = prefix.length;
+                        }
+                    });
+                });
+                if (best) return best;
+            }
+
+            const store = this.source.store;
+            if (!store || !coordinates) return null;
+
+            const distance = this.getDistance(store, coordinates);
+            return this.zones
+                .filter(zone => zone.radiusKm && distance <= zone.radiusKm)
+                .sort((a, b) => a.radiusKm - b.radiusKm)[0] || null;
+        }
+
+        // Great-circle distance in km (haversine)
+        getDistance(from, to) {
+            const radians = degrees => degrees * Math.PI / 180;
+            const dLat = radians(to.lat - from.lat);
+            const dLon = radians(to.lon - from.lon);
+            const a = Math.sin(dLat / 2) ** 2 +
+                Math.cos(radians(from.lat)) * Math.cos(radians(to.lat)) * Math.sin(dLon / 2) ** 2;
+            return 2 * EARTH_RADIUS_KM * Math.asin(Math.sqrt(a));
+        }
+
+        // Customer position from LocationDetector (GPS / IP)
+        getCoordinates() {
+            const detector = this.options.locationDetector || global.locationDetectorInstance;
+            const coordinates = detector && typeof detector.getCoordinates === 'function' ? detector.getCoordinates() : null;
+            return coordinates && coordinates.lat !== undefined && coordinates.lon !== undefined ? coordinates : null;
+        }
+
+        /**
+         * Serviceability for a pincode
+         * @param {string} [pincode] - Defaults to the customer's saved pincode
+         * @param {number} [amount] - Order amount, for the minimum order and free delivery
+         * @returns {Object} { serviceable, reason, pincode, zone, charge, eta, minOrder, shortfall, message }
+         */
+        check(pincode = this.getPincode(), amount = null) {
+            const code = String(pincode || '').trim();
+            const coordinates = this.getCoordinates();
+
+            if (code && !/^[1-9]\d{5}$/.test(code)) {
+                return { serviceable: false, reason: 'invalid_pincode', pincode: code, zone: null, message: this.t('zones.invalidPincode') };
+            }
+
+            if (this.zones.length === 0) {
+                return { serviceable: true, reason: null, pincode: code, zone: null, charge: null, eta: null, minOrder: 0, shortfall: 0, message: '' };
+            }
+
+            const zone = this.findZone(code, coordinates);
+            if (!zone) {
+                return {
+                    serviceable: false,
+                    reason: code || coordinates ? 'not_serviceable' : 'unknown_location',
+                    pincode: code,
+                    zone: null,
+                    message: code ? this.t('zones.notServiceable', { pincode: code }) : ''
+                };
+            }
+
+            const eta = this.formatEta(zone.eta);
+            const shortfall = amount !== null && zone.minOrder > amount ? zone.minOrder - amount : 0;
+            return {
+                serviceable: true,
+                reason: shortfall > 0 ? 'min_order' : null,
+                pincode: code,
+                zone: zone,
+                charge: this.getZoneCharge(zone, amount),
+                eta: zone.eta,
+                minOrder: zone.minOrder,
+                shortfall: shortfall,
+                message: (code ? this.t('zones.deliversTo', { pincode: code, eta: eta }) : this.t('zones.deliversHere', { eta: eta })).trim()
+            };
+        }
+
+        getZoneCharge(zone, amount = null) {
+            if (zone.freeAbove > 0 && amount !== null && amount >= zone.freeAbove) return 0;
+            return zone.charge;
+        }
+
+        /**
+         * PricingEngine adjustments for the customer's zone (see "Delivery charge" above)
+         *   no zones configured, or no pincode / location yet: {} (branch / shop charge)
+         *   zone found: { baseDeliveryCharge, freeDeliveryAbove? }
+         *   pincode or location that no zone serves: { deliveryAvailable: false }
+         * @param {string} [pincode] - Defaults to the customer's saved pincode
+         * @returns {Object}
+         */
+        getAdjustments(pincode = this.getPincode()) {
+            if (this.zones.length === 0) return {};
+
+            const coordinates = this.getCoordinates();
+            const zone = this.findZone(pincode, coordinates);
+            if (!zone) {
+                return pincode || coordinates ? { deliveryAvailable: false } : {};
+            }
+
+            const adjustments = { baseDeliveryCharge: zone.charge };
+            if (zone.freeAbove !== null) adjustments.freeDeliveryAbove = zone.freeAbove;
+            return adjustments;
+        }
+
+        // ============================================
+        // CUSTOMER PINCODE
+        // ============================================
+
+        getPincode() {
+            if (this.pincode) return this.pincode;
+            const detector = this.options.locationDetector || global.locationDetectorInstance;
+            const metadata = detector && typeof detector.getMetadata === 'function' ? detector.getMetadata() : null;
+            return metadata && metadata.pincode ? String(metadata.pincode) : '';
+        }
+
+        /**
+         * Remember the customer's pincode and re-price the cart
+         * @returns {Object} check() result
+         */
+        setPincode(pincode) {
+            const code = String(pincode || '').replace(/\D/g, '');
+            const result = this.check(code);
+            if (result.reason !== 'invalid_pincode' && code !== this.pincode) {
+                this.pincode = code;
+                this.savePreference(code);
+                this.notify();
+            }
+            return result;
+        }
+
+        loadPreference() {
+            try {
+                return localStorage.getItem(this.options.storageKey) || '';
+            } catch (e) {
+                return '';
+            }
+        }
+
+        savePreference(pincode) {
+            try {
+                localStorage.setItem(this.options.storageKey, pincode);
+            } catch (e) {
+                // Private mode; the pincode is kept for this page only
+            }
+        }
+
+        /**
+         * Listen for pincode / zone changes
+         * @returns {Function} Unsubscribe
+         */
+        subscribe(listener) {
+            this.listeners.add(listener);
+            return () => this.listeners.delete(listener);
+        }
+
+        notify() {
+            const detail = { pincode: this.pincode, zones: this.zones };
+            this.listeners.forEach(listener => {
+                try {
+                    listener(detail);
+                } catch (e) {
+                    console.error('DeliveryZones listener failed:', e);
+                }
+            });
+            if (this.options.onChange) this.options.onChange(detail);
+            if (typeof global.dispatchEvent === 'function' && typeof CustomEvent !== 'undefined') {
+                global.dispatchEvent(new CustomEvent('deliveryzones:change', { detail }));
+            }
+        }
+
+        // ============================================
+        // STOREFRONT WIDGET
+        // ============================================
+
+        /**
+         * Pincode checker: "Delivers to 620001 in 2 days"
+         * @param {string|HTMLElement} container - Selector or element
+         * @returns {HTMLElement|null}
+         */
+        renderChecker(container) {
+            const element = typeof container === 'string' ? document.querySelector(container) : container;
+            if (!element) return null;
+
+            element.innerHTML = `
+                <form class="delivery-check">
+                    <input type="text" inputmode="numeric" maxlength="6" autocomplete="postal-code" placeholder="${this.t('zones.placeholder')}">
+                    <button type="submit">${this.t('zones.check')}</button>
+                    <div class="delivery-check-result" role="status"></div>
+                </form>
+            `;
+
+            const form = element.querySelector('form');
+            const input = form.querySelector('input');
+            const output = form.querySelector('.delivery-check-result');
+
+            const show = result => {
+                const details = [];
+                if (result.serviceable && result.zone) {
+                    details.push(result.charge > 0 ? this.t('zones.charge', { amount: this.formatPrice(result.charge) }) : this.t('zones.free'));
+                    if (result.zone.minOrder > 0) {
+                        details.push(this.t('zones.minOrder', { zone: result.zone.name, amount: this.formatPrice(result.zone.minOrder) }));
+                    }
+                }
+                output.textContent = [result.message, ...details].filter(Boolean).join(' · ');
+                output.className = `delivery-check-result ${result.serviceable ? 'is-serviceable' : 'is-unavailable'}`;
+            };
+
+            form.addEventListener('submit', event => {
+                event.preventDefault();
+                show(this.setPincode(input.value));
+            });
+
+            input.value = this.getPincode();
+            if (input.value) show(this.check(input.value));
+
+            const unsubscribe = this.subscribe(() => {
+                if (!element.isConnected) return unsubscribe();
+                input.value = this.getPincode();
+                if (input.value) show(this.check(input.value));
+            });
+
+            return element;
+        }
+
+        log(...args) {
+            if (this.options.debug) console.log('DeliveryZones:', ...args);
+        }
+    }
+
+    DeliveryZones.MESSAGES = ZONE_MESSAGES;
+
+    // Export for different module systems
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = DeliveryZones;
+    } else if (typeof define === 'function' && define.amd) {
+        define(function() { return DeliveryZones; });
+    } else {
+        global.DeliveryZones = DeliveryZones;
+    }
+})(typeof window !== 'undefined' ? window : this);
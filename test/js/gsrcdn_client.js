@@ -0,0 +1,1145 @@
+/**
+ * GSRCDN Secure API Library - Unified Client
+ * Version: 2.0.0
+ *
+ * One client for every backend the older builds targeted. Replaces:
+ *   secure_api_cdn.js    (v1.0.0 - SecureSheets only, read/write)
+ *   secure_api_cdn02.js  (v1.1.0 - Code.gs router v2.0.0)
+ *   secure_api_cdn03.js  (v1.1.2 - GSRECOM v1.4.0)
+ *   secure_api_cdn04.js  (v1.1.3 - GSRECOM v1.4.0 + modal range)
+ *   secure_api_cdn021.js (v1.2.0 - GSRECOM v1.4.0 + additionalParams)
+ *
+ * Instead of pinning pages to one of those files, this client asks the
+ * backend what it is (?action=config, the same endpoint
+ * SecureSheets.getServerConfig() uses) and enables endpoints and request
+ * parameters to match:
+ *
+ *   capability        securesheets   codegs-2    gsrecom-1.4
+ *   sheetParam        dataType       dataType    sheet
+ *   timestampFormat   epoch          epoch       iso
+ *   publicEndpoints   no             yes         yes
+ *   publicOrigin      no             no          yes  (ERR_SEC_003 without it)
+ *   modalRange        no             no          yes
+ *   writes            yes            no          no   (unless advertised)
+ *
+ * Feature flags in the config response (features.core array or
+ * features.<name> === true, as in SecureSheets.hasFeature) override the
+ * profile defaults, so a backend that adds e.g. addData is picked up
+ * without a client release.
+ *
+ * If the backend has no config endpoint, config.routerVersion (or the
+ * 'gsrecom-1.4' default) is used. Set routerVersion to a profile name to
+ * skip negotiation entirely.
+ *
+ * SECURITY NOTE: hmacSecret and apiToken are visible to anyone who views
+ * page source or the Network tab. They are NOT a real secret in a browser
+ * context - treat them as light obfuscation, not access control.
+ *
+ * Dependencies: none on HTTPS pages - requests are signed with WebCrypto
+ * (crypto.subtle). CryptoJS is only needed as a fallback where
+ * crypto.subtle is unavailable (plain http://, old browsers), or when
+ * cryptoBackend: 'cryptojs' is set.
+ * - Fallback: https://cdnjs.cloudflare.com/ajax/libs/crypto-js/4.1.1/crypto-js.min.js
+ *
+ * Usage:
+ * 1. GSRCDN.configure({ scriptUrl, apiToken, hmacSecret })
+ *    (or await GSRCDN.configureWithDiscovery({...}) to negotiate up front)
+ * 2. GSRCDN.getData('Sheet2'), GSRCDN.getCoupons(), ... - the first call
+ *    negotiates capabilities automatically when routerVersion is 'auto'
+ */
+
+(function(window) {
+    'use strict';
+
+    // ============================================
+    // ROUTER PROFILES
+    // ============================================
+    const ROUTER_PROFILES = {
+        'securesheets': {
+            sheetParam: 'dataType',
+            timestampFormat: 'epoch',
+            publicEndpoints: false,
+            publicOrigin: false,
+            modalRange: false,
+            writes: true
+        },
+        'codegs-2': {
+            sheetParam: 'dataType',
+            timestampFormat: 'epoch',
+            publicEndpoints: true,
+            publicOrigin: false,
+            modalRange: false,
+            writes: false
+        },
+        'gsrecom-1.4': {
+            sheetParam: 'sheet',
+            timestampFormat: 'iso',
+            publicEndpoints: true,
+            publicOrigin: true,
+            modalRange: true,
+            writes: false
+        }
+    };
+
+    const DEFAULT_PROFILE = 'gsrecom-1.4';
+
+    const textEncoder = new TextEncoder();
+    const hmacKeys = new Map();
+
+    // Server feature names -> capability flags
+    const FEATURE_MAP = {
+        addData: 'writes',
+        writes: 'writes',
+        domainValidation: 'publicOrigin',
+        modalRange: 'modalRange',
+        publicEndpoints: 'publicEndpoints',
+        scrolling: 'publicEndpoints'
+    };
+
+    // ============================================
+    // ERRORS
+    // ============================================
+    // Same classes and code mapping as SecureSheets.errors:
+    //   NetworkError (+ TimeoutError), RateLimitError and ChecksumError
+    //   are retryable; AuthError, DomainDeniedError (ERR_SEC_003/007),
+    //   ValidationError and ConfigError are not.
+    class GSRCDNError extends Error {
+        constructor(message, code, details = null) {
+            super(message);
+            this.name = this.constructor.name;
+            this.code = code;
+            this.responseData = details;
+        }
+
+        get retryable() {
+            return false;
+        }
+    }
+
+    class ConfigError extends GSRCDNError {}
+    class NetworkError extends GSRCDNError {
+        get retryable() { return true; }
+    }
+    class TimeoutError extends NetworkError {}
+    class AuthError extends GSRCDNError {}
+    class DomainDeniedError extends GSRCDNError {}
+    class RateLimitError extends GSRCDNError {
+        constructor(message, code, details = null) {
+            super(message, code, details);
+            this.resetAt = getResetTime(details);
+        }
+
+        get retryable() { return true; }
+    }
+    class ChecksumError extends GSRCDNError {
+        get retryable() { return true; }
+    }
+    class ValidationError extends GSRCDNError {}
+
+    function getErrorClass(code, status) {
+        code = String(code || '');
+        if (code === 'ERR_SEC_003' || code === 'ERR_SEC_007') return DomainDeniedError;
+        if (/^ERR_(AUTH|SEC)_/.test(code)) return AuthError;
+        if (/^ERR_RATE_/.test(code) || code === 'RATE_LIMIT_EXCEEDED') return RateLimitError;
+        if (/^ERR_(VAL|INPUT)_/.test(code) || /^INVALID_/.test(code)) return ValidationError;
+        if (code === 'CHECKSUM_MISMATCH') return ChecksumError;
+        if (code === 'TIMEOUT') return TimeoutError;
+        if (code === 'NETWORK_ERROR') return NetworkError;
+        if (/^CONFIG_/.test(code) || code === 'NOT_CONFIGURED' || code === 'NOT_SUPPORTED') return ConfigError;
+        if (status === 429) return RateLimitError;
+        if (status === 401 || status === 403) return AuthError;
+        if (status >= 500) return NetworkError;
+        if (status >= 400) return ValidationError;
+        return GSRCDNError;
+    }
+
+    // Reset time (ms) from resetTime/resetAt or retryAfter (seconds)
+    function getResetTime(details) {
+        if (!details) return null;
+        const reset = details.resetTime || details.resetAt || details.resetsAt;
+        if (reset) {
+            const time = typeof reset === 'number' ? reset : Date.parse(reset);
+            if (!isNaN(time)) return time;
+        }
+        const retryAfter = parseFloat(details.retryAfter);
+        return isNaN(retryAfter) ? null : Date.now() + retryAfter * 1000;
+    }
+
+    function createError(message, code, details = null) {
+        const ErrorClass = getErrorClass(code, details && details.httpStatus);
+        return new ErrorClass(message, code, details);
+    }
+
+    // ============================================
+    // GSRCDN NAMESPACE
+    // ============================================
+    const GSRCDN = {
+        version: '2.0.0',
+        config: {
+            scriptUrl: null,
+            apiToken: null,
+            hmacSecret: null,
+            routerVersion: 'auto',
+            capabilities: null,
+            rateLimitEnabled: true,
+            maxRequests: 100,
+            dataMasking: { enabled: false, fields: [] },
+            checksumValidation: true,
+            enforceHttps: true,
+            negotiationTimeout: 10000,
+            cryptoBackend: 'auto', // 'auto' | 'webcrypto' | 'cryptojs'
+            retry: { retries: 2, baseDelay: 500, maxDelay: 10000, maxResetWait: 60000 },
+            debug: false
+        },
+
+        serverInfo: null,
+        profile: null,
+        capabilities: null,
+        negotiation: null,
+
+        // Request counter for client-side rate limiting
+        requestCount: 0,
+        requestWindow: Date.now()
+    };
+
+    // ============================================
+    // ORIGIN HELPER (internal)
+    // ============================================
+    /**
+     * Resolve the page's origin for the origin/referrer params. Guards the
+     * literal string "null" that window.location.origin returns on file://
+     * pages, so both params fall back to '' consistently instead.
+     * @returns {string}
+     */
+    function getPageOrigin() {
+        return (window.location.origin && window.location.origin !== 'null') ? window.location.origin : '';
+    }
+
+    // ============================================
+    // CONFIGURATION METHOD
+    // ============================================
+    /**
+     * Configure the GSRCDN API settings
+     * @param {Object} options - Configuration options
+     * @param {string} options.scriptUrl - Google Apps Script Web App URL
+     * @param {string} options.apiToken - API authentication token
+     * @param {string} options.hmacSecret - HMAC secret key for signature generation
+     * @param {string} [options.routerVersion='auto'] - 'auto' to negotiate, or a
+     *   profile name: 'securesheets', 'codegs-2', 'gsrecom-1.4'
+     * @param {Object} [options.capabilities] - Capability overrides applied after negotiation
+     * @param {string} [options.cryptoBackend='auto'] - 'webcrypto', 'cryptojs', or 'auto' (WebCrypto when available)
+     * @param {boolean} [options.rateLimitEnabled=true] - Enable rate limiting
+     * @param {number} [options.maxRequests=100] - Maximum requests per hour
+     * @param {Object} [options.dataMasking] - Data masking configuration
+     * @param {boolean} [options.checksumValidation=true] - Enable checksum validation
+     * @param {boolean} [options.enforceHttps=true] - Enforce HTTPS connections
+     * @param {Object|false} [options.retry] - { retries, baseDelay, maxDelay, maxResetWait }, or false
+     * @param {boolean} [options.debug=false] - Enable debug logging
+     */
+    GSRCDN.configure = function(options) {
+        if (!options) {
+            throw createError('GSRCDN: Configuration options are required', 'CONFIG_INVALID');
+        }
+
+        // Required fields validation
+        if (!options.scriptUrl) {
+            throw createError('GSRCDN: scriptUrl is required', 'CONFIG_INVALID');
+        }
+        if (!options.apiToken) {
+            throw createError('GSRCDN: apiToken is required', 'CONFIG_INVALID');
+        }
+        if (!options.hmacSecret) {
+            throw createError('GSRCDN: hmacSecret is required', 'CONFIG_INVALID');
+        }
+
+        // Validate HTTPS if enforced
+        if (options.enforceHttps !== false && !options.scriptUrl.startsWith('https://')) {
+            throw createError('GSRCDN: scriptUrl must use HTTPS', 'CONFIG_INVALID');
+        }
+
+        if (options.cryptoBackend && !['auto', 'webcrypto', 'cryptojs'].includes(options.cryptoBackend)) {
+            throw createError('GSRCDN: cryptoBackend must be one of: auto, webcrypto, cryptojs', 'CONFIG_INVALID');
+        }
+
+        if (options.routerVersion && options.routerVersion !== 'auto' && !ROUTER_PROFILES[options.routerVersion]) {
+            throw createError(`GSRCDN: Unknown routerVersion "${options.routerVersion}". Use 'auto' or one of: ${Object.keys(ROUTER_PROFILES).join(', ')}`, 'CONFIG_INVALID');
+        }
+
+        // Merge configuration
+        const retry = options.retry === false
+            ? { ...GSRCDN.config.retry, retries: 0 }
+            : { ...GSRCDN.config.retry, ...options.retry };
+        Object.assign(GSRCDN.config, options, { retry: retry });
+
+        // Re-negotiate against the (possibly new) backend
+        GSRCDN.negotiation = null;
+        GSRCDN.serverInfo = null;
+        if (GSRCDN.config.routerVersion !== 'auto') {
+            GSRCDN.applyProfile(GSRCDN.config.routerVersion, null);
+        } else {
+            GSRCDN.profile = null;
+            GSRCDN.capabilities = null;
+        }
+
+        if (GSRCDN.config.debug) {
+            console.log('GSRCDN: Configuration loaded successfully', {
+                scriptUrl: GSRCDN.config.scriptUrl,
+                routerVersion: GSRCDN.config.routerVersion,
+                rateLimitEnabled: GSRCDN.config.rateLimitEnabled,
+                maxRequests: GSRCDN.config.maxRequests
+            });
+        }
+
+        return GSRCDN;
+    };
+
+    /**
+     * Configure and negotiate capabilities before returning
+     * @param {Object} options - Same as configure()
+     * @returns {Promise<Object>} Negotiated capabilities
+     */
+    GSRCDN.configureWithDiscovery = async function(options) {
+        GSRCDN.configure(options);
+        return GSRCDN.negotiate();
+    };
+
+    // ============================================
+    // CAPABILITY NEGOTIATION
+    // ============================================
+    /**
+     * Detect the backend's router version and features (once per configure())
+     * @param {boolean} [force=false] - Ignore the cached result
+     * @returns {Promise<Object>} Capabilities
+     */
+    GSRCDN.negotiate = function(force = false) {
+        if (GSRCDN.negotiation && !force) {
+            return GSRCDN.negotiation;
+        }
+
+        // Pinned profile: nothing to ask the backend
+        if (GSRCDN.capabilities && !force && GSRCDN.config.routerVersion !== 'auto') {
+            return Promise.resolve(GSRCDN.capabilities);
+        }
+
+        GSRCDN.negotiation = GSRCDN.fetchServerConfig()
+            .then(serverConfig => {
+                GSRCDN.serverInfo = serverConfig;
+                const profile = GSRCDN.config.routerVersion !== 'auto'
+                    ? GSRCDN.config.routerVersion
+                    : GSRCDN.detectProfile(serverConfig);
+                return GSRCDN.applyProfile(profile, serverConfig);
+            })
+            .catch(error => {
+                if (GSRCDN.config.debug) {
+                    console.warn('GSRCDN: Capability negotiation failed, using default profile:', error.message);
+                }
+                // Only for this request: ask again next time instead of pinning the fallback
+                GSRCDN.negotiation = null;
+                const profile = GSRCDN.config.routerVersion !== 'auto' ? GSRCDN.config.routerVersion : DEFAULT_PROFILE;
+                return GSRCDN.applyProfile(profile, null);
+            });
+
+        return GSRCDN.negotiation;
+    };
+
+    /**
+     * Fetch the backend's ?action=config response (unsigned, not rate limited)
+     * @returns {Promise<Object>}
+     */
+    GSRCDN.fetchServerConfig = async function() {
+        if (!GSRCDN.config.scriptUrl) {
+            throw createError('GSRCDN: API not configured. Call GSRCDN.configure() first.', 'NOT_CONFIGURED');
+        }
+
+        const url = new URL(GSRCDN.config.scriptUrl);
+        url.searchParams.append('action', 'config');
+        url.searchParams.append('origin', getPageOrigin());
+
+        const controller = new AbortController();
+        const timeoutId = setTimeout(() => controller.abort(), GSRCDN.config.negotiationTimeout);
+
+        try {
+            const response = await fetch(url, {
+                method: 'GET',
+                headers: { 'Accept': 'application/json' },
+                signal: controller.signal
+            });
+
+            if (!response.ok) {
+                throw createError(`GSRCDN: HTTP error! Status: ${response.status} ${response.statusText}`, 'HTTP_ERROR', {
+                    httpStatus: response.status,
+                    retryAfter: response.headers && response.headers.get('Retry-After')
+                });
+            }
+
+            const data = await response.json();
+            if (!data || data.status === 'error' || data.error) {
+                throw new Error((data && (data.error || data.message)) || 'GSRCDN: Config endpoint not available');
+            }
+            return data;
+        } finally {
+            clearTimeout(timeoutId);
+        }
+    };
+
+    /**
+     * Map a config response to a router profile name
+     * @param {Object} serverConfig - ?action=config response
+     * @returns {string} Profile name
+     */
+    GSRCDN.detectProfile = function(serverConfig) {
+        const router = serverConfig.router || {};
+        const name = String(router.name || serverConfig.routerName || serverConfig.name || '').toLowerCase();
+        const version = String(router.version || serverConfig.routerVersion || '');
+        const [major, minor] = version.split('.').map(n => parseInt(n, 10) || 0);
+
+        if (name.includes('gsrecom')) {
+            return DEFAULT_PROFILE;
+        }
+        if (name.includes('code.gs') || name.includes('codegs')) {
+            return major >= 2 ? 'codegs-2' : 'securesheets';
+        }
+        if (version && (major > 1 || (major === 1 && minor >= 4))) {
+            return DEFAULT_PROFILE;
+        }
+        if (!name && !version && serverConfig.features) {
+            // Bare SecureSheets server (no router in front)
+            return 'securesheets';
+        }
+        return DEFAULT_PROFILE;
+    };
+
+    /**
+     * Resolve capabilities from a profile, server features and config overrides
+     * @private
+     */
+    GSRCDN.applyProfile = function(profileName, serverConfig) {
+        const capabilities = { ...ROUTER_PROFILES[profileName] };
+
+        const features = serverConfig && serverConfig.features;
+        if (features) {
+            Object.keys(FEATURE_MAP).forEach(feature => {
+                const enabled = (Array.isArray(features.core) && features.core.includes(feature)) ||
+                    features[feature] === true;
+                const disabled = features[feature] === false;
+                if (enabled) capabilities[FEATURE_MAP[feature]] = true;
+                if (disabled) capabilities[FEATURE_MAP[feature]] = false;
+            });
+        }
+
+        Object.assign(capabilities, GSRCDN.config.capabilities || {});
+
+        GSRCDN.profile = profileName;
+        GSRCDN.capabilities = capabilities;
+
+        if (GSRCDN.config.debug) {
+            console.log(`GSRCDN: Using ${profileName} profile`, capabilities);
+        }
+
+        return capabilities;
+    };
+
+    /**
+     * Get negotiated capabilities (null until negotiated)
+     * @returns {Object|null}
+     */
+    GSRCDN.getCapabilities = function() {
+        return GSRCDN.capabilities ? { profile: GSRCDN.profile, ...GSRCDN.capabilities } : null;
+    };
+
+    /**
+     * Check a negotiated capability (e.g. 'writes', 'modalRange')
+     * @param {string} name - Capability name
+     * @returns {boolean}
+     */
+    GSRCDN.hasCapability = function(name) {
+        return !!(GSRCDN.capabilities && GSRCDN.capabilities[name]);
+    };
+
+    /**
+     * Throw a clear error when the backend doesn't support an endpoint
+     * @private
+     */
+    async function requireCapability(name, method) {
+        const capabilities = await GSRCDN.negotiate();
+        if (!capabilities[name]) {
+            throw createError(`GSRCDN: ${method} is not supported by this backend (${GSRCDN.profile} router)`, 'NOT_SUPPORTED');
+        }
+        return capabilities;
+    }
+
+    // ============================================
+    // HMAC COMPUTATION
+    // ============================================
+    /**
+     * Compute HMAC-SHA256 signature
+     * @param {string} message - Message to sign
+     * @param {string} secret - Secret key
+     * @returns {string} HMAC signature in hex format
+     */
+    GSRCDN.computeHMAC = function(message, secret) {
+        if (typeof CryptoJS === 'undefined') {
+            throw new Error('GSRCDN: CryptoJS library is required. Include https://cdnjs.cloudflare.com/ajax/libs/crypto-js/4.1.1/crypto-js.min.js');
+        }
+
+        if (!message || !secret) {
+            throw new Error('GSRCDN: Message and secret are required for HMAC computation');
+        }
+
+        return CryptoJS.HmacSHA256(message, secret).toString();
+    };
+
+    /**
+     * Compute HMAC-SHA256 with the configured backend (WebCrypto preferred)
+     * @param {string} message - Message to sign
+     * @param {string} secret - Secret key
+     * @returns {Promise<string>} HMAC signature in hex format
+     */
+    GSRCDN.computeHMACAsync = async function(message, secret) {
+        if (!message || !secret) {
+            throw new Error('GSRCDN: Message and secret are required for HMAC computation');
+        }
+
+        const subtle = window.crypto && window.crypto.subtle;
+        const backend = GSRCDN.config.cryptoBackend;
+
+        if (backend === 'cryptojs' || (backend === 'auto' && !subtle)) {
+            return GSRCDN.computeHMAC(message, secret);
+        }
+        if (!subtle) {
+            throw new Error('GSRCDN: WebCrypto (crypto.subtle) is not available. Serve the page over HTTPS or use cryptoBackend: "cryptojs"');
+        }
+
+        let key = hmacKeys.get(secret);
+        if (!key) {
+            key = await subtle.importKey('raw', textEncoder.encode(secret), { name: 'HMAC', hash: 'SHA-256' }, false, ['sign']);
+            hmacKeys.set(secret, key);
+        }
+
+        const signature = await subtle.sign('HMAC', key, textEncoder.encode(message));
+        return Array.from(new Uint8Array(signature), b => b.toString(16).padStart(2, '0')).join('');
+    };
+
+    // ============================================
+    // SIGNATURE CREATION
+    // ============================================
+    /**
+     * Create a signature from request parameters
+     * @param {Object} params - Request parameters
+     * @param {string} secret - HMAC secret key
+     * @returns {string} Generated signature
+     */
+    GSRCDN.createSignature = function(params, secret) {
+        return GSRCDN.computeHMAC(buildSignatureString(params), secret);
+    };
+
+    /**
+     * Create a signature with the configured crypto backend
+     * @param {Object} params - Request parameters
+     * @param {string} secret - HMAC secret key
+     * @returns {Promise<string>} Generated signature
+     */
+    GSRCDN.createSignatureAsync = function(params, secret) {
+        return GSRCDN.computeHMACAsync(buildSignatureString(params), secret);
+    };
+
+    /**
+     * Build the signed string: key1=value1&key2=value2... (keys sorted)
+     * @private
+     */
+    function buildSignatureString(params) {
+        if (!params || typeof params !== 'object') {
+            throw new Error('GSRCDN: Parameters must be a valid object');
+        }
+
+        // Sort keys alphabetically for consistent signature
+        const signatureString = Object.keys(params).sort()
+            .map(key => `${key}=${params[key]}`)
+            .join('&');
+
+        if (GSRCDN.config.debug) {
+            console.log('GSRCDN: Signature string:', signatureString);
+        }
+
+        return signatureString;
+    }
+
+    // ============================================
+    // RATE LIMITING CHECK
+    // ============================================
+    /**
+     * Check if request is within rate limits
+     * @returns {boolean} True if within limits
+     * @throws {RateLimitError} If rate limit exceeded
+     */
+    GSRCDN.checkRateLimit = function() {
+        if (!GSRCDN.config.rateLimitEnabled) {
+            return true;
+        }
+
+        const now = Date.now();
+        const oneHour = 60 * 60 * 1000;
+
+        // Reset counter if window has passed
+        if (now - GSRCDN.requestWindow > oneHour) {
+            GSRCDN.requestCount = 0;
+            GSRCDN.requestWindow = now;
+        }
+
+        // Check limit
+        if (GSRCDN.requestCount >= GSRCDN.config.maxRequests) {
+            const resetTime = new Date(GSRCDN.requestWindow + oneHour);
+            throw createError(`GSRCDN: Rate limit exceeded. Resets at ${resetTime.toLocaleTimeString()}`, 'RATE_LIMIT_EXCEEDED', {
+                resetTime: resetTime.toISOString()
+            });
+        }
+
+        GSRCDN.requestCount++;
+        return true;
+    };
+
+    // ============================================
+    // SECURE API REQUEST
+    // ============================================
+    /**
+     * Make a secure API request with HMAC authentication
+     * @param {Object} params - Request parameters
+     * @param {string} params.action - API action to perform
+     * @param {Object} [options] - Additional request options
+     * @param {number} [options.timeout=30000] - Request timeout in milliseconds
+     * @param {Object} [options.headers] - Additional headers
+     * @param {Object|false} [options.retry] - Retry policy override
+     * @returns {Promise<Object>} API response
+     */
+    GSRCDN.makeRequest = function(params, options = {}) {
+        return GSRCDN.withRetry(() => sendRequest(params, options), options.retry);
+    };
+
+    async function sendRequest(params, options) {
+        // Validate configuration
+        if (!GSRCDN.config.scriptUrl || !GSRCDN.config.apiToken || !GSRCDN.config.hmacSecret) {
+            throw createError('GSRCDN: API not configured. Call GSRCDN.configure() first.', 'NOT_CONFIGURED');
+        }
+
+        // Validate parameters
+        if (!params || typeof params !== 'object') {
+            throw new Error('GSRCDN: Request parameters must be an object');
+        }
+
+        if (!params.action) {
+            throw new Error('GSRCDN: "action" parameter is required');
+        }
+
+        const capabilities = await GSRCDN.negotiate();
+
+        try {
+            // Check rate limit
+            GSRCDN.checkRateLimit();
+
+            // Clone params to avoid mutation
+            const requestParams = { ...params };
+
+            // Add authentication and metadata
+            requestParams.token = GSRCDN.config.apiToken;
+            // SecureSheets v3.8.1+ validateTokenExpiration() needs ISO; older servers compare epoch ms
+            requestParams.timestamp = capabilities.timestampFormat === 'iso'
+                ? new Date().toISOString()
+                : Date.now().toString();
+            // Guard null origin (file:// pages) — empty string keeps HMAC params consistent both sides.
+            // Caller-supplied values (e.g. a page URL as referrer) are signed as given.
+            const pageOrigin = getPageOrigin();
+            if (requestParams.referrer === undefined) requestParams.referrer = pageOrigin;
+            if (requestParams.origin === undefined) requestParams.origin = pageOrigin;
+
+            // Generate signature
+            requestParams.signature = await GSRCDN.createSignatureAsync(requestParams, GSRCDN.config.hmacSecret);
+
+            // Build URL with query parameters
+            const url = new URL(GSRCDN.config.scriptUrl);
+            Object.keys(requestParams).forEach(key => {
+                url.searchParams.append(key, requestParams[key]);
+            });
+
+            if (GSRCDN.config.debug) {
+                console.log('GSRCDN: Making request to:', url.toString());
+                console.log('GSRCDN: Parameters:', requestParams);
+            }
+
+            // Setup fetch options
+            const fetchOptions = {
+                method: 'GET',
+                headers: {
+                    'Accept': 'application/json',
+                    ...options.headers
+                }
+            };
+
+            // Add timeout support
+            const timeout = options.timeout || 30000;
+            const controller = new AbortController();
+            const timeoutId = setTimeout(() => controller.abort(), timeout);
+            fetchOptions.signal = controller.signal;
+
+            // Make request
+            let response;
+            try {
+                response = await fetch(url, fetchOptions);
+            } catch (error) {
+                throw toFetchError(error);
+            } finally {
+                clearTimeout(timeoutId);
+            }
+
+            // Check HTTP status
+            if (!response.ok) {
+                throw createError(`GSRCDN: HTTP error! Status: ${response.status} ${response.statusText}`, 'HTTP_ERROR', {
+                    httpStatus: response.status,
+                    retryAfter: response.headers && response.headers.get('Retry-After')
+                });
+            }
+
+            // Parse response
+            const data = await response.json();
+
+            if (GSRCDN.config.debug) {
+                console.log('GSRCDN: Response received:', data);
+            }
+
+            // Check API response status
+            if (data.status === 'success') {
+                return data;
+            } else {
+                // The backend returns errors as { error, code }, not { message }.
+                const errMsg = data.error || data.message || 'GSRCDN: Request failed';
+                throw createError(data.code ? `${errMsg} (${data.code})` : errMsg, data.code, data);
+            }
+
+        } catch (error) {
+            throw toRequestError(error);
+        }
+    }
+
+    /**
+     * Typed error for a failed fetch() (timeout or unreachable network)
+     * @private
+     */
+    function toFetchError(error) {
+        if (error.name === 'AbortError') {
+            return createError('GSRCDN: Request timeout', 'TIMEOUT');
+        }
+        return createError(`GSRCDN: Network error - ${error.message}`, 'NETWORK_ERROR');
+    }
+
+    /**
+     * Typed error for anything thrown while making a request
+     * @private
+     */
+    function toRequestError(error) {
+        if (error instanceof GSRCDNError) {
+            return error;
+        }
+        if (error.name === 'AbortError') {
+            return createError('GSRCDN: Request timeout', 'TIMEOUT');
+        }
+        return error;
+    }
+
+    // ============================================
+    // RETRY POLICY
+    // ============================================
+
+    /**
+     * Run a request, retrying retryable errors (see ERRORS) with jittered
+     * exponential backoff, or until the server's reset time for rate limits
+     * @param {Function} send - Returns a promise for one attempt
+     * @param {Object|false} [policy] - Overrides config.retry; false disables retries
+     * @returns {Promise<Object>}
+     */
+    GSRCDN.withRetry = async function(send, policy) {
+        const settings = policy === false
+            ? { ...GSRCDN.config.retry, retries: 0 }
+            : { ...GSRCDN.config.retry, ...policy };
+
+        for (let attempt = 1; ; attempt++) {
+            let result;
+            let error;
+
+            try {
+                result = await send();
+                // Public endpoints resolve { status: 'error', code } instead of throwing
+                error = GSRCDN.toError(result);
+                if (!error || !error.retryable) return result;
+            } catch (e) {
+                error = e;
+            }
+
+            const delay = GSRCDN.getRetryDelay(error, attempt, settings);
+            if (!(error && error.retryable) || attempt > settings.retries || delay === null) {
+                if (result !== undefined) return result;
+                // The caller gets the error; only log it when debugging
+                if (GSRCDN.config.debug) {
+                    console.error('GSRCDN: Request error:', error);
+                }
+                throw error;
+            }
+
+            if (GSRCDN.config.debug) {
+                console.warn(`GSRCDN: ${error.name} (${error.code}), retry ${attempt}/${settings.retries} in ${delay}ms`);
+            }
+
+            await new Promise(resolve => setTimeout(resolve, delay));
+        }
+    };
+
+    /**
+     * Delay before the next attempt (null = don't retry)
+     */
+    GSRCDN.getRetryDelay = function(error, attempt, policy = GSRCDN.config.retry) {
+        if (error && error.resetAt) {
+            const wait = error.resetAt - Date.now();
+            if (wait > policy.maxResetWait) return null;
+            return Math.max(0, wait) + Math.floor(Math.random() * policy.baseDelay);
+        }
+
+        const ceiling = Math.min(policy.maxDelay, policy.baseDelay * Math.pow(2, attempt - 1));
+        return Math.floor(ceiling / 2 + Math.random() * ceiling / 2);
+    };
+
+    /**
+     * Typed error for an { error, code } response (null if not an error)
+     * @param {Object} response
+     * @returns {GSRCDNError|null}
+     */
+    GSRCDN.toError = function(response) {
+        if (!response || typeof response !== 'object' || (response.status !== 'error' && !response.error)) {
+            return null;
+        }
+        const message = response.error || response.message || 'GSRCDN: Request failed';
+        return createError(response.code ? `${message} (${response.code})` : message, response.code, response);
+    };
+
+    // ============================================
+    // CONVENIENCE METHODS
+    // ============================================
+
+    /**
+     * Get data from the API
+     * @param {string} sheetName - Sheet to retrieve (e.g. "Sheet2"). Sent as
+     *   `sheet` or `dataType` depending on the negotiated router.
+     * @param {Object} [additionalParams] - Additional parameters
+     * @returns {Promise<Object>} API response
+     */
+    GSRCDN.getData = async function(sheetName, additionalParams = {}) {
+        const capabilities = await GSRCDN.negotiate();
+        return GSRCDN.makeRequest({
+            action: 'getData',
+            [capabilities.sheetParam]: sheetName,
+            ...additionalParams
+        });
+    };
+
+    /**
+     * Add data via the API (only when the backend supports writes)
+     * @param {string} dataType - Type of data to add
+     * @param {Object} data - Data to add
+     * @param {Object} [additionalParams] - Additional parameters
+     * @returns {Promise<Object>} API response
+     */
+    GSRCDN.addData = async function(dataType, data, additionalParams = {}) {
+        await requireCapability('writes', 'addData');
+        return GSRCDN.makeRequest({
+            action: 'addData',
+            dataType: dataType,
+            data: JSON.stringify(data),
+            ...additionalParams
+        });
+    };
+
+    /**
+     * Update data via the API (only when the backend supports writes)
+     * @param {string} dataType - Type of data to update
+     * @param {string} id - ID of item to update
+     * @param {Object} updates - Updates to apply
+     * @param {Object} [additionalParams] - Additional parameters
+     * @returns {Promise<Object>} API response
+     */
+    GSRCDN.updateData = async function(dataType, id, updates, additionalParams = {}) {
+        await requireCapability('writes', 'updateData');
+        return GSRCDN.makeRequest({
+            action: 'updateData',
+            dataType: dataType,
+            id: id,
+            updates: JSON.stringify(updates),
+            ...additionalParams
+        });
+    };
+
+    /**
+     * Delete data via the API (only when the backend supports writes)
+     * @param {string} dataType - Type of data to delete
+     * @param {string} id - ID of item to delete
+     * @param {Object} [additionalParams] - Additional parameters
+     * @returns {Promise<Object>} API response
+     */
+    GSRCDN.deleteData = async function(dataType, id, additionalParams = {}) {
+        await requireCapability('writes', 'deleteData');
+        return GSRCDN.makeRequest({
+            action: 'deleteData',
+            dataType: dataType,
+            id: id,
+            ...additionalParams
+        });
+    };
+
+    // ============================================
+    // PUBLIC ENDPOINTS (router-handled, no auth)
+    // ============================================
+
+    /**
+     * Make an unsigned request to one of the router's public endpoints.
+     * origin/referrer are added when the router validates them (GSRECOM
+     * v1.4.0 denies the request with ERR_SEC_003 otherwise); explicit
+     * params win over the auto-filled values.
+     * @param {Object} params - Query parameters (must include sheet + type)
+     * @param {Object} [options] - timeout/headers, same as makeRequest
+     * @returns {Promise<Object>} API response. Access-control denials resolve
+     *   as { error: 'Access denied', code: 'ERR_SEC_003' | 'ERR_SEC_007' };
+     *   GSRCDN.toError(response) turns them into a DomainDeniedError.
+     */
+    GSRCDN.makePublicRequest = function(params, options = {}) {
+        return GSRCDN.withRetry(() => sendPublicRequest(params, options), options.retry);
+    };
+
+    async function sendPublicRequest(params, options) {
+        if (!GSRCDN.config.scriptUrl) {
+            throw createError('GSRCDN: API not configured. Call GSRCDN.configure() first.', 'NOT_CONFIGURED');
+        }
+        if (!params || typeof params !== 'object') {
+            throw new Error('GSRCDN: Request parameters must be an object');
+        }
+
+        const capabilities = await GSRCDN.negotiate();
+
+        try {
+            GSRCDN.checkRateLimit();
+
+            const requestParams = { ...params };
+            if (capabilities.publicOrigin) {
+                const pageOrigin = getPageOrigin();
+                if (requestParams.origin === undefined)   requestParams.origin   = pageOrigin;
+                if (requestParams.referrer === undefined) requestParams.referrer = pageOrigin;
+            }
+
+            const url = new URL(GSRCDN.config.scriptUrl);
+            Object.keys(requestParams).forEach(key => {
+                if (requestParams[key] !== undefined && requestParams[key] !== null) {
+                    url.searchParams.append(key, requestParams[key]);
+                }
+            });
+
+            if (GSRCDN.config.debug) {
+                console.log('GSRCDN: Public request to:', url.toString());
+            }
+
+            const fetchOptions = {
+                method: 'GET',
+                headers: { 'Accept': 'application/json', ...options.headers }
+            };
+
+            const timeout = options.timeout || 30000;
+            const controller = new AbortController();
+            const timeoutId = setTimeout(() => controller.abort(), timeout);
+            fetchOptions.signal = controller.signal;
+
+            let response;
+            try {
+                response = await fetch(url, fetchOptions);
+            } catch (error) {
+                throw toFetchError(error);
+            } finally {
+                clearTimeout(timeoutId);
+            }
+
+            if (!response.ok) {
+                throw createError(`GSRCDN: HTTP error! Status: ${response.status} ${response.statusText}`, 'HTTP_ERROR', {
+                    httpStatus: response.status,
+                    retryAfter: response.headers && response.headers.get('Retry-After')
+                });
+            }
+
+            const data = await response.json();
+
+            if (GSRCDN.config.debug) {
+                console.log('GSRCDN: Public response received:', data);
+                if (GSRCDN.toError(data) instanceof DomainDeniedError) {
+                    console.warn('GSRCDN: request denied by router access control:', data.code, data.error);
+                }
+            }
+
+            return data;
+
+        } catch (error) {
+            throw toRequestError(error);
+        }
+    }
+
+    /**
+     * Get scrolling messages (router: Sheet3, rows 1-90, ?type=scrolling).
+     * @param {string} sheetName - Must match config.scrollingSheet on the server (default 'Sheet3')
+     * @param {Object} [additionalParams] - Additional parameters (e.g. origin/referrer overrides, 'user-ip')
+     * @returns {Promise<Object>} API response
+     */
+    GSRCDN.getScrollingMessages = async function(sheetName = 'Sheet3', additionalParams = {}) {
+        await requireCapability('publicEndpoints', 'getScrollingMessages');
+        return GSRCDN.makePublicRequest({ sheet: sheetName, type: 'scrolling', ...additionalParams });
+    };
+
+    /**
+     * Get doodle events (router: Sheet3, rows 100-149, ?type=doodle).
+     * @param {string} sheetName - Must match config.doodleSheet on the server (default 'Sheet3')
+     * @param {Object} [additionalParams] - Additional parameters, see getScrollingMessages
+     * @returns {Promise<Object>} API response
+     */
+    GSRCDN.getDoodleEvents = async function(sheetName = 'Sheet3', additionalParams = {}) {
+        await requireCapability('publicEndpoints', 'getDoodleEvents');
+        return GSRCDN.makePublicRequest({ sheet: sheetName, type: 'doodle', ...additionalParams });
+    };
+
+    /**
+     * Get coupons (router: Sheet3, rows 150+, ?type=coupons).
+     * @param {string} sheetName - Must match config.couponSheet on the server (default 'Sheet3')
+     * @param {Object} [additionalParams] - Additional parameters, see getScrollingMessages
+     * @returns {Promise<Object>} API response
+     */
+    GSRCDN.getCoupons = async function(sheetName = 'Sheet3', additionalParams = {}) {
+        await requireCapability('publicEndpoints', 'getCoupons');
+        return GSRCDN.makePublicRequest({ sheet: sheetName, type: 'coupons', ...additionalParams });
+    };
+
+    /**
+     * Get modal content (router: Sheet5 or Sheet6, ?type=modal).
+     * @param {string} sheetName - Must be one of config.modalSheets on the server ('Sheet5' or 'Sheet6')
+     * @param {string} [range] - A1 range or comma-separated cells (e.g. 'A1:B4' or 'A1,C3').
+     *   Required by GSRECOM v1.4.0 ("Range parameter is required"); not sent to
+     *   routers that don't take one.
+     * @param {Object} [additionalParams] - Additional parameters, see getScrollingMessages
+     * @returns {Promise<Object>} API response
+     */
+    GSRCDN.getModalContent = async function(sheetName, range, additionalParams = {}) {
+        if (!sheetName) {
+            throw new Error('GSRCDN: getModalContent requires a sheetName ("Sheet5" or "Sheet6")');
+        }
+
+        const capabilities = await requireCapability('publicEndpoints', 'getModalContent');
+
+        // Accept getModalContent(sheet, { ...params }) for routers without ranges
+        if (range && typeof range === 'object') {
+            additionalParams = range;
+            range = undefined;
+        }
+
+        const params = { sheet: sheetName, type: 'modal', ...additionalParams };
+        if (capabilities.modalRange) {
+            if (!range) {
+                throw new Error('GSRCDN: getModalContent requires a range (e.g. "A1:B4" or "A1,C3")');
+            }
+            params.range = range;
+        } else if (range && GSRCDN.config.debug) {
+            console.warn(`GSRCDN: ${GSRCDN.profile} router does not take a modal range; ignoring "${range}"`);
+        }
+
+        return GSRCDN.makePublicRequest(params);
+    };
+
+    // ============================================
+    // UTILITY METHODS
+    // ============================================
+
+    /**
+     * Get current configuration (without sensitive data)
+     * @returns {Object} Public configuration
+     */
+    GSRCDN.getConfig = function() {
+        return {
+            scriptUrl: GSRCDN.config.scriptUrl,
+            routerVersion: GSRCDN.config.routerVersion,
+            profile: GSRCDN.profile,
+            rateLimitEnabled: GSRCDN.config.rateLimitEnabled,
+            maxRequests: GSRCDN.config.maxRequests,
+            checksumValidation: GSRCDN.config.checksumValidation,
+            enforceHttps: GSRCDN.config.enforceHttps,
+            debug: GSRCDN.config.debug,
+            version: GSRCDN.version
+        };
+    };
+
+    /**
+     * Get the backend's config response from negotiation (null if unavailable)
+     * @returns {Object|null}
+     */
+    GSRCDN.getServerInfo = function() {
+        return GSRCDN.serverInfo;
+    };
+
+    /**
+     * Reset rate limit counter
+     */
+    GSRCDN.resetRateLimit = function() {
+        GSRCDN.requestCount = 0;
+        GSRCDN.requestWindow = Date.now();
+
+        if (GSRCDN.config.debug) {
+            console.log('GSRCDN: Rate limit counter reset');
+        }
+    };
+
+    /**
+     * Get current rate limit status
+     * @returns {Object} Rate limit status
+     */
+    GSRCDN.getRateLimitStatus = function() {
+        const now = Date.now();
+        const oneHour = 60 * 60 * 1000;
+        const resetTime = new Date(GSRCDN.requestWindow + oneHour);
+
+        return {
+            enabled: GSRCDN.config.rateLimitEnabled,
+            currentRequests: GSRCDN.requestCount,
+            maxRequests: GSRCDN.config.maxRequests,
+            remaining: Math.max(0, GSRCDN.config.maxRequests - GSRCDN.requestCount),
+            resetsAt: resetTime.toISOString(),
+            resetsIn: Math.max(0, resetTime - now)
+        };
+    };
+
+    GSRCDN.ROUTER_PROFILES = ROUTER_PROFILES;
+    GSRCDN.errors = {
+        GSRCDNError,
+        ConfigError,
+        NetworkError,
+        TimeoutError,
+        AuthError,
+        DomainDeniedError,
+        RateLimitError,
+        ChecksumError,
+        ValidationError
+    };
+
+    // ============================================
+    // EXPORT TO WINDOW
+    // ============================================
+    window.GSRCDN = GSRCDN;
+
+    // AMD/CommonJS compatibility
+    if (typeof define === 'function' && define.amd) {
+        define([], function() { return GSRCDN; });
+    } else if (typeof module === 'object' && module.exports) {
+        module.exports = GSRCDN;
+    }
+
+    // Log initialization
+    if (typeof console !== 'undefined') {
+        console.log(`GSRCDN v${GSRCDN.version} loaded successfully`);
+    }
+
+})(window);
@@ -0,0 +1,407 @@
+/**
+ * I18n.js v1.0.0
+ * Message catalogs for storefront text (cart, bill, location picker,
+ * product cards). Catalogs come from a sheet tab the shop owner maintains -
+ * one row per message key, one column per language - so a Tamil or Hindi
+ * storefront is a matter of filling in a column.
+ * (c) 2025
+ * MIT License
+ *
+ * Dependencies:
+ * - ShopUtils (shop_utils.js), included first
+ * - SecureSheets client (securesheets_Client_v140.js), configured - or pass options.fetcher
+ *
+ * Expected sheet columns:
+ *   key, en, hi, ta, ...   (any locale code: "ta", "ta-IN", "ar")
+ *   Plural forms are separate rows: cart.itemsUpdated.one / cart.itemsUpdated.other
+ *   (categories from Intl.PluralRules: zero, one, two, few, many, other)
+ *   Optional rows: language.name (shown in the switcher), language.direction (rtl/ltr)
+ *
+ * Placeholders: "Only {count} left" - numbers are formatted for the locale.
+ * Missing keys fall back to the language ("ta-IN" → "ta"), then fallbackLocale,
+ * then the component's built-in English text.
+ *
+ * Usage:
+ * const i18n = new I18n({ locale: 'ta', sheetName: 'Translations' });
+ * await i18n.load();
+ * i18n.renderSwitcher(document.querySelector('#languageSwitcher'));
+ * i18n.t('cart.empty', {}, { default: 'Your cart is empty' });
+ * const cart = new ShopCart({ i18n });
+ */
+
+(function(global) {
+    'use strict';
+
+    // Shared config, sheet and message helpers (shop_utils.js)
+    const ShopUtils = typeof global.ShopUtils !== 'undefined' ? global.ShopUtils
+        : (typeof require === 'function' ? require('./shop_utils.js') : undefined);
+
+    // Languages written right-to-left (a language.direction row overrides)
+    const RTL_LANGUAGES = ['ar', 'arc', 'ckb', 'dv', 'fa', 'he', 'ks', 'ps', 'sd', 'ug', 'ur', 'yi'];
+
+    const PLURAL_CATEGORIES = ['zero', 'one', 'two', 'few', 'many', 'other'];
+
+    class I18n {
+        constructor(options = {}) {
+            this.catalogs = new Map();
+            this.pluralRules = new Map();
+            this.numberFormats = new Map();
+            this.listeners = new Set();
+            this.loaded = false;
+            this.options = {
+                fetcher: options.fetcher || ShopUtils.defaultFetcher(),
+                sheetName: options.sheetName || 'Translations',
+                fallbackLocale: options.fallbackLocale || 'en',
+                storageKey: options.storageKey || 'shop_language',
+                applyToDocument: options.applyToDocument !== false, // set <html lang dir>
+                onChange: options.onChange || null,
+                onMissing: options.onMissing || null, // (key, locale) => void
+                debug: options.debug || false
+            };
+
+            if (options.messages) {
+                Object.keys(options.messages).forEach(locale => this.addMessages(locale, options.messages[locale]));
+            }
+
+            this.locale = this.loadPreference() || options.locale || this.options.fallbackLocale;
+        }
+
+        /**
+         * Build from ConfigManager (or a plain config object)
+         * @param {Object} config - ConfigManager instance or config object
+         * @param {Object} [overrides] - Options that take precedence
+         * @returns {I18n}
+         */
+        static fromConfig(config, overrides = {}) {
+            const get = ShopUtils.configGetter(config);
+
+            return new I18n({
+                locale: get('localization.language', 'en'),
+                fallbackLocale: get('localization.fallbackLanguage', 'en'),
+                sheetName: get('localization.translationsSheet', 'Translations'),
+                ...overrides
+            });
+        }
+
+        // Fetch catalogs from the sheet
+        async load(force = false) {
+            if (this.loaded && !force) return this.getLocales();
+
+            const rows = await ShopUtils.loadSheetRows(this.options.fetcher, this.options.sheetName, { owner: 'I18n', what: 'translations' });
+            const catalogs = this.parseRows(rows);
+            Object.keys(catalogs).forEach(locale => this.addMessages(locale, catalogs[locale]));
+
+            this.loaded = true;
+            this.log('Loaded', Object.keys(catalogs).length, 'languages from', this.options.sheetName);
+            this.applyDirection();
+            this.notify();
+            return this.getLocales();
+        }
+
+        // Turn sheet rows (key + one column per locale) into { locale: { key: text } }
+        parseRows(rows) {
+            const catalogs = {};
+
+            rows.forEach(row => {
+                if (!row || typeof row !== 'object') return;
+
+                const keyColumn = Object.keys(row).find(column => /^(key|message ?key|id)$/i.test(column.trim()));
+                const key = keyColumn ? String(row[keyColumn] || '').trim() : '';
+                if (!key || key.startsWith('#')) return;
+
+                Object.keys(row).forEach(column => {
+                    if (column === keyColumn) return;
+                    const locale = I18n.normalizeLocale(column);
+                    const text = row[column];
+                    if (!locale || text === undefined || text === null || String(text).trim() === '') return;
+
+                    if (!catalogs[locale]) catalogs[locale] = {};
+                    catalogs[locale][key] = String(text);
+                });
+            });
+
+            return catalogs;
+        }
+
+        // "TA_in" → "ta-IN"; null for anything that isn't a locale code ("notes")
+        static normalizeLocale(code) {
+            const match = String(code || '').trim().match(/^([a-z]{2,3})(?:[-_]([a-z]{2}|\d{3}))?$/i);
+            if (!match) return null;
+            return match[2] ? `${match[1].toLowerCase()}-${match[2].toUpperCase()}` : match[1].toLowerCase();
+        }
+
+        /**
+         * Merge messages into a locale's catalog
+         * Nested objects are flattened: { cart: { empty: '...' } } → "cart.empty"
+         * @param {string} locale
+         * @param {Object} messages
+         */
+        addMessages(locale, messages) {
+            const code = I18n.normalizeLocale(locale);
+            if (!code || !messages) return;
+
+            const catalog = this.catalogs.get(code) || {};
+            const flatten = (object, prefix) => {
+                Object.keys(object).forEach(name => {
+                    const key = prefix ? `${prefix}.${name}` : name;
+                    if (object[name] && typeof object[name] === 'object') {
+                        flatten(object[name], key);
+                    } else if (object[name] !== undefined && object[name] !== null) {
+                        catalog[key] = String(object[name]);
+                    }
+                });
+            };
+
+            flatten(messages, '');
+            this.catalogs.set(code, catalog);
+        }
+
+        // Languages the customer can pick, with switcher label and direction
+        getLocales() {
+            const codes = Array.from(this.catalogs.keys());
+            if (!codes.includes(this.options.fallbackLocale)) {
+                codes.unshift(this.options.fallbackLocale);
+            }
+
+            return codes.map(code => ({
+                code: code,
+                name: this.getLanguageName(code),
+                dir: this.getDirection(code)
+            }));
+        }
+
+        getLocale() {
+            return this.locale;
+        }
+
+        // Whether text exists for a locale or its language
+        hasLocale(locale) {
+            const code = I18n.normalizeLocale(locale);
+            if (!code) return false;
+            return code === this.options.fallbackLocale || this.catalogs.has(code) || this.catalogs.has(code.split('-')[0]);
+        }
+
+        /**
+         * Switch language (remembered in localStorage)
+         * @param {string} locale
+         * @returns {boolean} false for a language without a catalog
+         */
+        setLocale(locale) {
+            const code = I18n.normalizeLocale(locale);
+            if (!this.hasLocale(code)) {
+                this.log('Unknown language:', locale);
+                return false;
+            }
+            if (code === this.locale) return true;
+
+            this.locale = code;
+            this.savePreference();
+            this.applyDirection();
+            this.notify();
+            return true;
+        }
+
+        // Lookup order: "ta-IN" → "ta" → fallback locale
+        getLocaleChain(locale = this.locale) {
+            const chain = [];
+            const code = I18n.normalizeLocale(locale) || this.options.fallbackLocale;
+            [code, code.split('-')[0], this.options.fallbackLocale].forEach(candidate => {
+                if (!chain.includes(candidate)) chain.push(candidate);
+            });
+            return chain;
+        }
+
+        /**
+         * Translate a message key
+         * @param {string} key - e.g. "cart.added"
+         * @param {Object} [params] - Placeholder values; a numeric count selects the plural form
+         * @param {Object} [options] - { default: English text or { one, other }, locale }
+         * @returns {string}
+         */
+        t(key, params = {}, options = {}) {
+            const locale = options.locale || this.locale;
+            const hasCount = typeof params.count === 'number';
+            const category = hasCount ? this.getPluralCategory(params.count, locale) : null;
+
+            for (const code of this.getLocaleChain(locale)) {
+                const catalog = this.catalogs.get(code);
+                if (!catalog) continue;
+
+                const text = hasCount
+                    ? (catalog[`${key}.${category}`] ?? catalog[`${key}.other`] ?? catalog[key])
+                    : catalog[key];
+                if (text !== undefined) {
+                    return this.interpolate(text, params, locale);
+                }
+            }
+
+            let fallback = options.default;
+            if (fallback && typeof fallback === 'object') {
+                // Built-in plural text is English: one/other
+                fallback = fallback[this.getPluralCategory(params.count, 'en')] ?? fallback.other;
+            }
+
+            if (fallback === undefined) {
+                this.log('Missing message:', key, locale);
+                if (this.options.onMissing) this.options.onMissing(key, locale);
+                return key;
+            }
+            return this.interpolate(fallback, params, locale);
+        }
+
+        // Replace {name} placeholders; numbers use the locale's digits and grouping
+        interpolate(text, params = {}, locale = this.locale) {
+            return String(text).replace(/\{(\w+)\}/g, (match, name) => {
+                if (!(name in params) || params[name] === undefined || params[name] === null) return match;
+                return typeof params[name] === 'number' ? this.formatNumber(params[name], {}, locale) : String(params[name]);
+            });
+        }
+
+        getPluralCategory(count, locale = this.locale) {
+            const value = Number(count);
+            let rules = this.pluralRules.get(locale);
+
+            if (rules === undefined) {
+                try {
+                    rules = typeof Intl !== 'undefined' && Intl.PluralRules ? new Intl.PluralRules(locale) : null;
+                } catch (e) {
+                    rules = null;
+                }
+                this.pluralRules.set(locale, rules);
+            }
+
+            const category = rules ? rules.select(value) : (value === 1 ? 'one' : 'other');
+            return PLURAL_CATEGORIES.includes(category) ? category : 'other';
+        }
+
+        // Locale-aware number ("12,34,567" in hi, "1,234,567" in en)
+        formatNumber(value, options = {}, locale = this.locale) {
+            const key = `${locale}|${JSON.stringify(options)}`;
+            if (!this.numberFormats.has(key)) {
+                let formatter = null;
+                try {
+                    formatter = new Intl.NumberFormat(locale, options);
+                } catch (e) {
+                    this.log('Intl.NumberFormat failed for', locale, e.message);
+                }
+                this.numberFormats.set(key, formatter);
+            }
+
+            const formatter = this.numberFormats.get(key);
+            return formatter ? formatter.format(value) : String(value);
+        }
+
+        // Locale-aware date/time (bills, order confirmations)
+        formatDate(date, options = {}, locale = this.locale) {
+            const value = date instanceof Date ? date : new Date(date);
+            try {
+                return value.toLocaleString(locale, options);
+            } catch (e) {
+                return value.toLocaleString();
+            }
+        }
+
+        // 'rtl' or 'ltr' for a locale
+        getDirection(locale = this.locale) {
+            const code = I18n.normalizeLocale(locale) || this.options.fallbackLocale;
+            const catalog = this.catalogs.get(code) || this.catalogs.get(code.split('-')[0]);
+            const direction = catalog && catalog['language.direction'];
+
+            if (direction) {
+                return String(direction).trim().toLowerCase() === 'rtl' ? 'rtl' : 'ltr';
+            }
+            return RTL_LANGUAGES.includes(code.split('-')[0]) ? 'rtl' : 'ltr';
+        }
+
+        isRTL(locale = this.locale) {
+            return this.getDirection(locale) === 'rtl';
+        }
+
+        // Switcher label: language.name row, else Intl.DisplayNames, else the code
+        getLanguageName(locale) {
+            const catalog = this.catalogs.get(locale);
+            if (catalog && catalog['language.name']) return catalog['language.name'];
+
+            try {
+                if (typeof Intl !== 'undefined' && Intl.DisplayNames) {
+                    // Each language named in itself: "தமிழ்", "हिन्दी"
+                    return new Intl.DisplayNames([locale], { type: 'language' }).of(locale) || locale;
+                }
+            } catch (e) {
+                this.log('Intl.DisplayNames failed for', locale, e.message);
+            }
+            return locale;
+        }
+
+        // Set <html lang="…" dir="…"> so CSS and the browser lay out RTL text
+        applyDirection() {
+            if (!this.options.applyToDocument || typeof document === 'undefined' || !document.documentElement) return;
+
+            document.documentElement.setAttribute('lang', this.locale);
+            document.documentElement.setAttribute('dir', this.getDirection());
+        }
+
+        /**
+         * Listen for language / catalog changes
+         * @param {Function} listener - (locale, i18n) => void
+         * @returns {Function} Unsubscribe
+         */
+        subscribe(listener) {
+            this.listeners.add(listener);
+            return () => this.listeners.delete(listener);
+        }
+
+        notify() {
+            ShopUtils.notifyListeners(this.listeners, [this.locale, this], 'I18n');
+            if (this.options.onChange) {
+                this.options.onChange(this.locale, this);
+            }
+            if (typeof global.dispatchEvent === 'function' && typeof global.CustomEvent === 'function') {
+                global.dispatchEvent(new global.CustomEvent('i18n:change', {
+                    detail: { locale: this.locale, dir: this.getDirection() }
+                }));
+            }
+        }
+
+        /**
+         * Render a <select> the customer can switch language with
+         * @param {HTMLElement} container
+         * @returns {HTMLSelectElement|null}
+         */
+        renderSwitcher(container) {
+            return ShopUtils.renderSwitcher(container, {
+                className: 'language-switcher',
+                label: () => this.t('language.switcher', {}, { default: 'Language' }),
+                options: () => this.getLocales().map(locale => ({
+                    value: locale.code,
+                    text: locale.name,
+                    dir: locale.dir,
+                    selected: locale.code === this.locale
+                })),
+                onChange: code => this.setLocale(code),
+                subscribe: listener => this.subscribe(listener)
+            });
+        }
+
+        loadPreference() {
+            return I18n.normalizeLocale(ShopUtils.loadPreference(this.options.storageKey));
+        }
+
+        savePreference() {
+            ShopUtils.savePreference(this.options.storageKey, this.locale, 'language');
+        }
+
+        log(...args) {
+            if (this.options.debug) console.log('I18n:', ...args);
+        }
+    }
+
+    // Export for different module systems
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = I18n;
+    } else if (typeof define === 'function' && define.amd) {
+        define(function() { return I18n; });
+    } else {
+        global.I18n = I18n;
+    }
+})(typeof window !== 'undefined' ? window : this);
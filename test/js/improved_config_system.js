@@ -26,21 +26,70 @@ class ConfigManager {
                 logo: 'https://via.placeholder.com/50',
                 tagline: 'Think Quality Think Us',
                 countryCode: '91',
+                address: '',
+                gstin: '',
+                state: '', // place of supply; other states are billed IGST
+                upiId: '',
             },
 
             // Localization
             localization: {
                 currency: '₹',
+                currencyCode: 'INR', // settlement currency; exchange rates in currencySheet
+                currencySheet: 'Currencies',
                 currencyPosition: 'before',
                 defaultLocation: 'Tiruchirappalli',
                 locale: 'en-IN',
+                timeZone: 'Asia/Kolkata', // shop's clock for delivery slots
+                language: 'en', // storefront text; catalogs in translationsSheet (en, hi, ta, ...)
+                fallbackLanguage: 'en',
+                translationsSheet: 'Translations',
             },
 
-            // Delivery Settings
+            // Delivery Settings (zones: pincodes/prefixes/radius with their own charge, minimum and ETA)
             delivery: {
                 charge: 50,
                 freeAbove: 500,
                 estimatedDays: '3-5',
+                zonesSheet: 'DeliveryZones',
+                storeLat: null, // store coordinates for radius zones
+                storeLon: null,
+            },
+
+            // Branches (multi-outlet shops): sheet tab read by StoreLocator; empty = single store
+            stores: {
+                sheet: '',
+            },
+
+            // Tax Settings (rate in percent; inclusive = prices already include tax)
+            tax: {
+                rate: 0,
+                inclusive: true,
+                label: 'GST',
+            },
+
+            // Checkout (delivery slots in slotSheet: id, label, days, start, end, lead, charge)
+            checkout: {
+                slotSheet: 'DeliverySlots',
+                slotDays: 3,
+                leadMinutes: 60,
+                requireSlot: false,
+                allowPickup: true,
+            },
+
+            // Invoice Settings (qr: 'order', 'upi' or 'none'; {orderId} in orderUrl)
+            invoice: {
+                prefix: 'INV-',
+                qr: 'order',
+                orderUrl: '',
+                footer: 'Thank you for shopping with us!',
+            },
+
+            // Payment Settings (UPI payee is business.upiId)
+            payments: {
+                payeeName: '', // defaults to business.name
+                merchantCode: '',
+                allowPayLater: true,
             },
 
             // Social Media
@@ -153,6 +202,13 @@ class ConfigManager {
             { key: 'heroBanners', type: 'array' }
         ], 32);
 
+        // Tax (rows 51-53)
+        loader.addMapping([
+            { key: 'tax.rate', type: 'number' },
+            { key: 'tax.inclusive', type: 'boolean' },
+            { key: 'tax.label', type: 'string' }
+        ], 51);
+
         // Social Media
         loader.addMapping([
             { key: 'social.facebook', type: 'string', row: 45 },
@@ -495,17 +551,96 @@ class AppBootstrap {
             });
         });
         
+        // Register pricing service (shared by cart and WhatsApp billing)
+        this.container.register('pricing', (c) => {
+            return PricingEngine.fromConfig(c.get('config'));
+        });
+        
+        // Register currency service (display currency + sheet exchange rates)
+        this.container.register('currency', (c) => {
+            return CurrencyManager.fromConfig(c.get('config'));
+        });
+        
+        // Register i18n service (message catalogs + language switcher)
+        this.container.register('i18n', (c) => {
+            return I18n.fromConfig(c.get('config'));
+        });
+        
+        // Register payment service (UPI intent, QR and reference capture)
+        this.container.register('payments', (c) => {
+            return UpiPayment.fromConfig(c.get('config'), {
+                i18n: c.get('i18n'),
+            });
+        });
+        
+        // Register invoice service (printable invoice with GST breakdown + QR)
+        this.container.register('invoice', (c) => {
+            return InvoiceRenderer.fromConfig(c.get('config'), {
+                payments: c.get('payments'),
+                i18n: c.get('i18n'),
+            });
+        });
+        
+        // Register delivery zone service (serviceable pincodes + zone charges)
+        this.container.register('deliveryZones', (c) => {
+            return DeliveryZones.fromConfig(c.get('config'), {
+                formatPrice: (amount) => c.get('currency').format(amount),
+                i18n: c.get('i18n'),
+            });
+        });
+        
         // Register cart service
         this.container.register('cart', (c) => {
             return new ShopCart({
                 currency: c.get('config').get('localization.currency'),
                 locale: c.get('config').get('localization.locale'),
+                currencyManager: c.get('currency'),
+                i18n: c.get('i18n'),
+                pricing: c.get('pricing'),
+                deliveryZones: c.get('deliveryZones'),
+                storeLocator: c.get('stores'),
+                productSource: () => c.get('productLoader').fetch(), // fresh stock and prices at checkout
                 onCartUpdate: (items, total, count) => {
                     c.get('state').set('cart', items);
                 }
             });
         });
         
+        // Register WhatsApp billing (same pricing engine as the cart, so bill and cart agree)
+        this.container.register('billing', (c) => {
+            return new WhatsAppBilling({
+                whatsappNumber: c.get('config').get('business.phone'),
+                countryCode: c.get('config').get('business.countryCode'),
+                currency: c.get('config').get('localization.currency'),
+                currencyPosition: c.get('config').get('localization.currencyPosition'),
+                pricing: c.get('pricing'),
+                appConfig: c.get('config'),
+                currencyManager: c.get('currency'),
+                i18n: c.get('i18n'),
+            });
+        });
+        
+        // Register store locator (nearest branch, branch number + delivery rules;
+        // the cart prices with its charges, billing checks its minimum order)
+        this.container.register('stores', (c) => {
+            return StoreLocator.fromConfig(c.get('config'), {
+                deliveryZones: c.get('deliveryZones'),
+                i18n: c.get('i18n'),
+            });
+        });
+        
+        // Register checkout service (address book + delivery slots)
+        this.container.register('checkout', (c) => {
+            return CheckoutForm.fromConfig(c.get('config'), {
+                cart: c.get('cart'),
+                billing: c.get('billing'),
+                payments: c.get('payments'),
+                deliveryZones: c.get('deliveryZones'),
+                storeLocator: c.get('stores'),
+                i18n: c.get('i18n'),
+            });
+        });
+        
         // Register filter manager
         this.container.register('filterManager', (c) => {
             return new ProductFilterManager({
@@ -526,7 +661,26 @@ class AppBootstrap {
         console.log('📦 Loading data...');
         
         const loader = this.container.get('productLoader');
-        const products = await loader.fetch();
+        const currency = this.container.get('currency');
+        const i18n = this.container.get('i18n');
+        const deliveryZones = this.container.get('deliveryZones');
+        const stores = this.container.get('stores');
+        
+        // Branches first: a saved branch switches the delivery zones to its own sheet,
+        // so the shop's zones are only loaded when no branch did that already
+        const zonesLoaded = (this.config.get('stores.sheet')
+            ? stores.load().then(() => stores.ready).catch(error => console.warn('Branches unavailable:', error.message))
+            : Promise.resolve()
+        ).then(() => deliveryZones.load()).catch(error => console.warn('Delivery zones unavailable:', error.message));
+        
+        // Exchange rates, translations, zones and branches are optional; text falls
+        // back to English, delivery to the flat charge and orders to business.phone
+        const [products] = await Promise.all([
+            loader.fetch(),
+            currency.load().catch(error => console.warn('Currency rates unavailable:', error.message)),
+            i18n.load().catch(error => console.warn('Translations unavailable:', error.message)),
+            zonesLoaded
+        ]);
         
         this.state.set('products', products);
         
@@ -623,6 +777,8 @@ class AppBootstrap {
             containerId: 'productsGrid',
             products: products,
             currency: this.config.get('localization.currency'),
+            currencyManager: this.container.get('currency'),
+            i18n: this.container.get('i18n'),
             showDiscount: true,
             showRating: true,
         });
@@ -636,9 +792,19 @@ class AppBootstrap {
     initWhatsApp() {
         const btn = document.querySelector('#whatsappBtn');
         if (btn) {
-            const phone = this.config.get('business.phone');
+            const i18n = this.container.get('i18n');
+            const stores = this.container.get('stores');
             const name = this.config.get('business.name');
-            btn.href = `https://wa.me/${phone}?text=Hi, I'm interested in ${name}!`;
+            const update = () => {
+                // The customer's branch, if they picked one
+                const branch = stores.getSelected();
+                const phone = (branch && branch.whatsappNumber) || this.config.get('business.phone');
+                const text = i18n.t('whatsapp.greeting', { name }, { default: "Hi, I'm interested in {name}!" });
+                btn.href = `https://wa.me/${String(phone).replace(/\D/g, '')}?text=${encodeURIComponent(text)}`;
+            };
+            update();
+            i18n.subscribe(update);
+            stores.subscribe(update);
         }
     }
 
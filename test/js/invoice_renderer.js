@@ -0,0 +1,604 @@
+/**
+ * InvoiceRenderer.js v1.0.0
+ * Printable HTML invoice for an order: business details from ConfigManager,
+ * line items, GST breakdown per rate (CGST + SGST, or IGST for another state),
+ * totals, and a QR code (QRGen) linking to the order or a UPI payment.
+ * "PDF" is the browser's print dialog → Save as PDF; download() saves the HTML.
+ * (c) 2025
+ * MIT License
+ *
+ * Dependencies:
+ * - ShopUtils (shop_utils.js), included first
+ * - QRGen (qr_library.js) + QRious for the QR code (optional, skipped when missing)
+ * - WhatsAppBilling for pricing, currency and getLastOrder() (optional)
+ * - UpiPayment for the 'upi' QR code (optional, no QR without it)
+ *
+ * Usage:
+ * const invoices = InvoiceRenderer.fromConfig(configManager, { billing: billing });
+ * billing.send(orderData);
+ * invoices.renderTo('#invoice');       // last order, with Print / Download buttons
+ * invoices.print(orderData);           // opens the print dialog
+ * invoices.download(orderData);        // invoice-INV-….html (needs orderId or invoiceNumber)
+ *
+ * Sheet config (business / invoice):
+ * business.address, business.gstin, business.state, business.upiId,
+ * invoice.prefix, invoice.qr ('order' | 'upi' | 'none'), invoice.orderUrl ('https://shop.in/orders/{orderId}'), invoice.footer
+ */
+
+(function(global) {
+    'use strict';
+
+    // Shared config, sheet and message helpers (shop_utils.js)
+    const ShopUtils = typeof global.ShopUtils !== 'undefined' ? global.ShopUtils
+        : (typeof require === 'function' ? require('./shop_utils.js') : undefined);
+
+    const INVOICE_MESSAGES = {
+        'invoice.title': 'Tax Invoice',
+        'invoice.number': 'Invoice No.',
+        'invoice.orderId': 'Order ID',
+        'invoice.date': 'Date',
+        'invoice.billTo': 'Bill To',
+        'invoice.gstin': 'GSTIN',
+        'invoice.phone': 'Phone',
+        'invoice.email': 'Email',
+        'invoice.item': 'Item',
+        'invoice.quantity': 'Qty',
+        'invoice.rate': 'Rate',
+        'invoice.amount': 'Amount',
+        'invoice.subtotal': 'Subtotal',
+        'invoice.discount': 'Discount',
+        'invoice.coupon': 'Discount ({code})',
+        'invoice.delivery': 'Delivery',
+        'invoice.free': 'FREE',
+        'invoice.roundOff': 'Round off',
+        'invoice.total': 'Total',
+        'invoice.taxSummary': '{label} Summary',
+        'invoice.taxRate': 'Rate',
+        'invoice.taxableValue': 'Taxable Value',
+        'invoice.taxTotal': 'Total Tax',
+        'invoice.taxIncluded': 'Prices include {label}',
+        'invoice.paymentRef': '{method} payment submitted (unverified), Ref: {reference}',
+        'invoice.paymentPending': 'Payment pending ({method})',
+        'invoice.scanOrder': 'Scan to view your order',
+        'invoice.scanPay': 'Scan to pay with any UPI app',
+        'invoice.print': 'Print / Save as PDF',
+        'invoice.download': 'Download',
+        'invoice.footer': 'Thank you for shopping with us!',
+        'invoice.error.noOrder': 'No order to invoice',
+        'invoice.error.noNumber': 'The order has no order ID or invoice number'
+    };
+
+    const STYLES = `
+        .invoice { max-width: 800px; margin: 0 auto; padding: 32px; background: #fff; color: #1f2937; font: 14px/1.5 -apple-system, 'Segoe UI', Roboto, sans-serif; }
+        .invoice-header { display: flex; justify-content: space-between; gap: 24px; border-bottom: 2px solid #1f2937; padding-bottom: 16px; }
+        .invoice-business img { max-height: 48px; margin-bottom: 8px; }
+        .invoice-business h2 { margin: 0; font-size: 20px; }
+        .invoice-meta { text-align: right; }
+        .invoice-meta h1 { margin: 0 0 8px; font-size: 22px; text-transform: uppercase; letter-spacing: 1px; }
+        .invoice-muted { color: #6b7280; }
+        .invoice-parties { display: flex; justify-content: space-between; gap: 24px; margin: 20px 0; }
+        .invoice-parties h3 { margin: 0 0 4px; font-size: 12px; text-transform: uppercase; color: #6b7280; }
+        .invoice table { width: 100%; border-collapse: collapse; margin: 12px 0; }
+        .invoice th, .invoice td { padding: 8px; border-bottom: 1px solid #e5e7eb; text-align: left; }
+        .invoice th { background: #f3f4f6; font-size: 12px; text-transform: uppercase; }
+        .invoice .num { text-align: right; white-space: nowrap; }
+        .invoice-totals { margin-left: auto; width: 320px; }
+        .invoice-totals td { border: none; padding: 4px 8px; }
+        .invoice-totals .invoice-grand td { border-top: 2px solid #1f2937; font-weight: 700; font-size: 16px; }
+        .invoice-tax h3 { margin: 20px 0 0; font-size: 14px; }
+        .invoice-footer { display: flex; justify-content: space-between; align-items: center; gap: 24px; margin-top: 24px; padding-top: 16px; border-top: 1px solid #e5e7eb; }
+        .invoice-qr { text-align: center; font-size: 12px; color: #6b7280; }
+        .invoice-qr img { display: block; width: 120px; height: 120px; margin: 0 auto 4px; }
+        .invoice-actions { display: flex; justify-content: flex-end; gap: 8px; max-width: 800px; margin: 16px auto; }
+        .invoice-actions button { padding: 8px 16px; border: 1px solid #1f2937; border-radius: 6px; background: #fff; cursor: pointer; }
+        .invoice-actions button:first-child { background: #1f2937; color: #fff; }
+        [dir="rtl"] .invoice-meta { text-align: left; }
+        [dir="rtl"] .invoice th, [dir="rtl"] .invoice td { text-align: right; }
+        [dir="rtl"] .invoice .num { text-align: left; }
+        [dir="rtl"] .invoice-totals { margin-left: 0; margin-right: auto; }
+        @media print {
+            .invoice-actions { display: none; }
+            .invoice { padding: 0; max-width: none; }
+            @page { margin: 12mm; }
+        }
+    `;
+
+    function escapeHtml(value) {
+        return String(value === undefined || value === null ? '' : value)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
+    }
+
+    function round(value) {
+        return Math.round((value + Number.EPSILON) * 100) / 100;
+    }
+
+    class InvoiceRenderer {
+        constructor(options = {}) {
+            this.options = {
+                billing: options.billing || null, // WhatsAppBilling: pricing, currency, getLastOrder()
+                payments: options.payments || null, // UpiPayment: builds the UPI QR intent
+                business: {
+                    name: '',
+                    phone: '',
+                    email: '',
+                    logo: '',
+                    address: '',
+                    gstin: '',
+                    state: '', // for CGST + SGST vs IGST
+                    upiId: '',
+                    ...(options.business || {})
+                },
+                prefix: options.prefix !== undefined ? options.prefix : 'INV-',
+                qr: options.qr || 'order', // 'order', 'upi' or 'none'
+                orderUrl: options.orderUrl || '', // '{orderId}' is replaced; no QR without it
+                qrSize: options.qrSize || 160,
+                currency: options.currency || '₹',
+                currencyCode: options.currencyCode || 'INR',
+                taxLabel: options.taxLabel || null, // defaults to the order's (PricingEngine) label
+                gstSplit: options.gstSplit || 'auto', // 'auto', 'cgst_sgst', 'igst' or 'none'
+                footer: options.footer || null,
+                i18n: options.i18n || null,
+                locale: options.locale || null,
+                title: options.title || null
+            };
+        }
+
+        /**
+         * Build a renderer from ConfigManager (or a plain config object)
+         * @param {Object} config - ConfigManager instance or config object
+         * @param {Object} [overrides] - Options that take precedence (billing, i18n, ...)
+         * @returns {InvoiceRenderer}
+         */
+        static fromConfig(config, overrides = {}) {
+            const get = ShopUtils.configGetter(config);
+
+            return new InvoiceRenderer({
+                business: {
+                    name: get('business.name', ''),
+                    phone: get('business.phone', ''),
+                    email: get('business.email', ''),
+                    logo: get('business.logo', ''),
+                    address: get('business.address', ''),
+                    gstin: get('business.gstin', ''),
+                    state: get('business.state', ''),
+                    upiId: get('business.upiId', '')
+                },
+                prefix: get('invoice.prefix', 'INV-'),
+                qr: get('invoice.qr', 'order'),
+                orderUrl: get('invoice.orderUrl', ''),
+                footer: get('invoice.footer', null),
+                currency: get('localization.currency', '₹'),
+                currencyCode: get('localization.currencyCode', 'INR'),
+                taxLabel: get('tax.label', null),
+                ...overrides
+            });
+        }
+
+        /**
+         * Translated invoice text (built-in English without options.i18n)
+         */
+        t(key, params = {}) {
+            return ShopUtils.translate(this.options.i18n, INVOICE_MESSAGES, key, params, { locale: this.options.locale || undefined });
+        }
+
+        formatCurrency(amount) {
+            if (this.options.billing) {
+                return this.options.billing.formatCurrency(amount);
+            }
+            return `${this.options.currency}${(Number(amount) || 0).toFixed(2)}`;
+        }
+
+        formatDate(date) {
+            const d = date ? new Date(date) : new Date();
+            const locale = this.options.i18n ? this.options.i18n.getLocale() : (this.options.locale || undefined);
+            return d.toLocaleDateString(locale, { year: 'numeric', month: 'short', day: 'numeric' });
+        }
+
+        /**
+         * The order to invoice, priced: orderData or billing.getLastOrder()
+         */
+        getOrder(orderData) {
+            const billing = this.options.billing;
+            const order = orderData || (billing ? billing.getLastOrder() : null);
+            if (!order) {
+                throw new Error(`InvoiceRenderer: ${this.t('invoice.error.noOrder')}`);
+            }
+            return billing ? billing.applyPricing(order) : order;
+        }
+
+        /**
+         * order.invoiceNumber (e.g. from the shop's own sequence), else the prefix
+         * plus the order ID without its "ORD" prefix: ORD251018-K3F9QX → INV-251018-K3F9QX.
+         * Invoice numbers must be unique, so an order with neither is refused.
+         */
+        getInvoiceNumber(order) {
+            if (order.invoiceNumber) return String(order.invoiceNumber);
+            if (!order.orderId) {
+                throw new Error(`InvoiceRenderer: ${this.t('invoice.error.noNumber')}`);
+            }
+            return `${this.options.prefix}${String(order.orderId).replace(/^ORD-?/i, '')}`;
+        }
+
+        // Prices include tax only when the order says so (PricingEngine sets taxInclusive)
+        isTaxInclusive(order) {
+            return order.taxInclusive === true;
+        }
+
+        /**
+         * Invoice lines with tax: PricingEngine lines when the order has them
+         */
+        getLines(order) {
+            if (order.totals && Array.isArray(order.totals.lines)) {
+                return order.totals.lines;
+            }
+            return (order.cart || []).map(item => {
+                const price = parseFloat(item.price) || 0;
+                const quantity = parseInt(item.quantity) || 0;
+                return {
+                    name: (item.name || item.title || '') + (item.variantLabel ? ` (${item.variantLabel})` : ''),
+                    price: price,
+                    quantity: quantity,
+                    amount: round(price * quantity),
+                    taxRate: 0,
+                    discount: 0,
+                    tax: 0
+                };
+            });
+        }
+
+        /**
+         * GST per rate: taxable value, CGST/SGST halves or IGST
+         * @param {Object} order - Priced order
+         * @returns {Object} { mode: 'cgst_sgst'|'igst'|'none', rows: [{ rate, taxable, cgst, sgst, igst, tax }], tax }
+         */
+        getTaxBreakdown(order) {
+            const inclusive = this.isTaxInclusive(order);
+            const groups = {};
+
+            this.getLines(order).forEach(line => {
+                if (!line.taxRate) return;
+                const net = line.amount - (line.discount || 0);
+                const group = groups[line.taxRate] || (groups[line.taxRate] = { rate: line.taxRate, taxable: 0, tax: 0 });
+                group.taxable += inclusive ? net - line.tax : net;
+                group.tax += line.tax;
+            });
+
+            const mode = this.getGstMode(order);
+            const rows = Object.keys(groups).map(Number).sort((a, b) => a - b).map(rate => {
+                const group = groups[rate];
+                const tax = round(group.tax);
+                const half = round(tax / 2);
+                return {
+                    rate: rate,
+                    taxable: round(group.taxable),
+                    tax: tax,
+                    cgst: mode === 'cgst_sgst' ? half : 0,
+                    sgst: mode === 'cgst_sgst' ? round(tax - half) : 0,
+                    igst: mode === 'igst' ? tax : 0
+                };
+            });
+
+            return { mode: mode, rows: rows, tax: round(rows.reduce((sum, row) => sum + row.tax, 0)) };
+        }
+
+        // Intra-state orders split GST into CGST + SGST; another state pays IGST
+        getGstMode(order) {
+            if (this.options.gstSplit !== 'auto') return this.options.gstSplit;
+            const label = this.options.taxLabel || order.taxLabel || 'GST';
+            if (!/GST/i.test(label)) return 'none';
+
+            const from = String(this.options.business.state || '').trim().toLowerCase();
+            const to = String(order.state || '').trim().toLowerCase();
+            return from && to && from !== to ? 'igst' : 'cgst_sgst';
+        }
+
+        /**
+         * Text encoded in the QR code, or '' for none
+         */
+        getQrText(order) {
+            if (this.options.qr === 'upi') {
+                const payments = this.getPayments();
+                return payments ? payments.buildIntent({ amount: order.total, orderId: order.orderId }) : '';
+            }
+            if (this.options.qr === 'order') {
+                // The page the invoice is printed from (checkout, cart) isn't the order
+                return this.options.orderUrl && order.orderId
+                    ? this.options.orderUrl.replace(/\{orderId\}/g, encodeURIComponent(order.orderId))
+                    : '';
+            }
+            return '';
+        }
+
+        /**
+         * UpiPayment that builds the QR intent: the configured one, else one for business.upiId
+         */
+        getPayments() {
+            if (this.options.payments && this.options.payments.isConfigured()) {
+                return this.options.payments;
+            }
+            if (!this.options.business.upiId || typeof global.UpiPayment === 'undefined') {
+                return null;
+            }
+            const payments = new global.UpiPayment({
+                payeeVpa: this.options.business.upiId,
+                payeeName: this.options.business.name,
+                currency: this.options.currencyCode
+            });
+            return payments.isConfigured() ? payments : null;
+        }
+
+        /**
+         * QR code as a PNG data URL through QRGen; '' when QRGen/QRious isn't loaded
+         */
+        createQrImage(text) {
+            const QRGen = global.QRGen;
+            if (!text || !QRGen || typeof global.QRious === 'undefined' || typeof document === 'undefined') {
+                return '';
+            }
+
+            const canvas = QRGen.generate({
+                text: text,
+                container: document.createElement('div'),
+                size: this.options.qrSize,
+                errorCorrection: 'M',
+                foreground: '#000000',
+                background: '#ffffff'
+            });
+            return canvas ? QRGen.toDataURL(canvas) || '' : '';
+        }
+
+        /**
+         * Invoice markup (no <html> wrapper; see renderDocument)
+         * @param {Object} [orderData] - Defaults to billing.getLastOrder()
+         * @returns {string} HTML
+         */
+        render(orderData) {
+            const order = this.getOrder(orderData);
+            const invoiceNumber = this.getInvoiceNumber(order);
+            const business = this.options.business;
+            const lines = this.getLines(order);
+            const breakdown = this.getTaxBreakdown(order);
+            const taxLabel = this.options.taxLabel || order.taxLabel || 'GST';
+            const money = amount => escapeHtml(this.formatCurrency(amount));
+            const dir = this.options.i18n ? this.options.i18n.getDirection() : 'ltr';
+
+            const qrText = this.getQrText(order);
+            const qrImage = this.createQrImage(qrText);
+
+            const customer = [
+                `<strong>${escapeHtml(order.name)}</strong>`,
+                order.mobile ? `${escapeHtml(this.t('invoice.phone'))}: ${escapeHtml(order.mobile)}` : '',
+                order.email ? `${escapeHtml(this.t('invoice.email'))}: ${escapeHtml(order.email)}` : '',
+                order.address ? escapeHtml(order.address).replace(/\n/g, '<br>') : '',
+                order.gstin ? `${escapeHtml(this.t('invoice.gstin'))}: ${escapeHtml(order.gstin)}` : ''
+            ].filter(Boolean).join('<br>');
+
+            const rows = lines.map((line, index) => `
+                <tr>
+                    <td>${index + 1}</td>
+                    <td>${escapeHtml(line.name)}</td>
+                    <td class="num">${line.quantity}</td>
+                    <td class="num">${money(line.price)}</td>
+                    <td class="num">${line.taxRate ? `${line.taxRate}%` : '—'}</td>
+                    <td class="num">${money(line.amount)}</td>
+                </tr>`).join('');
+
+            const totals = [
+                [this.t('invoice.subtotal'), money(order.subtotal !== undefined ? order.subtotal : order.total)],
+                order.discount > 0 ? [
+                    order.couponCode ? this.t('invoice.coupon', { code: order.couponCode }) : this.t('invoice.discount'),
+                    `-${money(order.discount)}`
+                ] : null,
+                order.deliveryType !== 'pickup' && order.deliveryCharge !== undefined ? [
+                    this.t('invoice.delivery'),
+                    order.deliveryCharge > 0 ? money(order.deliveryCharge) : escapeHtml(this.t('invoice.free'))
+                ] : null,
+                order.tax > 0 && !this.isTaxInclusive(order) ? [taxLabel, money(order.tax)] : null,
+                order.roundOff ? [this.t('invoice.roundOff'), money(order.roundOff)] : null
+            ].filter(Boolean).map(([label, value]) => `<tr><td>${escapeHtml(label)}</td><td class="num">${value}</td></tr>`).join('');
+
+            return `
+<div class="invoice" dir="${dir}">
+    <div class="invoice-header">
+        <div class="invoice-business">
+            ${business.logo ? `<img src="${escapeHtml(business.logo)}" alt="">` : ''}
+            <h2>${escapeHtml(business.name)}</h2>
+            <div class="invoice-muted">
+                ${[
+                    business.address ? escapeHtml(business.address).replace(/\n/g, '<br>') : '',
+                    business.phone ? `${escapeHtml(this.t('invoice.phone'))}: ${escapeHtml(business.phone)}` : '',
+                    business.email ? `${escapeHtml(this.t('invoice.email'))}: ${escapeHtml(business.email)}` : '',
+                    business.gstin ? `${escapeHtml(this.t('invoice.gstin'))}: ${escapeHtml(business.gstin)}` : ''
+                ].filter(Boolean).join('<br>')}
+            </div>
+        </div>
+        <div class="invoice-meta">
+            <h1>${escapeHtml(this.options.title || this.t('invoice.title'))}</h1>
+            <div>${escapeHtml(this.t('invoice.number'))}: <strong>${escapeHtml(invoiceNumber)}</strong></div>
+            ${order.orderId ? `<div>${escapeHtml(this.t('invoice.orderId'))}: ${escapeHtml(order.orderId)}</div>` : ''}
+            <div>${escapeHtml(this.t('invoice.date'))}: ${escapeHtml(this.formatDate(order.date || order.createdAt))}</div>
+        </div>
+    </div>
+
+    <div class="invoice-parties">
+        <div>
+            <h3>${escapeHtml(this.t('invoice.billTo'))}</h3>
+            ${customer}
+        </div>
+    </div>
+
+    <table class="invoice-items">
+        <thead>
+            <tr>
+                <th>#</th>
+                <th>${escapeHtml(this.t('invoice.item'))}</th>
+                <th class="num">${escapeHtml(this.t('invoice.quantity'))}</th>
+                <th class="num">${escapeHtml(this.t('invoice.rate'))}</th>
+                <th class="num">${escapeHtml(taxLabel)}</th>
+                <th class="num">${escapeHtml(this.t('invoice.amount'))}</th>
+            </tr>
+        </thead>
+        <tbody>${rows}
+        </tbody>
+    </table>
+
+    <table class="invoice-totals">
+        ${totals}
+        <tr class="invoice-grand"><td>${escapeHtml(this.t('invoice.total'))}</td><td class="num">${money(order.total)}</td></tr>
+        ${order.payment ? `<tr><td colspan="2" class="invoice-muted">${escapeHtml(order.payment.reference
+            ? this.t('invoice.paymentRef', { method: order.payment.label || order.payment.method, reference: order.payment.reference })
+            : this.t('invoice.paymentPending', { method: order.payment.label || order.payment.method }))}</td></tr>` : ''}
+    </table>
+
+    ${this.renderTaxBreakdown(breakdown, taxLabel, this.isTaxInclusive(order))}
+
+    <div class="invoice-footer">
+        <div>${escapeHtml(this.options.footer || this.t('invoice.footer'))}</div>
+        ${qrImage ? `
+        <div class="invoice-qr">
+            <img src="${qrImage}" alt="${escapeHtml(qrText)}">
+            ${escapeHtml(this.t(this.options.qr === 'upi' ? 'invoice.scanPay' : 'invoice.scanOrder'))}
+        </div>` : ''}
+    </div>
+</div>`;
+        }
+
+        renderTaxBreakdown(breakdown, taxLabel, inclusive) {
+            if (breakdown.rows.length === 0) return '';
+
+            const money = amount => escapeHtml(this.formatCurrency(amount));
+            const columns = breakdown.mode === 'cgst_sgst' ? ['CGST', 'SGST'] : breakdown.mode === 'igst' ? ['IGST'] : [];
+            const cells = row => breakdown.mode === 'cgst_sgst'
+                ? `<td class="num">${money(row.cgst)}</td><td class="num">${money(row.sgst)}</td>`
+                : breakdown.mode === 'igst' ? `<td class="num">${money(row.igst)}</td>` : '';
+
+            return `
+    <div class="invoice-tax">
+        <h3>${escapeHtml(this.t('invoice.taxSummary', { label: taxLabel }))}</h3>
+        <table>
+            <thead>
+                <tr>
+                    <th>${escapeHtml(this.t('invoice.taxRate'))}</th>
+                    <th class="num">${escapeHtml(this.t('invoice.taxableValue'))}</th>
+                    ${columns.map(name => `<th class="num">${name}</th>`).join('')}
+                    <th class="num">${escapeHtml(this.t('invoice.taxTotal'))}</th>
+                </tr>
+            </thead>
+            <tbody>
+                ${breakdown.rows.map(row => `<tr><td>${row.rate}%</td><td class="num">${money(row.taxable)}</td>${cells(row)}<td class="num">${money(row.tax)}</td></tr>`).join('')}
+            </tbody>
+        </table>
+        ${inclusive ? `<div class="invoice-muted">${escapeHtml(this.t('invoice.taxIncluded', { label: taxLabel }))}</div>` : ''}
+    </div>`;
+        }
+
+        /**
+         * Standalone HTML document (for print windows and downloads)
+         * @param {Object} [orderData]
+         * @param {Object} [options] - { autoPrint }
+         */
+        renderDocument(orderData, options = {}) {
+            const order = this.getOrder(orderData);
+            const lang = this.options.i18n ? this.options.i18n.getLocale() : 'en';
+            return `<!DOCTYPE html>
+<html lang="${escapeHtml(lang)}">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeHtml(this.t('invoice.title'))} ${escapeHtml(this.getInvoiceNumber(order))}</title>
+<style>${STYLES}</style>
+</head>
+<body>${this.render(order)}
+${options.autoPrint ? '<script>window.onload = function() { window.focus(); window.print(); };<\/script>' : ''}
+</body>
+</html>`;
+        }
+
+        /**
+         * Show the invoice in a page element with Print / Download buttons
+         * @param {string|HTMLElement} container - Selector or element
+         * @param {Object} [orderData]
+         * @returns {HTMLElement|null}
+         */
+        renderTo(container, orderData) {
+            const element = typeof container === 'string' ? document.querySelector(container) : container;
+            if (!element) {
+                console.error('InvoiceRenderer: Container not found:', container);
+                return null;
+            }
+
+            this.injectStyles();
+            const order = this.getOrder(orderData);
+
+            element.innerHTML = `
+                <div class="invoice-actions">
+                    <button type="button" data-invoice-action="print">${escapeHtml(this.t('invoice.print'))}</button>
+                    <button type="button" data-invoice-action="download">${escapeHtml(this.t('invoice.download'))}</button>
+                </div>
+                ${this.render(order)}`;
+
+            element.querySelector('[data-invoice-action="print"]').addEventListener('click', () => this.print(order));
+            element.querySelector('[data-invoice-action="download"]').addEventListener('click', () => this.download(order));
+            return element;
+        }
+
+        injectStyles() {
+            if (document.getElementById('invoice-styles')) return;
+            const style = document.createElement('style');
+            style.id = 'invoice-styles';
+            style.textContent = STYLES;
+            document.head.appendChild(style);
+        }
+
+        /**
+         * Open the invoice in a new window and show the print dialog (Save as PDF)
+         * @returns {boolean} false when the popup was blocked
+         */
+        print(orderData) {
+            const html = this.renderDocument(orderData, { autoPrint: true });
+            const printWindow = global.open('', '_blank');
+            if (!printWindow) {
+                console.error('InvoiceRenderer: Print window blocked');
+                return false;
+            }
+            printWindow.document.open();
+            printWindow.document.write(html);
+            printWindow.document.close();
+            return true;
+        }
+
+        /**
+         * Save the invoice as a standalone HTML file
+         * @param {Object} [orderData]
+         * @param {string} [filename] - Defaults to invoice-<number>.html
+         */
+        download(orderData, filename) {
+            const order = this.getOrder(orderData);
+            const blob = new Blob([this.renderDocument(order)], { type: 'text/html;charset=utf-8' });
+            const url = URL.createObjectURL(blob);
+
+            const link = document.createElement('a');
+            link.href = url;
+            link.download = filename || `invoice-${this.getInvoiceNumber(order).replace(/[^\w.-]+/g, '_')}.html`;
+            document.body.appendChild(link);
+            link.click();
+            document.body.removeChild(link);
+            setTimeout(() => URL.revokeObjectURL(url), 1000);
+        }
+    }
+
+    InvoiceRenderer.MESSAGES = INVOICE_MESSAGES;
+
+    // Export for different module systems
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = InvoiceRenderer;
+    } else if (typeof define === 'function' && define.amd) {
+        define(function() { return InvoiceRenderer; });
+    } else {
+        global.InvoiceRenderer = InvoiceRenderer;
+    }
+})(typeof window !== 'undefined' ? window : this);
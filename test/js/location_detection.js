@@ -10,14 +10,169 @@
  *   const locator = new LocationDetector({
  *     containerId: 'userLocation',
  *     defaultLocation: 'Mumbai, India',
- *     autoDetect: true
+ *     autoDetect: true,
+ *     i18n: i18n            // optional I18n instance for notifications and the modal
  *   });
  * </script>
+ *
+ * Geocoding providers:
+ * Each detection method (reverse, ip, pincode, zip) asks an ordered chain of
+ * providers; a provider with no match or an error hands over to the next.
+ *   new LocationDetector({
+ *     providers: { pincode: ['offline', 'indiapost'], ip: ['ipapi'] },
+ *     providerOptions: { indiapost: { timeout: 4000 }, nominatim: { rateLimit: { requests: 1, interval: 1000 } } },
+ *     pincodeData: '/data/pincodes.json',   // or { '620001': { district, state }, '641': { district, state } }
+ *     cacheTtl: 86400000
+ *   });
+ *   locator.registerProvider('pincode', 'mysheet', { lookup: async ({ pincode }) => ({ district, state }) });
+ * With pincodeData and providers.pincode = ['offline'], pincode lookups make no third-party calls.
  */
 
 (function(window) {
     'use strict';
 
+    // Built-in English text (translated through options.i18n)
+    const LOCATION_MESSAGES = {
+        'location.gpsUnsupported': 'Geolocation is not supported',
+        'location.detecting': 'Detecting your location...',
+        'location.detected': 'Location detected: {location}',
+        'location.detailsFailed': 'Could not get location details',
+        'location.detectionFailed': 'Location detection failed',
+        'location.permissionDenied': 'Location permission denied',
+        'location.unavailable': 'Location information unavailable',
+        'location.timeout': 'Location request timed out',
+        'location.invalidPincode': 'Please enter a valid 6-digit pincode',
+        'location.set': 'Location set to {location}',
+        'location.pincodeNotFound': 'Invalid pincode or no data found',
+        'location.pincodeFailed': 'Could not fetch location for this pincode',
+        'location.invalidZip': 'Invalid ZIP code',
+        'location.zipFailed': 'Could not fetch location for this ZIP code',
+        'location.invalidLocation': 'Please enter a valid location',
+        'location.updated': 'Location updated to {location}',
+        'location.modal.title': 'Select Your Location',
+        'location.modal.useGps': 'Use My Current Location (GPS)',
+        'location.modal.or': 'OR',
+        'location.modal.pincodePlaceholder': 'Enter 6-digit pincode',
+        'location.modal.manualPlaceholder': 'Enter city, state',
+        'location.modal.confirm': 'Confirm Location',
+        'location.modal.close': 'Close'
+    };
+
+    const MINUTE = 60 * 1000;
+
+    // Provider chains per detection method (options.providers overrides)
+    const DEFAULT_PROVIDERS = {
+        reverse: ['nominatim'],
+        ip: ['ipapi', 'ip-api'],
+        pincode: ['offline', 'indiapost'],
+        zip: ['zippopotam']
+    };
+
+    /**
+     * Built-in geocoding providers, by detection method
+     *   lookup(query, settings, detector) → { city, district, state, country, lat, lon, pincode, areas } or null
+     *   isAvailable(settings, detector) → null or a reason the provider is skipped
+     *   timeout / rateLimit { requests, interval }: defaults, overridden by options.providerOptions[name]
+     */
+    const PROVIDERS = {
+        reverse: {
+            nominatim: {
+                timeout: 8000,
+                rateLimit: { requests: 1, interval: 1000 }, // Nominatim usage policy
+                async lookup({ lat, lon, language }, settings, detector) {
+                    const data = await detector.fetchJson(
+                        `https://nominatim.openstreetmap.org/reverse?format=json&lat=${lat}&lon=${lon}&accept-language=${language}`,
+                        settings.timeout
+                    );
+                    const address = data && data.address;
+                    if (!address) return null;
+                    return {
+                        city: address.city || address.town || address.village || address.county || '',
+                        district: address.state_district || address.county || '',
+                        state: address.state || '',
+                        country: address.country || '',
+                        pincode: address.postcode || '',
+                        lat: lat,
+                        lon: lon
+                    };
+                }
+            }
+        },
+
+        ip: {
+            // 1000 requests/day free
+            ipapi: {
+                timeout: 5000,
+                async lookup(query, settings, detector) {
+                    const key = settings.apiKey || detector.config.ipApiKey;
+                    const data = await detector.fetchJson(`https://ipapi.co/json/${key ? `?key=${encodeURIComponent(key)}` : ''}`, settings.timeout);
+                    if (!data || !data.city || !data.region) return null;
+                    return { city: data.city, state: data.region, country: data.country_name, lat: data.latitude, lon: data.longitude, pincode: data.postal };
+                }
+            },
+            // Free tier is plain http only (blocked on https pages); https needs a pro key
+            'ip-api': {
+                timeout: 5000,
+                rateLimit: { requests: 45, interval: MINUTE },
+                isAvailable(settings) {
+                    return settings.apiKey || window.location.protocol !== 'https:' ? null : 'insecure';
+                },
+                async lookup(query, settings, detector) {
+                    const fields = 'status,message,country,regionName,city,lat,lon,zip';
+                    const url = settings.apiKey
+                        ? `https://pro.ip-api.com/json/?fields=${fields}&key=${encodeURIComponent(settings.apiKey)}`
+                        : `http://ip-api.com/json/?fields=${fields}`;
+                    const data = await detector.fetchJson(url, settings.timeout);
+                    if (!data || data.status !== 'success') return null;
+                    return { city: data.city, state: data.regionName, country: data.country, lat: data.lat, lon: data.lon, pincode: data.zip };
+                }
+            }
+        },
+
+        pincode: {
+            // options.pincodeData: no network call except loading a dataset URL once
+            offline: {
+                isAvailable(settings, detector) {
+                    return detector.config.pincodeData ? null : 'not_configured';
+                },
+                lookup({ pincode }, settings, detector) {
+                    return detector.lookupOfflinePincode(pincode);
+                }
+            },
+            // India Post API
+            indiapost: {
+                timeout: 6000,
+                async lookup({ pincode }, settings, detector) {
+                    const data = await detector.fetchJson(`https://api.postalpincode.in/pincode/${pincode}`, settings.timeout);
+                    if (!data || !data[0] || data[0].Status !== 'Success' || !data[0].PostOffice || data[0].PostOffice.length === 0) {
+                        return null;
+                    }
+                    const po = data[0].PostOffice[0];
+                    return {
+                        pincode: pincode,
+                        district: po.District,
+                        state: po.State,
+                        country: po.Country,
+                        areas: data[0].PostOffice.map(office => office.Name)
+                    };
+                }
+            }
+        },
+
+        zip: {
+            // Zippopotam.us (free, no key required)
+            zippopotam: {
+                timeout: 6000,
+                async lookup({ zip, country }, settings, detector) {
+                    const data = await detector.fetchJson(`https://api.zippopotam.us/${country}/${encodeURIComponent(zip)}`, settings.timeout);
+                    if (!data || !data.places || data.places.length === 0) return null;
+                    const place = data.places[0];
+                    return { city: place['place name'], state: place.state, country: data.country, pincode: zip };
+                }
+            }
+        }
+    };
+
     // ===================================
     // LOCATION DETECTOR CLASS
     // ===================================
@@ -30,7 +185,13 @@
                 storageKey: options.storageKey || 'userLocation',
                 showNotifications: options.showNotifications !== false,
                 ipApiKey: options.ipApiKey || null, // Optional: for premium IP services
-                language: options.language || 'en',
+                providers: { ...DEFAULT_PROVIDERS, ...(options.providers || {}) }, // method → ordered provider names
+                providerOptions: options.providerOptions || {}, // provider name → { timeout, rateLimit, apiKey }
+                pincodeData: options.pincodeData || null, // offline dataset (pincode or prefix → { district, state }) or its JSON URL
+                cacheTtl: options.cacheTtl !== undefined ? options.cacheTtl : 24 * 60 * MINUTE, // geocoding responses (IP lookups are never cached); 0 disables
+                cacheSize: options.cacheSize || 50,
+                language: options.language || null, // reverse geocoding language; defaults to the i18n locale, then 'en'
+                i18n: options.i18n || null,
                 onLocationChange: options.onLocationChange || null,
                 styles: options.styles || {}
             };
@@ -38,6 +199,25 @@
             this.currentLocation = null;
             this.coordinates = null;
             
+            // Provider registry (a copy, so registerProvider() stays per instance)
+            this.providers = {};
+            Object.keys(PROVIDERS).forEach(method => {
+                this.providers[method] = { ...PROVIDERS[method] };
+            });
+            this.requestLog = {}; // provider name → recent request times (rate limits)
+            this.pincodeIndex = null;
+            this.geocache = null;
+            
+            // Re-render an open modal in the new language
+            if (this.config.i18n) {
+                this.config.i18n.subscribe(() => {
+                    if (document.getElementById('locationDetectorModal')) {
+                        this.closeModal();
+                        this.showLocationModal();
+                    }
+                });
+            }
+            
             this.init();
         }
 
@@ -60,12 +240,12 @@
         async detectByGPS() {
             return new Promise((resolve, reject) => {
                 if (!navigator.geolocation) {
-                    this.notify('Geolocation is not supported', 'error');
+                    this.notify(this.t('location.gpsUnsupported'), 'error');
                     reject(new Error('Geolocation not supported'));
                     return;
                 }
 
-                this.notify('Detecting your location...', 'info');
+                this.notify(this.t('location.detecting'), 'info');
 
                 const options = {
                     enableHighAccuracy: true,
@@ -83,25 +263,25 @@
                         try {
                             const location = await this.reverseGeocode(lat, lon);
                             this.setLocation(location, { lat, lon });
-                            this.notify(`Location detected: ${location}`, 'success');
+                            this.notify(this.t('location.detected', { location }), 'success');
                             resolve(location);
                         } catch (error) {
-                            this.notify('Could not get location details', 'error');
+                            this.notify(this.t('location.detailsFailed'), 'error');
                             reject(error);
                         }
                     },
                     (error) => {
-                        let message = 'Location detection failed';
+                        let message = this.t('location.detectionFailed');
                         
                         switch(error.code) {
                             case error.PERMISSION_DENIED:
-                                message = 'Location permission denied';
+                                message = this.t('location.permissionDenied');
                                 break;
                             case error.POSITION_UNAVAILABLE:
-                                message = 'Location information unavailable';
+                                message = this.t('location.unavailable');
                                 break;
                             case error.TIMEOUT:
-                                message = 'Location request timed out';
+                                message = this.t('location.timeout');
                                 break;
                         }
                         
@@ -113,22 +293,19 @@
             });
         }
 
-        // Reverse geocoding using OpenStreetMap
+        // Reverse geocoding (providers.reverse, OpenStreetMap by default)
         async reverseGeocode(lat, lon) {
+            let place = null;
             try {
-                const response = await fetch(
-                    `https://nominatim.openstreetmap.org/reverse?format=json&lat=${lat}&lon=${lon}&accept-language=${this.config.language}`
-                );
-                const data = await response.json();
-                
-                const address = data.address;
-                const city = address.city || address.town || address.village || address.county || '';
-                const state = address.state || '';
-                
-                return `${city}, ${state}`.trim().replace(/^,\s*|,\s*$/g, '');
+                place = await this.geocode('reverse', { lat, lon, language: this.getLanguage() });
             } catch (error) {
+                console.warn('Reverse geocoding providers failed:', error.message);
+            }
+            
+            if (!place) {
                 throw new Error('Reverse geocoding failed');
             }
+            return this.formatPlace(place);
         }
 
         // ===================================
@@ -136,36 +313,16 @@
         // ===================================
         async detectByIP() {
             try {
-                // Primary: ipapi.co (1000 requests/day free)
-                const response = await fetch('https://ipapi.co/json/');
-                const data = await response.json();
+                // providers.ip in order: ipapi.co, then ip-api.com
+                const place = await this.geocode('ip');
                 
-                if (data.city && data.region) {
-                    const location = `${data.city}, ${data.region}`;
+                if (place) {
+                    const location = this.formatPlace(place);
                     this.setLocation(location, {
-                        lat: data.latitude,
-                        lon: data.longitude,
-                        country: data.country_name,
-                        postal: data.postal
-                    });
-                    return location;
-                }
-            } catch (error) {
-                console.warn('Primary IP detection failed, trying fallback...');
-            }
-
-            try {
-                // Fallback: ip-api.com (unlimited free for non-commercial)
-                const response = await fetch('http://ip-api.com/json/?fields=status,message,country,regionName,city,lat,lon,zip');
-                const data = await response.json();
-                
-                if (data.status === 'success') {
-                    const location = `${data.city}, ${data.regionName}`;
-                    this.setLocation(location, {
-                        lat: data.lat,
-                        lon: data.lon,
-                        country: data.country,
-                        postal: data.zip
+                        lat: place.lat,
+                        lon: place.lon,
+                        country: place.country,
+                        postal: place.pincode
                     });
                     return location;
                 }
@@ -184,81 +341,338 @@
         async detectByPincode(pincode) {
             // Validate pincode format
             if (!/^\d{6}$/.test(pincode)) {
-                this.notify('Please enter a valid 6-digit pincode', 'warning');
+                this.notify(this.t('location.invalidPincode'), 'warning');
                 return null;
             }
 
             try {
-                // India Post API
-                const response = await fetch(`https://api.postalpincode.in/pincode/${pincode}`);
-                const data = await response.json();
+                const details = await this.lookupPincode(pincode);
                 
-                if (data[0].Status === 'Success' && data[0].PostOffice.length > 0) {
-                    const po = data[0].PostOffice[0];
-                    const location = `${po.District}, ${po.State}`;
+                if (details) {
+                    const location = `${details.district}, ${details.state}`;
                     
                     this.setLocation(location, {
-                        pincode: pincode,
-                        district: po.District,
-                        state: po.State,
-                        country: po.Country
+                        pincode: details.pincode,
+                        district: details.district,
+                        state: details.state,
+                        country: details.country
                     });
                     
-                    this.notify(`Location set to ${location}`, 'success');
+                    this.notify(this.t('location.set', { location }), 'success');
                     return location;
                 } else {
-                    this.notify('Invalid pincode or no data found', 'error');
+                    this.notify(this.t('location.pincodeNotFound'), 'error');
                     return null;
                 }
             } catch (error) {
                 console.error('Pincode lookup failed:', error);
-                this.notify('Could not fetch location for this pincode', 'error');
+                this.notify(this.t('location.pincodeFailed'), 'error');
                 return null;
             }
         }
 
+        // Pincode details without changing the shown location (checkout addresses).
+        // Resolves null for an unknown pincode; rejects when a provider failed and none matched.
+        async lookupPincode(pincode) {
+            pincode = String(pincode || '').trim();
+            if (!/^\d{6}$/.test(pincode)) {
+                return null;
+            }
+
+            // providers.pincode in order: offline dataset, then the India Post API
+            const place = await this.geocode('pincode', { pincode });
+            if (!place) {
+                return null;
+            }
+
+            const details = {
+                pincode: pincode,
+                district: place.district || place.city,
+                state: place.state,
+                country: place.country || 'India',
+                areas: place.areas || []
+            };
+            // Centroid, when the provider knows it (e.g. an offline dataset with lat/lon)
+            if (place.lat !== null && place.lon !== null && isFinite(place.lat) && isFinite(place.lon)) {
+                details.lat = Number(place.lat);
+                details.lon = Number(place.lon);
+            }
+            return details;
+        }
+
         // Alternative: ZIP code lookup for international
         async detectByZipCode(zipCode, countryCode = 'US') {
             try {
-                // Using Zippopotam.us API (free, no key required)
-                const response = await fetch(`https://api.zippopotam.us/${countryCode}/${zipCode}`);
-                const data = await response.json();
+                // providers.zip (Zippopotam.us by default)
+                const place = await this.geocode('zip', { zip: String(zipCode).trim(), country: countryCode });
                 
-                if (data.places && data.places.length > 0) {
-                    const place = data.places[0];
-                    const location = `${place['place name']}, ${place.state}`;
+                if (place) {
+                    const location = this.formatPlace(place);
                     
                     this.setLocation(location, {
                         zipCode: zipCode,
-                        city: place['place name'],
+                        city: place.city,
                         state: place.state,
-                        country: data.country
+                        country: place.country
                     });
                     
-                    this.notify(`Location set to ${location}`, 'success');
+                    this.notify(this.t('location.set', { location }), 'success');
                     return location;
                 } else {
-                    this.notify('Invalid ZIP code', 'error');
+                    this.notify(this.t('location.invalidZip'), 'error');
                     return null;
                 }
             } catch (error) {
                 console.error('ZIP code lookup failed:', error);
-                this.notify('Could not fetch location for this ZIP code', 'error');
+                this.notify(this.t('location.zipFailed'), 'error');
                 return null;
             }
         }
 
+        // ===================================
+        // GEOCODING PROVIDERS
+        // ===================================
+
+        /**
+         * Add or replace a provider; it joins the end of the method's chain
+         * @param {string} method - 'reverse', 'ip', 'pincode' or 'zip'
+         * @param {string} name
+         * @param {Object} provider - { lookup(query, settings, detector), isAvailable?, timeout?, rateLimit? }
+         * @param {Object} [settings] - Same as options.providerOptions[name]
+         */
+        registerProvider(method, name, provider, settings) {
+            if (!provider || typeof provider.lookup !== 'function') {
+                throw new Error(`LocationDetector: Provider "${name}" needs lookup()`);
+            }
+            this.providers[method] = { ...(this.providers[method] || {}), [name]: provider };
+            
+            const chain = this.config.providers[method] || [];
+            if (!chain.includes(name)) {
+                this.config.providers[method] = [...chain, name];
+            }
+            if (settings) {
+                this.config.providerOptions[name] = settings;
+            }
+            return this;
+        }
+
+        /**
+         * Ask the method's providers in order, with caching
+         * @param {string} method - 'reverse', 'ip', 'pincode' or 'zip'
+         * @param {Object} [query] - { lat, lon, language } / {} / { pincode } / { zip, country }
+         * @returns {Promise<Object|null>} First match (with .provider); null when every provider found nothing.
+         *   Rejects with the last error when a provider failed and none matched.
+         */
+        async geocode(method, query = {}) {
+            // The IP answer changes with the network (Wi-Fi, mobile data, VPN): never persist it
+            const cacheKey = method === 'ip' ? null : `${method}:${JSON.stringify(query)}`;
+            const cached = cacheKey ? this.getCached(cacheKey) : undefined;
+            if (cached !== undefined) {
+                return cached;
+            }
+
+            let lastError = null;
+            for (const name of this.config.providers[method] || []) {
+                const provider = (this.providers[method] || {})[name];
+                if (!provider) {
+                    console.warn(`LocationDetector: Unknown ${method} provider "${name}"`);
+                    continue;
+                }
+
+                const settings = this.getProviderSettings(name, provider);
+                if (provider.isAvailable && provider.isAvailable(settings, this)) {
+                    continue;
+                }
+                if (!this.takeRequest(name, settings.rateLimit)) {
+                    lastError = new Error(`LocationDetector: ${name} rate limit reached`);
+                    continue;
+                }
+
+                try {
+                    const result = await provider.lookup(query, settings, this);
+                    if (result) {
+                        const place = { ...result, provider: name };
+                        this.setCached(cacheKey, place);
+                        return place;
+                    }
+                } catch (error) {
+                    lastError = error;
+                    console.warn(`LocationDetector: ${name} ${method} lookup failed:`, error.message);
+                }
+            }
+
+            if (lastError) {
+                throw lastError;
+            }
+            // Every provider answered: remember the miss too
+            this.setCached(cacheKey, null);
+            return null;
+        }
+
+        getProviderSettings(name, provider) {
+            return {
+                timeout: provider.timeout || 8000,
+                rateLimit: provider.rateLimit || null,
+                ...(this.config.providerOptions[name] || {})
+            };
+        }
+
+        // Sliding-window rate limit per provider; false when the provider sits this request out
+        takeRequest(name, rateLimit) {
+            if (!rateLimit || !rateLimit.requests) {
+                return true;
+            }
+
+            const now = Date.now();
+            const recent = (this.requestLog[name] || []).filter(time => now - time < (rateLimit.interval || MINUTE));
+            const allowed = recent.length < rateLimit.requests;
+            if (allowed) {
+                recent.push(now);
+            }
+            this.requestLog[name] = recent;
+            return allowed;
+        }
+
+        // JSON GET with a timeout; 404 means "no match"
+        async fetchJson(url, timeout = 8000) {
+            const controller = new AbortController();
+            const timeoutId = setTimeout(() => controller.abort(), timeout);
+            
+            try {
+                const response = await fetch(url, { signal: controller.signal });
+                if (response.status === 404) {
+                    return null;
+                }
+                if (!response.ok) {
+                    throw new Error(`HTTP ${response.status}`);
+                }
+                return await response.json();
+            } catch (error) {
+                if (error.name === 'AbortError') {
+                    throw new Error(`Request timed out after ${timeout}ms`);
+                }
+                throw error;
+            } finally {
+                clearTimeout(timeoutId);
+            }
+        }
+
+        // "City, State" (either part may be missing)
+        formatPlace(place) {
+            return `${place.city || place.district || ''}, ${place.state || ''}`.trim().replace(/^,\s*|,\s*$/g, '');
+        }
+
+        // ===================================
+        // OFFLINE PINCODE DATASET
+        // ===================================
+
+        /**
+         * options.pincodeData as a lookup table
+         * Keys are full pincodes or prefixes ('641' covers 641001-641999); values are
+         * { district, state, country?, areas?, lat?, lon? }. Rows ([{ pincode, district, state }]) work too.
+         * A string is fetched once as JSON (serve it from your own site).
+         */
+        loadPincodeData() {
+            if (!this.pincodeIndex) {
+                this.pincodeIndex = Promise.resolve(this.config.pincodeData)
+                    .then(data => (typeof data === 'string' ? this.fetchJson(data, 10000) : data))
+                    .then(data => {
+                        const index = {};
+                        const entries = Array.isArray(data)
+                            ? data.map(row => [row && (row.pincode || row.prefix), row])
+                            : Object.entries(data || {});
+                        
+                        entries.forEach(([code, entry]) => {
+                            code = String(code || '').trim();
+                            if (/^\d{1,6}$/.test(code) && entry && entry.state) {
+                                index[code] = {
+                                    district: entry.district || entry.city || '',
+                                    state: entry.state,
+                                    country: entry.country || 'India',
+                                    areas: entry.areas || [],
+                                    lat: entry.lat !== undefined ? entry.lat : null,
+                                    lon: entry.lon !== undefined ? entry.lon : null
+                                };
+                            }
+                        });
+                        return index;
+                    })
+                    .catch(error => {
+                        this.pincodeIndex = null; // try again next time
+                        throw error;
+                    });
+            }
+            return this.pincodeIndex;
+        }
+
+        // Exact pincode, then the longest prefix
+        async lookupOfflinePincode(pincode) {
+            const index = await this.loadPincodeData();
+            for (let length = 6; length >= 1; length--) {
+                const entry = index[pincode.slice(0, length)];
+                if (entry) {
+                    return { ...entry, pincode: pincode };
+                }
+            }
+            return null;
+        }
+
+        // ===================================
+        // GEOCODING CACHE
+        // ===================================
+        getCached(key) {
+            if (!this.config.cacheTtl || !key) return undefined;
+            
+            const entry = this.readCache()[key];
+            return entry && Date.now() - entry.time < this.config.cacheTtl ? entry.value : undefined;
+        }
+
+        setCached(key, value) {
+            if (!this.config.cacheTtl || !key) return;
+            
+            const cache = this.readCache();
+            cache[key] = { time: Date.now(), value: value };
+            
+            // Keep the newest entries
+            Object.keys(cache)
+                .sort((a, b) => cache[b].time - cache[a].time)
+                .slice(this.config.cacheSize)
+                .forEach(old => delete cache[old]);
+            
+            try {
+                localStorage.setItem(this.config.storageKey + '_geocache', JSON.stringify(cache));
+            } catch (e) {}
+        }
+
+        readCache() {
+            if (!this.geocache) {
+                try {
+                    this.geocache = JSON.parse(localStorage.getItem(this.config.storageKey + '_geocache')) || {};
+                } catch (e) {
+                    this.geocache = {};
+                }
+            }
+            return this.geocache;
+        }
+
+        clearGeocodeCache() {
+            this.geocache = {};
+            try {
+                localStorage.removeItem(this.config.storageKey + '_geocache');
+            } catch (e) {}
+        }
+
         // ===================================
         // METHOD 4: MANUAL ENTRY
         // ===================================
         setManualLocation(locationString) {
             if (!locationString || locationString.trim() === '') {
-                this.notify('Please enter a valid location', 'warning');
+                this.notify(this.t('location.invalidLocation'), 'warning');
                 return false;
             }
 
             this.setLocation(locationString.trim());
-            this.notify(`Location updated to ${locationString}`, 'success');
+            this.notify(this.t('location.updated', { location: locationString }), 'success');
             return true;
         }
 
@@ -348,6 +762,26 @@
             }
         }
 
+        // Translated text (built-in English without options.i18n)
+        t(key, params = {}) {
+            if (typeof window.ShopUtils !== 'undefined') {
+                return window.ShopUtils.translate(this.config.i18n, LOCATION_MESSAGES, key, params);
+            }
+
+            // Pages without shop_utils.js
+            const message = LOCATION_MESSAGES[key];
+            if (this.config.i18n) {
+                return this.config.i18n.t(key, params, { default: message });
+            }
+            return String(message === undefined ? key : message).replace(/\{(\w+)\}/g, (match, name) => (name in params ? params[name] : match));
+        }
+
+        // Language for reverse-geocoded place names
+        getLanguage() {
+            if (this.config.language) return this.config.language;
+            return this.config.i18n ? this.config.i18n.getLocale() : 'en';
+        }
+
         notify(message, type = 'info') {
             if (!this.config.showNotifications) return;
 
@@ -383,30 +817,31 @@
         showLocationModal() {
             const modal = document.createElement('div');
             modal.id = 'locationDetectorModal';
+            if (this.config.i18n) modal.setAttribute('dir', this.config.i18n.getDirection());
             modal.innerHTML = `
                 <div class="location-modal-overlay">
                     <div class="location-modal-content">
-                        <button class="location-modal-close" onclick="locationDetectorInstance.closeModal()">&times;</button>
-                        <h3>Select Your Location</h3>
+                        <button class="location-modal-close" onclick="locationDetectorInstance.closeModal()" aria-label="${this.t('location.modal.close')}">&times;</button>
+                        <h3>${this.t('location.modal.title')}</h3>
                         
                         <button class="location-btn location-btn-primary" onclick="locationDetectorInstance.detectByGPS().then(() => locationDetectorInstance.closeModal()).catch(() => {})">
-                            <i class="fas fa-crosshairs"></i> Use My Current Location (GPS)
+                            <i class="fas fa-crosshairs"></i> ${this.t('location.modal.useGps')}
                         </button>
                         
-                        <div class="location-divider">OR</div>
+                        <div class="location-divider">${this.t('location.modal.or')}</div>
                         
                         <div class="location-input-group">
-                            <input type="text" id="pincodeInput" placeholder="Enter 6-digit pincode" maxlength="6" class="location-input"/>
+                            <input type="text" id="pincodeInput" placeholder="${this.t('location.modal.pincodePlaceholder')}" maxlength="6" class="location-input"/>
                             <button class="location-btn location-btn-secondary" onclick="locationDetectorInstance.detectByPincode(document.getElementById('pincodeInput').value).then(() => locationDetectorInstance.closeModal())">
                                 <i class="fas fa-search"></i>
                             </button>
                         </div>
                         
-                        <div class="location-divider">OR</div>
+                        <div class="location-divider">${this.t('location.modal.or')}</div>
                         
-                        <input type="text" id="manualLocationInput" placeholder="Enter city, state" class="location-input" value="${this.currentLocation || ''}"/>
+                        <input type="text" id="manualLocationInput" placeholder="${this.t('location.modal.manualPlaceholder')}" class="location-input" value="${this.currentLocation || ''}"/>
                         <button class="location-btn location-btn-success" onclick="locationDetectorInstance.setManualLocation(document.getElementById('manualLocationInput').value); locationDetectorInstance.closeModal()">
-                            <i class="fas fa-check"></i> Confirm Location
+                            <i class="fas fa-check"></i> ${this.t('location.modal.confirm')}
                         </button>
                     </div>
                 </div>
@@ -0,0 +1,552 @@
+/**
+ * OfflineOutbox.js v1.0.0
+ * IndexedDB-backed outbox for write requests that fail on flaky networks.
+ * Failed calls (orders, GSRCDN.addData/updateData/deleteData, SecureSheets
+ * POSTs) are stored and replayed in the background with exponential
+ * backoff. Each replay goes back through the client method, so a fresh
+ * timestamp, nonce, CSRF token and HMAC signature are generated every time.
+ * (c) 2025
+ * MIT License
+ *
+ * Usage:
+ * const outbox = new OfflineOutbox();
+ * await outbox.init();
+ * outbox.attach('GSRCDN', GSRCDN, ['addData', 'updateData', 'deleteData']);
+ * outbox.on('status', status => updateBadge(status.pending));
+ *
+ * // Or pass it to OrderSubmitter: new OrderSubmitter({ outbox })
+ *
+ * Events: 'queued', 'sent', 'retry', 'failed', 'status'
+ * (also dispatched on window as 'outbox:<event>' CustomEvents)
+ */
+
+(function(global) {
+    'use strict';
+
+    // Fields the client adds to a request body per attempt; never replay stale ones
+    const SIGNED_FIELDS = ['token', 'timestamp', 'nonce', 'signature', 'csrf-token'];
+    const RAW_REQUEST_METHODS = ['makeRequest', 'makePostRequest', 'postData'];
+
+    // Untyped errors (clients without error.retryable): only a fetch that never got an answer is retried
+    const NETWORK_MESSAGE = /timeout|failed to fetch|networkerror|network request failed|load failed|HTTP error! Status: (5\d\d|0|408|429)/i;
+
+    class OfflineOutbox {
+        constructor(options = {}) {
+            this.options = {
+                dbName: options.dbName || 'scart_outbox',
+                storeName: options.storeName || 'requests',
+                baseDelay: options.baseDelay || 5000,
+                maxDelay: options.maxDelay || 5 * 60 * 1000,
+                maxAttempts: options.maxAttempts || 20,
+                pollInterval: options.pollInterval || 30000,
+                autoReplay: options.autoReplay !== false,
+                debug: options.debug || false
+            };
+
+            this.entries = new Map(); // In-memory mirror of the store
+            this.clients = new Map(); // name -> { client, methods: { method: originalFn } }
+            this.listeners = {};
+            this.db = null;
+            this.replaying = false;
+            this.timer = null;
+            this.ready = null;
+
+            if (typeof global.SecureSheets !== 'undefined') this.registerClient('SecureSheets', global.SecureSheets);
+            if (typeof global.GSRCDN !== 'undefined') this.registerClient('GSRCDN', global.GSRCDN);
+        }
+
+        /**
+         * Open the store, load pending entries and start background replay
+         * @returns {Promise<OfflineOutbox>}
+         */
+        init() {
+            if (this.ready) return this.ready;
+
+            this.ready = this.openDatabase()
+                .then(db => {
+                    this.db = db;
+                    return this.readAll();
+                })
+                .catch(error => {
+                    console.warn('OfflineOutbox: IndexedDB unavailable, queue will not survive reloads:', error);
+                    this.db = null;
+                    return [];
+                })
+                .then(entries => {
+                    entries.forEach(entry => this.entries.set(entry.id, entry));
+                    this.log('Loaded', entries.length, 'queued requests');
+
+                    if (this.options.autoReplay) this.start();
+                    this.emitStatus();
+                    return this;
+                });
+
+            return this.ready;
+        }
+
+        // ============================================
+        // CLIENTS
+        // ============================================
+
+        /**
+         * Register a client object (SecureSheets, GSRCDN, ...) that queued
+         * entries can be replayed through
+         */
+        registerClient(name, client) {
+            if (!this.clients.has(name)) {
+                this.clients.set(name, { client, methods: {} });
+            } else {
+                this.clients.get(name).client = client;
+            }
+            return this;
+        }
+
+        /**
+         * Wrap write methods so network failures are queued instead of thrown.
+         * Wrapped calls resolve with { status: 'queued', queued: true, idempotencyKey }.
+         * @param {string} name - Client name
+         * @param {Object} client - Client object
+         * @param {Array<string>} methods - Method names to wrap
+         */
+        attach(name, client, methods = ['addData', 'updateData', 'deleteData']) {
+            this.registerClient(name, client);
+            const registry = this.clients.get(name);
+
+            methods.forEach(method => {
+                if (typeof client[method] !== 'function' || registry.methods[method]) return;
+
+                const original = client[method];
+                registry.methods[method] = original;
+
+                client[method] = (...args) => this.send(name, method, args);
+            });
+
+            return this;
+        }
+
+        /**
+         * Restore wrapped methods
+         */
+        detach(name) {
+            const registry = this.clients.get(name);
+            if (!registry) return this;
+
+            Object.keys(registry.methods).forEach(method => {
+                registry.client[method] = registry.methods[method];
+            });
+            registry.methods = {};
+            return this;
+        }
+
+        /**
+         * Call a client method now; queue it if the network fails
+         * @param {string} clientName - Registered client name
+         * @param {string} method - Method name
+         * @param {Array} args - Method arguments (must be JSON-serialisable)
+         * @param {Object} [options]
+         * @param {string} [options.idempotencyKey] - De-duplication key
+         * @returns {Promise<Object>} Client response, or a queued marker
+         */
+        async send(clientName, method, args = [], options = {}) {
+            const snapshot = this.cloneArgs(args);
+            const key = options.idempotencyKey || this.createKey(clientName, method, snapshot);
+
+            if (this.entries.has(key)) {
+                this.log('Already queued:', key);
+                return { status: 'queued', queued: true, idempotencyKey: key };
+            }
+
+            if (!this.isOnline()) {
+                await this.enqueue({ id: key, client: clientName, method, args: snapshot });
+                return { status: 'queued', queued: true, idempotencyKey: key };
+            }
+
+            try {
+                const response = await this.invoke(clientName, method, this.cloneArgs(snapshot));
+
+                // The server's answer is final unless the client says it's worth another try
+                const failure = this.toError(clientName, response);
+                if (!failure || !this.isRetryable(failure)) return response;
+
+                await this.enqueue({ id: key, client: clientName, method, args: snapshot, lastError: this.describeError(failure) });
+                return { status: 'queued', queued: true, idempotencyKey: key };
+            } catch (error) {
+                if (!this.isRetryable(error)) throw error;
+
+                await this.enqueue({ id: key, client: clientName, method, args: snapshot, lastError: this.describeError(error) });
+                return { status: 'queued', queued: true, idempotencyKey: key };
+            }
+        }
+
+        // ============================================
+        // QUEUE
+        // ============================================
+
+        /**
+         * Add a request to the outbox (ignored if the key is already queued)
+         * @param {Object} request - { id, client, method, args, lastError? }
+         * @returns {Promise<Object>} Stored entry
+         */
+        async enqueue(request) {
+            await this.init();
+
+            const existing = this.entries.get(request.id);
+            if (existing) return existing;
+
+            const entry = {
+                id: request.id,
+                client: request.client,
+                method: request.method,
+                args: this.stripSigned(request.method, request.args),
+                status: 'pending',
+                attempts: 0,
+                createdAt: Date.now(),
+                nextAttemptAt: Date.now() + this.options.baseDelay,
+                lastError: request.lastError || null
+            };
+
+            this.entries.set(entry.id, entry);
+            await this.persist(entry);
+
+            this.log('Queued', entry.id);
+            this.emit('queued', entry);
+            this.emitStatus();
+            return entry;
+        }
+
+        /**
+         * Replay every due entry
+         * @param {boolean} [force=false] - Ignore backoff timers
+         * @returns {Promise<Object>} Status after the run
+         */
+        async replay(force = false) {
+            await this.init();
+            if (this.replaying || !this.isOnline()) return this.getStatus();
+
+            this.replaying = true;
+            this.emitStatus();
+
+            const now = Date.now();
+            const due = Array.from(this.entries.values())
+                .filter(entry => entry.status === 'pending' && (force || entry.nextAttemptAt <= now))
+                .sort((a, b) => a.createdAt - b.createdAt);
+
+            for (const entry of due) {
+                await this.replayEntry(entry);
+                if (!this.isOnline()) break;
+            }
+
+            this.replaying = false;
+            this.emitStatus();
+            return this.getStatus();
+        }
+
+        async replayEntry(entry) {
+            entry.attempts++;
+
+            try {
+                const response = await this.invoke(entry.client, entry.method, this.stripSigned(entry.method, entry.args));
+
+                // { status: 'error' } is a rejection, not a delivery
+                const failure = this.toError(entry.client, response);
+                if (failure) throw failure;
+
+                this.entries.delete(entry.id);
+                await this.remove(entry.id);
+
+                this.log('Replayed', entry.id);
+                this.emit('sent', { entry, response });
+
+            } catch (error) {
+                entry.lastError = this.describeError(error);
+
+                if (!this.isRetryable(error) || entry.attempts >= this.options.maxAttempts) {
+                    entry.status = 'failed';
+                    this.log('Giving up on', entry.id, entry.lastError);
+                    this.emit('failed', { entry, error });
+                } else {
+                    entry.nextAttemptAt = Date.now() + this.getBackoff(entry.attempts);
+                    this.log(`Retry ${entry.attempts} for ${entry.id} at ${new Date(entry.nextAttemptAt).toLocaleTimeString()}`);
+                    this.emit('retry', { entry, error });
+                }
+
+                await this.persist(entry);
+            }
+        }
+
+        /**
+         * Exponential backoff with jitter
+         */
+        getBackoff(attempts) {
+            const delay = Math.min(this.options.maxDelay, this.options.baseDelay * Math.pow(2, attempts - 1));
+            return Math.round(delay / 2 + Math.random() * delay / 2);
+        }
+
+        /**
+         * Move failed entries back to pending
+         */
+        async retryFailed() {
+            const failed = Array.from(this.entries.values()).filter(entry => entry.status === 'failed');
+            for (const entry of failed) {
+                entry.status = 'pending';
+                entry.attempts = 0;
+                entry.nextAttemptAt = Date.now();
+                await this.persist(entry);
+            }
+            return this.replay(true);
+        }
+
+        /**
+         * Drop an entry without sending it
+         */
+        async discard(id) {
+            this.entries.delete(id);
+            await this.remove(id);
+            this.emitStatus();
+        }
+
+        /**
+         * Queued entries (copies)
+         */
+        getEntries() {
+            return Array.from(this.entries.values()).map(entry => ({ ...entry }));
+        }
+
+        /**
+         * Queue status for UI badges
+         */
+        getStatus() {
+            const entries = Array.from(this.entries.values());
+            return {
+                online: this.isOnline(),
+                replaying: this.replaying,
+                pending: entries.filter(entry => entry.status === 'pending').length,
+                failed: entries.filter(entry => entry.status === 'failed').length,
+                total: entries.length,
+                nextAttemptAt: entries
+                    .filter(entry => entry.status === 'pending')
+                    .reduce((min, entry) => Math.min(min, entry.nextAttemptAt), Infinity)
+            };
+        }
+
+        /**
+         * Start background replay (online event + polling)
+         */
+        start() {
+            if (this.timer) return this;
+
+            this.handleOnline = () => {
+                this.emitStatus();
+                this.replay(true);
+            };
+            this.handleOffline = () => this.emitStatus();
+
+            if (typeof global.addEventListener === 'function') {
+                global.addEventListener('online', this.handleOnline);
+                global.addEventListener('offline', this.handleOffline);
+            }
+
+            this.timer = setInterval(() => this.replay(), this.options.pollInterval);
+            this.replay();
+            return this;
+        }
+
+        /**
+         * Stop background replay
+         */
+        stop() {
+            if (this.timer) {
+                clearInterval(this.timer);
+                this.timer = null;
+            }
+            if (typeof global.removeEventListener === 'function' && this.handleOnline) {
+                global.removeEventListener('online', this.handleOnline);
+                global.removeEventListener('offline', this.handleOffline);
+            }
+            return this;
+        }
+
+        // ============================================
+        // EVENTS
+        // ============================================
+
+        on(event, handler) {
+            (this.listeners[event] = this.listeners[event] || []).push(handler);
+            return () => this.off(event, handler);
+        }
+
+        off(event, handler) {
+            if (!this.listeners[event]) return;
+            this.listeners[event] = this.listeners[event].filter(h => h !== handler);
+        }
+
+        emit(event, detail) {
+            (this.listeners[event] || []).forEach(handler => {
+                try {
+                    handler(detail);
+                } catch (error) {
+                    console.error('OfflineOutbox: Listener error:', error);
+                }
+            });
+
+            if (typeof global.dispatchEvent === 'function' && typeof global.CustomEvent === 'function') {
+                global.dispatchEvent(new CustomEvent(`outbox:${event}`, { detail }));
+            }
+        }
+
+        emitStatus() {
+            this.emit('status', this.getStatus());
+        }
+
+        // ============================================
+        // HELPERS
+        // ============================================
+
+        async invoke(clientName, method, args) {
+            const registry = this.clients.get(clientName);
+            if (!registry) {
+                throw new Error(`OfflineOutbox: Unknown client "${clientName}". Call registerClient() first.`);
+            }
+
+            const fn = registry.methods[method] || registry.client[method];
+            if (typeof fn !== 'function') {
+                throw new Error(`OfflineOutbox: ${clientName}.${method} is not a function`);
+            }
+
+            return fn.apply(registry.client, args);
+        }
+
+        isOnline() {
+            return typeof navigator === 'undefined' || navigator.onLine !== false;
+        }
+
+        /**
+         * Whether a failed call is worth replaying: the typed error.retryable
+         * from SecureSheets / GSRCDN (network, timeout, rate limit, checksum),
+         * else only "didn't reach the server"
+         */
+        isRetryable(error) {
+            if (!error) return false;
+            if (!this.isOnline()) return true;
+            if (typeof error.retryable === 'boolean') return error.retryable;
+            if (error.name === 'AbortError') return true;
+            return NETWORK_MESSAGE.test(error.message || '');
+        }
+
+        /**
+         * Error for a resolved error response ({ status: 'error' } / { success: false }), else null
+         */
+        toError(clientName, response) {
+            if (!response || typeof response !== 'object' ||
+                (response.status !== 'error' && !response.error && response.success !== false)) {
+                return null;
+            }
+
+            const registry = this.clients.get(clientName);
+            const typed = registry && typeof registry.client.toError === 'function' ? registry.client.toError(response) : null;
+            if (typed) return typed;
+
+            const error = new Error(response.message || response.error || `${clientName} rejected the request`);
+            error.code = response.code || 'REQUEST_REJECTED';
+            error.retryable = false;
+            error.serverResponse = response;
+            return error;
+        }
+
+        describeError(error) {
+            return { message: error.message, code: error.code || null, at: new Date().toISOString() };
+        }
+
+        cloneArgs(args) {
+            return JSON.parse(JSON.stringify(args || []));
+        }
+
+        stripSigned(method, args) {
+            const copy = this.cloneArgs(args);
+            const body = copy[0];
+            if (RAW_REQUEST_METHODS.includes(method) && body && typeof body === 'object' && !Array.isArray(body)) {
+                SIGNED_FIELDS.forEach(field => delete body[field]);
+            }
+            return copy;
+        }
+
+        /**
+         * Stable key from the call itself, so double-taps don't queue twice
+         */
+        createKey(clientName, method, args) {
+            const first = args[0];
+            if (first && typeof first === 'object' && (first.idempotencyKey || first.orderId)) {
+                return String(first.idempotencyKey || first.orderId);
+            }
+
+            const input = `${clientName}.${method}:${JSON.stringify(this.stripSigned(method, args))}`;
+            let hash = 5381;
+            for (let i = 0; i < input.length; i++) {
+                hash = ((hash << 5) + hash + input.charCodeAt(i)) | 0;
+            }
+            return `${clientName}.${method}.${(hash >>> 0).toString(36)}`;
+        }
+
+        // ============================================
+        // INDEXEDDB
+        // ============================================
+
+        openDatabase() {
+            return new Promise((resolve, reject) => {
+                if (typeof indexedDB === 'undefined') {
+                    reject(new Error('indexedDB is not supported'));
+                    return;
+                }
+
+                const request = indexedDB.open(this.options.dbName, 1);
+                request.onupgradeneeded = () => {
+                    const db = request.result;
+                    if (!db.objectStoreNames.contains(this.options.storeName)) {
+                        db.createObjectStore(this.options.storeName, { keyPath: 'id' });
+                    }
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
+        }
+
+        transaction(mode, operation) {
+            if (!this.db) return Promise.resolve(null);
+
+            return new Promise((resolve, reject) => {
+                const tx = this.db.transaction(this.options.storeName, mode);
+                const request = operation(tx.objectStore(this.options.storeName));
+                tx.oncomplete = () => resolve(request ? request.result : null);
+                tx.onerror = () => reject(tx.error);
+            }).catch(error => {
+                console.warn('OfflineOutbox: IndexedDB write failed:', error);
+                return null;
+            });
+        }
+
+        readAll() {
+            return this.transaction('readonly', store => store.getAll()).then(result => result || []);
+        }
+
+        persist(entry) {
+            return this.transaction('readwrite', store => store.put(entry));
+        }
+
+        remove(id) {
+            return this.transaction('readwrite', store => store.delete(id));
+        }
+
+        log(...args) {
+            if (this.options.debug) console.log('OfflineOutbox:', ...args);
+        }
+    }
+
+    // Export for different module systems
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = OfflineOutbox;
+    } else if (typeof define === 'function' && define.amd) {
+        define(function() { return OfflineOutbox; });
+    } else {
+        global.OfflineOutbox = OfflineOutbox;
+    }
+})(typeof window !== 'undefined' ? window : this);
@@ -0,0 +1,413 @@
+/**
+ * OrderDispatcher.js v1.0.0
+ * Send an order through whichever channel works on the customer's device:
+ * WhatsApp, Telegram, SMS, email or a webhook. The message comes from
+ * WhatsAppBilling's templates; each channel converts the markup it can't
+ * show (*bold* → **bold** for Telegram, plain text for SMS and email).
+ * When a channel is unavailable (not configured, SMS on a desktop, webhook
+ * offline, mailto too long) or fails, the next one in fallbackOrder is tried.
+ * (c) 2025
+ * MIT License
+ *
+ * Dependencies:
+ * - WhatsAppBilling (whatsapp_order_billing.js) for pricing, validation and templates
+ * - WhatsAppTemplateEngine (whatsapp_template_engine.js) for markup conversion
+ *
+ * Usage:
+ * const dispatcher = new OrderDispatcher({
+ *     billing: billing,
+ *     channels: {
+ *         whatsapp: {},                                   // billing.config.whatsappNumber
+ *         telegram: { username: 'myshop' },
+ *         sms: { number: '+919800000000', template: 'minimal' },
+ *         email: { to: 'orders@myshop.in', subject: 'Order {{orderNumber}} from {{name}}' },
+ *         webhook: { url: '/api/order-relay' }             // your server; it adds the real hook's credentials
+ *     },
+ *     fallbackOrder: ['whatsapp', 'telegram', 'sms', 'email', 'webhook']
+ * });
+ * const result = await dispatcher.dispatch(orderData, { channel: 'telegram' });
+ * // { success, channel, url | response, attempts: [{ channel, status, reason }] }
+ *
+ * Or let billing.placeOrder() use it: new WhatsAppBilling({ dispatcher });
+ *
+ * The webhook request is sent from the customer's browser, so anything in
+ * channels.webhook (URL, headers) is public. Never put API tokens there:
+ * post to a relay on your own server that forwards to the real hook.
+ *
+ * Custom channels: dispatcher.registerChannel('slack', { type: 'request', markup: 'plain', send, isAvailable })
+ */
+
+(function(global) {
+    'use strict';
+
+    /**
+     * Built-in channels
+     *   type: 'url' (opened in a window) or 'request' (sent in the background)
+     *   markup: how WhatsApp markup is converted (see WhatsAppTemplateEngine.convertMarkup)
+     *   isAvailable(config, device, dispatcher) → null or a reason string
+     *   buildUrl(message, config, context) / send(message, config, context)
+     */
+    const CHANNELS = {
+        whatsapp: {
+            type: 'url',
+            markup: 'whatsapp',
+            isAvailable(config, device, dispatcher) {
+                return config.number || dispatcher.billing.config.whatsappNumber ? null : 'not_configured';
+            },
+            buildUrl(message, config, context) {
+                const billing = context.dispatcher.billing;
+                const branch = context.orderData.branch;
+                // A branch's own number (StoreLocator) wins over the channel's
+                if (!config.number || (branch && branch.whatsappNumber)) {
+                    return billing.buildWhatsAppUrl(message, billing.getWhatsAppNumber(context.orderData));
+                }
+
+                let number = String(config.number).replace(/\D/g, '');
+                const countryCode = config.countryCode || billing.config.countryCode;
+                if (countryCode && !number.startsWith(countryCode)) number = countryCode + number;
+                return `https://wa.me/${number}?text=${encode(message)}`;
+            }
+        },
+
+        telegram: {
+            type: 'url',
+            markup: 'telegram',
+            isAvailable(config) {
+                return config.username || config.shareUrl ? null : 'not_configured';
+            },
+            buildUrl(message, config) {
+                if (config.username) {
+                    return `https://t.me/${String(config.username).replace(/^@/, '')}?text=${encode(message)}`;
+                }
+                return `https://t.me/share/url?url=${encode(config.shareUrl)}&text=${encode(message)}`;
+            }
+        },
+
+        sms: {
+            type: 'url',
+            markup: 'plain',
+            isAvailable(config, device) {
+                if (!config.number) return 'not_configured';
+                return device.mobile || config.allowDesktop ? null : 'desktop';
+            },
+            buildUrl(message, config, context) {
+                const number = String(config.number).replace(/[^\d+]/g, '');
+                // iOS wants sms:123&body=, everyone else sms:123?body=
+                const separator = context.device.ios ? '&' : '?';
+                return `sms:${number}${separator}body=${encode(message)}`;
+            }
+        },
+
+        email: {
+            type: 'url',
+            markup: 'plain',
+            maxUrlLength: 2000, // mail clients drop longer mailto: links
+            isAvailable(config) {
+                return config.to ? null : 'not_configured';
+            },
+            buildUrl(message, config, context) {
+                const subject = context.dispatcher.renderText(
+                    config.subject || 'Order {{orderNumber}} from {{name}}',
+                    context.orderData
+                );
+                // mailto bodies use CRLF line breaks (RFC 6068)
+                const body = encodeURIComponent(message.replace(/\r?\n/g, '\r\n'));
+                const to = [].concat(config.to).map(address => encodeURIComponent(address)).join(',');
+                const cc = config.cc ? `&cc=${[].concat(config.cc).map(encodeURIComponent).join(',')}` : '';
+                return `mailto:${to}?subject=${encode(subject)}${cc}&body=${body}`;
+            }
+        },
+
+        webhook: {
+            type: 'request',
+            markup: 'plain',
+            isAvailable(config, device) {
+                if (!config.url) return 'not_configured';
+                return device.online ? null : 'offline';
+            },
+            async send(message, config, context) {
+                if (typeof global.fetch !== 'function') {
+                    throw new Error('fetch is not available');
+                }
+
+                const controller = typeof AbortController !== 'undefined' ? new AbortController() : null;
+                const timer = controller ? setTimeout(() => controller.abort(), config.timeout || 10000) : null;
+
+                try {
+                    const response = await global.fetch(config.url, {
+                        method: config.method || 'POST',
+                        headers: { 'Content-Type': 'application/json', ...(config.headers || {}) },
+                        body: JSON.stringify({
+                            channel: 'webhook',
+                            orderId: context.orderData.orderId || null,
+                            sentAt: new Date().toISOString(),
+                            message: message,
+                            order: context.orderData
+                        }),
+                        signal: controller ? controller.signal : undefined
+                    });
+
+                    if (!response.ok) {
+                        throw new Error(`Webhook responded with HTTP ${response.status}`);
+                    }
+                    return { status: response.status };
+                } catch (error) {
+                    if (error.name === 'AbortError') {
+                        throw new Error('Webhook timed out');
+                    }
+                    throw error;
+                } finally {
+                    if (timer) clearTimeout(timer);
+                }
+            }
+        }
+    };
+
+    function encode(text) {
+        const Engine = getEngine();
+        return Engine ? Engine.encode(text) : encodeURIComponent(String(text));
+    }
+
+    function getEngine() {
+        if (typeof global.WhatsAppTemplateEngine !== 'undefined') return global.WhatsAppTemplateEngine;
+        return typeof require === 'function' ? require('./whatsapp_template_engine.js') : null;
+    }
+
+    class OrderDispatcher {
+        constructor(options = {}) {
+            if (!options.billing) {
+                throw new Error('OrderDispatcher: options.billing (WhatsAppBilling instance) is required');
+            }
+
+            this.billing = options.billing;
+            this.channels = { ...CHANNELS };
+            this.options = {
+                channels: options.channels || { whatsapp: {} },
+                fallbackOrder: options.fallbackOrder || ['whatsapp', 'telegram', 'sms', 'email', 'webhook'],
+                defaultChannel: options.defaultChannel || null, // first of fallbackOrder when not set
+                device: options.device || null, // override detection: { mobile, ios, android, online }
+                onDispatch: options.onDispatch || null,
+                onFallback: options.onFallback || null,
+                debug: options.debug || false
+            };
+        }
+
+        /**
+         * Add or replace a channel
+         * @param {string} name
+         * @param {Object} channel - { type: 'url'|'request', markup, isAvailable, buildUrl | send }
+         * @param {Object} [config] - Channel settings (same as options.channels[name])
+         */
+        registerChannel(name, channel, config) {
+            if (!channel || (channel.type === 'url' ? typeof channel.buildUrl : typeof channel.send) !== 'function') {
+                throw new Error(`OrderDispatcher: Channel "${name}" needs buildUrl() (type 'url') or send() (type 'request')`);
+            }
+            this.channels[name] = channel;
+            if (config) this.options.channels[name] = config;
+            return this;
+        }
+
+        // What the device can do (user agent sniffing; options.device wins)
+        getDevice() {
+            const navigator = global.navigator || {};
+            const ua = navigator.userAgent || '';
+            const ios = /iPhone|iPad|iPod/i.test(ua) || (/Macintosh/i.test(ua) && navigator.maxTouchPoints > 1);
+            const android = /Android/i.test(ua);
+
+            return {
+                mobile: ios || android || /Mobile|Opera Mini|IEMobile/i.test(ua),
+                ios: ios,
+                android: android,
+                online: navigator.onLine !== false,
+                ...(this.options.device || {})
+            };
+        }
+
+        // Channel settings, or null when the channel isn't set up
+        getChannelConfig(name) {
+            const config = this.options.channels[name];
+            return config ? (config === true ? {} : config) : null;
+        }
+
+        /**
+         * Why a channel can't be used right now
+         * @param {string} name
+         * @returns {string|null} null when available, else 'unknown_channel', 'not_configured', 'desktop', 'offline', ...
+         */
+        getUnavailableReason(name) {
+            const channel = this.channels[name];
+            if (!channel) return 'unknown_channel';
+
+            const config = this.getChannelConfig(name);
+            if (!config || config.enabled === false) return 'not_configured';
+
+            if (channel.type === 'url' && typeof global.open !== 'function') return 'no_window';
+            return channel.isAvailable ? channel.isAvailable(config, this.getDevice(), this) : null;
+        }
+
+        isAvailable(name) {
+            return this.getUnavailableReason(name) === null;
+        }
+
+        // Channels the customer could pick from, in fallback order
+        getAvailableChannels() {
+            return this.getChannelOrder().filter(name => this.isAvailable(name));
+        }
+
+        // Requested channel first, then the fallback order (no repeats)
+        getChannelOrder(preferred) {
+            const order = [];
+            [preferred, this.options.defaultChannel, ...this.options.fallbackOrder].forEach(name => {
+                if (name && !order.includes(name)) order.push(name);
+            });
+            return order;
+        }
+
+        /**
+         * Message for a channel: its template (or billing's), markup converted
+         * @param {string} name - Channel name
+         * @param {Object} orderData - Priced order
+         * @returns {string}
+         */
+        formatMessage(name, orderData) {
+            const channel = this.channels[name];
+            const config = this.getChannelConfig(name) || {};
+
+            const text = config.template
+                ? this.billing.renderTemplate(config.template, orderData)
+                : this.billing.generateMessage(orderData);
+
+            const markup = config.markup || channel.markup || 'plain';
+            const Engine = getEngine();
+            return Engine ? Engine.convertMarkup(text, markup) : text;
+        }
+
+        // Render a one-off template string (email subject) with the bill's data;
+        // without the template engine only plain {{field}} / {{customer.name}} are filled in
+        renderText(source, orderData) {
+            const data = this.billing.buildTemplateData(orderData);
+            const engine = this.billing.getTemplateEngine();
+            if (engine) return engine.render(source, data);
+
+            return String(source).replace(/\{\{\s*([\w.]+)\s*\}\}/g, (match, path) => {
+                const value = path.split('.').reduce((obj, key) => (obj != null ? obj[key] : undefined), data);
+                return value === undefined || value === null ? '' : String(value);
+            });
+        }
+
+        /**
+         * Send an order, falling back through the channel order
+         * @param {Object} orderData - Order (priced by billing.applyPricing if needed)
+         * @param {Object} [options] - { channel, targetWindow, validate }
+         *   targetWindow: window opened in the click handler, so web links aren't popup-blocked
+         *   (closed when the order goes out another way)
+         * @returns {Promise<Object>} { success, channel, url, response, attempts, errors }
+         */
+        async dispatch(orderData, options = {}) {
+            orderData = this.billing.applyPricing(orderData);
+            const targetWindow = options.targetWindow || null;
+
+            if (options.validate !== false && this.billing.config.validateOrder) {
+                const validation = this.billing.validateOrder(orderData);
+                if (!validation.isValid) {
+                    if (targetWindow && !targetWindow.closed) targetWindow.close();
+                    return this.finish({ success: false, channel: null, attempts: [], errors: validation.errors });
+                }
+            }
+
+            const attempts = [];
+            const order = this.getChannelOrder(options.channel || orderData.channel);
+
+            for (const name of order) {
+                const reason = this.getUnavailableReason(name);
+                if (reason) {
+                    attempts.push({ channel: name, status: 'skipped', reason: reason });
+                    continue;
+                }
+
+                try {
+                    const sent = await this.sendVia(name, orderData, targetWindow);
+                    attempts.push({ channel: name, status: 'sent' });
+
+                    // A request channel didn't need the window opened for us
+                    if (this.channels[name].type !== 'url' && targetWindow && !targetWindow.closed) {
+                        targetWindow.close();
+                    }
+                    return this.finish({ success: true, channel: name, ...sent, attempts: attempts });
+                } catch (error) {
+                    this.log(`${name} failed:`, error.message);
+                    attempts.push({ channel: name, status: 'failed', reason: error.message });
+
+                    if (this.options.onFallback) {
+                        this.options.onFallback({ from: name, reason: error.message, orderData: orderData });
+                    }
+                }
+            }
+
+            if (targetWindow && !targetWindow.closed) targetWindow.close();
+            return this.finish({ success: false, channel: null, attempts: attempts });
+        }
+
+        // Send through one channel; throws when it didn't go out
+        async sendVia(name, orderData, targetWindow) {
+            const channel = this.channels[name];
+            const config = this.getChannelConfig(name) || {};
+            const message = this.formatMessage(name, orderData);
+            const context = { orderData: orderData, device: this.getDevice(), dispatcher: this };
+
+            if (channel.type === 'request') {
+                return { response: await channel.send(message, config, context) };
+            }
+
+            const url = channel.buildUrl(message, config, context);
+            const maxLength = config.maxUrlLength || channel.maxUrlLength;
+            if (maxLength && url.length > maxLength) {
+                throw new Error(`Message too long for ${name} (${url.length} > ${maxLength} characters)`);
+            }
+
+            // The pre-opened tab is only for web pages; an app link (sms:, mailto:)
+            // left in it would strand a blank tab, so it is closed instead
+            const web = /^https?:/i.test(url);
+            if (!web && targetWindow && !targetWindow.closed) targetWindow.close();
+
+            let opened;
+            if (web && targetWindow && !targetWindow.closed) {
+                targetWindow.location.href = url;
+                opened = targetWindow;
+            } else if (/^(sms|mailto|tel):/i.test(url) && global.location) {
+                // App links don't need a new tab
+                global.location.href = url;
+                opened = global;
+            } else {
+                opened = global.open(url, '_blank');
+            }
+
+            if (!opened) {
+                throw new Error('Window could not be opened (popup blocked?)');
+            }
+            return { url: url };
+        }
+
+        finish(result) {
+            if (this.options.onDispatch) {
+                this.options.onDispatch(result);
+            }
+            return result;
+        }
+
+        log(...args) {
+            if (this.options.debug) console.log('OrderDispatcher:', ...args);
+        }
+    }
+
+    OrderDispatcher.CHANNELS = CHANNELS;
+
+    // Export for different module systems
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = OrderDispatcher;
+    } else if (typeof define === 'function' && define.amd) {
+        define(function() { return OrderDispatcher; });
+    } else {
+        global.OrderDispatcher = OrderDispatcher;
+    }
+})(typeof window !== 'undefined' ? window : this);
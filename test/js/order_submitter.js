@@ -0,0 +1,256 @@
+/**
+ * OrderSubmitter.js v1.0.0
+ * Writes placed orders to an Orders sheet through the signed
+ * SecureSheets.makePostRequest path (HMAC + CSRF + nonce) before the
+ * customer is handed off to WhatsApp.
+ * (c) 2025
+ * MIT License
+ *
+ * Dependencies:
+ * - SecureSheets client (securesheets_Client_v140.js), configured
+ *
+ * Server contract (GSRECOM / SecureSheets doPost):
+ *   action=addOrder, sheet=<Orders sheet>, orderId=<id>, order=<JSON string>
+ *   → { status: 'success', orderId, row }
+ *
+ * Usage:
+ * const submitter = new OrderSubmitter({ sheetName: 'Orders', outbox: new OfflineOutbox() });
+ * const billing = new WhatsAppBilling({ whatsappNumber: '...', orderSubmitter: submitter });
+ * await billing.placeOrder(orderData);
+ */
+
+(function(global) {
+    'use strict';
+
+    class OrderSubmitter {
+        constructor(options = {}) {
+            this.options = {
+                client: options.client || (typeof global.SecureSheets !== 'undefined' ? global.SecureSheets : null),
+                sheetName: options.sheetName || 'Orders',
+                action: options.action || 'addOrder',
+                idPrefix: options.idPrefix || 'ORD',
+                maxRetries: options.maxRetries !== undefined ? options.maxRetries : 3,
+                retryDelay: options.retryDelay || 1000,
+                timeout: options.timeout || 20000,
+                locationProvider: options.locationProvider || null,
+                outbox: options.outbox || null, // OfflineOutbox: queue the order when the network is down
+                onSubmitted: options.onSubmitted || null,
+                onRetry: options.onRetry || null,
+                onError: options.onError || null,
+                debug: options.debug || false
+            };
+        }
+
+        /**
+         * Generate a short, sortable order ID, e.g. ORD251018-K3F9QX
+         * @returns {string}
+         */
+        generateOrderId() {
+            const now = new Date();
+            const date = String(now.getFullYear()).slice(2) +
+                String(now.getMonth() + 1).padStart(2, '0') +
+                String(now.getDate()).padStart(2, '0');
+
+            const chars = '23456789ABCDEFGHJKLMNPQRSTUVWXYZ';
+            const bytes = new Uint8Array(6);
+            if (global.crypto && typeof global.crypto.getRandomValues === 'function') {
+                global.crypto.getRandomValues(bytes);
+            } else {
+                for (let i = 0; i < bytes.length; i++) bytes[i] = Math.floor(Math.random() * 256);
+            }
+            const suffix = Array.from(bytes, b => chars[b % chars.length]).join('');
+
+            return `${this.options.idPrefix}${date}-${suffix}`;
+        }
+
+        /**
+         * Build the record written to the Orders sheet
+         * @param {Object} orderData - Order data as passed to WhatsAppBilling.send()
+         * @returns {Object}
+         */
+        buildRecord(orderData) {
+            const location = orderData.location || this.getLocation();
+
+            return {
+                orderId: orderData.orderId,
+                createdAt: new Date().toISOString(),
+                status: 'placed',
+                customer: {
+                    name: orderData.name || '',
+                    mobile: orderData.mobile || '',
+                    email: orderData.email || '',
+                    address: orderData.address || '',
+                    addressDetails: orderData.addressDetails || null,
+                    pincode: orderData.pincode || ''
+                },
+                delivery: {
+                    type: orderData.deliveryType || 'delivery',
+                    label: orderData.deliveryOption?.label || '',
+                    slot: orderData.deliverySlot || null,
+                    zone: orderData.deliveryZone || null,
+                    branch: orderData.branch ? { id: orderData.branch.id, name: orderData.branch.name } : null
+                },
+                items: (orderData.cart || []).map(item => ({
+                    id: item.id,
+                    variantId: item.variantId || null,
+                    variant: item.variantLabel || '',
+                    sku: item.sku || '',
+                    title: item.title || item.name || '',
+                    category: item.category || '',
+                    price: item.price,
+                    quantity: item.quantity,
+                    total: item.price * item.quantity
+                })),
+                totals: {
+                    subtotal: orderData.subtotal || 0,
+                    discount: orderData.discount || 0,
+                    tax: orderData.tax || 0,
+                    taxInclusive: orderData.taxInclusive !== false,
+                    deliveryCharge: orderData.deliveryCharge || 0,
+                    roundOff: orderData.roundOff || 0,
+                    total: orderData.total || 0
+                },
+                coupon: orderData.couponCode || null,
+                payment: orderData.payment ? {
+                    method: orderData.payment.method,
+                    status: orderData.payment.status,
+                    reference: orderData.payment.reference || '',
+                    amount: orderData.payment.amount,
+                    payee: orderData.payment.payee || '',
+                    recordedAt: orderData.payment.recordedAt || null
+                } : null,
+                location: location,
+                notes: orderData.notes || '',
+                page: typeof global.location !== 'undefined' ? global.location.href : ''
+            };
+        }
+
+        /**
+         * Customer location from orderData or LocationDetector
+         * @private
+         */
+        getLocation() {
+            const detector = this.options.locationProvider || global.locationDetectorInstance;
+            if (!detector || typeof detector.getLocation !== 'function') {
+                return null;
+            }
+            return {
+                label: detector.getLocation() || '',
+                coordinates: typeof detector.getCoordinates === 'function' ? detector.getCoordinates() : null
+            };
+        }
+
+        /**
+         * Post an order to the Orders sheet. Transient failures (error.retryable)
+         * are retried by the client's own retry policy, then handed to the outbox.
+         * @param {Object} orderData - Order data (orderId assigned if missing)
+         * @returns {Promise<Object>} { orderId, record, response }
+         */
+        async submit(orderData) {
+            const client = this.options.client;
+            if (!client || typeof client.makePostRequest !== 'function') {
+                throw this.createError('SecureSheets is not loaded. Include securesheets_Client_v140.js', 'DEPENDENCY_MISSING');
+            }
+
+            const orderId = orderData.orderId || this.generateOrderId();
+            const record = this.buildRecord({ ...orderData, orderId });
+            const buildBody = () => ({
+                action: this.options.action,
+                sheet: this.options.sheetName,
+                orderId: orderId,
+                order: JSON.stringify(record)
+            });
+            const retry = {
+                retries: this.options.maxRetries,
+                baseDelay: this.options.retryDelay,
+                onRetry: (attempt, error) => {
+                    this.log(`Attempt ${attempt} failed (${error.code || error.message}), retrying`);
+                    if (this.options.onRetry) this.options.onRetry(attempt, error);
+                }
+            };
+            let lastError;
+
+            try {
+                // The client re-signs every attempt (new nonce, CSRF token and signature)
+                const response = await client.makePostRequest(buildBody(), { timeout: this.options.timeout, retry });
+
+                if (response && (response.status === 'success' || response.success === true)) {
+                    this.log(`Order ${orderId} saved`, response);
+                    const result = { orderId, record, response };
+                    if (this.options.onSubmitted) this.options.onSubmitted(result);
+                    return result;
+                }
+
+                lastError = this.toError(response);
+            } catch (error) {
+                lastError = error;
+            }
+
+            const outbox = this.options.outbox;
+            if (outbox && outbox.isRetryable(lastError)) {
+                outbox.registerClient('SecureSheets', client);
+                await outbox.enqueue({
+                    id: orderId,
+                    client: 'SecureSheets',
+                    method: 'makePostRequest',
+                    args: [buildBody(), { timeout: this.options.timeout }],
+                    lastError: outbox.describeError(lastError)
+                });
+
+                this.log(`Order ${orderId} queued for background sync`);
+                const result = { orderId, record, response: null, queued: true };
+                if (this.options.onSubmitted) this.options.onSubmitted(result);
+                return result;
+            }
+
+            const error = this.createError(
+                `Order ${orderId} could not be saved: ${lastError.message}`,
+                lastError.code || 'ORDER_SUBMIT_FAILED',
+                lastError.serverResponse || null
+            );
+            error.orderId = orderId;
+            error.record = record;
+
+            if (this.options.onError) this.options.onError(error);
+            throw error;
+        }
+
+        /**
+         * Typed error for a rejected order (client.toError when available)
+         */
+        toError(response) {
+            const client = this.options.client;
+            const typed = typeof client.toError === 'function' ? client.toError(response) : null;
+            if (typed) return typed;
+
+            const error = this.createError(
+                (response && (response.message || response.error)) || 'Order could not be saved',
+                (response && response.code) || 'ORDER_REJECTED',
+                response
+            );
+            error.retryable = false;
+            return error;
+        }
+
+        createError(message, code, details = null) {
+            const error = new Error(message);
+            error.code = code;
+            error.serverResponse = details;
+            error.timestamp = new Date().toISOString();
+            return error;
+        }
+
+        log(...args) {
+            if (this.options.debug) console.log('OrderSubmitter:', ...args);
+        }
+    }
+
+    // Export for different module systems
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = OrderSubmitter;
+    } else if (typeof define === 'function' && define.amd) {
+        define(function() { return OrderSubmitter; });
+    } else {
+        global.OrderSubmitter = OrderSubmitter;
+    }
+})(typeof window !== 'undefined' ? window : this);
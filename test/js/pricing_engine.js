@@ -0,0 +1,221 @@
+/**
+ * PricingEngine.js v1.0.0
+ * Single source of truth for order totals: subtotal, coupon discount,
+ * per-item GST/VAT (inclusive or exclusive), delivery charge and rounding.
+ * Shared by ShopCart and WhatsAppBilling so the cart sidebar and the
+ * WhatsApp bill always show the same numbers.
+ * Needs shop_utils.js (ShopUtils) included first.
+ * (c) 2025
+ * MIT License
+ *
+ * Usage:
+ * const pricing = PricingEngine.fromConfig(configManager);
+ * const totals = pricing.calculate(cart, { discount: 50, freeDelivery: false });
+ * // totals.subtotal, totals.discount, totals.tax, totals.deliveryCharge, totals.total
+ */
+
+(function(global) {
+    'use strict';
+
+    // Shared config, sheet and message helpers (shop_utils.js)
+    const ShopUtils = typeof global.ShopUtils !== 'undefined' ? global.ShopUtils
+        : (typeof require === 'function' ? require('./shop_utils.js') : undefined);
+
+    class PricingEngine {
+        constructor(options = {}) {
+            this.options = {
+                taxRate: options.taxRate !== undefined ? parseFloat(options.taxRate) || 0 : 0, // percent
+                taxInclusive: options.taxInclusive !== undefined ? options.taxInclusive : true,
+                taxLabel: options.taxLabel || 'GST',
+                deliveryCharge: parseFloat(options.deliveryCharge) || 0,
+                freeDeliveryAbove: parseFloat(options.freeDeliveryAbove) || 0,
+                precision: options.precision !== undefined ? options.precision : 2,
+                roundTotal: options.roundTotal || false // round grand total to whole units
+            };
+        }
+
+        /**
+         * Build an engine from ConfigManager (or a plain config object)
+         * @param {Object} config - ConfigManager instance or config object
+         * @param {Object} [overrides] - Options that take precedence
+         * @returns {PricingEngine}
+         */
+        static fromConfig(config, overrides = {}) {
+            const get = ShopUtils.configGetter(config);
+
+            return new PricingEngine({
+                taxRate: get('tax.rate', 0),
+                taxInclusive: get('tax.inclusive', true),
+                taxLabel: get('tax.label', 'GST'),
+                deliveryCharge: get('delivery.charge', 0),
+                freeDeliveryAbove: get('delivery.freeAbove', 0),
+                ...overrides
+            });
+        }
+
+        /**
+         * Calculate order totals
+         * @param {Array} cart - Cart lines ({ price, quantity, taxRate? })
+         * @param {Object} [adjustments]
+         * @param {number} [adjustments.discount=0] - Discount amount (e.g. from CouponEngine)
+         * @param {boolean} [adjustments.freeDelivery=false] - Waive delivery charge
+         * @param {string} [adjustments.deliveryType] - 'pickup' skips the delivery charge
+         * @param {number} [adjustments.deliveryCharge] - Fixed charge; bypasses the free-above threshold
+         * @param {number} [adjustments.baseDeliveryCharge] - Replaces options.deliveryCharge (e.g. the customer's branch)
+         * @param {number} [adjustments.freeDeliveryAbove] - Replaces options.freeDeliveryAbove
+         * @param {boolean} [adjustments.deliveryAvailable=true] - false: the address isn't served (DeliveryZones), no charge
+         * @returns {Object} Totals breakdown
+         */
+        calculate(cart = [], adjustments = {}) {
+            const lines = cart.map(item => {
+                const price = this.toNumber(item.price);
+                const quantity = parseInt(item.quantity) || 0;
+                return {
+                    id: item.id,
+                    variantId: item.variantId || null,
+                    name: (item.title || item.name || '') + (item.variantLabel ? ` (${item.variantLabel})` : ''),
+                    price: price,
+                    quantity: quantity,
+                    amount: this.round(price * quantity),
+                    taxRate: this.getTaxRate(item),
+                    discount: 0,
+                    tax: 0
+                };
+            });
+
+            const subtotal = this.round(lines.reduce((sum, line) => sum + line.amount, 0));
+            const discount = this.round(Math.min(Math.max(this.toNumber(adjustments.discount), 0), subtotal));
+
+            // Spread the discount across lines so tax is charged on what the customer actually pays
+            lines.forEach(line => {
+                line.discount = subtotal > 0 ? this.round(discount * line.amount / subtotal) : 0;
+                const taxable = line.amount - line.discount;
+                const rate = line.taxRate / 100;
+                line.tax = this.round(this.options.taxInclusive ? taxable - taxable / (1 + rate) : taxable * rate);
+            });
+
+            const tax = this.round(lines.reduce((sum, line) => sum + line.tax, 0));
+            const netAmount = this.round(subtotal - discount);
+            const deliveryCharge = lines.length > 0 ? this.getDeliveryCharge(netAmount, adjustments) : 0;
+
+            let total = this.round(netAmount + (this.options.taxInclusive ? 0 : tax) + deliveryCharge);
+            let roundOff = 0;
+            if (this.options.roundTotal) {
+                const rounded = Math.round(total);
+                roundOff = this.round(rounded - total);
+                total = rounded;
+            }
+
+            return {
+                lines: lines,
+                itemCount: lines.reduce((count, line) => count + line.quantity, 0),
+                subtotal: subtotal,
+                discount: discount,
+                couponCode: adjustments.couponCode || null,
+                netAmount: netAmount,
+                tax: tax,
+                taxLabel: this.options.taxLabel,
+                taxInclusive: this.options.taxInclusive,
+                deliveryCharge: deliveryCharge,
+                freeDelivery: lines.length > 0 && this.isDeliveryWaived(netAmount, adjustments),
+                deliveryAvailable: adjustments.deliveryAvailable !== false,
+                roundOff: roundOff,
+                total: total
+            };
+        }
+
+        /**
+         * Delivery charge for a discounted order amount
+         */
+        getDeliveryCharge(amount, adjustments = {}) {
+            if (adjustments.deliveryType === 'pickup' || adjustments.freeDelivery || adjustments.deliveryAvailable === false) {
+                return 0;
+            }
+            if (adjustments.deliveryCharge !== undefined && adjustments.deliveryCharge !== null) {
+                return this.round(this.toNumber(adjustments.deliveryCharge));
+            }
+            const rules = this.getDeliveryRules(adjustments);
+            if (rules.freeDeliveryAbove > 0 && amount >= rules.freeDeliveryAbove) {
+                return 0;
+            }
+            return this.round(rules.deliveryCharge);
+        }
+
+        /**
+         * Whether a delivery charge was due and waived (coupon or free-above threshold);
+         * pickup and a fixed charge that is simply 0 (a free zone or slot) waive nothing
+         */
+        isDeliveryWaived(amount, adjustments = {}) {
+            if (adjustments.deliveryType === 'pickup' || adjustments.deliveryAvailable === false) {
+                return false;
+            }
+            const fixed = adjustments.deliveryCharge !== undefined && adjustments.deliveryCharge !== null;
+            const due = fixed ? this.toNumber(adjustments.deliveryCharge) : this.getDeliveryRules(adjustments).deliveryCharge;
+            if (due <= 0) {
+                return false;
+            }
+            return !!adjustments.freeDelivery || (!fixed && this.getDeliveryCharge(amount, adjustments) === 0);
+        }
+
+        /**
+         * Flat charge and free-above threshold: the adjustments' own, else the shop's
+         */
+        getDeliveryRules(adjustments = {}) {
+            const pick = (value, fallback) => (value !== undefined && value !== null ? this.toNumber(value) : fallback);
+            return {
+                deliveryCharge: pick(adjustments.baseDeliveryCharge, this.options.deliveryCharge),
+                freeDeliveryAbove: pick(adjustments.freeDeliveryAbove, this.options.freeDeliveryAbove)
+            };
+        }
+
+        /**
+         * Amount still needed for free delivery (0 if already free or no threshold)
+         */
+        getFreeDeliveryShortfall(amount, adjustments = {}) {
+            const threshold = this.getDeliveryRules(adjustments).freeDeliveryAbove;
+            if (threshold <= 0) return 0;
+            return this.round(Math.max(0, threshold - amount));
+        }
+
+        /**
+         * Per-item rate (item.taxRate / item.gst) or the store default, in percent
+         */
+        getTaxRate(item) {
+            const rate = item.taxRate !== undefined && item.taxRate !== '' ? item.taxRate : item.gst;
+            if (rate === undefined || rate === null || rate === '') {
+                return this.options.taxRate;
+            }
+            const parsed = this.toNumber(rate);
+            // Accept both 18 and 0.18
+            return parsed > 0 && parsed < 1 ? parsed * 100 : parsed;
+        }
+
+        /**
+         * Update options
+         */
+        updateOptions(options = {}) {
+            Object.assign(this.options, options);
+            return this;
+        }
+
+        round(value) {
+            const factor = Math.pow(10, this.options.precision);
+            return Math.round((value + Number.EPSILON) * factor) / factor;
+        }
+
+        toNumber(value) {
+            if (typeof value === 'number') return isNaN(value) ? 0 : value;
+            const num = parseFloat(String(value || '').replace(/[^0-9.\-]/g, ''));
+            return isNaN(num) ? 0 : num;
+        }
+    }
+
+    // Export for different module systems
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = PricingEngine;
+    } else if (typeof define === 'function' && define.amd) {
+        define(function() { return PricingEngine; });
+    } else {
+        global.PricingEngine = PricingEngine;
+    }
+})(typeof window !== 'undefined' ? window : this);
@@ -10,8 +10,8 @@
  *   containerId: 'productsGrid',
  *   products: yourProductsArray,
  *   currency: '₹',
- *   onAddToCart: (productId) => { ... },
- *   onQuickView: (productId) => { ... },
+ *   onAddToCart: (productId, variantId) => { ... },  // variantId: selected size/colour, or null
+ *   onQuickView: (productId, variantId) => { ... },  // replaces the built-in quick view
  *   onShare: (productId) => { ... }
  * });
  * 
@@ -19,16 +19,37 @@
  * 
  * ProductRenderer.render();
  * ProductRenderer.render(filteredProducts); // Render specific products
+ * 
+ * Variants (product.variants from ProductSchema) get a picker on the card and
+ * in the quick view, which opens on the card's selection:
+ * ProductRenderer.openQuickView(productId, variantId);
+ * Needs product_schema.js for ProductSchema.findVariant.
+ * 
+ * Pass i18n (I18n instance) to translate card text; keys are in CARD_MESSAGES.
  */
 
 (function(window) {
     'use strict';
     
+    // Built-in English card text
+    const CARD_MESSAGES = {
+        'products.empty': 'No Products Found',
+        'products.addToCart': 'Add to Cart',
+        'products.outOfStock': 'Out of Stock',
+        'products.unavailable': 'Unavailable',
+        'products.discount': '{percent}% OFF',
+        'products.share': 'Share',
+        'products.quickView': 'Quick View',
+        'products.close': 'Close'
+    };
+    
     const ProductRenderer = {
         config: {
             containerId: 'productsGrid',
             products: [],
             currency: '$',
+            currencyManager: null, // CurrencyManager: overrides currency, re-renders on switch
+            i18n: null, // I18n: translated card text, re-renders on language switch
             showDiscount: true,
             showRating: true,
             enableQuickView: true,
@@ -38,7 +59,7 @@
             onQuickView: null,
             onShare: null,
             gridColumns: 'repeat(auto-fit, minmax(280px, 1fr))',
-            emptyMessage: 'No Products Found',
+            emptyMessage: null, // null: 'products.empty' message
             emptyIcon: 'fas fa-inbox'
         },
         
@@ -57,6 +78,55 @@
             }
             
             this.injectStyles();
+            
+            // Re-render in the new currency when the customer switches
+            if (this._currencyUnsubscribe) this._currencyUnsubscribe();
+            if (this.config.currencyManager) {
+                this._currencyUnsubscribe = this.config.currencyManager.subscribe(() => this.render(this.lastRendered));
+            }
+            
+            // ...and in the new language
+            if (this._i18nUnsubscribe) this._i18nUnsubscribe();
+            if (this.config.i18n) {
+                this._i18nUnsubscribe = this.config.i18n.subscribe(() => this.render(this.lastRendered));
+            }
+        },
+        
+        /**
+         * Translated card text (built-in English without config.i18n)
+         */
+        t: function(key, params) {
+            params = params || {};
+            if (typeof window.ShopUtils !== 'undefined') {
+                return window.ShopUtils.translate(this.config.i18n, CARD_MESSAGES, key, params);
+            }
+            
+            // Pages without shop_utils.js
+            const message = CARD_MESSAGES[key];
+            if (this.config.i18n) {
+                return this.config.i18n.t(key, params, { default: message });
+            }
+            return String(message === undefined ? key : message).replace(/\{(\w+)\}/g, (match, name) => (name in params ? params[name] : match));
+        },
+        
+        /**
+         * Price HTML for the current price ("₹" in its own span without CurrencyManager)
+         */
+        formatPriceHTML: function(amount) {
+            if (this.config.currencyManager) {
+                return this.config.currencyManager.format(amount);
+            }
+            return `<span class="pr-currency">${this.config.currency}</span>${amount.toFixed(2)}`;
+        },
+        
+        /**
+         * Price as plain text
+         */
+        formatPrice: function(amount) {
+            if (this.config.currencyManager) {
+                return this.config.currencyManager.format(amount);
+            }
+            return `${this.config.currency}${amount.toFixed(2)}`;
         },
         
         /**
@@ -304,6 +374,66 @@
                         transform: translateY(0);
                     }
                     
+                    .pr-add-to-cart:disabled {
+                        background: #e5e7eb;
+                        color: #9ca3af;
+                        cursor: not-allowed;
+                        transform: none;
+                    }
+                    
+                    .pr-variants {
+                        display: flex;
+                        flex-wrap: wrap;
+                        gap: 8px;
+                        margin-bottom: 12px;
+                    }
+                    
+                    .pr-variant-select {
+                        flex: 1;
+                        min-width: 0;
+                        padding: 6px 8px;
+                        border: 1px solid #d1d5db;
+                        border-radius: 6px;
+                        font-size: 13px;
+                        background: white;
+                        text-transform: capitalize;
+                    }
+                    
+                    .pr-quickview {
+                        position: fixed;
+                        inset: 0;
+                        z-index: 1000;
+                        display: flex;
+                        align-items: center;
+                        justify-content: center;
+                        padding: 16px;
+                        background: rgba(0, 0, 0, 0.6);
+                    }
+                    
+                    .pr-quickview-dialog {
+                        position: relative;
+                        width: 100%;
+                        max-width: 420px;
+                        max-height: 100%;
+                        overflow-y: auto;
+                        background: white;
+                        border-radius: 12px;
+                    }
+                    
+                    .pr-quickview-close {
+                        position: absolute;
+                        top: 8px;
+                        right: 8px;
+                        z-index: 2;
+                    }
+                    
+                    .pr-quickview-description {
+                        font-size: 14px;
+                        color: #4b5563;
+                        line-height: 1.5;
+                        margin: 0 0 12px;
+                    }
+                    
                     /* Desktop Large (≥1200px) - 5 columns */
                     @media (min-width: 1200px) {
                         .pr-grid {
@@ -553,7 +683,7 @@
             // Share button - Left side
             if (this.config.enableShare) {
                 actions += `
-                    <button class="pr-action-btn" data-action="share" data-product-id="${product.id}" title="Share">
+                    <button class="pr-action-btn" data-action="share" data-product-id="${product.id}" title="${this.t('products.share')}">
                         <i class="fas fa-share-alt"></i>
                     </button>
                 `;
@@ -564,7 +694,7 @@
             // Quick View button - Right side
             if (this.config.enableQuickView) {
                 actions += `
-                    <button class="pr-action-btn" data-action="quickView" data-product-id="${product.id}" title="Quick View">
+                    <button class="pr-action-btn" data-action="quickView" data-product-id="${product.id}" title="${this.t('products.quickView')}">
                         <i class="fas fa-eye"></i>
                     </button>
                 `;
@@ -574,6 +704,78 @@
             return actions;
         },
         
+        /**
+         * Variant a customer starts on: first one in stock
+         */
+        getDefaultVariant: function(product) {
+            if (!product.variants || product.variants.length === 0) return null;
+            return product.variants.find(v => v.inStock !== false) || product.variants[0];
+        },
+        
+        /**
+         * Generate variant picker HTML (one dropdown per option),
+         * on variantId when given, else the default variant
+         */
+        generateVariantPicker: function(product, variantId) {
+            const selected = (variantId && window.ProductSchema.findVariant(product, variantId)) || this.getDefaultVariant(product);
+            if (!selected) return '';
+            
+            return `
+                <div class="pr-variants">
+                    ${Object.keys(product.variantOptions || {}).map(name => `
+                        <select class="pr-variant-select" data-option="${name}" aria-label="${name}">
+                            ${product.variantOptions[name].map(value => `
+                                <option value="${value}" ${selected.options[name] === value ? 'selected' : ''}>${value}</option>
+                            `).join('')}
+                        </select>
+                    `).join('')}
+                </div>
+            `;
+        },
+        
+        /**
+         * Wire a variant picker inside root (a card or a quick view):
+         * keeps root.dataset.variantId, price, image and add button in step
+         */
+        bindVariantPicker: function(root, product, onSelect) {
+            const selects = Array.from(root.querySelectorAll('.pr-variant-select'));
+            if (selects.length === 0) return null;
+            
+            const update = () => {
+                const options = {};
+                selects.forEach(select => { options[select.dataset.option] = select.value; });
+                const variant = window.ProductSchema.findVariant(product, options);
+                this.showVariant(root, product, variant);
+                if (onSelect) onSelect(variant);
+                return variant;
+            };
+            
+            selects.forEach(select => select.addEventListener('change', update));
+            return update();
+        },
+        
+        /**
+         * Reflect the selected variant in a card or quick view
+         */
+        showVariant: function(root, product, variant) {
+            const price = root.querySelector('.pr-price-current');
+            const image = root.querySelector('.pr-image');
+            const button = root.querySelector('[data-action="addToCart"]');
+            const available = !!variant && variant.inStock !== false;
+            
+            root.dataset.variantId = variant ? variant.id : '';
+            if (price) {
+                price.innerHTML = this.formatPriceHTML(variant ? variant.price : product.price);
+            }
+            if (image && variant && variant.image && this.isValidURL(variant.image)) {
+                image.src = variant.image;
+            }
+            if (button) {
+                button.disabled = !available;
+                button.textContent = this.t(available ? 'products.addToCart' : (variant ? 'products.outOfStock' : 'products.unavailable'));
+            }
+        },
+        
         /**
          * Generate product card HTML
          */
@@ -591,7 +793,7 @@
                 <div class="pr-card" data-product-id="${product.id}" data-category="${product.category || ''}" data-price="${product.price}">
                     <div class="pr-image-container">
                         ${imageContent}
-                        ${discount > 0 ? `<span class="pr-badge">${discount}% OFF</span>` : ''}
+                        ${discount > 0 ? `<span class="pr-badge">${this.t('products.discount', { percent: discount })}</span>` : ''}
                         ${actions}
                     </div>
                     <div class="pr-info">
@@ -604,11 +806,12 @@
                             </div>
                         ` : ''}
                         <div class="pr-price">
-                            <span class="pr-price-current"><span class="pr-currency">${this.config.currency}</span>${product.price.toFixed(2)}</span>
-                            ${product.originalPrice ? `<span class="pr-price-original">${this.config.currency}${product.originalPrice.toFixed(2)}</span>` : ''}
+                            <span class="pr-price-current">${this.formatPriceHTML(product.price)}</span>
+                            ${product.originalPrice ? `<span class="pr-price-original">${this.formatPrice(product.originalPrice)}</span>` : ''}
                         </div>
+                        ${this.generateVariantPicker(product)}
                         <button class="pr-add-to-cart" data-action="addToCart" data-product-id="${product.id}">
-                             Add to Cart
+                             ${this.t('products.addToCart')}
                         </button>
                     </div>
                 </div>
@@ -624,7 +827,7 @@
                     <div class="pr-empty-icon">
                         <i class="${this.config.emptyIcon}"></i>
                     </div>
-                    <h3 class="pr-empty-message">${this.config.emptyMessage}</h3>
+                    <h3 class="pr-empty-message">${this.config.emptyMessage || this.t('products.empty')}</h3>
                 </div>
             `;
         },
@@ -640,16 +843,20 @@
                     e.stopPropagation();
                     const action = e.currentTarget.dataset.action;
                     const productId = e.currentTarget.dataset.productId;
+                    const card = e.currentTarget.closest('.pr-card');
+                    const variantId = (card && card.dataset.variantId) || null;
                     
                     switch(action) {
                         case 'addToCart':
                             if (this.config.onAddToCart) {
-                                this.config.onAddToCart(productId);
+                                this.config.onAddToCart(productId, variantId);
                             }
                             break;
                         case 'quickView':
                             if (this.config.onQuickView) {
-                                this.config.onQuickView(productId);
+                                this.config.onQuickView(productId, variantId);
+                            } else {
+                                this.openQuickView(productId, variantId);
                             }
                             break;
                         case 'share':
@@ -673,6 +880,7 @@
             
             // Use provided products or default to config products
             const products = productsToRender || this.config.products;
+            this.lastRendered = productsToRender || null;
             
             // Clear container
             this.container.innerHTML = '';
@@ -698,6 +906,80 @@
             
             // Attach event listeners
             this.attachEventListeners();
+            
+            // Variant pickers
+            const cards = Array.from(this.container.querySelectorAll('.pr-card'));
+            products.forEach(product => {
+                if (!product.variants || product.variants.length === 0) return;
+                const card = cards.find(el => el.dataset.productId === String(product.id));
+                if (card) this.bindVariantPicker(card, product);
+            });
+        },
+        
+        /**
+         * Show a product in a modal with its variant picker and add button
+         * @param {string} productId
+         * @param {string} [variantId] - Variant to open on (the card's selection)
+         */
+        openQuickView: function(productId, variantId) {
+            const product = this.config.products.find(p => String(p.id) === String(productId));
+            if (!product) return null;
+            
+            this.closeQuickView();
+            
+            const overlay = document.createElement('div');
+            overlay.className = 'pr-quickview';
+            overlay.innerHTML = `
+                <div class="pr-quickview-dialog" role="dialog" aria-modal="true" aria-label="${product.title}">
+                    <button class="pr-action-btn pr-quickview-close" data-action="close" title="${this.t('products.close')}">
+                        <i class="fas fa-times"></i>
+                    </button>
+                    <div class="pr-image-container">${this.generateImageContent(product)}</div>
+                    <div class="pr-info">
+                        ${product.category ? `<div class="pr-category">${product.category}</div>` : ''}
+                        <h3 class="pr-title">${product.title}</h3>
+                        ${product.description ? `<p class="pr-quickview-description">${product.description}</p>` : ''}
+                        <div class="pr-price">
+                            <span class="pr-price-current">${this.formatPriceHTML(product.price)}</span>
+                            ${product.originalPrice ? `<span class="pr-price-original">${this.formatPrice(product.originalPrice)}</span>` : ''}
+                        </div>
+                        ${this.generateVariantPicker(product, variantId)}
+                        <button class="pr-add-to-cart" data-action="addToCart">${this.t('products.addToCart')}</button>
+                    </div>
+                </div>
+            `;
+            
+            const dialog = overlay.querySelector('.pr-quickview-dialog');
+            overlay.addEventListener('click', (e) => {
+                if (e.target === overlay || e.target.closest('[data-action="close"]')) {
+                    this.closeQuickView();
+                } else if (e.target.closest('[data-action="addToCart"]')) {
+                    if (this.config.onAddToCart) {
+                        this.config.onAddToCart(String(product.id), dialog.dataset.variantId || null);
+                    }
+                    this.closeQuickView();
+                }
+            });
+            
+            this._quickViewKeydown = (e) => {
+                if (e.key === 'Escape') this.closeQuickView();
+            };
+            document.addEventListener('keydown', this._quickViewKeydown);
+            
+            document.body.appendChild(overlay);
+            this.quickView = overlay;
+            this.bindVariantPicker(dialog, product);
+            return overlay;
+        },
+        
+        /**
+         * Close the quick view, if open
+         */
+        closeQuickView: function() {
+            if (!this.quickView) return;
+            this.quickView.remove();
+            this.quickView = null;
+            document.removeEventListener('keydown', this._quickViewKeydown);
         },
         
         /**
@@ -1,6 +1,9 @@
 /**
- * ProductRenderer v2.0
+ * ProductRenderer v2.1
  * Compatible with SecureSheets Client Library v1.3.0
+ * Rows are validated by ProductSchema (product_schema.js)
+ * Card text is translated through options.i18n (I18n); keys in ProductRenderer.MESSAGES
+ * Variants get a picker on the card and in the quick view (openQuickView)
  */
 
 class ProductRenderer {
@@ -11,8 +14,15 @@ class ProductRenderer {
         this.useCache = options.useCache !== undefined ? options.useCache : true;
         this.template = options.template || 'default';
         this.verbose = options.verbose !== undefined ? options.verbose : true;
+        this.schema = options.schema || null; // ProductSchema instance or constructor options
+        this.categories = options.categories || null;
+        this.currencyManager = options.currencyManager || null; // CurrencyManager; plain $ otherwise
+        this.i18n = options.i18n || null; // I18n; built-in English otherwise
+        this.quickView = options.quickView !== undefined ? options.quickView : true;
         
         this.products = [];
+        this.quickViewElement = null;
+        this.validationReport = null;
         this.container = null;
         this.initialized = false;
         
@@ -20,6 +30,25 @@ class ProductRenderer {
         this.onLoad = options.onLoad || null;
         this.onError = options.onError || null;
         this.onRender = options.onRender || null;
+        this.onChange = options.onChange || null;
+        this.onValidation = options.onValidation || null;
+
+        // Live updates (SecureSheets.subscribe)
+        this.subscription = null;
+
+        // Re-render in the new currency / language when the customer switches
+        // (unsubscribe functions, released by destroy())
+        this.listeners = [];
+        if (this.currencyManager) {
+            this.listeners.push(this.currencyManager.subscribe(() => {
+                if (this.initialized && this.products.length) this.render();
+            }));
+        }
+        if (this.i18n) {
+            this.listeners.push(this.i18n.subscribe(() => {
+                if (this.initialized) this.render();
+            }));
+        }
         
         // Filters
         this.filters = {
@@ -129,22 +158,69 @@ class ProductRenderer {
     /**
      * Parse products from sheet data
      * Expected columns: name, price, description, image, category, featured, inStock
+     * Rows failing ProductSchema validation are left out (see getValidationReport())
      */
     parseProducts(data) {
-        return data.map((row, index) => {
-            return {
-                id: row.id || row.productId || `product_${index}`,
-                name: row.name || row.productName || 'Unnamed Product',
-                price: parseFloat(row.price) || 0,
-                description: row.description || '',
-                image: row.image || row.imageUrl || 'https://via.placeholder.com/300x300',
-                category: row.category || 'Uncategorized',
-                featured: this.parseBoolean(row.featured),
-                inStock: row.inStock !== undefined ? this.parseBoolean(row.inStock) : true,
-                sku: row.sku || '',
-                tags: row.tags ? row.tags.split(',').map(t => t.trim()) : []
-            };
-        });
+        const schema = this.getSchema();
+        const { products, report } = schema.parse(data);
+        this.validationReport = report;
+
+        if (report.rejected.length || report.fixed.length) {
+            this.log('warn', '⚠️ ' + schema.formatReport(report, this.sheetName));
+        }
+        if (this.onValidation) {
+            this.onValidation(report);
+        }
+
+        return products.map(product => ({
+            id: product.id,
+            name: product.title,
+            price: product.price,
+            description: product.description,
+            image: product.image,
+            category: product.category,
+            featured: product.featured,
+            inStock: product.inStock,
+            sku: product.sku,
+            tags: product.tags,
+            stock: product.stock,
+            maxPerOrder: product.maxPerOrder,
+            variants: product.variants,
+            variantOptions: product.variantOptions
+        }));
+    }
+
+    /**
+     * Schema used by parseProducts()
+     */
+    getSchema() {
+        if (this._schema) return this._schema;
+
+        if (this.schema && typeof this.schema.parse === 'function') {
+            this._schema = this.schema;
+        } else if (typeof ProductSchema !== 'undefined') {
+            this._schema = new ProductSchema({
+                categories: this.categories,
+                ...(this.schema || {}),
+                fields: {
+                    id: { default: (product, index) => `product_${index}` },
+                    category: { default: 'Uncategorized' },
+                    image: { default: 'https://via.placeholder.com/300x300' },
+                    ...((this.schema && this.schema.fields) || {})
+                }
+            });
+        } else {
+            throw new Error('❌ ProductSchema not loaded. Please include product_schema.js');
+        }
+
+        return this._schema;
+    }
+
+    /**
+     * Rejected and fixed rows from the last parse
+     */
+    getValidationReport() {
+        return this.validationReport;
     }
 
     /**
@@ -173,7 +249,7 @@ class ProductRenderer {
         this.container.innerHTML = '';
         
         if (productsToRender.length === 0) {
-            this.container.innerHTML = '<p class="no-products">No products found</p>';
+            this.container.innerHTML = `<p class="no-products">${this.t('products.empty')}</p>`;
             return;
         }
         
@@ -206,43 +282,208 @@ class ProductRenderer {
         div.innerHTML = `
             <div class="product-image">
                 <img src="${product.image}" alt="${product.name}" loading="lazy">
-                ${product.featured ? '<span class="badge-featured">Featured</span>' : ''}
-                ${!product.inStock ? '<span class="badge-out-of-stock">Out of Stock</span>' : ''}
+                ${product.featured ? `<span class="badge-featured">${this.t('products.featured')}</span>` : ''}
+                ${!product.inStock ? `<span class="badge-out-of-stock">${this.t('products.outOfStock')}</span>` : ''}
+                ${this.quickView ? `<button class="btn-quick-view">${this.t('products.quickView')}</button>` : ''}
             </div>
             <div class="product-info">
                 <h3 class="product-name">${product.name}</h3>
                 <p class="product-category">${product.category}</p>
                 <p class="product-description">${product.description}</p>
+                ${this.createVariantPicker(product)}
                 <div class="product-footer">
-                    <span class="product-price">$${product.price.toFixed(2)}</span>
+                    <span class="product-price">${this.formatPrice(product.price)}</span>
                     ${product.inStock ? 
-                        '<button class="btn-add-to-cart">Add to Cart</button>' : 
-                        '<button class="btn-notify" disabled>Notify Me</button>'
+                        `<button class="btn-add-to-cart">${this.t('products.addToCart')}</button>` : 
+                        `<button class="btn-notify" disabled>${this.t('products.notifyMe')}</button>`
                     }
                 </div>
             </div>
         `;
         
+        // Variant picker: price, image and stock follow the selection
+        let variant = this.bindVariantPicker(div, product, selected => { variant = selected; });
+
         // Add click handlers
         const addToCartBtn = div.querySelector('.btn-add-to-cart');
         if (addToCartBtn) {
             addToCartBtn.addEventListener('click', (e) => {
                 e.preventDefault();
-                this.handleAddToCart(product);
+                this.handleAddToCart(product, variant);
+            });
+        }
+
+        const quickViewBtn = div.querySelector('.btn-quick-view');
+        if (quickViewBtn) {
+            quickViewBtn.addEventListener('click', (e) => {
+                e.preventDefault();
+                this.openQuickView(product, variant);
             });
         }
         
         return div;
     }
 
+    /**
+     * Show a product in a modal with its variant picker and add button
+     * @param {Object} product
+     * @param {Object} [variant] - Variant to open on (the card's selection)
+     */
+    openQuickView(product, variant = null) {
+        this.closeQuickView();
+
+        const overlay = document.createElement('div');
+        overlay.className = 'product-quick-view';
+        overlay.innerHTML = `
+            <div class="quick-view-dialog" role="dialog" aria-modal="true" aria-label="${product.name}">
+                <button class="quick-view-close" aria-label="${this.t('products.close')}">&times;</button>
+                <div class="product-image">
+                    <img src="${product.image}" alt="${product.name}">
+                </div>
+                <div class="product-info">
+                    <h3 class="product-name">${product.name}</h3>
+                    <p class="product-category">${product.category}</p>
+                    <p class="product-description">${product.description}</p>
+                    ${this.createVariantPicker(product, variant)}
+                    <div class="product-footer">
+                        <span class="product-price">${this.formatPrice(product.price)}</span>
+                        ${product.inStock ?
+                            `<button class="btn-add-to-cart">${this.t('products.addToCart')}</button>` :
+                            `<button class="btn-notify" disabled>${this.t('products.notifyMe')}</button>`
+                        }
+                    </div>
+                </div>
+            </div>
+        `;
+
+        const dialog = overlay.querySelector('.quick-view-dialog');
+        let selected = this.bindVariantPicker(dialog, product, choice => { selected = choice; });
+
+        overlay.addEventListener('click', (e) => {
+            if (e.target === overlay || e.target.closest('.quick-view-close')) {
+                this.closeQuickView();
+            } else if (e.target.closest('.btn-add-to-cart')) {
+                this.handleAddToCart(product, selected);
+                this.closeQuickView();
+            }
+        });
+        this.quickViewKeydown = (e) => {
+            if (e.key === 'Escape') this.closeQuickView();
+        };
+        document.addEventListener('keydown', this.quickViewKeydown);
+
+        document.body.appendChild(overlay);
+        this.quickViewElement = overlay;
+        return overlay;
+    }
+
+    /**
+     * Close the quick view, if open
+     */
+    closeQuickView() {
+        if (!this.quickViewElement) return this;
+        this.quickViewElement.remove();
+        this.quickViewElement = null;
+        document.removeEventListener('keydown', this.quickViewKeydown);
+        return this;
+    }
+
+    /**
+     * Wire the variant picker inside element (a card or the quick view)
+     * @returns {Object|null} Selected variant; onSelect gets later changes
+     */
+    bindVariantPicker(element, product, onSelect) {
+        const selects = Array.from(element.querySelectorAll('.variant-select'));
+        if (selects.length === 0) return null;
+
+        const select = () => {
+            const options = {};
+            selects.forEach(el => { options[el.dataset.option] = el.value; });
+            const variant = ProductSchema.findVariant(product, options);
+            this.showVariant(element, product, variant);
+            return variant;
+        };
+        selects.forEach(el => el.addEventListener('change', () => onSelect(select())));
+        return select();
+    }
+
+    /**
+     * Option dropdowns (size, colour, ...) for a product with variants;
+     * starts on the given variant, else the first one in stock
+     */
+    createVariantPicker(product, selected = null) {
+        if (!product.variants || product.variants.length === 0) return '';
+
+        const initial = selected || product.variants.find(v => v.inStock) || product.variants[0];
+
+        return `
+            <div class="product-variants">
+                ${Object.keys(product.variantOptions).map(name => `
+                    <label class="variant-option">
+                        <span class="variant-option-name">${name}</span>
+                        <select class="variant-select" data-option="${name}">
+                            ${product.variantOptions[name].map(value => `
+                                <option value="${value}" ${initial.options[name] === value ? 'selected' : ''}>${value}</option>
+                            `).join('')}
+                        </select>
+                    </label>
+                `).join('')}
+            </div>
+        `;
+    }
+
+    /**
+     * Update a card for the selected variant (null: combination not sold)
+     */
+    showVariant(element, product, variant) {
+        const price = element.querySelector('.product-price');
+        const image = element.querySelector('.product-image img');
+        const button = element.querySelector('.btn-add-to-cart');
+        const available = !!(variant && variant.inStock);
+
+        element.setAttribute('data-variant-id', variant ? variant.id : '');
+        if (price) price.textContent = this.formatPrice(variant ? variant.price : product.price);
+        if (image && variant && variant.image) image.src = variant.image;
+        if (button) {
+            button.disabled = !available;
+            button.textContent = this.t(available ? 'products.addToCart' : (variant ? 'products.outOfStock' : 'products.unavailable'));
+        }
+    }
+
+    /**
+     * Format a price for display
+     */
+    formatPrice(amount) {
+        if (this.currencyManager) {
+            return this.currencyManager.format(amount);
+        }
+        return `$${amount.toFixed(2)}`;
+    }
+
+    /**
+     * Translated card text (built-in English without options.i18n)
+     */
+    t(key, params = {}) {
+        if (typeof ShopUtils !== 'undefined') {
+            return ShopUtils.translate(this.i18n, ProductRenderer.MESSAGES, key, params);
+        }
+
+        // Pages without shop_utils.js
+        const message = ProductRenderer.MESSAGES[key];
+        if (this.i18n) {
+            return this.i18n.t(key, params, { default: message });
+        }
+        return String(message === undefined ? key : message).replace(/\{(\w+)\}/g, (match, name) => (name in params ? params[name] : match));
+    }
+
     /**
      * Handle add to cart
      */
-    handleAddToCart(product) {
-        this.log('info', '🛒 Add to cart:', product.name);
+    handleAddToCart(product, variant = null) {
+        this.log('info', '🛒 Add to cart:', product.name, variant ? `(${variant.label})` : '');
         // Dispatch custom event for cart handling
         window.dispatchEvent(new CustomEvent('product:addToCart', {
-            detail: { product }
+            detail: { product, variant, variantId: variant ? variant.id : null }
         }));
     }
 
@@ -322,6 +563,114 @@ class ProductRenderer {
         await this.loadAndRender();
     }
 
+    /**
+     * Keep products in sync with the sheet: SecureSheets.subscribe() polls
+     * for row changes and only the affected cards are re-rendered
+     * @param {Object} [options] - { interval, key } for subscribe(); key defaults to 'id'
+     */
+    subscribe(options = {}) {
+        this.validate();
+        this.unsubscribe();
+
+        this.subscription = this.dataFetcher.subscribe(this.sheetName, diff => this.applyDiff(diff), {
+            key: options.key || 'id',
+            interval: options.interval,
+            onError: error => this.log('warn', '⚠️ Live update failed:', error.message)
+        });
+
+        this.log('info', `🔄 Watching ${this.sheetName} for changes`);
+        return this;
+    }
+
+    /**
+     * Stop live updates
+     */
+    unsubscribe() {
+        if (this.subscription) {
+            this.subscription();
+            this.subscription = null;
+        }
+        return this;
+    }
+
+    /**
+     * Stop live updates and currency / language listeners
+     */
+    destroy() {
+        this.unsubscribe();
+        this.closeQuickView();
+        this.listeners.forEach(unsubscribe => unsubscribe());
+        this.listeners = [];
+        this.initialized = false;
+        return this;
+    }
+
+    /**
+     * Apply a SecureSheets.subscribe() diff to the product list and cards
+     */
+    applyDiff(diff) {
+        if (diff.initial) {
+            this.products = this.parseProducts(diff.rows);
+            if (this.initialized) this.render();
+            if (this.onLoad) this.onLoad(this.products);
+            return;
+        }
+
+        // Re-parse the whole snapshot so validation row numbers stay right,
+        // then compare products by id to find the cards to touch
+        const previous = new Map(this.products.map(p => [p.id, p]));
+        this.products = this.parseProducts(diff.rows);
+
+        const current = new Set(this.products.map(p => p.id));
+        const removed = [...previous.keys()].filter(id => !current.has(id));
+        const updated = this.products.filter(p =>
+            !previous.has(p.id) || JSON.stringify(previous.get(p.id)) !== JSON.stringify(p)
+        );
+
+        this.log('info', `🔄 ${this.sheetName}: ${diff.added.length} added, ${diff.changed.length} changed, ${diff.removed.length} removed`);
+
+        if (this.initialized) {
+            const visible = this.getFilteredProducts().map(p => p.id);
+
+            // Empty-state message on screen, or nothing left to show: full render
+            if (visible.length === 0 || this.container.querySelector('.no-products')) {
+                this.render();
+            } else {
+                removed.forEach(id => {
+                    const element = this.findProductElement(id);
+                    if (element) element.remove();
+                });
+
+                updated.forEach(product => {
+                    const element = this.findProductElement(product.id);
+                    if (!visible.includes(product.id)) {
+                        if (element) element.remove();
+                        return;
+                    }
+
+                    const card = this.createProductElement(product);
+                    if (element) {
+                        element.replaceWith(card);
+                    } else {
+                        this.container.appendChild(card);
+                    }
+                });
+            }
+        }
+
+        if (this.onChange) {
+            this.onChange(diff, this.products);
+        }
+    }
+
+    /**
+     * Rendered card for a product ID
+     */
+    findProductElement(id) {
+        return Array.from(this.container.children)
+            .find(element => element.getAttribute('data-product-id') === String(id)) || null;
+    }
+
     /**
      * Get all products
      */
@@ -364,6 +713,18 @@ class ProductRenderer {
     }
 }
 
+// Built-in English card text
+ProductRenderer.MESSAGES = {
+    'products.empty': 'No products found',
+    'products.featured': 'Featured',
+    'products.outOfStock': 'Out of Stock',
+    'products.unavailable': 'Unavailable',
+    'products.addToCart': 'Add to Cart',
+    'products.notifyMe': 'Notify Me',
+    'products.quickView': 'Quick View',
+    'products.close': 'Close'
+};
+
 // Export
 if (typeof window !== 'undefined') {
     window.ProductRenderer = ProductRenderer;
@@ -498,6 +859,55 @@ if (typeof document !== 'undefined') {
             cursor: not-allowed;
         }
         
+        .btn-quick-view {
+            position: absolute;
+            bottom: 10px;
+            left: 10px;
+            padding: 4px 10px;
+            border: none;
+            border-radius: 4px;
+            font-size: 12px;
+            font-weight: 600;
+            background: rgba(255,255,255,0.9);
+            color: #1f2937;
+            cursor: pointer;
+        }
+        
+        .product-quick-view {
+            position: fixed;
+            inset: 0;
+            z-index: 1000;
+            display: flex;
+            align-items: center;
+            justify-content: center;
+            padding: 1rem;
+            background: rgba(0,0,0,0.6);
+        }
+        
+        .quick-view-dialog {
+            position: relative;
+            width: 100%;
+            max-width: 420px;
+            max-height: 100%;
+            overflow-y: auto;
+            background: #fff;
+            border-radius: 8px;
+        }
+        
+        .quick-view-close {
+            position: absolute;
+            top: 8px;
+            right: 8px;
+            z-index: 1;
+            width: 32px;
+            height: 32px;
+            border: none;
+            border-radius: 16px;
+            background: rgba(255,255,255,0.9);
+            font-size: 20px;
+            cursor: pointer;
+        }
+        
         .no-products {
             text-align: center;
             padding: 3rem;
@@ -508,4 +918,4 @@ if (typeof document !== 'undefined') {
     document.head.appendChild(style);
 }
 
-console.log('ProductRenderer v2.0 loaded (SecureSheets compatible)');
\ No newline at end of file
+console.log('ProductRenderer v2.1 loaded (SecureSheets compatible)');
\ No newline at end of file
@@ -0,0 +1,548 @@
+/**
+ * ProductSchema.js v1.1.0
+ * Declarative product model shared by ProductSheetLoader (GSRCDN and
+ * SecureSheets builds) and ProductRenderer: one list of fields with column
+ * aliases, types, required flags, defaults and allowed values, instead of
+ * each loader guessing column meanings on its own.
+ * Every parse returns a validation report with sheet row numbers so shop
+ * owners can see which rows were rejected or fixed and why.
+ *
+ * Variants (size/colour) can be given two ways:
+ * - child rows: a row whose parentId column names another product's id; its
+ *   size/colour columns are the options and price/stock/image/sku override the parent
+ * - a variants column on the product row, one variant per line or ';':
+ *   "size=M, colour=Red, price=549, stock=3; size=L, colour=Red, stock=0"
+ * Products get variants: [{ id, label, options, price, originalPrice, stock, inStock, image, sku }],
+ * variantOptions: { size: ['M', 'L'], ... }, price = cheapest variant, stock = total.
+ * Stock is per variant: one without its own stock is not tracked (null), and
+ * then neither is the product's total.
+ * (c) 2025
+ * MIT License
+ *
+ * Field definition:
+ *   { name, aliases, column, type, required, default, enum, min, max }
+ *   type:    'string' | 'number' | 'integer' | 'boolean' | 'list' | 'variants'
+ *   column:  position when the sheet comes back as arrays instead of objects
+ *   default: value (or function(product, index)) used when the cell is empty;
+ *            a required field with a default is filled in and reported as fixed,
+ *            a required field without one rejects the row
+ *
+ * Usage:
+ * const schema = new ProductSchema({ categories: ['Sweets', 'Snacks'], fields: { stock: { default: 0 } } });
+ * const { products, report } = schema.parse(rows);
+ * if (report.rejected.length || report.fixed.length) console.warn(schema.formatReport(report));
+ */
+
+(function(global) {
+    'use strict';
+
+    const DEFAULT_FIELDS = [
+        { name: 'id', aliases: ['productId', 'code'], column: 0, type: 'string', required: true,
+            default: (product, index) => 'PROD' + (index + 1) },
+        { name: 'title', aliases: ['name', 'productName', 'item'], column: 1, type: 'string', required: true },
+        { name: 'category', aliases: ['categoryName'], column: 2, type: 'string', default: 'General' },
+        { name: 'price', aliases: ['sellingPrice', 'salePrice'], column: 3, type: 'number', required: true, min: 0 },
+        { name: 'originalPrice', aliases: ['mrp', 'compareAtPrice', 'listPrice'], column: 4, type: 'number', min: 0, default: null },
+        { name: 'image', aliases: ['imageUrl', 'img', 'photo'], column: 5, type: 'string', default: '' },
+        { name: 'rating', aliases: [], column: 6, type: 'number', min: 0, max: 5, default: 4.5 },
+        { name: 'reviews', aliases: ['reviewCount'], column: 7, type: 'integer', min: 0, default: 0 },
+        { name: 'badge', aliases: ['label'], column: 8, type: 'string', default: 'Sale' },
+        { name: 'featured', aliases: [], column: 9, type: 'boolean', default: false },
+        { name: 'description', aliases: ['desc', 'details'], column: 10, type: 'string', default: '' },
+        { name: 'stock', aliases: ['inventory', 'qty', 'quantity'], column: 11, type: 'integer', min: 0, default: null }, // empty: not tracked
+        { name: 'createdAt', aliases: ['created', 'dateAdded'], column: 12, type: 'string', default: '' },
+        { name: 'inStock', aliases: ['available'], type: 'boolean', default: product => product.stock === null || product.stock > 0 },
+        { name: 'sku', aliases: [], type: 'string', default: '' },
+        { name: 'tags', aliases: [], type: 'list', default: () => [] },
+        { name: 'maxPerOrder', aliases: ['maxQty', 'limit', 'maxPerCustomer'], type: 'integer', min: 1, default: null },
+        { name: 'variants', aliases: [], type: 'variants', default: () => [] }
+    ];
+
+    // Child rows point at their product through this column
+    const PARENT_FIELD = { name: 'parentId', aliases: ['parent', 'variantOf'] };
+
+    // Columns a variant row (or variants cell entry) may override on its product
+    const VARIANT_FIELDS = ['id', 'sku', 'price', 'originalPrice', 'stock', 'image'];
+
+    const DEFAULT_VARIANT_OPTIONS = [
+        { name: 'size', aliases: [] },
+        { name: 'colour', aliases: ['color'] }
+    ];
+
+    const TRUE_VALUES = ['true', 'yes', 'y', '1'];
+    const FALSE_VALUES = ['false', 'no', 'n', '0'];
+
+    // "Original Price", "original_price" and "originalPrice" are the same column
+    const normalizeKey = key => String(key).toLowerCase().replace(/[\s_\-]/g, '');
+
+    class ProductSchema {
+        /**
+         * @param {Object} [options]
+         * @param {Object} [options.fields] - Per-field overrides keyed by name; unknown names add fields
+         * @param {Array} [options.categories] - Allowed categories (case-insensitive)
+         * @param {number} [options.firstRow] - Sheet row number of the first data row (default 2)
+         * @param {boolean} [options.rejectDuplicates] - Reject rows that repeat an earlier id (default true)
+         * @param {Array} [options.variantOptions] - Option columns for variants (default size, colour/color)
+         */
+        constructor(options = {}) {
+            const overrides = options.fields || {};
+
+            this.fields = DEFAULT_FIELDS.map(field => ({ ...field, ...(overrides[field.name] || {}) }));
+            Object.keys(overrides)
+                .filter(name => !this.fields.some(field => field.name === name))
+                .forEach(name => this.fields.push({ name, aliases: [], type: 'string', ...overrides[name] }));
+
+            if (options.categories && options.categories.length) {
+                this.getField('category').enum = options.categories;
+            }
+
+            this.variantOptions = (options.variantOptions || DEFAULT_VARIANT_OPTIONS)
+                .map(option => (typeof option === 'string' ? { name: option, aliases: [] } : option));
+
+            this.options = {
+                firstRow: options.firstRow || 2,
+                rejectDuplicates: options.rejectDuplicates !== false
+            };
+        }
+
+        /**
+         * Variant by id, or by options ({ size: 'M' }; case-insensitive, all given options must match)
+         * @param {Object} product - Parsed product
+         * @param {string|Object} selection
+         * @returns {Object|null}
+         */
+        static findVariant(product, selection) {
+            const variants = (product && product.variants) || [];
+            if (!selection || variants.length === 0) return null;
+
+            if (typeof selection !== 'object') {
+                return variants.find(variant => variant.id === String(selection)) || null;
+            }
+
+            const entries = Object.entries(selection).filter(([, value]) => value !== undefined && value !== null && value !== '');
+            return variants.find(variant => entries.every(([name, value]) =>
+                String(variant.options[name] || '').toLowerCase() === String(value).toLowerCase()
+            )) || null;
+        }
+
+        /**
+         * Whether the customer has to pick a variant before adding to cart
+         * @param {Object} product
+         * @returns {boolean}
+         */
+        static hasVariants(product) {
+            return !!(product && product.variants && product.variants.length);
+        }
+
+        /**
+         * Field definition by name
+         * @param {string} name
+         * @returns {Object|null}
+         */
+        getField(name) {
+            return this.fields.find(field => field.name === name) || null;
+        }
+
+        /**
+         * Validate and normalize sheet rows
+         * @param {Array} rows - Row objects (header → value) or arrays (see field.column)
+         * @param {Object} [options] - { firstRow } to override the sheet row of rows[0]
+         * @returns {Object} { products, report: { total, accepted, skipped, rejected, fixed } }
+         */
+        parse(rows, options = {}) {
+            const firstRow = options.firstRow || this.options.firstRow;
+            const report = { total: 0, accepted: 0, skipped: 0, rejected: [], fixed: [] };
+            const products = [];
+            const seen = new Map();
+            const children = [];
+
+            (rows || []).forEach((row, index) => {
+                const rowNumber = firstRow + index;
+                report.total++;
+
+                if (this.isBlankRow(row)) {
+                    report.skipped++;
+                    return;
+                }
+
+                const result = this.parseRow(row, index);
+
+                if (result.variant) {
+                    if (result.rejected) {
+                        report.rejected.push({ row: rowNumber, id: result.variant.id, issues: result.issues });
+                    } else {
+                        children.push({ row: rowNumber, parentId: result.parentId, variant: result.variant });
+                    }
+                    return;
+                }
+
+                const id = result.product.id;
+
+                if (!result.rejected && this.options.rejectDuplicates && id !== undefined && seen.has(id)) {
+                    result.rejected = true;
+                    result.issues.push({ field: 'id', value: id, message: `duplicate id "${id}" (first used on row ${seen.get(id)})` });
+                }
+
+                if (result.rejected) {
+                    report.rejected.push({ row: rowNumber, id, issues: result.issues.filter(issue => !issue.fixed) });
+                    return;
+                }
+
+                seen.set(id, rowNumber);
+                if (result.issues.length) {
+                    report.fixed.push({ row: rowNumber, id, issues: result.issues });
+                }
+
+                products.push(result.product);
+                report.accepted++;
+            });
+
+            children.forEach(child => {
+                const parent = products.find(product => product.id === child.parentId);
+                if (!parent) {
+                    report.rejected.push({
+                        row: child.row,
+                        id: child.variant.id,
+                        issues: [{ field: 'parentId', value: child.parentId, message: `parent product "${child.parentId}" not found` }]
+                    });
+                    return;
+                }
+                parent.variants.push(child.variant);
+                report.accepted++;
+            });
+
+            report.rejected.sort((a, b) => a.row - b.row);
+            products.forEach(product => this.resolveVariants(product));
+
+            return { products, report };
+        }
+
+        /**
+         * Validate a single row
+         * @param {Object|Array} row
+         * @param {number} [index] - Position in the sheet, used by index-based defaults
+         * @returns {Object} { product, issues, rejected }, or { variant, parentId, issues, rejected } for child rows
+         */
+        parseRow(row, index = 0) {
+            const product = {};
+            const issues = [];
+            let rejected = false;
+            const lookup = Array.isArray(row) ? null : this.indexRow(row);
+            const parentId = lookup ? this.readValue(row, PARENT_FIELD, lookup) : undefined;
+
+            if (parentId !== undefined) {
+                return this.parseVariantRow(row, lookup, String(parentId).trim());
+            }
+
+            this.fields.forEach(field => {
+                const raw = this.readValue(row, field, lookup);
+                const empty = raw === undefined || raw === null || String(raw).trim() === '';
+                const result = empty ? { ok: false } : this.coerce(raw, field);
+
+                if (result.ok) {
+                    product[field.name] = result.value;
+                    if (result.fixed) {
+                        issues.push({ field: field.name, value: raw, message: result.message, fixed: true });
+                    }
+                    return;
+                }
+
+                const problem = empty ? `${field.name} is missing` : `${field.name} ${result.message}`;
+
+                if (field.default === undefined) {
+                    if (field.required) {
+                        rejected = true;
+                        issues.push({ field: field.name, value: empty ? '' : raw, message: problem });
+                    }
+                    return;
+                }
+
+                const fallback = typeof field.default === 'function' ? field.default(product, index) : field.default;
+                product[field.name] = fallback;
+
+                // An empty optional cell is normal; anything else is worth telling the owner about
+                if (!empty || field.required) {
+                    issues.push({ field: field.name, value: empty ? '' : raw, message: `${problem} - using ${JSON.stringify(fallback)}`, fixed: true });
+                }
+            });
+
+            return { product, issues, rejected };
+        }
+
+        /**
+         * Human-readable report for the console or an admin page
+         * @param {Object} report - From parse()
+         * @param {string} [sheetName]
+         * @returns {string}
+         */
+        formatReport(report, sheetName = 'Products') {
+            const lines = [
+                `${sheetName}: ${report.accepted} of ${report.total - report.skipped} rows loaded, ` +
+                `${report.rejected.length} rejected, ${report.fixed.length} fixed`
+            ];
+            const label = entry => `Row ${entry.row}${entry.id !== undefined ? ` (${entry.id})` : ''}`;
+
+            report.rejected.forEach(entry => {
+                lines.push(`  ${label(entry)} rejected: ${entry.issues.map(issue => issue.message).join('; ')}`);
+            });
+            report.fixed.forEach(entry => {
+                lines.push(`  ${label(entry)} fixed: ${entry.issues.map(issue => issue.message).join('; ')}`);
+            });
+
+            return lines.join('\n');
+        }
+
+        /**
+         * Validate a child row (parentId set): option columns plus overrides, nothing required
+         * @private
+         */
+        parseVariantRow(row, lookup, parentId) {
+            const variant = { options: {} };
+            const issues = [];
+
+            this.variantOptions.forEach(option => {
+                const value = this.readValue(row, option, lookup);
+                if (value !== undefined) variant.options[option.name] = String(value).trim();
+            });
+
+            VARIANT_FIELDS.forEach(name => {
+                const field = this.getField(name);
+                const raw = this.readValue(row, field, lookup);
+                if (raw === undefined) return;
+
+                const result = this.coerce(raw, field);
+                if (result.ok) {
+                    variant[name] = result.value;
+                } else {
+                    issues.push({ field: name, value: raw, message: `${name} ${result.message}` });
+                }
+            });
+
+            if (Object.keys(variant.options).length === 0) {
+                issues.push({
+                    field: this.variantOptions[0].name,
+                    value: '',
+                    message: `variant of "${parentId}" has no ${this.variantOptions.map(option => option.name).join('/')}`
+                });
+            }
+
+            return { variant, parentId, issues, rejected: issues.length > 0 };
+        }
+
+        /**
+         * Parse a variants cell: entries split by newline or ';', "key=value" pairs split by ','
+         * @private
+         */
+        parseVariantCell(raw) {
+            const entries = String(raw).split(/[;\n]/).map(entry => entry.trim()).filter(Boolean);
+            const variants = [];
+
+            for (const entry of entries) {
+                const variant = { options: {} };
+
+                for (const pair of entry.split(',')) {
+                    const [key, ...rest] = pair.split('=');
+                    const value = rest.join('=').trim();
+                    if (!key.trim() || !value) {
+                        return { ok: false, message: `entry "${entry}" is not key=value pairs` };
+                    }
+
+                    const normalized = normalizeKey(key);
+                    const option = this.variantOptions.find(candidate =>
+                        [candidate.name, ...(candidate.aliases || [])].some(name => normalizeKey(name) === normalized)
+                    );
+                    const name = VARIANT_FIELDS.find(field => normalizeKey(field) === normalized);
+
+                    if (name) {
+                        const result = this.coerce(value, this.getField(name));
+                        if (!result.ok) return { ok: false, message: `entry "${entry}": ${name} ${result.message}` };
+                        variant[name] = result.value;
+                    } else {
+                        variant.options[option ? option.name : key.trim()] = value;
+                    }
+                }
+
+                variants.push(variant);
+            }
+
+            return { ok: true, value: variants };
+        }
+
+        /**
+         * Fill variants in from their product and roll price/stock up to the product
+         * @private
+         */
+        resolveVariants(product) {
+            const used = new Set();
+            product.variantOptions = {};
+
+            product.variants = (product.variants || []).map((variant, index) => {
+                const label = Object.values(variant.options).join(' / ');
+                let id = variant.id || `${product.id}-${label.replace(/[^a-z0-9]+/gi, '-').replace(/^-|-$/g, '').toUpperCase() || index + 1}`;
+                if (used.has(id)) id = `${id}-${index + 1}`;
+                used.add(id);
+
+                Object.keys(variant.options).forEach(name => {
+                    const values = product.variantOptions[name] || (product.variantOptions[name] = []);
+                    if (!values.includes(variant.options[name])) values.push(variant.options[name]);
+                });
+
+                // The product's stock is for the product as a whole, not for each size
+                const stock = variant.stock !== undefined ? variant.stock : null;
+                return {
+                    id,
+                    label,
+                    options: variant.options,
+                    sku: variant.sku || product.sku,
+                    price: variant.price !== undefined ? variant.price : product.price,
+                    originalPrice: variant.originalPrice !== undefined ? variant.originalPrice : product.originalPrice,
+                    stock,
+                    inStock: stock === null || stock > 0,
+                    image: variant.image || product.image
+                };
+            });
+
+            if (product.variants.length) {
+                product.price = Math.min(...product.variants.map(variant => variant.price));
+                product.stock = product.variants.some(variant => variant.stock === null)
+                    ? null
+                    : product.variants.reduce((sum, variant) => sum + variant.stock, 0);
+                product.inStock = product.variants.some(variant => variant.inStock);
+            }
+
+            return product;
+        }
+
+        /**
+         * Map normalized header → original key for a row object
+         * @private
+         */
+        indexRow(row) {
+            const lookup = new Map();
+            Object.keys(row || {}).forEach(key => {
+                const normalized = normalizeKey(key);
+                if (!lookup.has(normalized)) lookup.set(normalized, key);
+            });
+            return lookup;
+        }
+
+        /**
+         * Raw cell value for a field: array position, field name, then aliases
+         * @private
+         */
+        readValue(row, field, lookup) {
+            if (lookup === null) {
+                return field.column !== undefined ? row[field.column] : undefined;
+            }
+
+            const names = [field.name, ...(field.aliases || [])];
+            for (const name of names) {
+                const key = lookup.get(normalizeKey(name));
+                if (key !== undefined && row[key] !== undefined && row[key] !== null && String(row[key]).trim() !== '') {
+                    return row[key];
+                }
+            }
+            return undefined;
+        }
+
+        /**
+         * Convert a non-empty cell to the field type
+         * @private
+         * @returns {Object} { ok, value, fixed?, message? }
+         */
+        coerce(raw, field) {
+            let value;
+            let fixed = false;
+            let message;
+
+            switch (field.type) {
+                case 'number':
+                case 'integer': {
+                    // "₹1,299" and "1299.00" are both 1299
+                    value = typeof raw === 'number' ? raw : parseFloat(String(raw).replace(/[^0-9.\-]/g, ''));
+                    if (!isFinite(value)) {
+                        return { ok: false, message: `"${raw}" is not a number` };
+                    }
+                    if (field.type === 'integer' && !Number.isInteger(value)) {
+                        value = Math.round(value);
+                        fixed = true;
+                        message = `${field.name} "${raw}" is not a whole number - using ${value}`;
+                    }
+                    if (field.min !== undefined && value < field.min) {
+                        return { ok: false, message: `${value} is below ${field.min}` };
+                    }
+                    if (field.max !== undefined && value > field.max) {
+                        return { ok: false, message: `${value} is above ${field.max}` };
+                    }
+                    break;
+                }
+
+                case 'boolean': {
+                    if (typeof raw === 'boolean') {
+                        value = raw;
+                        break;
+                    }
+                    const text = String(raw).trim().toLowerCase();
+                    if (TRUE_VALUES.includes(text)) {
+                        value = true;
+                    } else if (FALSE_VALUES.includes(text)) {
+                        value = false;
+                    } else {
+                        return { ok: false, message: `"${raw}" is not yes/no` };
+                    }
+                    break;
+                }
+
+                case 'variants': {
+                    if (Array.isArray(raw)) {
+                        value = raw;
+                        break;
+                    }
+                    const result = this.parseVariantCell(raw);
+                    if (!result.ok) return { ok: false, message: result.message };
+                    value = result.value;
+                    break;
+                }
+
+                case 'list':
+                    value = (Array.isArray(raw) ? raw : String(raw).split(','))
+                        .map(item => String(item).trim())
+                        .filter(Boolean);
+                    break;
+
+                default:
+                    value = String(raw).trim();
+            }
+
+            if (field.enum) {
+                const match = field.enum.find(option => String(option).toLowerCase() === String(value).toLowerCase());
+                if (match === undefined) {
+                    return { ok: false, message: `"${raw}" is not one of ${field.enum.join(', ')}` };
+                }
+                value = match;
+            }
+
+            return { ok: true, value, fixed, message };
+        }
+
+        /**
+         * Rows with no values at all (spacer rows) are skipped, not rejected
+         * @private
+         */
+        isBlankRow(row) {
+            const values = Array.isArray(row) ? row : Object.values(row || {});
+            return values.every(value => value === undefined || value === null || String(value).trim() === '');
+        }
+    }
+
+    ProductSchema.DEFAULT_FIELDS = DEFAULT_FIELDS;
+
+    // Export for different module systems
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = ProductSchema;
+    } else if (typeof define === 'function' && define.amd) {
+        define(function() { return ProductSchema; });
+    } else {
+        global.ProductSchema = ProductSchema;
+    }
+})(typeof window !== 'undefined' ? window : this);
@@ -1,9 +1,10 @@
 /**
  * ProductSheetLoader - A reusable module for loading and normalizing product data from Google Sheets
- * Version: 1.0.0
+ * Version: 1.1.0
  * 
  * Dependencies:
  * - GSRCDN (Google Sheets Reader CDN)
+ * - ProductSchema (product_schema.js) - column aliases, types and validation
  * - GDriveImageHandler (optional, for image URL conversion)
  * 
  * Usage:
@@ -12,10 +13,13 @@
  *   onSuccess: (products) => console.log('Loaded:', products),
  *   onError: (error) => console.error('Error:', error),
  *   imageSize: 400,
- *   defaultImage: 'https://via.placeholder.com/300x300?text=No+Image'
+ *   defaultImage: 'https://via.placeholder.com/300x300?text=No+Image',
+ *   categories: ['Sweets', 'Snacks'],          // optional: reject unknown categories
+ *   onValidation: (report) => showSheetErrors(report)
  * });
  * 
  * const products = await loader.fetch();
+ * loader.getValidationReport(); // { rejected: [{ row, id, issues }], fixed: [...] }
  */
 
 class ProductSheetLoader {
@@ -27,10 +31,14 @@ class ProductSheetLoader {
             imageSize: options.imageSize || 400,
             defaultImage: options.defaultImage || 'https://via.placeholder.com/300x300?text=No+Image',
             useImageHandler: options.useImageHandler !== false,
-            priceMarkupMultiplier: options.priceMarkupMultiplier || 1.3
+            priceMarkupMultiplier: options.priceMarkupMultiplier || 1.3,
+            schema: options.schema || null, // ProductSchema instance or constructor options
+            categories: options.categories || null,
+            onValidation: options.onValidation || null
         };
         
         this.products = [];
+        this.validationReport = null;
     }
 
     /**
@@ -52,9 +60,18 @@ class ProductSheetLoader {
                 rawProducts = data;
             }
             
-            this.products = rawProducts.map((item, index) => 
-                this._normalizeProduct(item, index)
-            );
+            const schema = this._getSchema();
+            const { products, report } = schema.parse(rawProducts);
+
+            this.products = products.map(product => this._postProcessProduct(product));
+            this.validationReport = report;
+
+            if (report.rejected.length || report.fixed.length) {
+                console.warn(schema.formatReport(report, this.config.sheetName));
+            }
+            if (this.config.onValidation) {
+                this.config.onValidation(report);
+            }
             
             if (this.config.onSuccess && this.products.length > 0) {
                 this.config.onSuccess(this.products);
@@ -75,63 +92,25 @@ class ProductSheetLoader {
     }
 
     /**
-     * Normalize a product item from array or object format
+     * Schema used to validate rows (built once from config.schema / config.categories)
      * @private
      */
-    _normalizeProduct(item, index) {
-        let product;
-        
-        if (Array.isArray(item)) {
-            product = this._normalizeFromArray(item, index);
+    _getSchema() {
+        if (this._schema) return this._schema;
+
+        const Schema = typeof ProductSchema !== 'undefined' ? ProductSchema
+            : (typeof require === 'function' ? require('./product_schema.js') : undefined);
+        const schema = this.config.schema;
+
+        if (schema && typeof schema.parse === 'function') {
+            this._schema = schema;
+        } else if (Schema) {
+            this._schema = new Schema({ categories: this.config.categories, ...(schema || {}) });
         } else {
-            product = this._normalizeFromObject(item, index);
+            throw new Error('ProductSchema is not loaded. Please include product_schema.js');
         }
-        
-        return this._postProcessProduct(product);
-    }
 
-    /**
-     * Normalize product from array format
-     * @private
-     */
-    _normalizeFromArray(item, index) {
-        return {
-            id: item[0] || 'PROD' + (index + 1),
-            title: item[1] || 'Unnamed Product',
-            category: item[2] || 'General',
-            price: parseFloat(item[3]) || 0,
-            originalPrice: parseFloat(item[4]) || 0,
-            image: item[5] || '',
-            rating: parseFloat(item[6]) || 4.5,
-            reviews: parseInt(item[7]) || 0,
-            badge: item[8] || 'Sale',
-            featured: item[9] === 'TRUE' || item[9] === true,
-            description: item[10] || '',
-            stock: parseInt(item[11]) || 10,
-            createdAt: item[12] || ''
-        };
-    }
-
-    /**
-     * Normalize product from object format (handles various field naming conventions)
-     * @private
-     */
-    _normalizeFromObject(item, index) {
-        return {
-            id: item.id || item.Id || item.ID || 'PROD' + (index + 1),
-            title: item.title || item.Title || item.name || item.Name || 'Unnamed Product',
-            category: item.category || item.Category || 'General',
-            price: parseFloat(item.price || item.Price) || 0,
-            originalPrice: parseFloat(item.originalPrice || item.OriginalPrice || item.original_price || item.price) || 0,
-            image: item.image || item.Image || item.imageUrl || item.ImageUrl || '',
-            rating: parseFloat(item.rating || item.Rating) || 4.5,
-            reviews: parseInt(item.reviews || item.Reviews || item.reviewCount) || 0,
-            badge: item.badge || item.Badge || item.label || 'Sale',
-            featured: item.featured === 'TRUE' || item.featured === true || item.Featured === 'TRUE',
-            description: item.description || item.Description || item.desc || '',
-            stock: parseInt(item.stock || item.Stock || item.inventory) || 10,
-            createdAt: item.createdAt || item.CreatedAt || item.created_at || ''
-        };
+        return this._schema;
     }
 
     /**
@@ -147,9 +126,21 @@ class ProductSheetLoader {
         }
         
         // Ensure originalPrice is higher than price
-        if (product.originalPrice <= product.price) {
+        if (!product.originalPrice || product.originalPrice <= product.price) {
             product.originalPrice = product.price * this.config.priceMarkupMultiplier;
         }
+
+        // Variants: same image handling, own price check, product image when they have none
+        product.variants.forEach(variant => {
+            if (this.config.useImageHandler && typeof GDriveImageHandler !== 'undefined' && variant.image) {
+                variant.image = GDriveImageHandler.convert(variant.image, this.config.imageSize) || product.image;
+            }
+            variant.image = variant.image || product.image;
+
+            if (!variant.originalPrice || variant.originalPrice <= variant.price) {
+                variant.originalPrice = variant.price * this.config.priceMarkupMultiplier;
+            }
+        });
         
         return product;
     }
@@ -162,6 +153,14 @@ class ProductSheetLoader {
         return this.products;
     }
 
+    /**
+     * Rejected and fixed rows from the last fetch
+     * @returns {Object|null} ProductSchema report ({ total, accepted, skipped, rejected, fixed })
+     */
+    getValidationReport() {
+        return this.validationReport;
+    }
+
     /**
      * Get product by ID
      * @param {string} id - Product ID
@@ -1,6 +1,7 @@
 /**
- * ProductSheetLoader v2.0
+ * ProductSheetLoader v2.1
  * Compatible with SecureSheets Client Library v1.3.0
+ * fetchAndParse() validates rows with ProductSchema (product_schema.js)
  */
 
 class ProductSheetLoader {
@@ -9,6 +10,10 @@ class ProductSheetLoader {
         this.dataFetcher = options.dataFetcher || (typeof SecureSheets !== 'undefined' ? SecureSheets : null);
         this.useCache = options.useCache !== undefined ? options.useCache : true;
         this.verbose = options.verbose !== undefined ? options.verbose : true;
+        this.schema = options.schema || null; // ProductSchema instance or constructor options
+        this.categories = options.categories || null;
+        this.onValidation = options.onValidation || null;
+        this.validationReport = null;
     }
 
     /**
@@ -81,13 +86,53 @@ class ProductSheetLoader {
 
     /**
      * Fetch and parse products
+     * Without a parser, rows are validated and normalized by ProductSchema
      */
     async fetchAndParse(parser) {
         const data = await this.fetch();
         if (parser && typeof parser === 'function') {
             return data.map(parser);
         }
-        return data;
+
+        const schema = this.getSchema();
+        const { products, report } = schema.parse(data);
+        this.validationReport = report;
+
+        if (report.rejected.length || report.fixed.length) {
+            console.warn('[ProductSheetLoader] ' + schema.formatReport(report, this.sheetName));
+        }
+        if (this.onValidation) {
+            this.onValidation(report);
+        }
+
+        return products;
+    }
+
+    /**
+     * Schema used by fetchAndParse()
+     */
+    getSchema() {
+        if (this._schema) return this._schema;
+
+        const Schema = typeof ProductSchema !== 'undefined' ? ProductSchema
+            : (typeof require === 'function' ? require('./product_schema.js') : undefined);
+
+        if (this.schema && typeof this.schema.parse === 'function') {
+            this._schema = this.schema;
+        } else if (Schema) {
+            this._schema = new Schema({ categories: this.categories, ...(this.schema || {}) });
+        } else {
+            throw new Error('ProductSchema is not loaded. Please include product_schema.js');
+        }
+
+        return this._schema;
+    }
+
+    /**
+     * Rejected and fixed rows from the last fetchAndParse()
+     */
+    getValidationReport() {
+        return this.validationReport;
     }
 
     /**
@@ -114,4 +159,4 @@ if (typeof module !== 'undefined' && module.exports) {
     module.exports = ProductSheetLoader;
 }
 
-console.log('ProductSheetLoader v2.0 loaded (SecureSheets compatible)');
\ No newline at end of file
+console.log('ProductSheetLoader v2.1 loaded (SecureSheets compatible)');
\ No newline at end of file
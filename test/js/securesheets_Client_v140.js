@@ -33,7 +33,23 @@
             rateLimitEnabled: true,
             maxRequests: 100,
             cacheTimeout: 300000,          
+            cacheStore: 'memory',          // 'memory' | 'localStorage' | 'indexedDB' | custom store
+            staleWhileRevalidate: true,    // getData: serve stale sheets, refresh in background
+            cacheMaxAge: 86400000,         // never serve sheets older than this (24h)
+            coalesceRequests: true,        // share one fetch between identical in-flight GETs
+            autoBatch: true,               // merge public calls made within batchWindow into action=batch
+            batchWindow: 10,
+            batchableActions: ['scrolling', 'doodle', 'health'],
+            subscribeInterval: 30000,      // subscribe(): poll every 30s by default
+            subscribeKey: 'id',            // subscribe(): column that identifies a row
+            retry: {
+                retries: 2,                // GET/public requests; POSTs only retry with options.retry
+                baseDelay: 500,
+                maxDelay: 10000,
+                maxResetWait: 60000        // give up if the server's reset time is further away
+            },
             defaultTimeout: 30000,         
+            cryptoBackend: 'auto',         // 'auto' | 'webcrypto' | 'cryptojs'
             debug: false
         },
         serverInfo: null,
@@ -42,22 +58,166 @@
         requestWindow: Date.now(),
         csrfToken: null,
         csrfExpiry: null,
-        usedNonces: new Set()
+        usedNonces: new Set(),
+        cacheStore: null,
+        revalidating: new Map(),
+        inFlight: new Map(),
+        batchQueue: [],
+        batchTimer: null,
+        batchUnsupported: false,
+        listeners: {},
+        subscriptions: new Map()
     };
 
     // ============================================
     // ERROR HANDLING 
     // ============================================
 
+    /**
+     * Error hierarchy. Every error keeps .code, .serverResponse and
+     * .timestamp, so existing `switch (error.code)` handling still works.
+     *
+     *   SecureSheetsError            base; unknown codes, encryption
+     *   ├─ ConfigError               CONFIG_*, NOT_CONFIGURED, DEPENDENCY_MISSING
+     *   ├─ NetworkError        (r)   REQUEST_FAILED, POST_REQUEST_FAILED, HTTP 5xx
+     *   │  └─ TimeoutError     (r)   TIMEOUT
+     *   ├─ AuthError                 ERR_AUTH_*, other ERR_SEC_*, HTTP 401/403
+     *   ├─ DomainDeniedError         ERR_SEC_003, ERR_SEC_007 (origin not allowed)
+     *   ├─ RateLimitError      (r)   ERR_RATE_*, RATE_LIMIT_EXCEEDED, HTTP 429
+     *   ├─ ChecksumError       (r)   CHECKSUM_MISMATCH
+     *   └─ ValidationError           ERR_VAL_*, INVALID_*, other HTTP 4xx
+     *
+     * (r) = retryable. RateLimitError carries .resetAt (ms) when the server
+     * (or the client-side limiter) says when the window resets.
+     */
+    class SecureSheetsError extends Error {
+        constructor(message, code, details = null) {
+            super(message);
+            this.name = this.constructor.name;
+            this.code = code;
+            this.serverResponse = details;
+            this.timestamp = new Date().toISOString();
+        }
+
+        get retryable() {
+            return false;
+        }
+    }
+
+    class ConfigError extends SecureSheetsError {}
+
+    class NetworkError extends SecureSheetsError {
+        get retryable() {
+            return true;
+        }
+    }
+
+    class TimeoutError extends NetworkError {}
+
+    class AuthError extends SecureSheetsError {}
+
+    class DomainDeniedError extends SecureSheetsError {}
+
+    class RateLimitError extends SecureSheetsError {
+        constructor(message, code, details = null) {
+            super(message, code, details);
+            this.resetAt = getResetTime(details);
+        }
+
+        get retryable() {
+            return true;
+        }
+    }
+
+    class ChecksumError extends SecureSheetsError {
+        get retryable() {
+            return true;
+        }
+    }
+
+    class ValidationError extends SecureSheetsError {}
+
+    SecureSheets.errors = {
+        SecureSheetsError,
+        ConfigError,
+        NetworkError,
+        TimeoutError,
+        AuthError,
+        DomainDeniedError,
+        RateLimitError,
+        ChecksumError,
+        ValidationError
+    };
+
+    /**
+     * Pick the error class for a client or server (ERR_*) code
+     */
+    SecureSheets.getErrorClass = function(code, status) {
+        code = String(code || '');
+
+        if (code === 'ERR_SEC_003' || code === 'ERR_SEC_007') return DomainDeniedError;
+        if (/^ERR_(AUTH|SEC)_/.test(code)) return AuthError;
+        if (/^ERR_RATE_/.test(code) || code === 'RATE_LIMIT_EXCEEDED') return RateLimitError;
+        if (/^ERR_(VAL|INPUT)_/.test(code) || /^INVALID_/.test(code)) return ValidationError;
+        if (code === 'CHECKSUM_MISMATCH') return ChecksumError;
+        if (code === 'TIMEOUT') return TimeoutError;
+        if (code === 'REQUEST_FAILED' || code === 'POST_REQUEST_FAILED') return NetworkError;
+        if (/^(CONFIG_|ENV_CONFIG)/.test(code) || ['NOT_CONFIGURED', 'DEPENDENCY_MISSING', 'HMAC_PARAMS_REQUIRED'].includes(code)) {
+            return ConfigError;
+        }
+
+        if (status) {
+            if (status === 429) return RateLimitError;
+            if (status === 401 || status === 403) return AuthError;
+            if (status >= 500) return NetworkError;
+            if (status >= 400) return ValidationError;
+        }
+
+        return SecureSheetsError;
+    };
+
+    /**
+     * Reset time (ms since epoch) from server/limiter details, if any
+     * @private
+     */
+    function getResetTime(details) {
+        if (!details) return null;
+
+        const reset = details.resetTime || details.resetAt || details.resetsAt;
+        if (reset) {
+            const time = typeof reset === 'number' ? reset : Date.parse(reset);
+            if (!isNaN(time)) return time;
+        }
+
+        // retryAfter in seconds (Retry-After header or server field)
+        const retryAfter = parseFloat(details.retryAfter);
+        return isNaN(retryAfter) ? null : Date.now() + retryAfter * 1000;
+    }
+
     /**
      * Create a custom error with code and details
      */
     SecureSheets.createError = function(message, code, details = null) {
-        const error = new Error(message);
-        error.code = code;
-        error.serverResponse = details;
-        error.timestamp = new Date().toISOString();
-        return error;
+        const ErrorClass = SecureSheets.getErrorClass(code, details && details.httpStatus);
+        return new ErrorClass(message, code, details);
+    };
+
+    /**
+     * Convert an { status: 'error', code } response into a typed error
+     * (null if the response isn't an error)
+     */
+    SecureSheets.toError = function(response) {
+        if (!response || (response.status !== 'error' && !response.error)) {
+            return null;
+        }
+        return SecureSheets.parseError(response);
+    };
+
+    /**
+     * Whether a failed request is worth repeating
+     */
+    SecureSheets.isRetryable = function(error) {
+        return !!(error && error.retryable);
     };
 
     /**
@@ -78,10 +238,7 @@
             message += ' (Code: ' + errorData.code + ')';
         }
         
-        const error = new Error(message);
-        error.code = errorData.code || 'UNKNOWN_ERROR';
-        error.serverResponse = errorData;
-        error.timestamp = new Date().toISOString();
+        const error = SecureSheets.createError(message, errorData.code || 'UNKNOWN_ERROR', errorData);
         
         if (errorData.details) {
             error.details = errorData.details;
@@ -117,6 +274,13 @@
                 code: 'HTTP_ERROR'
             };
         }
+
+        errorData.httpStatus = response.status;
+
+        const retryAfter = response.headers && response.headers.get('Retry-After');
+        if (retryAfter && errorData.retryAfter === undefined) {
+            errorData.retryAfter = isNaN(retryAfter) ? (Date.parse(retryAfter) - Date.now()) / 1000 : retryAfter;
+        }
         
         throw SecureSheets.parseError(errorData);
     };
@@ -174,9 +338,31 @@
         if (typeof options.rateLimitEnabled === 'boolean') SecureSheets.config.rateLimitEnabled = options.rateLimitEnabled;
         if (options.maxRequests) SecureSheets.config.maxRequests = options.maxRequests;
         if (options.cacheTimeout) SecureSheets.config.cacheTimeout = options.cacheTimeout;
+        if (options.cacheMaxAge) SecureSheets.config.cacheMaxAge = options.cacheMaxAge;
+        if (typeof options.staleWhileRevalidate === 'boolean') SecureSheets.config.staleWhileRevalidate = options.staleWhileRevalidate;
+        if (typeof options.coalesceRequests === 'boolean') SecureSheets.config.coalesceRequests = options.coalesceRequests;
+        if (typeof options.autoBatch === 'boolean') SecureSheets.config.autoBatch = options.autoBatch;
+        if (options.batchWindow !== undefined) SecureSheets.config.batchWindow = options.batchWindow;
+        if (Array.isArray(options.batchableActions)) SecureSheets.config.batchableActions = options.batchableActions;
+        if (options.retry !== undefined) {
+            SecureSheets.config.retry = options.retry === false
+                ? { ...SecureSheets.config.retry, retries: 0 }
+                : { ...SecureSheets.config.retry, ...options.retry };
+        }
+        if (options.cacheStore !== undefined) SecureSheets.setCacheStore(options.cacheStore);
         if (options.defaultTimeout) SecureSheets.config.defaultTimeout = options.defaultTimeout;
         if (typeof options.debug === 'boolean') SecureSheets.config.debug = options.debug;
 
+        if (options.cryptoBackend !== undefined) {
+            if (!['auto', 'webcrypto', 'cryptojs'].includes(options.cryptoBackend)) {
+                throw SecureSheets.createError(
+                    'cryptoBackend must be one of: auto, webcrypto, cryptojs',
+                    'CONFIG_INVALID_CRYPTO'
+                );
+            }
+            SecureSheets.config.cryptoBackend = options.cryptoBackend;
+        }
+
         if (SecureSheets.config.debug) {
             console.log('SecureSheets v1.3.1-enhanced: Configured', {
                 scriptUrl: SecureSheets.config.scriptUrl,
@@ -185,7 +371,8 @@
                 enableNonce: SecureSheets.config.enableNonce,
                 checksumValidation: SecureSheets.config.checksumValidation,
                 enforceHttps: SecureSheets.config.enforceHttps,
-                autoOrigin: SecureSheets.config.autoOrigin
+                autoOrigin: SecureSheets.config.autoOrigin,
+                cryptoBackend: SecureSheets.config.cryptoBackend
             });
         }
     };
@@ -216,6 +403,7 @@
             rateLimitEnabled: env.RATE_LIMIT_ENABLED !== 'false',
             maxRequests: parseInt(env.MAX_REQUESTS) || 100,
             cacheTimeout: parseInt(env.CACHE_TIMEOUT) || 300000,
+            cacheStore: env.CACHE_STORE || undefined,
             defaultTimeout: parseInt(env.DEFAULT_TIMEOUT) || 30000,
             debug: env.NODE_ENV === 'development' || env.DEBUG === 'true'
         };
@@ -270,6 +458,9 @@
             rateLimitEnabled: SecureSheets.config.rateLimitEnabled,
             maxRequests: SecureSheets.config.maxRequests,
             cacheTimeout: SecureSheets.config.cacheTimeout,
+            cacheStore: SecureSheets.getCacheStore().name,
+            staleWhileRevalidate: SecureSheets.config.staleWhileRevalidate,
+            cacheMaxAge: SecureSheets.config.cacheMaxAge,
             defaultTimeout: SecureSheets.config.defaultTimeout,
             debug: SecureSheets.config.debug,
             version: SecureSheets.version,
@@ -310,10 +501,21 @@
      * Get current origin
      */
     SecureSheets.getOrigin = function() {
+        // No page outside the browser (Node entry: securesheets_node.js)
+        if (!window.location) {
+            return SecureSheets.config.origin || '';
+        }
         return window.location.origin || 
                (window.location.protocol + '//' + window.location.host);
     };
 
+    /**
+     * Get current page URL for the referrer param
+     */
+    SecureSheets.getReferrer = function() {
+        return window.location ? window.location.href : '';
+    };
+
     // ============================================
     // SERVER INFO METHODS
     // ============================================
@@ -366,6 +568,177 @@
         return await response.json();
     };
 
+    // ============================================
+    // CRYPTO BACKENDS
+    // ============================================
+
+    const textEncoder = new TextEncoder();
+    const textDecoder = new TextDecoder();
+    const hmacKeys = new Map();
+
+    /**
+     * Get the WebCrypto implementation (null if unavailable)
+     */
+    SecureSheets.getWebCrypto = function() {
+        return window.crypto || null;
+    };
+
+    /**
+     * Get SubtleCrypto (only exposed in secure contexts: HTTPS or localhost)
+     * @private
+     */
+    function getSubtle() {
+        const webcrypto = SecureSheets.getWebCrypto();
+        return webcrypto && webcrypto.subtle ? webcrypto.subtle : null;
+    }
+
+    /**
+     * Cryptographically strong random bytes (Math.random only if WebCrypto is missing)
+     */
+    SecureSheets.getRandomBytes = function(length) {
+        const bytes = new Uint8Array(length);
+        const webcrypto = SecureSheets.getWebCrypto();
+
+        if (webcrypto && typeof webcrypto.getRandomValues === 'function') {
+            webcrypto.getRandomValues(bytes);
+        } else {
+            for (let i = 0; i < length; i++) {
+                bytes[i] = Math.floor(Math.random() * 256);
+            }
+        }
+
+        return bytes;
+    };
+
+    /**
+     * Random base-36 string. Bytes of 252 and up are discarded (252 = 7 × 36),
+     * so every character is equally likely.
+     * @private
+     */
+    function randomString(length) {
+        let result = '';
+        while (result.length < length) {
+            for (const b of SecureSheets.getRandomBytes(length - result.length + 4)) {
+                if (b < 252 && result.length < length) result += (b % 36).toString(36);
+            }
+        }
+        return result;
+    }
+
+    function toHex(buffer) {
+        return Array.from(new Uint8Array(buffer), b => b.toString(16).padStart(2, '0')).join('');
+    }
+
+    function toBase64(bytes) {
+        let binary = '';
+        bytes.forEach(b => { binary += String.fromCharCode(b); });
+        return btoa(binary);
+    }
+
+    function fromBase64(base64) {
+        return Uint8Array.from(atob(base64), c => c.charCodeAt(0));
+    }
+
+    /**
+     * Available signing backends. Both resolve to the same hex digests, so
+     * the server can't tell them apart.
+     */
+    SecureSheets.cryptoBackends = {
+        webcrypto: {
+            name: 'webcrypto',
+            isAvailable: function() {
+                return !!getSubtle();
+            },
+            hmac: async function(message, secret) {
+                let key = hmacKeys.get(secret);
+                if (!key) {
+                    key = await getSubtle().importKey(
+                        'raw',
+                        textEncoder.encode(secret),
+                        { name: 'HMAC', hash: 'SHA-256' },
+                        false,
+                        ['sign']
+                    );
+                    hmacKeys.set(secret, key);
+                }
+                return toHex(await getSubtle().sign('HMAC', key, textEncoder.encode(message)));
+            },
+            sha256: async function(message) {
+                return toHex(await getSubtle().digest('SHA-256', textEncoder.encode(message)));
+            }
+        },
+        cryptojs: {
+            name: 'cryptojs',
+            isAvailable: function() {
+                return typeof CryptoJS !== 'undefined';
+            },
+            hmac: async function(message, secret) {
+                return SecureSheets.computeHMAC(message, secret);
+            },
+            sha256: async function(message) {
+                return SecureSheets.computeSHA256(message);
+            }
+        }
+    };
+
+    /**
+     * Resolve the configured crypto backend ('auto' prefers WebCrypto)
+     */
+    SecureSheets.getCryptoBackend = function() {
+        const preferred = SecureSheets.config.cryptoBackend;
+        const backends = SecureSheets.cryptoBackends;
+
+        if (preferred && preferred !== 'auto') {
+            if (!backends[preferred].isAvailable()) {
+                throw SecureSheets.createError(
+                    preferred === 'webcrypto'
+                        ? 'WebCrypto (crypto.subtle) is not available. Serve the page over HTTPS or use cryptoBackend: "cryptojs"'
+                        : 'CryptoJS library is required. Include https://cdnjs.cloudflare.com/ajax/libs/crypto-js/4.1.1/crypto-js.min.js',
+                    'DEPENDENCY_MISSING'
+                );
+            }
+            return backends[preferred];
+        }
+
+        if (backends.webcrypto.isAvailable()) return backends.webcrypto;
+        if (backends.cryptojs.isAvailable()) return backends.cryptojs;
+
+        throw SecureSheets.createError(
+            'No crypto backend available. Serve the page over HTTPS (WebCrypto) or include CryptoJS',
+            'DEPENDENCY_MISSING'
+        );
+    };
+
+    /**
+     * Compute HMAC-SHA256 signature with the configured crypto backend
+     */
+    SecureSheets.computeHMACAsync = async function(message, secret) {
+        if (!message || !secret) {
+            throw SecureSheets.createError(
+                'Message and secret are required for HMAC computation',
+                'HMAC_PARAMS_REQUIRED'
+            );
+        }
+
+        return await SecureSheets.getCryptoBackend().hmac(String(message), String(secret));
+    };
+
+    /**
+     * Derive an AES-256-GCM key from a passphrase (SHA-256 of the passphrase)
+     * @private
+     */
+    async function getAesKey(passphrase, usage) {
+        const subtle = getSubtle();
+        if (!subtle) {
+            throw SecureSheets.createError(
+                'AES-GCM encryption requires WebCrypto (crypto.subtle)',
+                'DEPENDENCY_MISSING'
+            );
+        }
+        const raw = await subtle.digest('SHA-256', textEncoder.encode(passphrase));
+        return subtle.importKey('raw', raw, { name: 'AES-GCM' }, false, [usage]);
+    }
+
     // ============================================
     // AUTHENTICATION METHODS
     // ============================================
@@ -392,10 +765,35 @@
         return CryptoJS.enc.Hex.stringify(hmac);
     };
 
+    /**
+     * Compute SHA-256 hex digest (null if CryptoJS is missing)
+     */
+    SecureSheets.computeSHA256 = function(message) {
+        if (typeof CryptoJS === 'undefined') {
+            return null;
+        }
+        return CryptoJS.SHA256(message).toString();
+    };
+
     /**
      * Generate request signature for v3.9.0
      */
     SecureSheets.generateSignature = function(params) {
+        return SecureSheets.computeHMAC(buildSignatureString(params), SecureSheets.config.hmacSecret);
+    };
+
+    /**
+     * Generate request signature with the configured crypto backend
+     */
+    SecureSheets.generateSignatureAsync = async function(params) {
+        return await SecureSheets.computeHMACAsync(buildSignatureString(params), SecureSheets.config.hmacSecret);
+    };
+
+    /**
+     * Build the sorted key=value string that gets signed
+     * @private
+     */
+    function buildSignatureString(params) {
         const sortedKeys = Object.keys(params).sort();
         const signatureString = sortedKeys
             .map(key => key + '=' + String(params[key] || ''))
@@ -404,9 +802,9 @@
         if (SecureSheets.config.debug) {
             console.log('SecureSheets: Signature string:', signatureString);
         }
-        
-        return SecureSheets.computeHMAC(signatureString, SecureSheets.config.hmacSecret);
-    };
+
+        return signatureString;
+    }
 
     /**
      * Generate nonce
@@ -421,7 +819,7 @@
         const maxAttempts = 10;
 
         do {
-            nonce = Date.now().toString(36) + Math.random().toString(36).substr(2, 9);
+            nonce = Date.now().toString(36) + randomString(9);
             attempts++;
         } while (SecureSheets.usedNonces.has(nonce) && attempts < maxAttempts);
 
@@ -485,6 +883,36 @@
         return token;
     };
 
+    /**
+     * Get CSRF token, signing a new one with the configured crypto backend
+     */
+    SecureSheets.getCSRFTokenAsync = async function() {
+        if (!SecureSheets.config.enableCSRF) {
+            return null;
+        }
+
+        const now = Date.now();
+
+        if (SecureSheets.csrfToken && SecureSheets.csrfExpiry && now < SecureSheets.csrfExpiry) {
+            return SecureSheets.csrfToken;
+        }
+
+        const origin = SecureSheets.config.origin || SecureSheets.getOrigin();
+        const signature = await SecureSheets.computeHMACAsync(
+            now + ':' + origin,
+            SecureSheets.config.hmacSecret
+        );
+
+        SecureSheets.csrfToken = now + ':' + signature;
+        SecureSheets.csrfExpiry = now + (30 * 60 * 1000);
+
+        if (SecureSheets.config.debug) {
+            console.log('SecureSheets: Generated new HMAC-based CSRF token');
+        }
+
+        return SecureSheets.csrfToken;
+    };
+
     /**
      * Clear CSRF token cache
      */
@@ -509,31 +937,57 @@
         }
 
         try {
-            if (typeof CryptoJS === 'undefined') {
+            const jsonString = JSON.stringify(data.data);
+            const hash = SecureSheets.computeSHA256(jsonString);
+            if (hash === null) {
                 console.error('SecureSheets: CryptoJS required for checksum validation');
                 return false;
             }
-
-            const jsonString = JSON.stringify(data.data);
-            const hash = CryptoJS.SHA256(jsonString).toString();
-            
-            const isValid = hash === data.checksum;
             
+            return compareChecksum(data.checksum, hash);
+        } catch (error) {
+            console.error('SecureSheets: Checksum validation error:', error);
+            return false;
+        }
+    };
+
+    /**
+     * Validate response checksum with the configured crypto backend
+     */
+    SecureSheets.validateChecksumAsync = async function(data) {
+        if (!data.checksum || !data.data) {
             if (SecureSheets.config.debug) {
-                console.log('SecureSheets: Checksum validation:', isValid ? 'PASSED' : 'FAILED');
-                if (!isValid) {
-                    console.log('Expected:', data.checksum);
-                    console.log('Computed:', hash);
-                }
+                console.warn('SecureSheets: No checksum or data to validate');
             }
-            
-            return isValid;
+            return false;
+        }
+
+        try {
+            const hash = await SecureSheets.getCryptoBackend().sha256(JSON.stringify(data.data));
+            return compareChecksum(data.checksum, hash);
         } catch (error) {
             console.error('SecureSheets: Checksum validation error:', error);
             return false;
         }
     };
 
+    /**
+     * @private
+     */
+    function compareChecksum(expected, hash) {
+        const isValid = hash === expected;
+        
+        if (SecureSheets.config.debug) {
+            console.log('SecureSheets: Checksum validation:', isValid ? 'PASSED' : 'FAILED');
+            if (!isValid) {
+                console.log('Expected:', expected);
+                console.log('Computed:', hash);
+            }
+        }
+        
+        return isValid;
+    }
+
   // ============================================
     // RATE LIMITING
     // ============================================
@@ -659,30 +1113,575 @@
     };
 
     // ============================================
-    // HTTP REQUEST METHODS
+    // PERSISTENT CACHE (STALE-WHILE-REVALIDATE)
     // ============================================
 
     /**
-     * Build URL with parameters
-     * @private
+     * Built-in cache stores. A store is any object with async
+     * get(key), set(key, entry), delete(key) and clear().
+     * Entries: { data, checksum, storedAt, expiry }
      */
-    function buildUrl(params) {
-        const queryParams = new URLSearchParams();
-        
-        for (const key in params) {
-            if (params.hasOwnProperty(key) && params[key] !== null && params[key] !== undefined) {
-                queryParams.append(key, params[key]);
-            }
+    SecureSheets.cacheStores = {
+        memory: function() {
+            const entries = new Map();
+            return {
+                name: 'memory',
+                get: async key => entries.get(key) || null,
+                set: async (key, entry) => { entries.set(key, entry); },
+                delete: async key => { entries.delete(key); },
+                clear: async () => { entries.clear(); }
+            };
+        },
+
+        localStorage: function(prefix = 'securesheets:') {
+            const storage = window.localStorage;
+            return {
+                name: 'localStorage',
+                get: async key => {
+                    try {
+                        return JSON.parse(storage.getItem(prefix + key));
+                    } catch (e) {
+                        return null;
+                    }
+                },
+                set: async (key, entry) => {
+                    try {
+                        storage.setItem(prefix + key, JSON.stringify(entry));
+                    } catch (e) {
+                        // Quota exceeded: the sheet just won't survive a reload
+                        if (SecureSheets.config.debug) {
+                            console.warn('SecureSheets: Could not persist cache entry', key, e);
+                        }
+                    }
+                },
+                delete: async key => { storage.removeItem(prefix + key); },
+                clear: async () => {
+                    Object.keys(storage)
+                        .filter(k => k.startsWith(prefix))
+                        .forEach(k => storage.removeItem(k));
+                }
+            };
+        },
+
+        indexedDB: function(dbName = 'securesheets_cache', storeName = 'entries') {
+            let dbPromise = null;
+
+            const open = () => {
+                if (!dbPromise) {
+                    dbPromise = new Promise((resolve, reject) => {
+                        const request = window.indexedDB.open(dbName, 1);
+                        request.onupgradeneeded = () => request.result.createObjectStore(storeName);
+                        request.onsuccess = () => resolve(request.result);
+                        request.onerror = () => reject(request.error);
+                    });
+                }
+                return dbPromise;
+            };
+
+            const run = async (mode, action) => {
+                const db = await open();
+                return new Promise((resolve, reject) => {
+                    const request = action(db.transaction(storeName, mode).objectStore(storeName));
+                    request.onsuccess = () => resolve(request.result === undefined ? null : request.result);
+                    request.onerror = () => reject(request.error);
+                });
+            };
+
+            return {
+                name: 'indexedDB',
+                get: key => run('readonly', store => store.get(key)),
+                set: (key, entry) => run('readwrite', store => store.put(entry, key)),
+                delete: key => run('readwrite', store => store.delete(key)),
+                clear: () => run('readwrite', store => store.clear())
+            };
         }
-        
-        return SecureSheets.config.scriptUrl + '?' + queryParams.toString();
-    }
+    };
 
     /**
-     * Make authenticated GET request with timeout support
+     * Select the cache store: a built-in name or a custom store object
      */
-    SecureSheets.makeRequest = async function(params = {}, options = {}) {
-        if (!SecureSheets.config.scriptUrl) {
+    SecureSheets.setCacheStore = function(store) {
+        if (store && typeof store === 'object') {
+            if (['get', 'set', 'delete', 'clear'].some(m => typeof store[m] !== 'function')) {
+                throw SecureSheets.createError(
+                    'cacheStore must implement get, set, delete and clear',
+                    'CONFIG_INVALID_CACHE_STORE'
+                );
+            }
+            SecureSheets.cacheStore = store;
+            return store;
+        }
+
+        const factory = SecureSheets.cacheStores[store];
+        if (!factory) {
+            throw SecureSheets.createError(
+                'cacheStore must be one of: ' + Object.keys(SecureSheets.cacheStores).join(', '),
+                'CONFIG_INVALID_CACHE_STORE'
+            );
+        }
+
+        const available = store === 'memory' ||
+            (store === 'localStorage' && window.localStorage) ||
+            (store === 'indexedDB' && window.indexedDB);
+
+        if (!available) {
+            console.warn('SecureSheets: ' + store + ' is not available here, caching in memory');
+            SecureSheets.cacheStore = SecureSheets.cacheStores.memory();
+        } else {
+            SecureSheets.cacheStore = factory();
+        }
+
+        return SecureSheets.cacheStore;
+    };
+
+    /**
+     * Get the active cache store
+     */
+    SecureSheets.getCacheStore = function() {
+        if (!SecureSheets.cacheStore) {
+            SecureSheets.setCacheStore(SecureSheets.config.cacheStore);
+        }
+        return SecureSheets.cacheStore;
+    };
+
+    /**
+     * Stable cache key for a request (auth params excluded)
+     * @private
+     */
+    function getCacheKey(params) {
+        const scope = SecureSheets.config.scriptUrl;
+        const query = Object.keys(params)
+            .sort()
+            .map(key => key + '=' + params[key])
+            .join('&');
+        return scope + '?' + query;
+    }
+
+    /**
+     * Serve a request from the persistent cache, revalidating stale entries
+     * in the background. Emits 'updated' when the refreshed data differs.
+     * @private
+     */
+    async function requestWithRevalidate(params, options) {
+        const store = SecureSheets.getCacheStore();
+        const key = getCacheKey(params);
+        const now = Date.now();
+        let entry = null;
+
+        try {
+            entry = await store.get(key);
+        } catch (error) {
+            console.warn('SecureSheets: Cache read failed', error);
+        }
+
+        // useCache: false still compares against the stored entry for 'updated'
+        if (entry && options.useCache !== false && now - entry.storedAt <= SecureSheets.config.cacheMaxAge) {
+            if (now > entry.expiry) {
+                revalidate(key, params, options, entry).catch(() => {});
+            } else if (SecureSheets.config.debug) {
+                console.log('SecureSheets: Cache hit for', key);
+            }
+            return entry.data;
+        }
+
+        return await revalidate(key, params, options, entry);
+    }
+
+    /**
+     * Fetch fresh data for a cache key (one request per key at a time)
+     * Only successful responses are stored and announced; on an error
+     * response or a failed request the previous entry keeps being served.
+     * @private
+     */
+    function revalidate(key, params, options, previous) {
+        if (SecureSheets.revalidating.has(key)) {
+            return SecureSheets.revalidating.get(key);
+        }
+
+        // useCache: false asked for fresh data, so its failures go to the caller
+        const fallback = previous && options.useCache !== false &&
+            Date.now() - previous.storedAt <= SecureSheets.config.cacheMaxAge;
+
+        const request = (async () => {
+            try {
+                const data = await SecureSheets.makeRequest({ ...params }, { ...options, useCache: false });
+
+                const failure = SecureSheets.toError(data);
+                if (failure) {
+                    if (previous) {
+                        SecureSheets.emit('error', { key: key, params: params, error: failure });
+                    }
+                    return fallback ? previous.data : data;
+                }
+
+                const checksum = data.checksum || JSON.stringify(data.data);
+                const changed = !previous || previous.checksum !== checksum;
+
+                await SecureSheets.getCacheStore().set(key, {
+                    data: changed ? data : previous.data,
+                    checksum: checksum,
+                    storedAt: Date.now(),
+                    expiry: Date.now() + SecureSheets.config.cacheTimeout
+                });
+
+                if (previous && changed) {
+                    const detail = { key: key, params: params, data: data, previous: previous.data };
+                    if (typeof options.onUpdate === 'function') options.onUpdate(data, detail);
+                    SecureSheets.emit('updated', detail);
+                }
+
+                return changed ? data : previous.data;
+            } catch (error) {
+                if (previous) {
+                    SecureSheets.emit('error', { key: key, params: params, error: error });
+                }
+                if (fallback) {
+                    return previous.data;
+                }
+                throw error;
+            } finally {
+                SecureSheets.revalidating.delete(key);
+            }
+        })();
+
+        SecureSheets.revalidating.set(key, request);
+        return request;
+    }
+
+    /**
+     * Clear the persistent cache (all entries, or those for one sheet)
+     */
+    SecureSheets.clearPersistentCache = async function(sheet) {
+        const store = SecureSheets.getCacheStore();
+        if (!sheet) {
+            return await store.clear();
+        }
+        return await store.delete(getCacheKey({ action: 'getData', sheet: sheet }));
+    };
+
+    // ============================================
+    // EVENTS
+    // ============================================
+
+    /**
+     * Subscribe to client events ('updated', 'changed', 'error', 'retry')
+     */
+    SecureSheets.on = function(event, handler) {
+        (SecureSheets.listeners[event] = SecureSheets.listeners[event] || []).push(handler);
+        return () => SecureSheets.off(event, handler);
+    };
+
+    /**
+     * Unsubscribe from client events
+     */
+    SecureSheets.off = function(event, handler) {
+        const handlers = SecureSheets.listeners[event];
+        if (handlers) {
+            SecureSheets.listeners[event] = handlers.filter(h => h !== handler);
+        }
+    };
+
+    /**
+     * Emit an event to listeners and as a 'securesheets:<event>' DOM event
+     */
+    SecureSheets.emit = function(event, detail) {
+        (SecureSheets.listeners[event] || []).forEach(handler => {
+            try {
+                handler(detail);
+            } catch (error) {
+                console.error('SecureSheets: ' + event + ' listener failed', error);
+            }
+        });
+
+        if (typeof window.dispatchEvent === 'function' && typeof CustomEvent === 'function') {
+            window.dispatchEvent(new CustomEvent('securesheets:' + event, { detail: detail }));
+        }
+    };
+
+    // ============================================
+    // LIVE SUBSCRIPTIONS (POLLING DIFF)
+    // ============================================
+
+    /**
+     * Watch a sheet for row changes. Polls getData, skips unchanged responses
+     * by checksum (sent as ifNoneMatch; servers that understand it reply
+     * { status: 'not_modified' }) and calls handler(diff) when rows differ:
+     *   { sheet, initial, rows, added, removed, changed: [{ key, row, previous, fields }] }
+     * Subscribers to the same sheet and key share one poller.
+     * @param {string} sheet - Sheet name
+     * @param {Function} handler - Receives each diff
+     * @param {Object} [options]
+     * @param {number} [options.interval] - Poll interval in ms (default config.subscribeInterval, min 1000)
+     * @param {string} [options.key] - Column identifying a row (default config.subscribeKey)
+     * @param {boolean} [options.initial=true] - Deliver the first snapshot as an all-added diff
+     * @param {Function} [options.onError] - Poll failures; non-retryable errors end the subscription
+     * @returns {Function} Unsubscribe
+     */
+    SecureSheets.subscribe = function(sheet, handler, options = {}) {
+        if (!sheet || typeof sheet !== 'string' || typeof handler !== 'function') {
+            throw SecureSheets.createError(
+                'subscribe() requires a sheet name and a handler function',
+                'INVALID_SUBSCRIPTION'
+            );
+        }
+
+        const key = options.key || SecureSheets.config.subscribeKey;
+        const id = sheet + '|' + key;
+        let poller = SecureSheets.subscriptions.get(id);
+
+        if (!poller) {
+            poller = { id: id, sheet: sheet, key: key, subscribers: new Set(), rows: null, checksum: null, timer: null, polling: false };
+            SecureSheets.subscriptions.set(id, poller);
+        }
+
+        const subscriber = { handler: handler, options: options };
+        poller.subscribers.add(subscriber);
+        poller.interval = getPollInterval(poller);
+
+        if (poller.rows && options.initial !== false) {
+            // Late subscriber: hand over the current snapshot
+            const rows = poller.rows;
+            Promise.resolve().then(() => notify(subscriber, {
+                sheet: sheet, initial: true, rows: rows, added: rows, removed: [], changed: [], checksum: poller.checksum
+            }));
+        }
+
+        if (!poller.timer && !poller.polling) {
+            schedulePoll(poller, 0);
+        }
+
+        return () => SecureSheets.unsubscribe(sheet, handler, key);
+    };
+
+    /**
+     * Stop delivering a sheet's changes to a handler (or to every handler)
+     */
+    SecureSheets.unsubscribe = function(sheet, handler, key = SecureSheets.config.subscribeKey) {
+        const poller = SecureSheets.subscriptions.get(sheet + '|' + key);
+        if (!poller) return;
+
+        poller.subscribers.forEach(subscriber => {
+            if (!handler || subscriber.handler === handler) {
+                poller.subscribers.delete(subscriber);
+            }
+        });
+
+        if (poller.subscribers.size === 0) {
+            stopPoller(poller);
+        } else {
+            poller.interval = getPollInterval(poller);
+        }
+    };
+
+    /**
+     * Stop every subscription
+     */
+    SecureSheets.unsubscribeAll = function() {
+        SecureSheets.subscriptions.forEach(stopPoller);
+    };
+
+    /**
+     * Row-level diff between two snapshots, matched by a key column.
+     * Rows without a key are matched by position.
+     * @returns {Object} { added, removed, changed: [{ key, row, previous, fields }] }
+     */
+    SecureSheets.diffRows = function(previous = [], current = [], key = SecureSheets.config.subscribeKey) {
+        const index = rows => {
+            const map = new Map();
+            rows.forEach((row, i) => {
+                const value = row && row[key] !== undefined && row[key] !== '' ? String(row[key]) : '#' + i;
+                map.set(value, row);
+            });
+            return map;
+        };
+
+        const before = index(previous);
+        const after = index(current);
+        const diff = { added: [], removed: [], changed: [] };
+
+        after.forEach((row, rowKey) => {
+            const old = before.get(rowKey);
+            if (!old) {
+                diff.added.push(row);
+                return;
+            }
+
+            const fields = Object.keys({ ...old, ...row })
+                .filter(field => JSON.stringify(old[field]) !== JSON.stringify(row[field]));
+            if (fields.length > 0) {
+                diff.changed.push({ key: rowKey, row: row, previous: old, fields: fields });
+            }
+        });
+
+        before.forEach((row, rowKey) => {
+            if (!after.has(rowKey)) diff.removed.push(row);
+        });
+
+        return diff;
+    };
+
+    /**
+     * Shortest interval any subscriber asked for
+     * @private
+     */
+    function getPollInterval(poller) {
+        let interval = Infinity;
+        poller.subscribers.forEach(subscriber => {
+            interval = Math.min(interval, subscriber.options.interval || SecureSheets.config.subscribeInterval);
+        });
+        return Math.max(1000, interval);
+    }
+
+    /**
+     * @private
+     */
+    function schedulePoll(poller, delay) {
+        clearTimeout(poller.timer);
+        poller.timer = setTimeout(() => pollSubscription(poller), delay);
+    }
+
+    /**
+     * @private
+     */
+    function stopPoller(poller) {
+        clearTimeout(poller.timer);
+        poller.timer = null;
+        poller.subscribers.clear();
+        if (SecureSheets.subscriptions.get(poller.id) === poller) {
+            SecureSheets.subscriptions.delete(poller.id);
+        }
+    }
+
+    /**
+     * One poll: fetch, diff against the last snapshot, notify, reschedule
+     * @private
+     */
+    async function pollSubscription(poller) {
+        poller.timer = null;
+
+        // Background tabs: skip this round, keep the schedule
+        if (window.document && window.document.hidden) {
+            schedulePoll(poller, poller.interval);
+            return;
+        }
+
+        poller.polling = true;
+
+        try {
+            const params = { action: 'getData', sheet: poller.sheet };
+            if (poller.checksum) params.ifNoneMatch = poller.checksum;
+
+            // No retries: the next poll is the retry
+            const response = await SecureSheets.makeRequest(params, { useCache: false, retry: false });
+            const error = SecureSheets.toError(response);
+            if (error) throw error;
+
+            if (response.status !== 'not_modified') {
+                await applySnapshot(poller, response);
+            }
+        } catch (error) {
+            poller.subscribers.forEach(subscriber => {
+                if (typeof subscriber.options.onError !== 'function') return;
+                try {
+                    subscriber.options.onError(error);
+                } catch (handlerError) {
+                    console.error('SecureSheets: Subscription error handler failed', handlerError);
+                }
+            });
+            SecureSheets.emit('error', { sheet: poller.sheet, error: error });
+
+            if (!SecureSheets.isRetryable(error)) {
+                console.error('SecureSheets: Subscription to ' + poller.sheet + ' stopped', error);
+                stopPoller(poller);
+            }
+        } finally {
+            poller.polling = false;
+            if (SecureSheets.subscriptions.get(poller.id) === poller && !poller.timer) {
+                schedulePoll(poller, poller.interval);
+            }
+        }
+    }
+
+    /**
+     * Diff a fresh getData response, refresh the cache entry, notify subscribers
+     * @private
+     */
+    async function applySnapshot(poller, response) {
+        const checksum = response.checksum || JSON.stringify(response.data);
+        if (checksum === poller.checksum) return;
+
+        const rows = Array.isArray(response.data) ? response.data :
+            (response.sheets && response.sheets[poller.sheet]) || [];
+        const initial = poller.rows === null;
+        const diff = SecureSheets.diffRows(poller.rows || [], rows, poller.key);
+
+        poller.rows = rows;
+        poller.checksum = checksum;
+
+        // Keep getData() in step so a reload shows the same rows
+        try {
+            await SecureSheets.getCacheStore().set(getCacheKey({ action: 'getData', sheet: poller.sheet }), {
+                data: response,
+                checksum: checksum,
+                storedAt: Date.now(),
+                expiry: Date.now() + SecureSheets.config.cacheTimeout
+            });
+        } catch (error) {
+            console.warn('SecureSheets: Cache write failed', error);
+        }
+
+        if (!initial && diff.added.length === 0 && diff.removed.length === 0 && diff.changed.length === 0) {
+            return;
+        }
+
+        const detail = { sheet: poller.sheet, initial: initial, rows: rows, checksum: checksum, ...diff };
+
+        poller.subscribers.forEach(subscriber => {
+            if (!initial || subscriber.options.initial !== false) notify(subscriber, detail);
+        });
+
+        if (!initial) {
+            SecureSheets.emit('changed', detail);
+        }
+    }
+
+    /**
+     * @private
+     */
+    function notify(subscriber, detail) {
+        try {
+            subscriber.handler(detail);
+        } catch (error) {
+            console.error('SecureSheets: Subscription handler failed', error);
+        }
+    }
+
+    // ============================================
+    // HTTP REQUEST METHODS
+    // ============================================
+
+    /**
+     * Build URL with parameters
+     * @private
+     */
+    function buildUrl(params) {
+        const queryParams = new URLSearchParams();
+        
+        for (const key in params) {
+            if (params.hasOwnProperty(key) && params[key] !== null && params[key] !== undefined) {
+                queryParams.append(key, params[key]);
+            }
+        }
+        
+        return SecureSheets.config.scriptUrl + '?' + queryParams.toString();
+    }
+
+    /**
+     * Make authenticated GET request with timeout support
+     * @private
+     */
+    const sendRequest = async function(params = {}, options = {}) {
+        if (!SecureSheets.config.scriptUrl) {
             throw SecureSheets.createError(
                 'API not configured. Call SecureSheets.configure() first.',
                 'NOT_CONFIGURED'
@@ -700,7 +1699,7 @@
         }
         
         if (SecureSheets.config.autoOrigin) {
-            params.referrer = window.location.href;
+            params.referrer = SecureSheets.getReferrer();
         }
         
         params.timestamp = new Date().toISOString();
@@ -718,7 +1717,7 @@
             }
         }
 
-        params.signature = SecureSheets.generateSignature(params);
+        params.signature = await SecureSheets.generateSignatureAsync(params);
 
         const url = buildUrl(params);
 
@@ -750,7 +1749,7 @@
             const data = await response.json();
 
             if (SecureSheets.config.checksumValidation && data.checksum) {
-                if (!SecureSheets.validateChecksum(data)) {
+                if (!(await SecureSheets.validateChecksumAsync(data))) {
                     throw SecureSheets.createError(
                         'Data integrity check failed (checksum mismatch)',
                         'CHECKSUM_MISMATCH',
@@ -790,9 +1789,20 @@
     };
 
     /**
-     * Make authenticated POST request with timeout support
+     * Make authenticated POST request with timeout support.
+     * Not retried unless options.retry is given (writes may not be idempotent).
      */
-    SecureSheets.makePostRequest = async function(body = {}, options = {}) {
+    SecureSheets.makePostRequest = function(body = {}, options = {}) {
+        if (!options.retry) {
+            return sendPostRequest(body, options);
+        }
+        return SecureSheets.withRetry(() => sendPostRequest({ ...body }, options), options.retry);
+    };
+
+    /**
+     * @private
+     */
+    const sendPostRequest = async function(body = {}, options = {}) {
         if (!SecureSheets.config.scriptUrl) {
             throw SecureSheets.createError(
                 'API not configured. Call SecureSheets.configure() first.',
@@ -813,7 +1823,7 @@
         body.timestamp = new Date().toISOString();
 
         if (SecureSheets.config.enableCSRF) {
-            body['csrf-token'] = SecureSheets.getCSRFToken();
+            body['csrf-token'] = await SecureSheets.getCSRFTokenAsync();
         }
 
         if (SecureSheets.config.enableNonce) {
@@ -821,7 +1831,7 @@
             if (nonce) body.nonce = nonce;
         }
 
-        body.signature = SecureSheets.generateSignature(body);
+        body.signature = await SecureSheets.generateSignatureAsync(body);
 
         if (SecureSheets.config.debug) {
             console.log('SecureSheets: Making POST request', body);
@@ -853,7 +1863,7 @@
             const responseData = await response.json();
 
             if (SecureSheets.config.checksumValidation && responseData.checksum) {
-                if (!SecureSheets.validateChecksum(responseData)) {
+                if (!(await SecureSheets.validateChecksumAsync(responseData))) {
                     throw SecureSheets.createError(
                         'Data integrity check failed (checksum mismatch)',
                         'CHECKSUM_MISMATCH',
@@ -889,8 +1899,9 @@
 
     /**
      * Make public request (no authentication, with timeout)
+     * @private
      */
-    SecureSheets.makePublicRequest = async function(params = {}, options = {}) {
+    const sendPublicRequest = async function(params = {}, options = {}) {
         if (!SecureSheets.config.scriptUrl) {
             throw SecureSheets.createError(
                 'API not configured. Call SecureSheets.configure() first.',
@@ -900,15 +1911,7 @@
 
         SecureSheets.checkRateLimit();
 
-        if (SecureSheets.config.origin) {
-            params.origin = SecureSheets.config.origin;
-        } else if (SecureSheets.config.autoOrigin) {
-            params.origin = SecureSheets.getOrigin();
-        }
-
-        if (SecureSheets.config.autoOrigin) {
-            params.referrer = window.location.href;
-        }
+        addOriginParams(params);
 
         if (options.useCache !== false) {
             const cacheKey = JSON.stringify(params);
@@ -975,6 +1978,244 @@
         }
     };
 
+    /**
+     * Add origin/referrer to public request params
+     * @private
+     */
+    function addOriginParams(params) {
+        if (SecureSheets.config.origin) {
+            params.origin = SecureSheets.config.origin;
+        } else if (SecureSheets.config.autoOrigin) {
+            params.origin = SecureSheets.getOrigin();
+        }
+
+        if (SecureSheets.config.autoOrigin) {
+            params.referrer = SecureSheets.getReferrer();
+        }
+
+        return params;
+    }
+
+    // ============================================
+    // REQUEST COALESCING & AUTO-BATCHING
+    // ============================================
+
+    /**
+     * Make authenticated GET request with timeout support.
+     * Identical requests already in flight share one fetch.
+     */
+    SecureSheets.makeRequest = function(params = {}, options = {}) {
+        return coalesce('GET', params, options, () => SecureSheets.withRetry(
+            () => sendRequest({ ...params }, options),
+            options.retry
+        ));
+    };
+
+    /**
+     * Make public request (no authentication, with timeout).
+     * Identical requests already in flight share one fetch; simple actions
+     * (config.batchableActions) made within config.batchWindow ms are sent
+     * as a single action=batch call and fanned back out.
+     */
+    SecureSheets.makePublicRequest = function(params = {}, options = {}) {
+        return coalesce('PUBLIC', params, options, () => SecureSheets.withRetry(() => {
+            if (isBatchable(params, options)) {
+                return enqueueBatch(params, options);
+            }
+            return sendPublicRequest({ ...params }, options);
+        }, options.retry));
+    };
+
+    // ============================================
+    // RETRY POLICY
+    // ============================================
+
+    /**
+     * Run a request, retrying retryable failures with jittered exponential
+     * backoff. Rate-limit errors wait for the server's reset time instead,
+     * unless that is further away than policy.maxResetWait. Error responses
+     * ({ status: 'error' }) with a retryable code are retried too and, if
+     * retries run out, returned as-is.
+     * @param {Function} send - Returns a promise for one attempt
+     * @param {Object|false} [policy] - Overrides config.retry; false disables retries.
+     *   policy.onRetry(attempt, error) is called before each wait.
+     */
+    SecureSheets.withRetry = async function(send, policy) {
+        const settings = policy === false
+            ? { ...SecureSheets.config.retry, retries: 0 }
+            : { ...SecureSheets.config.retry, ...policy };
+
+        for (let attempt = 1; ; attempt++) {
+            let error;
+            let result;
+
+            try {
+                result = await send();
+                error = SecureSheets.toError(result);
+                if (!error || !error.retryable) return result;
+            } catch (e) {
+                error = e;
+            }
+
+            const delay = SecureSheets.getRetryDelay(error, attempt, settings);
+            if (!SecureSheets.isRetryable(error) || attempt > settings.retries || delay === null) {
+                if (result !== undefined) return result;
+                throw error;
+            }
+
+            if (SecureSheets.config.debug) {
+                console.warn(`SecureSheets: ${error.name} (${error.code}), retry ${attempt}/${settings.retries} in ${delay}ms`);
+            }
+            SecureSheets.emit('retry', { attempt: attempt, delay: delay, error: error });
+            if (typeof settings.onRetry === 'function') settings.onRetry(attempt, error);
+
+            await new Promise(resolve => setTimeout(resolve, delay));
+        }
+    };
+
+    /**
+     * Delay before the next attempt (null = don't retry)
+     */
+    SecureSheets.getRetryDelay = function(error, attempt, policy = SecureSheets.config.retry) {
+        if (error && error.resetAt) {
+            const wait = error.resetAt - Date.now();
+            if (wait > policy.maxResetWait) return null;
+            return Math.max(0, wait) + Math.floor(Math.random() * policy.baseDelay);
+        }
+
+        const ceiling = Math.min(policy.maxDelay, policy.baseDelay * Math.pow(2, attempt - 1));
+        return Math.floor(ceiling / 2 + Math.random() * ceiling / 2);
+    };
+
+    /**
+     * Share the promise of an identical in-flight request: same params, timeout,
+     * cache use and headers. A request with its own retry policy is never
+     * shared (its onRetry belongs to that caller).
+     * @private
+     */
+    function coalesce(method, params, options, send) {
+        if (!SecureSheets.config.coalesceRequests || options.retry !== undefined) {
+            return send();
+        }
+
+        const key = [
+            method,
+            getCacheKey(params),
+            options.timeout || SecureSheets.config.defaultTimeout,
+            options.useCache !== false,
+            JSON.stringify(options.headers || {})
+        ].join(' ');
+        if (SecureSheets.inFlight.has(key)) {
+            if (SecureSheets.config.debug) {
+                console.log('SecureSheets: Joined in-flight request', key);
+            }
+            return SecureSheets.inFlight.get(key);
+        }
+
+        const request = Promise.resolve()
+            .then(send)
+            .finally(() => SecureSheets.inFlight.delete(key));
+
+        SecureSheets.inFlight.set(key, request);
+        return request;
+    }
+
+    /**
+     * Only parameterless public actions fit in ?action=batch&actions=a,b
+     * @private
+     */
+    function isBatchable(params, options) {
+        const keys = Object.keys(params);
+        return SecureSheets.config.autoBatch &&
+            !SecureSheets.batchUnsupported &&
+            keys.length === 1 && keys[0] === 'action' &&
+            SecureSheets.config.batchableActions.includes(params.action) &&
+            !options.headers;
+    }
+
+    /**
+     * Whether an error response says the action doesn't exist on this server
+     * (as opposed to a transient or auth failure worth batching again later)
+     * @private
+     */
+    function isUnsupportedAction(response) {
+        const message = String((response && (response.error || response.message)) || '');
+        return /(unknown|unsupported|invalid) action|action .*not (supported|implemented)/i.test(message);
+    }
+
+    /**
+     * Queue a public action for the next batch
+     * @private
+     */
+    function enqueueBatch(params, options) {
+        if (options.useCache !== false) {
+            const cached = SecureSheets.getCached(JSON.stringify(addOriginParams({ ...params })));
+            if (cached) return Promise.resolve(cached);
+        }
+
+        return new Promise((resolve, reject) => {
+            SecureSheets.batchQueue.push({ params, options, resolve, reject });
+
+            if (!SecureSheets.batchTimer) {
+                SecureSheets.batchTimer = setTimeout(flushBatch, SecureSheets.config.batchWindow);
+            }
+        });
+    }
+
+    /**
+     * Send queued actions as one batch call and resolve each caller
+     * @private
+     */
+    async function flushBatch() {
+        const queue = SecureSheets.batchQueue;
+        SecureSheets.batchQueue = [];
+        SecureSheets.batchTimer = null;
+
+        const sendAlone = entry => sendPublicRequest(entry.params, entry.options).then(entry.resolve, entry.reject);
+
+        if (queue.length === 1) {
+            return sendAlone(queue[0]);
+        }
+
+        let results = null;
+
+        try {
+            const response = await sendPublicRequest({
+                action: 'batch',
+                actions: queue.map(entry => entry.params.action).join(',')
+            }, { useCache: false });
+
+            if (response && response.status !== 'error' && !response.error) {
+                results = response.results || response.data || response;
+            } else if (isUnsupportedAction(response)) {
+                // Server has no batch action: stop trying
+                SecureSheets.batchUnsupported = true;
+            }
+        } catch (error) {
+            if (SecureSheets.config.debug) {
+                console.warn('SecureSheets: Batch request failed, sending individually', error);
+            }
+        }
+
+        if (SecureSheets.config.debug && results) {
+            console.log('SecureSheets: Batched ' + queue.length + ' requests');
+        }
+
+        queue.forEach(entry => {
+            const result = results ? results[entry.params.action] : undefined;
+
+            if (result === undefined) {
+                sendAlone(entry);
+                return;
+            }
+
+            if (entry.options.useCache !== false) {
+                SecureSheets.setCached(JSON.stringify(addOriginParams({ ...entry.params })), result);
+            }
+            entry.resolve(result);
+        });
+    }
+
     // ============================================
     // PUBLIC API METHODS (NO AUTH)
     // ============================================
@@ -1035,6 +2276,9 @@
 
     /**
      * Get sheet data (requires HMAC)
+     * Served stale-while-revalidate from the cache store unless
+     * staleWhileRevalidate is off; pass options.onUpdate or listen for
+     * 'updated' to re-render when the background refresh changes the data.
      */
     SecureSheets.getData = async function(sheet = null, options = {}) {
         const params = {
@@ -1049,6 +2293,10 @@
             }
         }
 
+        if (SecureSheets.config.staleWhileRevalidate) {
+            return await requestWithRevalidate(params, options);
+        }
+
         return await SecureSheets.makeRequest(params, options);
     };
 
@@ -1255,6 +2503,57 @@
         }
     };
 
+    /**
+     * Encrypt data with AES-256-GCM (WebCrypto)
+     * Output: base64(iv[12] + ciphertext + tag); key = SHA-256(passphrase)
+     */
+    SecureSheets.encryptDataAES = async function(data, key) {
+        try {
+            const iv = SecureSheets.getRandomBytes(12);
+            const aesKey = await getAesKey(key, 'encrypt');
+            const encrypted = await getSubtle().encrypt(
+                { name: 'AES-GCM', iv: iv },
+                aesKey,
+                textEncoder.encode(JSON.stringify(data))
+            );
+
+            const output = new Uint8Array(iv.length + encrypted.byteLength);
+            output.set(iv);
+            output.set(new Uint8Array(encrypted), iv.length);
+            return toBase64(output);
+        } catch (error) {
+            if (typeof error.code === 'string') throw error;
+            throw SecureSheets.createError(
+                'Encryption failed - ' + error.message,
+                'ENCRYPTION_FAILED',
+                { originalError: error.toString() }
+            );
+        }
+    };
+
+    /**
+     * Decrypt data produced by encryptDataAES
+     */
+    SecureSheets.decryptDataAES = async function(encryptedData, key) {
+        try {
+            const bytes = fromBase64(encryptedData);
+            const aesKey = await getAesKey(key, 'decrypt');
+            const decrypted = await getSubtle().decrypt(
+                { name: 'AES-GCM', iv: bytes.slice(0, 12) },
+                aesKey,
+                bytes.slice(12)
+            );
+            return JSON.parse(textDecoder.decode(decrypted));
+        } catch (error) {
+            if (typeof error.code === 'string') throw error;
+            throw SecureSheets.createError(
+                'Decryption failed - ' + (error.message || 'authentication tag mismatch'),
+                'DECRYPTION_FAILED',
+                { originalError: error.toString() }
+            );
+        }
+    };
+
     /**
      * Test connection to server
      */
@@ -1352,7 +2651,7 @@
     console.log(`SecureSheets Client v${SecureSheets.version} loaded (Server v${SecureSheets.serverVersion})`);
     console.log('✨ Enhanced Edition: Merged Security + Cell Query Features!');
 
-})(window);
+})(typeof window !== 'undefined' ? window : globalThis);
 
 /**
  * ============================================================================
@@ -0,0 +1,125 @@
+/**
+ * ============================================================================
+ * SECURESHEETS CLIENT - NODE.JS ENTRY POINT
+ * Same client, same signing rules, for build scripts and scheduled jobs
+ * Requires Node.js 18+ (global fetch / AbortController)
+ * ============================================================================
+ * @version 1.4.0
+ * @license MIT
+ *
+ * Differences from the browser build:
+ * - computeHMAC / validateChecksum use the built-in crypto module and
+ *   the async backend uses crypto.webcrypto (no CryptoJS global needed)
+ * - encryptData / decryptData use Buffer for base64 (no btoa/atob);
+ *   output is byte-identical to the browser's
+ * - getOrigin() has no page to read: it returns config.origin (set ORIGIN
+ *   to one of the server's allowed origins), referrer is sent empty
+ *
+ * Usage:
+ *   const SecureSheets = require('./securesheets_node');
+ *   await SecureSheets.configureWithEnvironment(); // SHEETS_BASE_URL, API_TOKEN, HMAC_SECRET, ORIGIN
+ *   const products = await SecureSheets.getData('Sheet2');
+ * ============================================================================
+ */
+
+'use strict';
+
+const crypto = require('crypto');
+const SecureSheets = require('./securesheets_Client_v140.js');
+
+if (typeof fetch !== 'function' || typeof AbortController !== 'function') {
+    throw SecureSheets.createError(
+        'SecureSheets requires Node.js 18+ (global fetch). Current: ' + process.version,
+        'DEPENDENCY_MISSING'
+    );
+}
+
+SecureSheets.runtime = 'node';
+
+// ============================================
+// CRYPTO (node:crypto)
+// ============================================
+
+/**
+ * Compute HMAC-SHA256 signature
+ */
+SecureSheets.computeHMAC = function(message, secret) {
+    if (!message || !secret) {
+        throw SecureSheets.createError(
+            'Message and secret are required for HMAC computation',
+            'HMAC_PARAMS_REQUIRED'
+        );
+    }
+
+    return crypto.createHmac('sha256', String(secret)).update(String(message), 'utf8').digest('hex');
+};
+
+/**
+ * Compute SHA-256 hex digest
+ */
+SecureSheets.computeSHA256 = function(message) {
+    return crypto.createHash('sha256').update(String(message), 'utf8').digest('hex');
+};
+
+/**
+ * WebCrypto for the async signing backend, AES-GCM and random bytes
+ */
+SecureSheets.getWebCrypto = function() {
+    return crypto.webcrypto;
+};
+
+// ============================================
+// ENCRYPTION (XOR cipher, Buffer base64)
+// ============================================
+
+/**
+ * XOR a string with a key, character by character (same as the browser build)
+ * @private
+ */
+function xorString(input, key) {
+    let output = '';
+    for (let i = 0; i < input.length; i++) {
+        output += String.fromCharCode(input.charCodeAt(i) ^ key.charCodeAt(i % key.length));
+    }
+    return output;
+}
+
+/**
+ * Encrypt data using XOR cipher
+ */
+SecureSheets.encryptData = function(data, key) {
+    try {
+        const encrypted = xorString(JSON.stringify(data), key);
+
+        // btoa() only accepts Latin-1; keep the same failure instead of silently truncating
+        if (/[^\u0000-\u00ff]/.test(encrypted)) {
+            throw new Error('Invalid character: data contains characters outside Latin-1');
+        }
+
+        return Buffer.from(encrypted, 'latin1').toString('base64');
+    } catch (error) {
+        throw SecureSheets.createError(
+            'Encryption failed - ' + error.message,
+            'ENCRYPTION_FAILED',
+            { originalError: error.toString() }
+        );
+    }
+};
+
+/**
+ * Decrypt data using XOR cipher
+ */
+SecureSheets.decryptData = function(encryptedData, key) {
+    try {
+        const decoded = Buffer.from(encryptedData, 'base64').toString('latin1');
+        return JSON.parse(xorString(decoded, key));
+    } catch (error) {
+        throw SecureSheets.createError(
+            'Decryption failed - ' + error.message,
+            'DECRYPTION_FAILED',
+            { originalError: error.toString() }
+        );
+    }
+};
+
+module.exports = SecureSheets;
@@ -0,0 +1,213 @@
+/**
+ * ShopUtils.js v1.0.0
+ * Helpers shared by the storefront components, so each one doesn't carry
+ * its own copy: settings from ConfigManager (or a plain object), rows from a
+ * sheet tab through SecureSheets and their cells, built-in English message text, and the
+ * listener / switcher / saved-preference plumbing of CurrencyManager and I18n.
+ * Include it before the components that use it.
+ * (c) 2025
+ * MIT License
+ *
+ * Usage:
+ * const get = ShopUtils.configGetter(configManager);
+ * get('tax.rate', 0);
+ * const rows = await ShopUtils.loadSheetRows(SecureSheets, 'Branches', { owner: 'StoreLocator', what: 'branches' });
+ * ShopUtils.translate(i18n, MESSAGES, 'cart.onlyLeft', { count: 2 }); // "Only 2 left"
+ */
+
+(function(global) {
+    'use strict';
+
+    const ShopUtils = {
+        /**
+         * get(path, fallback) over ConfigManager or a plain config object
+         * @param {Object} config - ConfigManager instance or config object
+         * @returns {Function} (path, fallback) => value
+         */
+        configGetter(config) {
+            return (path, fallback) => {
+                if (config && typeof config.get === 'function') {
+                    return config.get(path, fallback);
+                }
+                const value = path.split('.').reduce((obj, key) => (obj && key in obj ? obj[key] : undefined), config);
+                return value !== undefined ? value : fallback;
+            };
+        },
+
+        /**
+         * Fill {name} placeholders; a { one, other } message picks its form by params.count
+         * @param {string|Object} message - Text; undefined shows the key
+         * @param {Object} [params]
+         * @param {string} [key]
+         * @returns {string}
+         */
+        formatMessage(message, params = {}, key = '') {
+            const text = message && typeof message === 'object' ? (params.count === 1 ? message.one : message.other) : message;
+            return String(text === undefined ? key : text).replace(/\{(\w+)\}/g, (match, name) => (name in params ? params[name] : match));
+        },
+
+        /**
+         * A component's text: through I18n when it has one, else its built-in English
+         * @param {Object|null} i18n - I18n instance
+         * @param {Object} messages - Built-in catalog (key → text)
+         * @param {string} key
+         * @param {Object} [params]
+         * @param {Object} [options] - More I18n.t() options, e.g. { locale }
+         * @returns {string}
+         */
+        translate(i18n, messages, key, params = {}, options = {}) {
+            const message = messages[key];
+            if (i18n) {
+                return i18n.t(key, params, { ...options, default: message });
+            }
+            return ShopUtils.formatMessage(message, params, key);
+        },
+
+        /**
+         * The page's SecureSheets client, or null when it isn't included
+         */
+        defaultFetcher() {
+            return typeof global.SecureSheets !== 'undefined' ? global.SecureSheets : null;
+        },
+
+        /**
+         * Rows of a sheet tab
+         * @param {Object} fetcher - SecureSheets, or anything with getData(sheetName)
+         * @param {string} sheetName
+         * @param {Object} labels - { owner, what } for error messages, e.g. { owner: 'I18n', what: 'translations' }
+         * @returns {Promise<Array>}
+         */
+        async loadSheetRows(fetcher, sheetName, labels) {
+            if (!fetcher || typeof fetcher.getData !== 'function') {
+                throw new Error(`${labels.owner}: SecureSheets is not loaded. Include securesheets_Client_v140.js or pass options.fetcher`);
+            }
+
+            const response = await fetcher.getData(sheetName);
+
+            if (response && (response.status === 'error' || response.error)) {
+                throw new Error(response.message || response.error || `${labels.owner}: Failed to load ${labels.what}`);
+            }
+
+            const rows = response && Array.isArray(response.data) ? response.data : response;
+            if (!Array.isArray(rows)) {
+                throw new Error(`${labels.owner}: Invalid ${labels.what} response`);
+            }
+            return rows;
+        },
+
+        /**
+         * Cell of a sheet row by header name, ignoring case, spaces, '_' and '-'
+         * ("Free Above" matches freeAbove); the first name with a value wins and
+         * empty or '-' cells count as missing
+         * @param {Object} row
+         * @param {...string} names
+         * @returns {*} The cell, or undefined
+         */
+        rowField(row, ...names) {
+            for (const name of names) {
+                const key = Object.keys(row).find(k => k.toLowerCase().replace(/[\s_-]/g, '') === name.toLowerCase());
+                if (key !== undefined && row[key] !== '' && row[key] !== null && row[key] !== '-') {
+                    return row[key];
+                }
+            }
+            return undefined;
+        },
+
+        /**
+         * Whether a sheet cell switches a row or option off: false / no / 0 / n,
+         * any case; a missing cell doesn't
+         * @param {*} value
+         * @returns {boolean}
+         */
+        isDisabled(value) {
+            return value !== undefined && value !== null && ['false', 'no', '0', 'n'].includes(String(value).trim().toLowerCase());
+        },
+
+        /**
+         * Call every listener; one that throws is logged and the rest still run
+         * @param {Set|Array} listeners
+         * @param {Array} args
+         * @param {string} owner - Name in the warning
+         */
+        notifyListeners(listeners, args, owner) {
+            listeners.forEach(listener => {
+                try {
+                    listener(...args);
+                } catch (e) {
+                    console.warn(`${owner} listener failed:`, e);
+                }
+            });
+        },
+
+        /**
+         * Render a <select> the customer can switch with (currency, language)
+         * @param {HTMLElement} container
+         * @param {Object} switcher - { className, label(), options() → [{ value, text, dir, selected }], onChange(value), subscribe(listener) }
+         * @returns {HTMLSelectElement|null}
+         */
+        renderSwitcher(container, switcher) {
+            if (!container || typeof document === 'undefined') return null;
+
+            const select = document.createElement('select');
+            select.className = switcher.className;
+
+            // Values and names come from a sheet: set as text, never as markup
+            const fill = () => {
+                select.setAttribute('aria-label', switcher.label());
+                select.textContent = '';
+                switcher.options().forEach(option => {
+                    const element = document.createElement('option');
+                    element.value = option.value;
+                    element.textContent = option.text;
+                    if (option.dir) element.dir = option.dir;
+                    element.selected = !!option.selected;
+                    select.appendChild(element);
+                });
+            };
+
+            fill();
+            select.addEventListener('change', () => switcher.onChange(select.value));
+            switcher.subscribe(fill);
+
+            container.innerHTML = '';
+            container.appendChild(select);
+            return select;
+        },
+
+        /**
+         * Customer's saved choice (display currency, language), or null
+         * @param {string} storageKey
+         * @returns {string|null}
+         */
+        loadPreference(storageKey) {
+            try {
+                return global.localStorage ? global.localStorage.getItem(storageKey) : null;
+            } catch (e) {
+                return null;
+            }
+        },
+
+        /**
+         * Remember the customer's choice; private browsing just doesn't keep it
+         * @param {string} storageKey
+         * @param {string} value
+         * @param {string} what - Name in the warning, e.g. 'currency'
+         */
+        savePreference(storageKey, value, what) {
+            try {
+                if (global.localStorage) global.localStorage.setItem(storageKey, value);
+            } catch (e) {
+                console.warn(`Could not save ${what} preference:`, e);
+            }
+        }
+    };
+
+    // Export for different module systems
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = ShopUtils;
+    } else if (typeof define === 'function' && define.amd) {
+        define(function() { return ShopUtils; });
+    } else {
+        global.ShopUtils = ShopUtils;
+    }
+})(typeof window !== 'undefined' ? window : this);
@@ -1,6 +1,21 @@
 /**
- * ShopCart.js v1.0.0
+ * ShopCart.js v1.1.0
  * Enhanced shopping cart library with manual save functionality
+ * Products with variants (ProductSchema: size/colour) get one cart line per
+ * product + variant; quantity, edit and remove methods take that line ID,
+ * which is just the product ID for products without variants. Variants are
+ * looked up with ProductSchema.findVariant, so load product_schema.js first.
+ *
+ * Quantities are capped by stock and max-per-order (product.maxPerOrder or
+ * options.maxPerOrder); what is in the cart counts as reserved, so
+ * getAvailableQuantity() tells product cards how many more can be added.
+ * Before checkout, re-check the cart against fresh sheet data:
+ *   const cart = new ShopCart({ productSource: () => loader.fetch() });
+ *   const check = await cart.validateForCheckout(); // { valid, issues }
+ *   if (!check.valid) cart.resolveCartIssues(check.issues); // or let the customer fix each line
+ *
+ * Text is English unless options.i18n (I18n) is set; keys are in CART_MESSAGES.
+ * Uses shop_utils.js (ShopUtils) for it when the page includes it.
  * (c) 2025
  * MIT License
  */
@@ -8,22 +23,99 @@
 (function(global) {
     'use strict';
 
+    // Built-in English text; { one, other } entries are plural forms selected by {count}
+    const CART_MESSAGES = {
+        'cart.empty': 'Your cart is empty',
+        'cart.added': '{name} added to cart!',
+        'cart.productNotFound': 'Product not found',
+        'cart.chooseOption': 'Please choose {options}',
+        'cart.anOption': 'an option',
+        'cart.optionUnavailable': 'Selected option is not available',
+        'cart.productOutOfStock': 'Product is out of stock',
+        'cart.outOfStock': 'Out of stock',
+        'cart.onlyLeft': 'Only {count} left',
+        'cart.available': '{count} available',
+        'cart.limitPerOrder': 'Limit {count} per order',
+        'cart.alreadyInCart': '{limit} - already in your cart',
+        'cart.cappedInCart': '{limit} - {count} {name} in your cart',
+        'cart.quantityCapped': '{limit} - quantity set to {count}',
+        'cart.negativeQuantity': 'Quantity cannot be negative',
+        'cart.invalidQuantity': 'Please enter a valid quantity',
+        'cart.noChanges': 'No changes to save',
+        'cart.quantityUpdated': 'Quantity updated successfully',
+        'cart.changesCancelled': 'Changes cancelled',
+        'cart.allSaved': 'All changes saved',
+        'cart.allCancelled': 'All changes cancelled',
+        'cart.itemRemoved': 'Item removed from cart',
+        'cart.cleared': 'Cart cleared',
+        'cart.confirmRemove': 'Remove this item from cart?',
+        'cart.confirmRemoveItems': { one: 'Remove {count} item from cart?', other: 'Remove {count} items from cart?' },
+        'cart.confirmDiscard': 'Discard all unsaved changes?',
+        'cart.confirmClose': 'You have unsaved changes. Close anyway?',
+        'cart.confirmClear': 'Clear all items from cart?',
+        'cart.issue.unavailable': '{name} is no longer available',
+        'cart.issue.removedUnavailable': '{name} is no longer available and was removed from your cart',
+        'cart.issue.removedOutOfStock': '{name} is out of stock and was removed from your cart',
+        'cart.issue.outOfStock': '{name} is out of stock',
+        'cart.issue.limit': '{name}: {limit}',
+        'cart.issue.quantityUpdated': '{name}: {limit} - quantity updated',
+        'cart.issue.priceNow': '{name} is now {price}',
+        'cart.issue.priceChanged': '{name} is now {price} (was {previousPrice})',
+        'cart.issue.resolved': '{message} - cart updated',
+        'cart.issue.resolvedMany': { one: '{count} item in your cart was updated', other: '{count} items in your cart were updated' },
+        'cart.fix.remove': 'Remove',
+        'cart.fix.accept': 'OK',
+        'cart.fix.update': 'Update to {count}',
+        'cart.unsaved': 'UNSAVED',
+        'cart.save': 'Save',
+        'cart.cancel': 'Cancel',
+        'cart.remove': 'Remove',
+        'cart.subtotal': 'Subtotal:',
+        'cart.taxIncluded': '{amount} (incl.)',
+        'cart.free': 'FREE',
+        'cart.deliveryUnavailable': 'Not available',
+        'cart.coupon.freeDelivery': 'Free delivery',
+        'cart.coupon.removeTitle': 'Remove coupon',
+        'cart.coupon.unavailable': 'Coupons are not available',
+        'cart.coupon.enterCode': 'Please enter a coupon code',
+        'cart.coupon.loadFailed': 'Could not load coupons. Please try again.',
+        'cart.coupon.applied': 'Coupon {code} applied!',
+        'cart.coupon.removed': 'Coupon removed',
+        'cart.coupon.invalidated': 'Coupon {code} removed: {reason}'
+    };
+
     class ShopCart {
         constructor(options = {}) {
             this.cart = [];
             this.products = [];
-            this.tempEdits = new Map(); // Track unsaved changes
+            this.tempEdits = new Map(); // Track unsaved changes (line ID → quantity)
+            this.appliedCoupon = null; // Applied coupon code
             this.options = {
                 currency: options.currency || '$',
+                currencyManager: options.currencyManager || null, // CurrencyManager: prices shown in the customer's currency
+                i18n: options.i18n || null, // I18n: translated text, re-rendered on language switch
                 locale: options.locale || 'en-US',
                 primaryColor: options.primaryColor || '#2596be',
                 onCartUpdate: options.onCartUpdate || null,
                 onNotification: options.onNotification || null,
                 onUnsavedChanges: options.onUnsavedChanges || null,
+                onCouponChange: options.onCouponChange || null,
+                onCartIssues: options.onCartIssues || null,
+                maxPerOrder: options.maxPerOrder || null, // default cap when the product has none
+                productSource: options.productSource || null, // async () => fresh products for validateForCheckout()
+                couponEngine: options.couponEngine || (typeof CouponEngine !== 'undefined' ? new CouponEngine() : null),
+                pricing: options.pricing || (typeof PricingEngine !== 'undefined' ? new PricingEngine(options.pricingOptions) : null),
+                deliveryZones: options.deliveryZones || null, // DeliveryZones: delivery charge by the customer's pincode
+                storeLocator: options.storeLocator || null, // StoreLocator: the branch's own charge / free-above
                 selectors: {
                     cartItems: options.selectors?.cartItems || '#cartItems',
                     cartCount: options.selectors?.cartCount || '#cartCount',
                     cartTotal: options.selectors?.cartTotal || '#cartTotal',
+                    cartDiscount: options.selectors?.cartDiscount || '#cartDiscount',
+                    cartSubtotal: options.selectors?.cartSubtotal || '#cartSubtotal',
+                    cartTax: options.selectors?.cartTax || '#cartTax',
+                    cartDelivery: options.selectors?.cartDelivery || '#cartDelivery',
+                    cartDeliveryEta: options.selectors?.cartDeliveryEta || '#cartDeliveryEta',
                     cartSidebar: options.selectors?.cartSidebar || '#cartSidebar',
                     wishlistSidebar: options.selectors?.wishlistSidebar || '#wishlistSidebar'
                 }
@@ -31,6 +123,36 @@
 
             // Load cart from localStorage if available
             this.loadCart();
+
+            // Unsubscribe functions for the listeners below (see destroy())
+            this.listeners = [];
+
+            // Re-render prices when the customer switches currency
+            if (this.options.currencyManager) {
+                this.listeners.push(this.options.currencyManager.subscribe(() => this.updateCartUI()));
+            }
+
+            // Re-render text when the customer switches language
+            if (this.options.i18n) {
+                this.listeners.push(this.options.i18n.subscribe(() => this.updateCartUI()));
+            }
+
+            // Re-price delivery when the customer's pincode (zone) changes
+            if (this.options.deliveryZones) {
+                this.listeners.push(this.options.deliveryZones.subscribe(() => this.updateCartUI()));
+            }
+
+            // ...and when the order goes to another branch
+            if (this.options.storeLocator) {
+                this.listeners.push(this.options.storeLocator.subscribe(() => this.updateCartUI()));
+            }
+
+            // Saved coupon needs the coupon list before it can be priced
+            if (this.appliedCoupon && this.options.couponEngine && !this.options.couponEngine.loaded) {
+                this.options.couponEngine.load()
+                    .then(() => this.updateCartUI())
+                    .catch(e => console.warn('Could not load coupons:', e));
+            }
             
             // Inject required CSS
             this.injectStyles();
@@ -189,6 +311,12 @@
                     color: #111827;
                 }
                 
+                .cart-item-variant {
+                    color: #374151;
+                    font-size: 13px;
+                    margin-bottom: 4px;
+                }
+                
                 .cart-item-price {
                     color: #6b7280;
                     font-size: 14px;
@@ -220,6 +348,31 @@
                     font-weight: 600;
                 }
                 
+                .line-issue {
+                    display: flex;
+                    align-items: center;
+                    justify-content: space-between;
+                    gap: 8px;
+                    margin-top: 8px;
+                    padding: 6px 8px;
+                    border-radius: 6px;
+                    background: #fef2f2;
+                    color: #b91c1c;
+                    font-size: 12px;
+                    font-weight: 600;
+                }
+                
+                .fix-line-btn {
+                    background: #b91c1c;
+                    color: white;
+                    border: none;
+                    padding: 4px 10px;
+                    border-radius: 6px;
+                    cursor: pointer;
+                    font-size: 12px;
+                    white-space: nowrap;
+                }
+                
                 .shopcart-notification {
                     position: fixed;
                     top: 20px;
@@ -259,6 +412,37 @@
                 .notification-info {
                     border-left: 4px solid ${this.options.primaryColor};
                 }
+                
+                .cart-discount {
+                    display: flex;
+                    align-items: center;
+                    justify-content: space-between;
+                    gap: 8px;
+                    padding: 12px;
+                    margin-top: 8px;
+                    border: 1px dashed #10b981;
+                    border-radius: 8px;
+                    background: #ecfdf5;
+                    color: #047857;
+                    font-size: 14px;
+                }
+                
+                .cart-discount .coupon-code {
+                    font-weight: 700;
+                    letter-spacing: 0.5px;
+                }
+                
+                .remove-coupon-btn {
+                    background: none;
+                    border: none;
+                    color: #6b7280;
+                    cursor: pointer;
+                    font-size: 13px;
+                }
+                
+                .remove-coupon-btn:hover {
+                    color: #ef4444;
+                }
             `;
             document.head.appendChild(style);
         }
@@ -278,11 +462,201 @@
             this.products = products;
         }
 
+        // Apply a SecureSheets.subscribe() diff: update the product list and
+        // patch matching cart lines (price, title, stock), dropping lines for
+        // products that were removed or sold out. parse maps a sheet row to a product
+        // and may return null for rows that fail validation (e.g. ProductSchema.parseRow).
+        applyProductChanges(diff, parse = row => row) {
+            const removedIds = new Set(diff.removed.map(row => (parse(row) || row).id));
+            const updates = new Map();
+            (diff.initial ? diff.rows : [...diff.changed.map(change => change.row), ...diff.added])
+                .map(parse)
+                .filter(Boolean)
+                .forEach(product => updates.set(product.id, product));
+
+            if (diff.initial) {
+                this.products = Array.from(updates.values());
+            } else {
+                this.products = this.products.filter(p => !removedIds.has(p.id)).map(p => updates.get(p.id) || p);
+                updates.forEach(product => {
+                    if (!this.products.some(p => p.id === product.id)) this.products.push(product);
+                });
+            }
+
+            let touched = false;
+
+            this.cart = this.cart.filter(item => {
+                const lineId = this.getItemLineId(item);
+                const product = updates.get(item.id);
+                const variant = product && item.variantId ? global.ProductSchema.findVariant(product, item.variantId) : null;
+                const name = this.getItemName(item);
+
+                if (removedIds.has(item.id) || (product && item.variantId && !variant)) {
+                    this.showNotification('warning', this.t('cart.issue.removedUnavailable', { name }));
+                } else if (!product) {
+                    return true;
+                } else {
+                    const line = this.buildLine(product, variant, item.quantity);
+                    const limits = this.getLimits(product, variant);
+
+                    if (!limits.available) {
+                        this.showNotification('warning', this.t('cart.issue.removedOutOfStock', { name: this.getItemName(line) }));
+                        this.tempEdits.delete(lineId);
+                        touched = true;
+                        return false;
+                    }
+
+                    const stock = limits.max;
+                    const quantity = Math.min(item.quantity, stock);
+
+                    if (quantity < item.quantity) {
+                        this.showNotification('warning', this.t('cart.issue.quantityUpdated', { name: this.getItemName(line), limit: this.getLimitMessage(limits) }));
+                    } else if (line.price !== undefined && Number(line.price) !== item.price) {
+                        this.showNotification('info', this.t('cart.issue.priceNow', { name: this.getItemName(line), price: this.formatPrice(Number(line.price)) }));
+                    }
+                    if (this.tempEdits.has(lineId) && this.tempEdits.get(lineId) > stock) {
+                        this.tempEdits.set(lineId, stock);
+                    }
+
+                    line.quantity = quantity;
+                    const changed = Object.keys(line).some(key => JSON.stringify(line[key]) !== JSON.stringify(item[key]));
+                    Object.assign(item, line);
+                    touched = touched || changed;
+                    return true;
+                }
+
+                this.tempEdits.delete(lineId);
+                touched = true;
+                return false;
+            });
+
+            if (touched) {
+                this.saveCart();
+                this.checkCoupon();
+                this.updateCartUI();
+                this.notifyUnsavedChanges();
+            }
+
+            return touched;
+        }
+
         // Format price
         formatPrice(price) {
+            if (this.options.currencyManager) {
+                return this.options.currencyManager.format(price);
+            }
             return this.options.currency + price.toFixed(2);
         }
 
+        // Cart line ID: product ID, plus the variant ID for sizes/colours
+        getLineId(productId, variantId = null) {
+            return variantId ? `${productId}::${variantId}` : productId;
+        }
+
+        // Line ID of a cart item (carts saved before variants have none)
+        getItemLineId(item) {
+            return item.lineId || this.getLineId(item.id, item.variantId);
+        }
+
+        // Find a cart line by line ID
+        findLine(lineId) {
+            return this.cart.find(item => this.getItemLineId(item) === lineId);
+        }
+
+        // Sheet quantity → number; empty means "not tracked"
+        toQuantity(value) {
+            if (value === undefined || value === null || value === '') return Infinity;
+            const num = Number(value);
+            return isNaN(num) ? Infinity : Math.max(0, Math.floor(num));
+        }
+
+        // Quantity caps for a product (or one of its variants)
+        getLimits(product, variant = null) {
+            const source = variant || product || {};
+            const stock = this.toQuantity(source.stock);
+            const perProduct = product && product.maxPerOrder !== undefined && product.maxPerOrder !== null && product.maxPerOrder !== ''
+                ? product.maxPerOrder
+                : this.options.maxPerOrder;
+            const maxPerOrder = this.toQuantity(perProduct);
+            const available = !!product && source.inStock !== false && stock > 0;
+
+            return {
+                stock,
+                maxPerOrder,
+                max: available ? Math.min(stock, maxPerOrder) : 0,
+                available,
+                reason: maxPerOrder < stock ? 'limit' : 'stock'
+            };
+        }
+
+        // Caps for an existing cart line (unavailable if its product/variant is gone)
+        getLineLimits(item) {
+            const product = this.products.find(p => p.id === item.id);
+            const variant = product && item.variantId ? global.ProductSchema.findVariant(product, item.variantId) : null;
+            if (!product || (item.variantId && !variant)) {
+                return { stock: 0, maxPerOrder: Infinity, max: 0, available: false, reason: 'stock' };
+            }
+            return this.getLimits(product, variant);
+        }
+
+        // "Only 2 left" / "Limit 3 per order"
+        getLimitMessage(limits) {
+            if (!limits.available) return this.t('cart.outOfStock');
+            return this.t(limits.reason === 'limit' ? 'cart.limitPerOrder' : 'cart.onlyLeft', { count: limits.max });
+        }
+
+        // Translated text (built-in English without options.i18n)
+        t(key, params = {}) {
+            if (typeof global.ShopUtils !== 'undefined') {
+                return global.ShopUtils.translate(this.options.i18n, CART_MESSAGES, key, params);
+            }
+
+            // Pages without shop_utils.js
+            const message = CART_MESSAGES[key];
+            if (this.options.i18n) {
+                return this.options.i18n.t(key, params, { default: message });
+            }
+
+            const text = message && typeof message === 'object' ? (params.count === 1 ? message.one : message.other) : message;
+            return String(text === undefined ? key : text).replace(/\{(\w+)\}/g, (match, name) => (name in params ? params[name] : match));
+        }
+
+        // How many more of a product/variant can be added (cart quantity is reserved)
+        getAvailableQuantity(productId, variantId = null) {
+            const product = this.products.find(p => p.id === productId);
+            const variant = variantId ? global.ProductSchema.findVariant(product, variantId) : null;
+            const line = this.findLine(this.getLineId(productId, variantId));
+            const max = this.getLimits(product, variant).max;
+            return Math.max(0, max - (line ? line.quantity : 0));
+        }
+
+        // Display name, e.g. "Cotton Kurta (M / Blue)"
+        getItemName(item) {
+            return item.variantLabel ? `${item.title} (${item.variantLabel})` : item.title;
+        }
+
+        // Build a cart line from a product and optional variant
+        buildLine(product, variant, quantity) {
+            const { variants, variantOptions, ...line } = product;
+
+            if (variant) {
+                Object.assign(line, {
+                    price: variant.price,
+                    originalPrice: variant.originalPrice,
+                    stock: variant.stock,
+                    inStock: variant.inStock,
+                    image: variant.image || product.image,
+                    sku: variant.sku || product.sku,
+                    variantId: variant.id,
+                    variantLabel: variant.label
+                });
+            }
+
+            line.lineId = this.getLineId(product.id, variant ? variant.id : null);
+            line.quantity = quantity;
+            return line;
+        }
+
         // Check if URL is valid
         isValidURL(string) {
             try {
@@ -345,173 +719,215 @@
             return this.tempEdits.size;
         }
 
-        // Add to cart
-        addToCart(productId, quantity = 1) {
+        // Add to cart (variantId required for products with variants)
+        addToCart(productId, quantity = 1, variantId = null) {
             const product = this.products.find(p => p.id === productId);
             
             if (!product) {
-                this.showNotification('error', 'Product not found');
+                this.showNotification('error', this.t('cart.productNotFound'));
+                return false;
+            }
+            
+            let variant = null;
+            if (product.variants && product.variants.length) {
+                if (!variantId) {
+                    this.showNotification('warning', this.t('cart.chooseOption', { options: Object.keys(product.variantOptions || {}).join(' / ') || this.t('cart.anOption') }));
+                    return false;
+                }
+                variant = global.ProductSchema.findVariant(product, variantId);
+                if (!variant) {
+                    this.showNotification('error', this.t('cart.optionUnavailable'));
+                    return false;
+                }
+            }
+            
+            const line = this.buildLine(product, variant, quantity);
+            const limits = this.getLimits(product, variant);
+            
+            if (!limits.available) {
+                this.showNotification('warning', this.t('cart.productOutOfStock'));
                 return false;
             }
             
-            if (product.stock !== undefined && product.stock <= 0) {
-                this.showNotification('warning', 'Product is out of stock');
+            const existingItem = this.findLine(line.lineId);
+            const inCart = existingItem ? existingItem.quantity : 0;
+            const newQuantity = Math.min(inCart + quantity, limits.max);
+            
+            if (newQuantity <= inCart) {
+                this.showNotification('warning', this.t('cart.alreadyInCart', { limit: this.getLimitMessage(limits) }));
                 return false;
             }
             
-            const existingItem = this.cart.find(item => item.id === productId);
             if (existingItem) {
-                const newQuantity = existingItem.quantity + quantity;
-                if (product.stock !== undefined && newQuantity > product.stock) {
-                    this.showNotification('warning', `Maximum stock reached (${product.stock} available)`);
-                    existingItem.quantity = product.stock;
-                } else {
-                    existingItem.quantity = newQuantity;
-                }
+                existingItem.quantity = newQuantity;
             } else {
-                const finalQuantity = product.stock !== undefined ? Math.min(quantity, product.stock) : quantity;
-                this.cart.push({...product, quantity: finalQuantity});
+                line.quantity = newQuantity;
+                this.cart.push(line);
             }
             
             this.saveCart();
+            this.checkCoupon();
             this.updateCartUI();
-            this.showNotification('success', `${product.title} added to cart!`);
+            if (newQuantity < inCart + quantity) {
+                this.showNotification('warning', this.t('cart.cappedInCart', { limit: this.getLimitMessage(limits), count: newQuantity, name: this.getItemName(line) }));
+            } else {
+                this.showNotification('success', this.t('cart.added', { name: this.getItemName(line) }));
+            }
             return true;
         }
 
         // Start editing quantity (temporary)
-        startEditQuantity(productId, change) {
-            const product = this.products.find(p => p.id === productId);
-            const cartItem = this.cart.find(item => item.id === productId);
+        startEditQuantity(lineId, change) {
+            const cartItem = this.findLine(lineId);
+            const limits = cartItem ? this.getLineLimits(cartItem) : null;
             
-            if (!product || !cartItem) {
-                this.showNotification('error', 'Product not found');
+            if (!cartItem || !this.products.some(p => p.id === cartItem.id)) {
+                this.showNotification('error', this.t('cart.productNotFound'));
                 return;
             }
             
             // Get current temp value or actual cart value
-            let currentTemp = this.tempEdits.get(productId) ?? cartItem.quantity;
+            let currentTemp = this.tempEdits.get(lineId) ?? cartItem.quantity;
             let newQuantity = currentTemp + change;
             
             // Validation
             if (newQuantity < 0) {
-                this.showNotification('warning', 'Quantity cannot be negative');
+                this.showNotification('warning', this.t('cart.negativeQuantity'));
                 return;
             }
             
             if (newQuantity === 0) {
-                this.tempEdits.set(productId, 0);
+                this.tempEdits.set(lineId, 0);
                 this.updateCartUI();
                 this.notifyUnsavedChanges();
                 return;
             }
             
-            if (product.stock !== undefined && newQuantity > product.stock) {
-                this.showNotification('warning', `Maximum stock reached (${product.stock} available)`);
+            if (newQuantity > limits.max) {
+                this.showNotification('warning', this.getLimitMessage(limits));
                 return;
             }
             
-            this.tempEdits.set(productId, newQuantity);
+            this.tempEdits.set(lineId, newQuantity);
             this.updateCartUI();
             this.notifyUnsavedChanges();
         }
 
         // Set quantity directly (temporary)
-        setTempQuantity(productId, value) {
-            const product = this.products.find(p => p.id === productId);
-            const cartItem = this.cart.find(item => item.id === productId);
+        setTempQuantity(lineId, value) {
+            const cartItem = this.findLine(lineId);
+            const limits = cartItem ? this.getLineLimits(cartItem) : null;
             
-            if (!product || !cartItem) {
-                this.showNotification('error', 'Product not found');
+            if (!cartItem || !this.products.some(p => p.id === cartItem.id)) {
+                this.showNotification('error', this.t('cart.productNotFound'));
                 return;
             }
             
             let quantity = parseInt(value);
             
             if (isNaN(quantity) || quantity < 0) {
-                this.showNotification('warning', 'Please enter a valid quantity');
+                this.showNotification('warning', this.t('cart.invalidQuantity'));
                 this.updateCartUI();
                 return;
             }
             
-            if (product.stock !== undefined && quantity > product.stock) {
-                this.showNotification('warning', `Only ${product.stock} items available`);
-                quantity = product.stock;
+            if (quantity > limits.max) {
+                this.showNotification('warning', this.getLimitMessage(limits));
+                quantity = limits.max;
             }
             
-            this.tempEdits.set(productId, quantity);
+            this.tempEdits.set(lineId, quantity);
             this.updateCartUI();
             this.notifyUnsavedChanges();
         }
 
         // Save quantity changes
-        saveQuantity(productId) {
-            const tempQuantity = this.tempEdits.get(productId);
+        saveQuantity(lineId) {
+            const tempQuantity = this.tempEdits.get(lineId);
             
             if (tempQuantity === undefined) {
-                this.showNotification('info', 'No changes to save');
+                this.showNotification('info', this.t('cart.noChanges'));
                 return;
             }
             
             if (tempQuantity === 0) {
-                if (confirm('Remove this item from cart?')) {
-                    this.removeFromCart(productId);
+                if (confirm(this.t('cart.confirmRemove'))) {
+                    this.removeFromCart(lineId);
                 } else {
-                    this.tempEdits.delete(productId);
+                    this.tempEdits.delete(lineId);
                     this.updateCartUI();
                 }
                 return;
             }
             
-            const cartItem = this.cart.find(item => item.id === productId);
+            const cartItem = this.findLine(lineId);
             if (cartItem) {
-                cartItem.quantity = tempQuantity;
-                this.tempEdits.delete(productId);
+                // Stock may have changed since the edit started
+                const limits = this.getLineLimits(cartItem);
+                const quantity = Math.min(tempQuantity, limits.max);
+                
+                this.tempEdits.delete(lineId);
+                if (quantity === 0) {
+                    this.updateCartUI();
+                    this.showNotification('warning', this.t('cart.issue.unavailable', { name: this.getItemName(cartItem) }));
+                    this.notifyUnsavedChanges();
+                    return;
+                }
+                
+                cartItem.quantity = quantity;
                 this.saveCart();
+                this.checkCoupon();
                 this.updateCartUI();
-                this.showNotification('success', 'Quantity updated successfully');
+                if (quantity < tempQuantity) {
+                    this.showNotification('warning', this.t('cart.quantityCapped', { limit: this.getLimitMessage(limits), count: quantity }));
+                } else {
+                    this.showNotification('success', this.t('cart.quantityUpdated'));
+                }
                 this.notifyUnsavedChanges();
             }
         }
 
         // Cancel quantity changes
-        cancelQuantity(productId) {
-            this.tempEdits.delete(productId);
+        cancelQuantity(lineId) {
+            this.tempEdits.delete(lineId);
             this.updateCartUI();
             this.notifyUnsavedChanges();
-            this.showNotification('info', 'Changes cancelled');
+            this.showNotification('info', this.t('cart.changesCancelled'));
         }
 
         // Save all quantity changes
         saveAllQuantities() {
             if (!this.hasUnsavedChanges()) {
-                this.showNotification('info', 'No changes to save');
+                this.showNotification('info', this.t('cart.noChanges'));
                 return;
             }
             
             const itemsToRemove = [];
             
-            this.tempEdits.forEach((quantity, productId) => {
+            this.tempEdits.forEach((quantity, lineId) => {
                 if (quantity === 0) {
-                    itemsToRemove.push(productId);
+                    itemsToRemove.push(lineId);
                 } else {
-                    const cartItem = this.cart.find(item => item.id === productId);
+                    const cartItem = this.findLine(lineId);
                     if (cartItem) {
-                        cartItem.quantity = quantity;
+                        // Keep lines that are no longer available at their old quantity; the line shows why
+                        const max = this.getLineLimits(cartItem).max;
+                        if (max > 0) cartItem.quantity = Math.min(quantity, max);
                     }
                 }
             });
             
             if (itemsToRemove.length > 0) {
-                if (confirm(`Remove ${itemsToRemove.length} item(s) from cart?`)) {
+                if (confirm(this.t('cart.confirmRemoveItems', { count: itemsToRemove.length }))) {
                     itemsToRemove.forEach(id => this.removeFromCart(id));
                 }
             }
             
             this.tempEdits.clear();
             this.saveCart();
+            this.checkCoupon();
             this.updateCartUI();
-            this.showNotification('success', 'All changes saved');
+            this.showNotification('success', this.t('cart.allSaved'));
             this.notifyUnsavedChanges();
         }
 
@@ -521,10 +937,10 @@
                 return;
             }
             
-            if (confirm('Discard all unsaved changes?')) {
+            if (confirm(this.t('cart.confirmDiscard'))) {
                 this.tempEdits.clear();
                 this.updateCartUI();
-                this.showNotification('info', 'All changes cancelled');
+                this.showNotification('info', this.t('cart.allCancelled'));
                 this.notifyUnsavedChanges();
             }
         }
@@ -537,29 +953,144 @@
         }
 
         // Remove from cart
-        removeFromCart(productId) {
-            this.cart = this.cart.filter(item => item.id !== productId);
-            this.tempEdits.delete(productId);
+        removeFromCart(lineId) {
+            this.cart = this.cart.filter(item => this.getItemLineId(item) !== lineId);
+            this.tempEdits.delete(lineId);
             this.saveCart();
+            this.checkCoupon();
             this.updateCartUI();
-            this.showNotification('info', 'Item removed from cart');
+            this.showNotification('info', this.t('cart.itemRemoved'));
             this.notifyUnsavedChanges();
         }
 
+        // Problem with a cart line against current product data, or null
+        checkLine(item) {
+            // Nothing to check against until products are loaded
+            if (this.products.length === 0) return null;
+            
+            const lineId = this.getItemLineId(item);
+            const name = this.getItemName(item);
+            const product = this.products.find(p => p.id === item.id);
+            const variant = product && item.variantId ? global.ProductSchema.findVariant(product, item.variantId) : null;
+            const issue = { lineId, name, quantity: item.quantity };
+            
+            if (!product || (item.variantId && !variant)) {
+                return { ...issue, type: 'unavailable', message: this.t('cart.issue.unavailable', { name }), suggestedQuantity: 0 };
+            }
+            
+            const limits = this.getLimits(product, variant);
+            if (!limits.available) {
+                return { ...issue, type: 'out_of_stock', message: this.t('cart.issue.outOfStock', { name }), suggestedQuantity: 0 };
+            }
+            if (item.quantity > limits.max) {
+                return {
+                    ...issue,
+                    type: limits.reason === 'limit' ? 'over_limit' : 'insufficient_stock',
+                    message: this.t('cart.issue.limit', { name, limit: this.getLimitMessage(limits) }),
+                    suggestedQuantity: limits.max
+                };
+            }
+            
+            const price = Number(variant ? variant.price : product.price);
+            if (!isNaN(price) && price !== item.price) {
+                return {
+                    ...issue,
+                    type: 'price_changed',
+                    message: this.t('cart.issue.priceChanged', { name, price: this.formatPrice(price), previousPrice: this.formatPrice(item.price) }),
+                    suggestedQuantity: item.quantity,
+                    previousPrice: item.price,
+                    price
+                };
+            }
+            
+            return null;
+        }
+        
+        // All cart lines that need the customer's attention
+        getCartIssues() {
+            return this.cart.map(item => this.checkLine(item)).filter(Boolean);
+        }
+        
+        // Re-check the cart against fresh product data (options.productSource) before checkout
+        async validateForCheckout(options = {}) {
+            const source = options.productSource || this.options.productSource;
+            
+            if (source) {
+                try {
+                    const products = await source();
+                    if (Array.isArray(products) && products.length > 0) {
+                        this.setProducts(products);
+                    }
+                } catch (e) {
+                    console.warn('Could not refresh products before checkout:', e);
+                }
+            }
+            
+            const issues = this.getCartIssues();
+            if (options.autoAdjust && issues.length > 0) {
+                this.resolveCartIssues(issues);
+            } else {
+                this.checkCoupon();
+                this.updateCartUI();
+            }
+            
+            return { valid: issues.length === 0, issues, adjusted: !!options.autoAdjust && issues.length > 0 };
+        }
+        
+        // Apply the suggested fix for each issue: remove, lower quantity, take the new price
+        resolveCartIssues(issues = this.getCartIssues()) {
+            if (issues.length === 0) return 0;
+            
+            issues.forEach(issue => {
+                const item = this.findLine(issue.lineId);
+                if (!item) return;
+                
+                this.tempEdits.delete(issue.lineId);
+                if (issue.suggestedQuantity === 0) {
+                    this.cart = this.cart.filter(line => line !== item);
+                    return;
+                }
+                
+                const product = this.products.find(p => p.id === item.id);
+                const variant = item.variantId ? global.ProductSchema.findVariant(product, item.variantId) : null;
+                Object.assign(item, this.buildLine(product, variant, issue.suggestedQuantity));
+            });
+            
+            this.saveCart();
+            this.checkCoupon();
+            this.updateCartUI();
+            this.notifyUnsavedChanges();
+            this.showNotification('info', issues.length === 1
+                ? this.t('cart.issue.resolved', { message: issues[0].message })
+                : this.t('cart.issue.resolvedMany', { count: issues.length }));
+            return issues.length;
+        }
+        
+        // Fix a single line (the "Update" button on a cart line)
+        fixLine(lineId) {
+            const item = this.findLine(lineId);
+            const issue = item ? this.checkLine(item) : null;
+            return issue ? this.resolveCartIssues([issue]) : 0;
+        }
+
         // Update cart UI
         updateCartUI() {
             const cartItems = this.$(this.options.selectors.cartItems);
             const cartCount = this.$(this.options.selectors.cartCount);
             const cartTotal = this.$(this.options.selectors.cartTotal);
+            const cartDiscount = this.$(this.options.selectors.cartDiscount);
             
             if (!cartItems) return;
             
+            if (cartDiscount) cartDiscount.innerHTML = '';
+            
             cartItems.innerHTML = '';
             
             if (this.cart.length === 0) {
-                cartItems.innerHTML = '<p style="text-align: center; color: #6b7280; padding: 50px 20px;">Your cart is empty</p>';
+                cartItems.innerHTML = `<p style="text-align: center; color: #6b7280; padding: 50px 20px;">${this.t('cart.empty')}</p>`;
                 if (cartCount) cartCount.textContent = '0';
                 if (cartTotal) cartTotal.textContent = this.formatPrice(0);
+                this.updateSummaryUI(this.getTotals());
                 
                 if (this.options.onCartUpdate) {
                     this.options.onCartUpdate(this.cart, 0, 0);
@@ -571,10 +1102,13 @@
             let itemCount = 0;
             
             this.cart.forEach(item => {
-                const product = this.products.find(p => p.id === item.id);
-                const stock = product?.stock;
-                const hasUnsaved = this.tempEdits.has(item.id);
-                const displayQuantity = hasUnsaved ? this.tempEdits.get(item.id) : item.quantity;
+                const lineId = this.getItemLineId(item);
+                const limits = this.products.length > 0 ? this.getLineLimits(item) : null;
+                const stock = limits && isFinite(limits.stock) ? limits.stock : undefined;
+                const max = limits && isFinite(limits.max) ? limits.max : undefined;
+                const issue = this.checkLine(item);
+                const hasUnsaved = this.tempEdits.has(lineId);
+                const displayQuantity = hasUnsaved ? this.tempEdits.get(lineId) : item.quantity;
                 const itemSubtotal = item.price * item.quantity;
                 const tempSubtotal = item.price * displayQuantity;
                 
@@ -591,44 +1125,62 @@
                 }
                 
                 let stockClass = 'stock-available';
-                let stockText = stock ? `${stock} available` : '';
+                let stockText = stock ? this.t('cart.available', { count: stock }) : '';
                 if (stock !== undefined) {
                     if (stock <= 0) {
                         stockClass = 'stock-out';
-                        stockText = 'Out of stock';
+                        stockText = this.t('cart.outOfStock');
                     } else if (stock <= 5) {
                         stockClass = 'stock-low';
-                        stockText = `Only ${stock} left`;
+                        stockText = this.t('cart.onlyLeft', { count: stock });
                     }
                 }
+                if (limits && limits.reason === 'limit' && max !== undefined && displayQuantity >= max) {
+                    stockClass = 'stock-low';
+                    stockText = this.t('cart.limitPerOrder', { count: max });
+                }
+                
+                let issueContent = '';
+                if (issue) {
+                    const fixLabel = issue.suggestedQuantity === 0 ? this.t('cart.fix.remove')
+                        : issue.type === 'price_changed' ? this.t('cart.fix.accept') : this.t('cart.fix.update', { count: issue.suggestedQuantity });
+                    issueContent = `
+                        <div class="line-issue">
+                            <span>${issue.message}</span>
+                            <button class="fix-line-btn" data-line-id="${lineId}">${fixLabel}</button>
+                        </div>
+                    `;
+                    stockText = '';
+                }
                 
                 const cartItem = document.createElement('div');
                 cartItem.className = `cart-item ${hasUnsaved ? 'item-edited' : ''}`;
-                cartItem.dataset.itemId = item.id;
+                cartItem.dataset.itemId = lineId;
                 cartItem.innerHTML = `
                     <div class="cart-item-image">${itemImageContent}</div>
                     <div class="cart-item-info">
                         <div class="cart-item-title">
                             ${item.title}
-                            ${hasUnsaved ? '<span class="unsaved-badge">UNSAVED</span>' : ''}
+                            ${hasUnsaved ? `<span class="unsaved-badge">${this.t('cart.unsaved')}</span>` : ''}
                         </div>
+                        ${item.variantLabel ? `<div class="cart-item-variant">${item.variantLabel}</div>` : ''}
                         <div class="cart-item-price">${this.formatPrice(item.price)}</div>
                         
                         <div class="quantity-controls">
-                            <button class="quantity-btn" data-action="decrease" data-product-id="${item.id}" 
+                            <button class="quantity-btn" data-action="decrease" data-line-id="${lineId}" 
                                 ${displayQuantity <= 0 ? 'disabled' : ''}>
                                 <i class="fas fa-minus"></i>
                             </button>
                             <input type="number" class="quantity-input" value="${displayQuantity}" 
-                                   min="0" ${stock !== undefined ? `max="${stock}"` : ''} 
-                                   data-product-id="${item.id}">
-                            <button class="quantity-btn" data-action="increase" data-product-id="${item.id}" 
-                                ${stock !== undefined && displayQuantity >= stock ? 'disabled' : ''}>
+                                   min="0" ${max !== undefined ? `max="${max}"` : ''} 
+                                   data-line-id="${lineId}">
+                            <button class="quantity-btn" data-action="increase" data-line-id="${lineId}" 
+                                ${max !== undefined && displayQuantity >= max ? 'disabled' : ''}>
                                 <i class="fas fa-plus"></i>
                             </button>
                             ${hasUnsaved ? `
-                                <button class="save-qty-btn" data-product-id="${item.id}">Save</button>
-                                <button class="cancel-qty-btn" data-product-id="${item.id}">Cancel</button>
+                                <button class="save-qty-btn" data-line-id="${lineId}">${this.t('cart.save')}</button>
+                                <button class="cancel-qty-btn" data-line-id="${lineId}">${this.t('cart.cancel')}</button>
                             ` : ''}
                         </div>
                         
@@ -636,13 +1188,14 @@
                             ${hasUnsaved && tempSubtotal !== itemSubtotal ? `
                                 <span style="text-decoration: line-through; color: #9ca3af;">${this.formatPrice(itemSubtotal)}</span>
                                 → <strong>${this.formatPrice(tempSubtotal)}</strong>
-                            ` : `Subtotal: <strong>${this.formatPrice(itemSubtotal)}</strong>`}
+                            ` : `${this.t('cart.subtotal')} <strong>${this.formatPrice(itemSubtotal)}</strong>`}
                         </div>
                         
                         ${stockText ? `<div class="stock-status ${stockClass}">${stockText}</div>` : ''}
+                        ${issueContent}
                         
-                        <button class="remove-btn" data-product-id="${item.id}">
-                            <i class="fas fa-trash"></i> Remove
+                        <button class="remove-btn" data-line-id="${lineId}">
+                            <i class="fas fa-trash"></i> ${this.t('cart.remove')}
                         </button>
                     </div>
                 `;
@@ -650,14 +1203,77 @@
                 cartItems.appendChild(cartItem);
             });
             
+            // Price breakdown (tax, delivery, discount) from the shared pricing layer
+            const totals = this.getTotals();
+            
+            // Coupon discount line
+            const coupon = this.getCouponResult();
+            if (coupon && coupon.valid) {
+                const discountLine = document.createElement('div');
+                discountLine.className = 'cart-discount';
+                discountLine.innerHTML = `
+                    <div>
+                        <i class="fas fa-tag"></i>
+                        <span class="coupon-code">${coupon.code}</span>
+                        ${coupon.freeDelivery ? ` ${this.t('cart.coupon.freeDelivery')}` : ` -${this.formatPrice(coupon.discount)}`}
+                    </div>
+                    <button class="remove-coupon-btn" title="${this.t('cart.coupon.removeTitle')}">
+                        <i class="fas fa-times"></i>
+                    </button>
+                `;
+                (cartDiscount || cartItems).appendChild(discountLine);
+            }
+            
+            total = totals.total;
+            this.updateSummaryUI(totals);
+            
             if (cartCount) cartCount.textContent = itemCount;
             if (cartTotal) cartTotal.textContent = this.formatPrice(total);
             
             // Attach event listeners
             this.attachCartEventListeners();
             
+            if (this.options.onCartIssues) {
+                this.options.onCartIssues(this.getCartIssues());
+            }
+            
             if (this.options.onCartUpdate) {
-                this.options.onCartUpdate(this.cart, total, itemCount);
+                this.options.onCartUpdate(this.cart, total, itemCount, totals);
+            }
+        }
+        
+        // Update optional subtotal / tax / delivery elements
+        updateSummaryUI(totals) {
+            const cartSubtotal = this.$(this.options.selectors.cartSubtotal);
+            const cartTax = this.$(this.options.selectors.cartTax);
+            const cartDelivery = this.$(this.options.selectors.cartDelivery);
+            
+            if (cartSubtotal) cartSubtotal.textContent = this.formatPrice(totals.subtotal);
+            if (cartTax) {
+                cartTax.textContent = totals.taxInclusive
+                    ? this.t('cart.taxIncluded', { amount: this.formatPrice(totals.tax) })
+                    : this.formatPrice(totals.tax);
+            }
+            if (cartDelivery) {
+                if (totals.deliveryAvailable === false) {
+                    cartDelivery.textContent = this.t('cart.deliveryUnavailable');
+                } else {
+                    cartDelivery.textContent = totals.deliveryCharge > 0 || this.cart.length === 0
+                        ? this.formatPrice(totals.deliveryCharge)
+                        : this.t('cart.free');
+                }
+            }
+            
+            const cartDeliveryEta = this.$(this.options.selectors.cartDeliveryEta);
+            if (cartDeliveryEta && this.options.deliveryZones) {
+                const zone = this.options.deliveryZones.check(undefined, totals.netAmount);
+                const minimum = zone.shortfall > 0
+                    ? this.options.deliveryZones.t('zones.minOrder', { zone: zone.zone.name, amount: this.formatPrice(zone.minOrder) })
+                    : '';
+                cartDeliveryEta.textContent = [zone.message, minimum].filter(Boolean).join(' · ');
+                // No pincode or location yet: nothing to warn about
+                const unavailable = zone.reason !== 'unknown_location' && (!zone.serviceable || zone.shortfall > 0);
+                cartDeliveryEta.classList.toggle('is-unavailable', unavailable);
             }
         }
 
@@ -666,44 +1282,54 @@
             // Quantity buttons
             this.$$('.quantity-btn').forEach(btn => {
                 btn.addEventListener('click', () => {
-                    const productId = btn.dataset.productId;
+                    const lineId = btn.dataset.lineId;
                     const action = btn.dataset.action;
                     const change = action === 'increase' ? 1 : -1;
-                    this.startEditQuantity(productId, change);
+                    this.startEditQuantity(lineId, change);
                 });
             });
 
             // Quantity inputs
             this.$$('.quantity-input').forEach(input => {
                 input.addEventListener('change', () => {
-                    const productId = input.dataset.productId;
-                    this.setTempQuantity(productId, input.value);
+                    const lineId = input.dataset.lineId;
+                    this.setTempQuantity(lineId, input.value);
                 });
             });
 
             // Save buttons
             this.$$('.save-qty-btn').forEach(btn => {
                 btn.addEventListener('click', () => {
-                    const productId = btn.dataset.productId;
-                    this.saveQuantity(productId);
+                    const lineId = btn.dataset.lineId;
+                    this.saveQuantity(lineId);
                 });
             });
 
             // Cancel buttons
             this.$$('.cancel-qty-btn').forEach(btn => {
                 btn.addEventListener('click', () => {
-                    const productId = btn.dataset.productId;
-                    this.cancelQuantity(productId);
+                    const lineId = btn.dataset.lineId;
+                    this.cancelQuantity(lineId);
                 });
             });
 
             // Remove buttons
             this.$$('.remove-btn').forEach(btn => {
                 btn.addEventListener('click', () => {
-                    const productId = btn.dataset.productId;
-                    this.removeFromCart(productId);
+                    const lineId = btn.dataset.lineId;
+                    this.removeFromCart(lineId);
                 });
             });
+            
+            // Fix buttons on lines with stock/price issues
+            this.$$('.fix-line-btn').forEach(btn => {
+                btn.addEventListener('click', () => this.fixLine(btn.dataset.lineId));
+            });
+            
+            // Remove coupon button
+            this.$$('.remove-coupon-btn').forEach(btn => {
+                btn.addEventListener('click', () => this.removeCoupon());
+            });
         }
 
         // Toggle cart
@@ -729,7 +1355,7 @@
         // Close cart
         closeCart() {
             if (this.hasUnsavedChanges()) {
-                if (!confirm('You have unsaved changes. Close anyway?')) {
+                if (!confirm(this.t('cart.confirmClose'))) {
                     return false;
                 }
                 this.tempEdits.clear();
@@ -767,10 +1393,179 @@
             return this.cart;
         }
 
-        // Get cart total
-        getCartTotal() {
+        // Get cart subtotal (before discount)
+        getSubtotal() {
             return this.cart.reduce((total, item) => total + (item.price * item.quantity), 0);
         }
+        
+        // Get cart total (grand total after discount, tax and delivery)
+        getCartTotal() {
+            return this.getTotals().total;
+        }
+        
+        // Get full price breakdown (adjustments.pincode picks the delivery zone);
+        // a coupon the cart no longer qualifies for just gives no discount here
+        getTotals(adjustments = {}) {
+            const coupon = this.getAppliedCoupon();
+            const discount = coupon ? coupon.discount : 0;
+            const freeDelivery = coupon ? coupon.freeDelivery : false;
+            const zone = this.getZoneAdjustments(adjustments);
+            const locator = this.options.storeLocator;
+            
+            // Most specific wins: a fixed charge in adjustments (delivery slot), the zone, the branch, the shop
+            if (this.options.pricing) {
+                return this.options.pricing.calculate(this.cart, {
+                    discount,
+                    freeDelivery,
+                    couponCode: coupon ? coupon.code : null,
+                    ...(locator ? locator.getAdjustments() : {}),
+                    ...zone,
+                    ...adjustments
+                });
+            }
+            
+            // No PricingEngine: only the zone's charge is known
+            const subtotal = this.getSubtotal();
+            const zoneCharge = zone.baseDeliveryCharge !== undefined
+                && !(zone.freeDeliveryAbove > 0 && subtotal - discount >= zone.freeDeliveryAbove)
+                ? zone.baseDeliveryCharge
+                : 0;
+            const deliveryCharge = !freeDelivery && this.cart.length > 0 ? zoneCharge : 0;
+            return {
+                lines: [],
+                itemCount: this.getCartCount(),
+                subtotal: subtotal,
+                discount: discount,
+                couponCode: coupon ? coupon.code : null,
+                netAmount: subtotal - discount,
+                tax: 0,
+                taxLabel: 'GST',
+                taxInclusive: true,
+                deliveryCharge: deliveryCharge,
+                freeDelivery: freeDelivery && zoneCharge > 0 && this.cart.length > 0,
+                deliveryAvailable: zone.deliveryAvailable !== false,
+                roundOff: 0,
+                total: Math.max(0, subtotal - discount) + deliveryCharge
+            };
+        }
+        
+        // Delivery rules of the customer's zone (see DeliveryZones.getAdjustments)
+        getZoneAdjustments(adjustments = {}) {
+            const zones = this.options.deliveryZones;
+            if (!zones || adjustments.deliveryType === 'pickup') {
+                return {};
+            }
+            return zones.getAdjustments(adjustments.pincode);
+        }
+        
+        // Apply a coupon code
+        async applyCoupon(code) {
+            const engine = this.options.couponEngine;
+            const normalized = String(code || '').trim().toUpperCase();
+            
+            if (!engine) {
+                this.showNotification('error', this.t('cart.coupon.unavailable'));
+                return { valid: false, code: normalized, reason: 'NO_ENGINE', message: this.t('cart.coupon.unavailable') };
+            }
+            
+            if (!normalized) {
+                this.showNotification('warning', this.t('cart.coupon.enterCode'));
+                return { valid: false, code: normalized, reason: 'EMPTY', message: this.t('cart.coupon.enterCode') };
+            }
+            
+            try {
+                await engine.load();
+            } catch (e) {
+                console.warn('Could not load coupons:', e);
+                this.showNotification('error', this.t('cart.coupon.loadFailed'));
+                return { valid: false, code: normalized, reason: 'LOAD_FAILED', message: e.message };
+            }
+            
+            const result = engine.validate(normalized, this.cart);
+            if (!result.valid) {
+                this.showNotification('warning', result.message);
+                return result;
+            }
+            
+            this.appliedCoupon = result.code;
+            this.saveCart();
+            this.updateCartUI();
+            this.showNotification('success', this.t('cart.coupon.applied', { code: result.code }));
+            this.notifyCouponChange(result);
+            return result;
+        }
+        
+        // Remove the applied coupon
+        removeCoupon() {
+            if (!this.appliedCoupon) return;
+            
+            this.appliedCoupon = null;
+            this.saveCart();
+            this.updateCartUI();
+            this.showNotification('info', this.t('cart.coupon.removed'));
+            this.notifyCouponChange(null);
+        }
+        
+        // Evaluate the applied coupon against the saved cart
+        getCouponResult() {
+            const engine = this.options.couponEngine;
+            if (!this.appliedCoupon || !engine || !engine.loaded || this.cart.length === 0) {
+                return null;
+            }
+            return engine.validate(this.appliedCoupon, this.cart);
+        }
+        
+        // Re-validate the applied coupon against the current cart; one that no
+        // longer qualifies (cart changed, coupon expired) is removed. Called when
+        // the cart changes and before checkout, never while pricing
+        checkCoupon() {
+            const result = this.getCouponResult();
+            if (result && !result.valid) {
+                this.appliedCoupon = null;
+                this.saveCart();
+                this.showNotification('warning', this.t('cart.coupon.invalidated', { code: result.code, reason: result.message }));
+                this.notifyCouponChange(null);
+                return null;
+            }
+            return result;
+        }
+        
+        // Get the applied coupon details (null if none or no longer valid)
+        getAppliedCoupon() {
+            const result = this.getCouponResult();
+            return result && result.valid ? result : null;
+        }
+        
+        // Get coupon discount amount
+        getDiscount() {
+            const result = this.getAppliedCoupon();
+            return result ? result.discount : 0;
+        }
+        
+        // Count the applied coupon as used (call once the order is placed)
+        redeemCoupon() {
+            const result = this.getAppliedCoupon();
+            if (!result) return null;
+            
+            this.options.couponEngine.recordUsage(result.code);
+            this.appliedCoupon = null;
+            this.saveCart();
+            this.notifyCouponChange(null);
+            return result;
+        }
+        
+        // Notify about coupon changes
+        notifyCouponChange(result) {
+            if (this.options.onCouponChange) {
+                this.options.onCouponChange(result);
+            }
+        }
+
+        // Stop listening to currency, language and delivery zone changes
+        destroy() {
+            this.listeners.forEach(unsubscribe => unsubscribe());
+            this.listeners = [];
+        }
 
         // Get cart count
         getCartCount() {
@@ -779,12 +1574,13 @@
 
         // Clear cart
         clearCart() {
-            if (confirm('Clear all items from cart?')) {
+            if (confirm(this.t('cart.confirmClear'))) {
                 this.cart = [];
+                this.appliedCoupon = null;
                 this.tempEdits.clear();
                 this.saveCart();
                 this.updateCartUI();
-                this.showNotification('info', 'Cart cleared');
+                this.showNotification('info', this.t('cart.cleared'));
                 this.notifyUnsavedChanges();
             }
         }
@@ -793,6 +1589,11 @@
         saveCart() {
             try {
                 localStorage.setItem('shopcart_items', JSON.stringify(this.cart));
+                if (this.appliedCoupon) {
+                    localStorage.setItem('shopcart_coupon', this.appliedCoupon);
+                } else {
+                    localStorage.removeItem('shopcart_coupon');
+                }
             } catch (e) {
                 console.warn('Could not save cart to localStorage:', e);
             }
@@ -805,6 +1606,7 @@
                 if (saved) {
                     this.cart = JSON.parse(saved);
                 }
+                this.appliedCoupon = localStorage.getItem('shopcart_coupon') || null;
             } catch (e) {
                 console.warn('Could not load cart from localStorage:', e);
             }
@@ -0,0 +1,583 @@
+/**
+ * StoreLocator.js v1.0.0
+ * Outlets of a multi-branch shop: branches come from a sheet, are ranked by
+ * distance from the customer (LocationDetector coordinates, or the pincode's
+ * centroid), and the branch the customer picks receives the order on its own
+ * WhatsApp number with its own delivery charge, free-delivery threshold,
+ * minimum order and delivery zones.
+ * (c) 2025
+ * MIT License
+ *
+ * Dependencies:
+ * - ShopUtils (shop_utils.js), included first
+ * - SecureSheets client (securesheets_Client_v140.js), configured - or pass options.fetcher / options.branches
+ * - LocationDetector (location_detection.js) for coordinates and pincode lookup (optional)
+ *
+ * Branch sheet columns (header names are case-insensitive):
+ *   id, name, address, pincode, lat, lon, phone, whatsapp, days, opens, closes,
+ *   delivery, pickup, radius, charge, freeAbove, minOrder, zonesSheet, enabled
+ *   days: "Mon-Sat", "Mon,Wed,Fri" or empty (daily)   opens/closes: "9:00", "9 PM"
+ *   radius: km the branch delivers to; charge/freeAbove/minOrder: empty keeps the shop default
+ *   zonesSheet: DeliveryZones tab for this branch (radius zones measured from the branch)
+ *
+ * The branch's charge and free-above threshold reach the totals as PricingEngine
+ * adjustments (getAdjustments(); ShopCart does this with options.storeLocator)
+ * and its minimum order travels with the order (attach()); the shop-wide
+ * pricing and billing settings are never changed.
+ *
+ * Usage:
+ * const stores = StoreLocator.fromConfig(configManager, { deliveryZones });
+ * await stores.load();
+ * await stores.selectNearest('620017');   // automatic pick; stores.select('srirangam') is the customer's own
+ * stores.renderList('#storeList');
+ * const cart = new ShopCart({ pricing, deliveryZones, storeLocator: stores });
+ * billing.placeOrder(stores.attach(orderData));   // CheckoutForm does this with options.storeLocator
+ */
+
+(function(global) {
+    'use strict';
+
+    // Shared config, sheet and message helpers (shop_utils.js)
+    const ShopUtils = typeof global.ShopUtils !== 'undefined' ? global.ShopUtils
+        : (typeof require === 'function' ? require('./shop_utils.js') : undefined);
+
+    const STORE_MESSAGES = {
+        'stores.title': 'Choose a store',
+        'stores.useLocation': 'Use my location',
+        'stores.distance': '{distance} km away',
+        'stores.open': 'Open now',
+        'stores.closed': 'Closed now',
+        'stores.hours': '{opens} - {closes}',
+        'stores.pickupOnly': 'Pickup only',
+        'stores.outOfRange': 'Does not deliver to you',
+        'stores.select': 'Order from here',
+        'stores.selected': 'Your store',
+        'stores.empty': 'No stores found'
+    };
+
+    const DAY_NAMES = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+    const EARTH_RADIUS_KM = 6371;
+
+    class StoreLocator {
+        constructor(options = {}) {
+            this.branches = [];
+            this.listeners = new Set();
+            this.loaded = false;
+            this.position = null;
+            this.ready = Promise.resolve(); // settles once the branch's delivery zones are loaded
+            this.options = {
+                fetcher: options.fetcher || ShopUtils.defaultFetcher(),
+                sheetName: options.sheetName || 'Branches',
+                locationDetector: options.locationDetector || null, // defaults to window.locationDetectorInstance
+                deliveryZones: options.deliveryZones || null, // DeliveryZones: measured from the branch, branch zone sheet
+                storageKey: options.storageKey || 'store_branch',
+                i18n: options.i18n || null,
+                onChange: options.onChange || null,
+                debug: options.debug || false
+            };
+
+            // The customer's own pick (saved) and an automatic one (nearest, this page only)
+            this.selectedId = this.loadPreference();
+            this.nearestId = null;
+            this.appliedId = null;
+
+            if (Array.isArray(options.branches)) {
+                this.setBranches(options.branches);
+            }
+        }
+
+        /**
+         * Build from ConfigManager (or a plain config object)
+         * @param {Object} config - ConfigManager instance or config object
+         * @param {Object} [overrides] - Options that take precedence
+         * @returns {StoreLocator}
+         */
+        static fromConfig(config, overrides = {}) {
+            const get = ShopUtils.configGetter(config);
+
+            return new StoreLocator({
+                sheetName: get('stores.sheet', 'Branches'),
+                ...overrides
+            });
+        }
+
+        t(key, params = {}) {
+            return ShopUtils.translate(this.options.i18n, STORE_MESSAGES, key, params);
+        }
+
+        // Fetch branches from the sheet
+        async load(force = false) {
+            if (this.loaded && !force) return this.branches;
+
+            const rows = await ShopUtils.loadSheetRows(this.options.fetcher, this.options.sheetName, { owner: 'StoreLocator', what: 'branches' });
+            this.setBranches(rows);
+            this.log('Loaded', this.branches.length, 'branches');
+            return this.branches;
+        }
+
+        setBranches(rows) {
+            this.branches = rows.map(row => this.parseBranch(row)).filter(Boolean);
+            this.loaded = true;
+
+            // Saved choice from an earlier visit (dropped if the branch is gone)
+            const saved = this.getBranch(this.selectedId);
+            this.selectedId = saved ? saved.id : null;
+            if (!this.getBranch(this.nearestId)) this.nearestId = null;
+            this.applyBranch();
+            this.notify();
+            return this;
+        }
+
+        // Turn a sheet row into a branch
+        parseBranch(row) {
+            if (!row || typeof row !== 'object') return null;
+
+            const field = (...names) => ShopUtils.rowField(row, ...names);
+
+            const flag = (value, fallback) => (value === undefined ? fallback : !ShopUtils.isDisabled(value));
+            const number = value => {
+                const parsed = parseFloat(String(value === undefined ? '' : value).replace(/[^0-9.\-]/g, ''));
+                return isNaN(parsed) ? null : parsed;
+            };
+
+            if (!flag(field('enabled', 'active'), true)) {
+                return null;
+            }
+
+            const lat = number(field('lat', 'latitude'));
+            const lon = number(field('lon', 'lng', 'longitude'));
+            const branch = {
+                id: String(field('id', 'code') || field('name') || '').trim(),
+                name: String(field('name', 'branch', 'store') || field('id') || '').trim(),
+                address: String(field('address') || '').trim(),
+                pincode: String(field('pincode', 'pin') || '').replace(/\D/g, ''),
+                lat: lat !== null && lon !== null ? lat : null,
+                lon: lat !== null && lon !== null ? lon : null,
+                phone: String(field('phone', 'mobile') || '').trim(),
+                whatsappNumber: String(field('whatsapp', 'whatsappNumber') || field('phone', 'mobile') || '').replace(/[^\d+]/g, ''),
+                days: this.parseDays(field('days', 'openDays')),
+                opens: this.parseTime(field('opens', 'open', 'start')),
+                closes: this.parseTime(field('closes', 'close', 'end')),
+                delivery: flag(field('delivery', 'delivers'), true),
+                pickup: flag(field('pickup'), true),
+                radiusKm: number(field('radius', 'radiusKm', 'km')),
+                deliveryCharge: number(field('charge', 'deliveryCharge', 'fee')),
+                freeAbove: number(field('freeAbove', 'freeDeliveryAbove')),
+                minOrder: number(field('minOrder', 'minimumOrder', 'minimum')),
+                zonesSheet: String(field('zonesSheet', 'zones') || '').trim() || null
+            };
+
+            if (!branch.id) {
+                this.log('Skipping branch without an id:', row);
+                return null;
+            }
+            return branch;
+        }
+
+        // "Mon-Sat", "mon, wed, fri", "" (every day) → [1, 2, 3, 4, 5, 6]
+        parseDays(value) {
+            const text = String(value || '').trim().toLowerCase();
+            if (!text || text === 'all' || text === 'daily' || text === 'everyday') {
+                return [0, 1, 2, 3, 4, 5, 6];
+            }
+
+            const index = name => DAY_NAMES.indexOf(name.trim().slice(0, 3));
+            const days = new Set();
+            text.split(/[,;\/]/).forEach(part => {
+                const [from, to] = part.split(/\s*(?:-|–|to)\s*/);
+                const first = index(from || '');
+                const last = to ? index(to) : first;
+                if (first === -1 || last === -1) return;
+                for (let day = first; ; day = (day + 1) % 7) {
+                    days.add(day);
+                    if (day === last) break;
+                }
+            });
+            return Array.from(days).sort();
+        }
+
+        // "09:30", "9.30", "6 PM", "18:00" → minutes after midnight
+        parseTime(value) {
+            if (value === undefined || value === null || value === '') return null;
+            const match = String(value).trim().toLowerCase().match(/^(\d{1,2})(?:[:.](\d{2}))?\s*(am|pm)?$/);
+            if (!match) return null;
+
+            let hours = parseInt(match[1], 10);
+            const minutes = parseInt(match[2] || '0', 10);
+            if (match[3] === 'pm' && hours < 12) hours += 12;
+            if (match[3] === 'am' && hours === 12) hours = 0;
+            return hours < 24 && minutes < 60 ? hours * 60 + minutes : null;
+        }
+
+        formatTime(minutes) {
+            const date = new Date(2000, 0, 1, Math.floor(minutes / 60), minutes % 60);
+            const locale = this.options.i18n ? this.options.i18n.getLocale() : undefined;
+            return date.toLocaleTimeString(locale, { hour: 'numeric', minute: '2-digit' });
+        }
+
+        // Open on this day and time (no hours in the sheet = always open)
+        isOpen(branch, now = new Date()) {
+            if (!branch.days.includes(now.getDay())) return false;
+            if (branch.opens === null || branch.closes === null) return true;
+
+            const minutes = now.getHours() * 60 + now.getMinutes();
+            return branch.closes > branch.opens
+                ? minutes >= branch.opens && minutes < branch.closes
+                : minutes >= branch.opens || minutes < branch.closes; // past midnight
+        }
+
+        // ============================================
+        // DISTANCE
+        // ============================================
+
+        getDetector() {
+            return this.options.locationDetector || global.locationDetectorInstance || null;
+        }
+
+        /**
+         * Where the customer is: LocationDetector coordinates (GPS / IP), else the
+         * pincode's centroid (LocationDetector.lookupPincode with lat/lon, e.g. an
+         * offline pincode dataset), else a branch in the same pincode
+         * @param {string} [pincode] - Defaults to the detector's / delivery zones' saved pincode
+         * @returns {Promise<Object|null>} { lat, lon, source: 'location'|'pincode' }
+         */
+        async getCustomerPosition(pincode) {
+            const detector = this.getDetector();
+            const coordinates = detector && typeof detector.getCoordinates === 'function' ? detector.getCoordinates() : null;
+            if (coordinates && isFinite(coordinates.lat) && isFinite(coordinates.lon)) {
+                return { lat: Number(coordinates.lat), lon: Number(coordinates.lon), source: 'location' };
+            }
+
+            const code = String(pincode || this.getSavedPincode()).replace(/\D/g, '');
+            if (!/^\d{6}$/.test(code)) return null;
+
+            if (detector && typeof detector.lookupPincode === 'function') {
+                try {
+                    const details = await detector.lookupPincode(code);
+                    if (details && isFinite(details.lat) && isFinite(details.lon)) {
+                        return { lat: Number(details.lat), lon: Number(details.lon), source: 'pincode' };
+                    }
+                } catch (error) {
+                    this.log('Pincode centroid unavailable:', error.message);
+                }
+            }
+
+            const local = this.branches.find(branch => branch.pincode === code && branch.lat !== null);
+            return local ? { lat: local.lat, lon: local.lon, source: 'pincode' } : null;
+        }
+
+        getSavedPincode() {
+            const zones = this.options.deliveryZones;
+            if (zones && typeof zones.getPincode === 'function' && zones.getPincode()) {
+                return zones.getPincode();
+            }
+            const detector = this.getDetector();
+            const metadata = detector && typeof detector.getMetadata === 'function' ? detector.getMetadata() : null;
+            return metadata && (metadata.pincode || metadata.postal) ? String(metadata.pincode || metadata.postal) : '';
+        }
+
+        // Great-circle distance in km (haversine)
+        getDistance(from, to) {
+            const radians = degrees => degrees * Math.PI / 180;
+            const dLat = radians(to.lat - from.lat);
+            const dLon = radians(to.lon - from.lon);
+            const a = Math.sin(dLat / 2) ** 2
+                + Math.cos(radians(from.lat)) * Math.cos(radians(to.lat)) * Math.sin(dLon / 2) ** 2;
+            return 2 * EARTH_RADIUS_KM * Math.asin(Math.sqrt(a));
+        }
+
+        /**
+         * Branches nearest first (sheet order when the customer's position is unknown)
+         * @param {Object} [position] - { lat, lon }; defaults to the last located position
+         * @param {Date} [now]
+         * @returns {Array} [{ branch, distance, open, deliverable }]
+         */
+        rank(position = this.position, now = new Date()) {
+            const ranked = this.branches.map((branch, index) => {
+                const distance = position && branch.lat !== null
+                    ? Math.round(this.getDistance(position, branch) * 10) / 10
+                    : null;
+                return {
+                    branch: branch,
+                    distance: distance,
+                    open: this.isOpen(branch, now),
+                    deliverable: branch.delivery && (branch.radiusKm === null || distance === null || distance <= branch.radiusKm),
+                    index: index
+                };
+            });
+
+            ranked.sort((a, b) => {
+                if (a.distance === null || b.distance === null) {
+                    return (a.distance === null) - (b.distance === null) || a.index - b.index;
+                }
+                return a.distance - b.distance;
+            });
+            return ranked.map(({ index, ...entry }) => entry);
+        }
+
+        /**
+         * Find the customer and rank the branches
+         * @param {string} [pincode]
+         * @returns {Promise<Array>} See rank()
+         */
+        async locate(pincode) {
+            this.position = await this.getCustomerPosition(pincode);
+            this.notify();
+            return this.rank();
+        }
+
+        /**
+         * Pick the nearest branch that delivers to the customer - or offers pickup,
+         * for pickup orders - else the nearest one. The pick isn't saved: the next
+         * order (another address) is matched again unless the customer chose a
+         * branch with select()
+         * @param {string} [pincode]
+         * @param {string} [deliveryType] - 'pickup' or 'delivery' (default)
+         * @returns {Promise<Object|null>} Selected branch
+         */
+        async selectNearest(pincode, deliveryType) {
+            const ranked = await this.locate(pincode);
+            const suitable = deliveryType === 'pickup' ? entry => entry.branch.pickup : entry => entry.deliverable;
+            const nearest = ranked.find(suitable) || ranked[0];
+            if (!nearest) return null;
+
+            if (nearest.branch.id !== this.nearestId) {
+                this.nearestId = nearest.branch.id;
+                if (!this.selectedId) {
+                    this.applyBranch();
+                    this.notify();
+                }
+            }
+            return this.getSelected();
+        }
+
+        // ============================================
+        // SELECTED BRANCH
+        // ============================================
+
+        getBranch(id) {
+            return id ? this.branches.find(branch => branch.id === id) || null : null;
+        }
+
+        // The customer's branch, else the automatic pick
+        getSelected() {
+            return this.getBranch(this.selectedId) || this.getBranch(this.nearestId);
+        }
+
+        // The branch the customer chose themselves (null for an automatic pick)
+        getChosen() {
+            return this.getBranch(this.selectedId);
+        }
+
+        /**
+         * Route orders to a branch the customer chose (remembered for later visits)
+         * @param {string} id - Branch id
+         * @returns {Object|null} The branch
+         */
+        select(id) {
+            const branch = this.getBranch(id);
+            if (!branch) return null;
+
+            if (branch.id !== this.selectedId) {
+                this.selectedId = branch.id;
+                this.savePreference(branch.id);
+                this.applyBranch();
+                this.notify();
+            }
+            return branch;
+        }
+
+        clearSelection() {
+            this.selectedId = null;
+            this.nearestId = null;
+            this.savePreference(null);
+            this.applyBranch();
+            this.notify();
+        }
+
+        // Delivery zones of the selected branch (its sheet, measured from it), or the shop's
+        applyBranch() {
+            const branch = this.getSelected();
+            const id = branch ? branch.id : null;
+            const zones = this.options.deliveryZones;
+            if (id === this.appliedId || !zones || typeof zones.useSource !== 'function') {
+                this.appliedId = id;
+                return;
+            }
+            this.appliedId = id;
+
+            this.ready = zones.useSource(branch ? {
+                sheetName: branch.zonesSheet,
+                store: branch.lat !== null ? { lat: branch.lat, lon: branch.lon } : null
+            } : null).catch(error => console.warn('Branch delivery zones unavailable:', error.message));
+        }
+
+        /**
+         * PricingEngine adjustments for the selected branch's own charge and
+         * free-above threshold (empty when it uses the shop's)
+         * @returns {Object} { baseDeliveryCharge?, freeDeliveryAbove? }
+         */
+        getAdjustments() {
+            const branch = this.getSelected();
+            const adjustments = {};
+            if (branch && branch.deliveryCharge !== null) adjustments.baseDeliveryCharge = branch.deliveryCharge;
+            if (branch && branch.freeAbove !== null) adjustments.freeDeliveryAbove = branch.freeAbove;
+            return adjustments;
+        }
+
+        /**
+         * Order data for the selected branch (WhatsAppBilling sends to branch.whatsappNumber
+         * and checks branch.minOrder)
+         * @param {Object} orderData
+         * @returns {Object} orderData with branch: { id, name, address, phone, whatsappNumber, minOrder, deliveryCharge, freeAbove }
+         */
+        attach(orderData) {
+            const branch = this.getSelected();
+            if (!branch) return orderData;
+
+            return {
+                ...orderData,
+                branch: {
+                    id: branch.id,
+                    name: branch.name,
+                    address: branch.address,
+                    phone: branch.phone,
+                    whatsappNumber: branch.whatsappNumber,
+                    minOrder: branch.minOrder,
+                    deliveryCharge: branch.deliveryCharge,
+                    freeAbove: branch.freeAbove
+                }
+            };
+        }
+
+        loadPreference() {
+            try {
+                return localStorage.getItem(this.options.storageKey) || null;
+            } catch (e) {
+                return null;
+            }
+        }
+
+        savePreference(id) {
+            try {
+                if (id) localStorage.setItem(this.options.storageKey, id);
+                else localStorage.removeItem(this.options.storageKey);
+            } catch (e) {
+                // Storage unavailable (private mode); the choice lasts for this page
+            }
+        }
+
+        /**
+         * Listen for branch / position changes
+         * @returns {Function} Unsubscribe
+         */
+        subscribe(listener) {
+            this.listeners.add(listener);
+            return () => this.listeners.delete(listener);
+        }
+
+        notify() {
+            const detail = { branch: this.getSelected(), position: this.position };
+            this.listeners.forEach(listener => {
+                try {
+                    listener(detail);
+                } catch (e) {
+                    console.error('StoreLocator listener failed:', e);
+                }
+            });
+            if (this.options.onChange) this.options.onChange(detail);
+            if (typeof global.dispatchEvent === 'function' && typeof CustomEvent !== 'undefined') {
+                global.dispatchEvent(new CustomEvent('storelocator:change', { detail }));
+            }
+        }
+
+        // ============================================
+        // STOREFRONT WIDGET
+        // ============================================
+
+        /**
+         * Branch list, nearest first, with a "use my location" button
+         * @param {string|HTMLElement} container - Selector or element
+         * @returns {HTMLElement|null}
+         */
+        renderList(container) {
+            const element = typeof container === 'string' ? document.querySelector(container) : container;
+            if (!element) return null;
+
+            const escape = value => String(value === undefined || value === null ? '' : value)
+                .replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+
+            const draw = () => {
+                const ranked = this.rank();
+                const items = ranked.map(({ branch, distance, open, deliverable }) => {
+                    const details = [
+                        distance !== null ? this.t('stores.distance', { distance: distance }) : '',
+                        branch.opens !== null && branch.closes !== null
+                            ? this.t('stores.hours', { opens: this.formatTime(branch.opens), closes: this.formatTime(branch.closes) })
+                            : '',
+                        this.t(open ? 'stores.open' : 'stores.closed'),
+                        !branch.delivery ? this.t('stores.pickupOnly') : (!deliverable ? this.t('stores.outOfRange') : '')
+                    ].filter(Boolean);
+                    const selected = this.getSelected() === branch;
+                    const chosen = this.getChosen() === branch; // an automatic pick can still be confirmed
+
+                    return `
+                        <li class="store-item${selected ? ' is-selected' : ''}${open ? '' : ' is-closed'}">
+                            <strong>${escape(branch.name)}</strong>
+                            ${branch.address ? `<span class="store-address">${escape(branch.address)}</span>` : ''}
+                            <span class="store-details">${escape(details.join(' · '))}</span>
+                            <button type="button" data-branch="${escape(branch.id)}"${chosen ? ' disabled' : ''}>
+                                ${escape(this.t(selected ? 'stores.selected' : 'stores.select'))}
+                            </button>
+                        </li>`;
+                }).join('');
+
+                element.innerHTML = `
+                    <div class="store-locator">
+                        <h3>${escape(this.t('stores.title'))}</h3>
+                        <button type="button" class="store-locate">${escape(this.t('stores.useLocation'))}</button>
+                        <ul class="store-list">${items || `<li class="store-empty">${escape(this.t('stores.empty'))}</li>`}</ul>
+                    </div>
+                `;
+            };
+
+            element.addEventListener('click', event => {
+                const target = event.target.closest('button');
+                if (!target) return;
+
+                if (target.dataset.branch) {
+                    this.select(target.dataset.branch);
+                } else if (target.classList.contains('store-locate')) {
+                    const detector = this.getDetector();
+                    const located = detector && typeof detector.detectByGPS === 'function'
+                        ? detector.detectByGPS().catch(() => null)
+                        : Promise.resolve();
+                    located.then(() => this.locate());
+                }
+            });
+
+            const unsubscribe = this.subscribe(() => {
+                if (!element.isConnected) return unsubscribe();
+                draw();
+            });
+
+            draw();
+            return element;
+        }
+
+        log(...args) {
+            if (this.options.debug) console.log('StoreLocator:', ...args);
+        }
+    }
+
+    StoreLocator.MESSAGES = STORE_MESSAGES;
+
+    // Export for different module systems
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = StoreLocator;
+    } else if (typeof define === 'function' && define.amd) {
+        define(function() { return StoreLocator; });
+    } else {
+        global.StoreLocator = StoreLocator;
+    }
+})(typeof window !== 'undefined' ? window : this);
@@ -0,0 +1,334 @@
+/**
+ * UpiPayment.js v1.0.0
+ * UPI payment step for checkout: builds the upi://pay intent (payee VPA and
+ * name from config, amount, order ID as the transaction note), shows it as a
+ * QRGen code on desktop or an "open UPI app" deep link on mobile, and asks the
+ * customer for the UTR / reference number once they have paid.
+ *
+ * UPI has no client-side callback, so the payment is recorded as 'submitted'
+ * (customer says paid, reference attached) or 'pending' (pay later); the shop
+ * matches the reference against its bank statement. The payment travels with
+ * the order as orderData.payment: WhatsAppBilling prints it on the bill and
+ * OrderSubmitter writes it to the Orders sheet.
+ * (c) 2025
+ * MIT License
+ *
+ * Dependencies:
+ * - ShopUtils (shop_utils.js), included first
+ * - QRGen (qr_library.js) + QRious for the desktop QR code (falls back to the link)
+ *
+ * Usage:
+ * const payments = UpiPayment.fromConfig(configManager, { orderSubmitter: submitter });
+ * const order = payments.prepare(billing.applyPricing(orderData));   // assigns orderId
+ * const payment = await payments.collect(order);                      // modal; null if closed
+ * if (payment) await billing.placeOrder(payments.attach(order, payment));
+ */
+
+(function(global) {
+    'use strict';
+
+    // Shared config, sheet and message helpers (shop_utils.js)
+    const ShopUtils = typeof global.ShopUtils !== 'undefined' ? global.ShopUtils
+        : (typeof require === 'function' ? require('./shop_utils.js') : undefined);
+
+    const PAYMENT_MESSAGES = {
+        'payment.title': 'Pay with UPI',
+        'payment.amount': 'Amount to pay',
+        'payment.payTo': 'Pay to {name}',
+        'payment.scan': 'Scan with any UPI app (GPay, PhonePe, Paytm, BHIM)',
+        'payment.openApp': 'Pay {amount} with UPI app',
+        'payment.note': 'Note: {note}',
+        'payment.referenceLabel': 'UPI reference / UTR number',
+        'payment.referencePlaceholder': '12-digit UTR, e.g. 412345678901',
+        'payment.referenceHelp': 'After paying, copy the reference number from your UPI app.',
+        'payment.confirm': "I've paid",
+        'payment.payLater': 'Pay later',
+        'payment.close': 'Close',
+        'payment.error.reference': 'Please enter the reference number shown in your UPI app',
+        'payment.error.notConfigured': 'UPI payee (VPA) is not configured'
+    };
+
+    class UpiPayment {
+        constructor(options = {}) {
+            this.options = {
+                payeeVpa: options.payeeVpa || '', // merchant UPI ID, e.g. shop@okicici
+                payeeName: options.payeeName || '',
+                merchantCode: options.merchantCode || '', // MCC; set only for a merchant VPA
+                currency: options.currency || 'INR',
+                notePrefix: options.notePrefix !== undefined ? options.notePrefix : 'Order',
+                referencePattern: options.referencePattern || /^(\d{12}|[A-Z0-9]{10,35})$/, // 12-digit UTR or app transaction ID
+                allowPayLater: options.allowPayLater !== undefined ? options.allowPayLater : true,
+                qrSize: options.qrSize || 220,
+                device: options.device || null, // override detection: { mobile: true }
+                orderSubmitter: options.orderSubmitter || null, // for generateOrderId()
+                billing: options.billing || null, // WhatsAppBilling: currency formatting
+                i18n: options.i18n || null,
+                onPaid: options.onPaid || null,
+                onCancel: options.onCancel || null
+            };
+
+            this.lastPayment = null;
+        }
+
+        /**
+         * Build from ConfigManager (or a plain config object)
+         * @param {Object} config - ConfigManager instance or config object
+         * @param {Object} [overrides] - Options that take precedence
+         * @returns {UpiPayment}
+         */
+        static fromConfig(config, overrides = {}) {
+            const get = ShopUtils.configGetter(config);
+
+            return new UpiPayment({
+                payeeVpa: get('business.upiId', ''),
+                payeeName: get('payments.payeeName', '') || get('business.name', ''),
+                merchantCode: get('payments.merchantCode', ''),
+                currency: get('localization.currencyCode', 'INR'),
+                allowPayLater: get('payments.allowPayLater', true),
+                ...overrides
+            });
+        }
+
+        t(key, params = {}) {
+            return ShopUtils.translate(this.options.i18n, PAYMENT_MESSAGES, key, params);
+        }
+
+        isConfigured() {
+            return /^[\w.\-]{2,256}@[a-zA-Z][a-zA-Z0-9.\-]{1,63}$/.test(this.options.payeeVpa);
+        }
+
+        isMobile() {
+            if (this.options.device && this.options.device.mobile !== undefined) {
+                return !!this.options.device.mobile;
+            }
+            const navigator = global.navigator || {};
+            return /Android|iPhone|iPad|iPod|Mobile/i.test(navigator.userAgent || '');
+        }
+
+        formatAmount(amount) {
+            if (this.options.billing) {
+                return this.options.billing.formatCurrency(amount);
+            }
+            return `₹${(Number(amount) || 0).toFixed(2)}`;
+        }
+
+        /**
+         * Make sure the order has an ID before payment (it goes in the UPI note)
+         * @param {Object} orderData - Priced order
+         * @returns {Object} Order with orderId
+         */
+        prepare(orderData) {
+            if (orderData.orderId) return orderData;
+
+            const submitter = this.options.orderSubmitter;
+            const orderId = submitter ? submitter.generateOrderId() : `ORD${Date.now().toString(36).toUpperCase()}`;
+            return { ...orderData, orderId: orderId };
+        }
+
+        /**
+         * upi://pay intent (NPCI deep link spec)
+         * @param {Object} params - { amount, orderId, note }
+         * @returns {string}
+         */
+        buildIntent(params = {}) {
+            if (!this.isConfigured()) {
+                throw new Error(`UpiPayment: ${this.t('payment.error.notConfigured')}`);
+            }
+
+            const note = params.note || [this.options.notePrefix, params.orderId].filter(Boolean).join(' ');
+            // Apps refuse tr/mc on a personal VPA, so they're only sent for a merchant one
+            const merchant = !!this.options.merchantCode;
+            const fields = [
+                ['pa', this.options.payeeVpa],
+                ['pn', this.options.payeeName],
+                ['mc', merchant ? this.options.merchantCode : ''],
+                ['tr', merchant ? params.orderId : ''],
+                ['tn', note.slice(0, 80)],
+                ['am', params.amount !== undefined && params.amount !== null ? Number(params.amount).toFixed(2) : ''],
+                ['cu', this.options.currency]
+            ].filter(([, value]) => value !== undefined && value !== null && value !== '');
+
+            return 'upi://pay?' + fields.map(([key, value]) => `${key}=${encodeURIComponent(value)}`).join('&');
+        }
+
+        /**
+         * Normalised reference number, or null when it doesn't look like one
+         */
+        normalizeReference(reference) {
+            const value = String(reference || '').replace(/[\s-]/g, '').toUpperCase();
+            return this.options.referencePattern.test(value) ? value : null;
+        }
+
+        /**
+         * Payment record for an order
+         * @param {Object} orderData - Order with orderId and total
+         * @param {string} [reference] - UTR; without one the payment is 'pending'
+         * @returns {Object} { method, label, status, reference, amount, currency, payee, orderId, recordedAt }
+         */
+        createPayment(orderData, reference) {
+            const normalized = reference ? this.normalizeReference(reference) : '';
+            if (normalized === null) {
+                throw new Error(this.t('payment.error.reference'));
+            }
+
+            return {
+                method: 'upi',
+                label: 'UPI',
+                status: normalized ? 'submitted' : 'pending',
+                reference: normalized,
+                amount: orderData.total,
+                currency: this.options.currency,
+                payee: this.options.payeeVpa,
+                orderId: orderData.orderId || null,
+                recordedAt: new Date().toISOString()
+            };
+        }
+
+        /**
+         * Order with the payment attached (orderData.payment), keeping the order ID paid against
+         */
+        attach(orderData, payment) {
+            if (!payment) return orderData;
+            return { ...orderData, orderId: orderData.orderId || payment.orderId, payment: payment };
+        }
+
+        /**
+         * Show the payment step and wait for the customer
+         * @param {Object} orderData - Priced order (see prepare())
+         * @param {string|HTMLElement} [container] - Render inline; a modal is used when omitted
+         * @returns {Promise<Object|null>} Payment, or null when the customer closed it
+         */
+        collect(orderData, container) {
+            const order = this.prepare(orderData);
+            const intent = this.buildIntent({ amount: order.total, orderId: order.orderId });
+
+            this.injectStyles();
+
+            let host = typeof container === 'string' ? document.querySelector(container) : container;
+            const modal = !host;
+            if (modal) {
+                host = document.createElement('div');
+                host.className = 'upi-modal';
+                document.body.appendChild(host);
+            }
+
+            host.innerHTML = this.renderPanel(order, intent, modal);
+
+            if (!this.isMobile()) {
+                const qr = host.querySelector('.upi-qr');
+                const canvas = typeof global.QRGen !== 'undefined'
+                    ? global.QRGen.generate({ text: intent, container: qr, size: this.options.qrSize, errorCorrection: 'M', background: '#ffffff', foreground: '#000000' })
+                    : null;
+                // No QR library: show the link instead so the step still works
+                if (!canvas) host.querySelector('.upi-open-app').style.display = '';
+            }
+
+            return new Promise(resolve => {
+                const finish = payment => {
+                    if (modal) host.remove();
+                    if (payment) {
+                        this.lastPayment = payment;
+                        if (this.options.onPaid) this.options.onPaid(payment, order);
+                    } else if (this.options.onCancel) {
+                        this.options.onCancel(order);
+                    }
+                    resolve(payment);
+                };
+
+                const input = host.querySelector('.upi-reference');
+                const error = host.querySelector('.upi-error');
+
+                host.querySelector('.upi-form').addEventListener('submit', event => {
+                    event.preventDefault();
+                    const reference = this.normalizeReference(input.value);
+                    if (!reference) {
+                        error.textContent = this.t('payment.error.reference');
+                        input.focus();
+                        return;
+                    }
+                    finish(this.createPayment(order, reference));
+                });
+
+                const later = host.querySelector('.upi-later');
+                if (later) later.addEventListener('click', () => finish(this.createPayment(order)));
+
+                const close = host.querySelector('.upi-close');
+                if (close) close.addEventListener('click', () => finish(null));
+            });
+        }
+
+        renderPanel(order, intent, modal) {
+            const escape = value => String(value === undefined || value === null ? '' : value)
+                .replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+            const amount = this.formatAmount(order.total);
+            const mobile = this.isMobile();
+            const dir = this.options.i18n ? this.options.i18n.getDirection() : 'ltr';
+
+            return `
+                <div class="upi-panel" dir="${dir}" role="dialog" aria-label="${escape(this.t('payment.title'))}">
+                    ${modal ? `<button type="button" class="upi-close" aria-label="${escape(this.t('payment.close'))}">&times;</button>` : ''}
+                    <h3>${escape(this.t('payment.title'))}</h3>
+                    <div class="upi-amount">
+                        <span>${escape(this.t('payment.amount'))}</span>
+                        <strong>${escape(amount)}</strong>
+                    </div>
+                    <div class="upi-payee">${escape(this.t('payment.payTo', { name: this.options.payeeName || this.options.payeeVpa }))}<br><code>${escape(this.options.payeeVpa)}</code></div>
+                    ${mobile ? '' : `<div class="upi-qr"></div><p class="upi-hint">${escape(this.t('payment.scan'))}</p>`}
+                    <a class="upi-open-app" href="${escape(intent)}"${mobile ? '' : ' style="display:none"'}>${escape(this.t('payment.openApp', { amount: amount }))}</a>
+                    <p class="upi-hint">${escape(this.t('payment.note', { note: `${this.options.notePrefix} ${order.orderId}`.trim() }))}</p>
+                    <form class="upi-form" novalidate>
+                        <label>${escape(this.t('payment.referenceLabel'))}
+                            <input type="text" class="upi-reference" inputmode="text" autocomplete="off" placeholder="${escape(this.t('payment.referencePlaceholder'))}">
+                        </label>
+                        <small>${escape(this.t('payment.referenceHelp'))}</small>
+                        <div class="upi-error" role="alert"></div>
+                        <div class="upi-actions">
+                            <button type="submit" class="upi-confirm">${escape(this.t('payment.confirm'))}</button>
+                            ${this.options.allowPayLater ? `<button type="button" class="upi-later">${escape(this.t('payment.payLater'))}</button>` : ''}
+                        </div>
+                    </form>
+                </div>
+            `;
+        }
+
+        injectStyles() {
+            if (document.getElementById('upi-styles')) return;
+
+            const style = document.createElement('style');
+            style.id = 'upi-styles';
+            style.textContent = `
+                .upi-modal { position: fixed; inset: 0; z-index: 10000; display: flex; align-items: center; justify-content: center; background: rgba(17, 24, 39, 0.6); padding: 16px; }
+                .upi-panel { position: relative; width: 100%; max-width: 380px; max-height: 100%; overflow-y: auto; background: #fff; border-radius: 12px; padding: 24px; text-align: center; font-family: inherit; color: #1f2937; }
+                .upi-panel h3 { margin: 0 0 12px; }
+                .upi-close { position: absolute; top: 8px; right: 12px; border: none; background: none; font-size: 24px; cursor: pointer; color: #6b7280; }
+                [dir="rtl"] .upi-close { right: auto; left: 12px; }
+                .upi-amount { display: flex; flex-direction: column; margin-bottom: 8px; }
+                .upi-amount strong { font-size: 28px; }
+                .upi-payee { color: #4b5563; font-size: 14px; }
+                .upi-qr canvas { margin: 12px auto 0; display: block; }
+                .upi-hint { color: #6b7280; font-size: 12px; margin: 8px 0; }
+                .upi-open-app { display: block; margin: 12px 0; padding: 12px; border-radius: 8px; background: #5f259f; color: #fff; text-decoration: none; font-weight: 600; }
+                .upi-form { text-align: start; margin-top: 12px; }
+                .upi-form label { display: block; font-weight: 600; font-size: 14px; }
+                .upi-reference { width: 100%; box-sizing: border-box; margin-top: 4px; padding: 10px; border: 1px solid #d1d5db; border-radius: 8px; font-size: 16px; letter-spacing: 1px; }
+                .upi-form small { color: #6b7280; }
+                .upi-error { color: #dc2626; font-size: 13px; min-height: 18px; }
+                .upi-actions { display: flex; gap: 8px; margin-top: 8px; }
+                .upi-actions button { flex: 1; padding: 10px; border-radius: 8px; border: 1px solid #1f2937; background: #fff; cursor: pointer; }
+                .upi-actions .upi-confirm { background: #16a34a; border-color: #16a34a; color: #fff; }
+            `;
+            document.head.appendChild(style);
+        }
+    }
+
+    UpiPayment.MESSAGES = PAYMENT_MESSAGES;
+
+    // Export for different module systems
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = UpiPayment;
+    } else if (typeof define === 'function' && define.amd) {
+        define(function() { return UpiPayment; });
+    } else {
+        global.UpiPayment = UpiPayment;
+    }
+})(typeof window !== 'undefined' ? window : this);
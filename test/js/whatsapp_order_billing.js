@@ -1,13 +1,252 @@
 /**
  * WhatsApp Order Billing System
- * Version: 1.0.0
+ * Version: 1.1.0
  * A lightweight, reusable library for generating and sending orders via WhatsApp
  * License: MIT
+ *
+ * Messages are rendered from templates: include whatsapp_template_engine.js first
+ * (a customMessageGenerator is the only message that works without it).
+ * Built-ins: 'default', 'minimal', 'detailed'. Add your own in config.templates
+ * or a sheet tab (name, template, enabled) and pick one with messageTemplate:
+ *   await billing.loadTemplates();            // MessageTemplates tab
+ *   billing.updateConfig({ messageTemplate: 'festive' });
+ *   preview.innerHTML = billing.previewHTML(orderData);
+ * See buildTemplateData() for the fields a template can use.
+ * Bill text goes through shop_utils.js (ShopUtils) when the page includes it.
  */
 
 (function(window) {
     'use strict';
 
+    // Built-in English bill text; translations come from I18n (config.i18n)
+    const BILL_MESSAGES = {
+        'bill.newOrder': 'NEW ORDER',
+        'bill.orderId': 'Order ID',
+        'bill.orderNumber': 'ORDER #{orderId}',
+        'bill.name': 'Name',
+        'bill.mobile': 'Mobile',
+        'bill.email': 'Email',
+        'bill.delivery': 'Delivery',
+        'bill.homeDelivery': 'Home Delivery',
+        'bill.pickup': 'Pickup',
+        'bill.standard': 'Standard',
+        'bill.standardDelivery': 'Standard Delivery',
+        'bill.address': 'Address',
+        'bill.branch': 'Store',
+        'bill.slot': 'Delivery Slot',
+        'bill.notes': 'Notes',
+        'bill.orderItems': 'ORDER ITEMS',
+        'bill.otherCategory': 'Other',
+        'bill.subtotal': 'Subtotal',
+        'bill.discount': 'Discount',
+        'bill.tax': 'Tax',
+        'bill.taxIncluded': '{label} (incl.)',
+        'bill.deliveryCharge': 'Delivery Charge',
+        'bill.roundOff': 'Round Off',
+        'bill.total': 'TOTAL',
+        'bill.approx': 'Approx.',
+        'bill.date': 'Date',
+        'bill.website': 'Website',
+        'bill.attribution': 'Generated via WhatsApp Billing System',
+        'bill.orderFrom': 'Order from:',
+        'bill.phone': 'Phone:',
+        'bill.totalShort': 'Total:',
+        'bill.customerDetails': 'CUSTOMER DETAILS',
+        'bill.deliveryDetails': 'DELIVERY DETAILS',
+        'bill.type': 'Type',
+        'bill.price': 'Price',
+        'bill.qty': 'Qty',
+        'bill.paymentSummary': 'PAYMENT SUMMARY',
+        'bill.itemsTotal': 'Items Total',
+        'bill.grandTotal': 'GRAND TOTAL',
+        'bill.orderDate': 'Order Date',
+        'bill.paymentRef': 'Payment: {method} submitted, unverified (Ref: {reference})',
+        'bill.paymentPending': 'Payment: {method} (pending)',
+        'bill.error.nameRequired': 'Customer name is required',
+        'bill.error.mobileRequired': 'Mobile number is required',
+        'bill.error.mobileInvalid': 'Invalid mobile number format',
+        'bill.error.cartEmpty': 'Cart is empty',
+        'bill.error.minOrder': 'Minimum order amount is {amount}',
+        'bill.error.validation': 'Order validation failed: {errors}',
+        'bill.error.popupBlocked': 'Failed to open WhatsApp. Please check popup blocker settings.',
+        'bill.error.noChannel': 'The order could not be sent. Please try again or contact the shop.'
+    };
+
+    // Built-in templates (WhatsAppTemplateEngine syntax); config.templates or
+    // loadTemplates() can replace them by name or add new ones
+    const ITEM_LINE = '{{#if config.showItemNumbers}}{{@number}}. {{else}}• {{/if}}{{name}} × {{quantity}} = {{total | currency}}';
+    // Payment recorded at checkout (UpiPayment): "Payment: UPI submitted, unverified (Ref: 412345678901)"
+    const PAYMENT_LINE = '{{#if payment.reference}}{{"bill.paymentRef" | t:"method":payment.label:"reference":payment.reference}}' +
+        '{{else}}{{"bill.paymentPending" | t:"method":payment.label}}{{/if}}';
+    const BUILT_IN_TEMPLATES = {
+        default: [
+            '{{#bold}}{{"bill.newOrder" | t}}{{/bold}}',
+            '{{separator}}',
+            '{{#if orderId}}',
+            '{{"bill.orderId" | t}}: {{orderId | bold}}',
+            '{{/if}}',
+            '{{"bill.name" | t}}: {{name}}',
+            '{{"bill.mobile" | t}}: {{mobile}}',
+            '{{#if email}}',
+            '{{"bill.email" | t}}: {{email}}',
+            '{{/if}}',
+            '{{"bill.delivery" | t}}: {{deliveryLabel}}',
+            '{{#if branch}}',
+            '{{"bill.branch" | t}}: {{branch.name}}',
+            '{{/if}}',
+            '{{#if address}}',
+            '{{"bill.address" | t}}: {{address}}',
+            '{{/if}}',
+            '{{#if deliverySlot}}',
+            '{{"bill.slot" | t}}: {{deliverySlot.label}}',
+            '{{/if}}',
+            '{{#if notes}}',
+            '{{"bill.notes" | t}}: {{notes}}',
+            '{{/if}}',
+            '{{#each extraFields}}',
+            '{{label}}: {{value}}',
+            '{{/each}}',
+            '',
+            '{{separator}}',
+            '{{#bold}}{{"bill.orderItems" | t}}{{/bold}}',
+            '{{separator}}',
+            '{{#if groups}}',
+            '{{#each groups}}',
+            '',
+            '{{category | bold}}',
+            '{{#each items}}',
+            ITEM_LINE,
+            '{{/each}}',
+            '{{/each}}',
+            '{{else}}',
+            '{{#each items}}',
+            ITEM_LINE,
+            '{{/each}}',
+            '{{/if}}',
+            '{{separator}}',
+            '{{#if config.showSubtotal}}',
+            '{{"bill.subtotal" | t}}: {{subtotal | currency}}',
+            '{{/if}}',
+            '{{#if discount | gt:0}}',
+            '{{"bill.discount" | t}}{{#if couponCode}} ({{couponCode}}){{/if}}: -{{discount | currency}}',
+            '{{/if}}',
+            '{{#if config.showTax}}',
+            '{{#if tax | gt:0}}',
+            '{{taxLabel}}: {{tax | currency}}',
+            '{{/if}}',
+            '{{/if}}',
+            '{{#if config.showDeliveryCharge}}',
+            '{{#if deliveryCharge | gt:0}}',
+            '{{"bill.deliveryCharge" | t}}: {{deliveryCharge | currency}}',
+            '{{/if}}',
+            '{{/if}}',
+            '{{#if roundOff}}',
+            '{{"bill.roundOff" | t}}: {{roundOff | currency}}',
+            '{{/if}}',
+            '{{#bold}}{{"bill.total" | t}}: {{total | currency}}{{/bold}}',
+            '{{#if convertedTotal}}',
+            '{{"bill.approx" | t}}: {{convertedTotal}}',
+            '{{/if}}',
+            '{{#if payment}}',
+            PAYMENT_LINE,
+            '{{/if}}',
+            '{{separator}}',
+            '{{#if config.includeTimestamp}}',
+            '{{"bill.date" | t}}: {{date | datetime}}',
+            '{{/if}}',
+            '{{#if config.includeWebsiteUrl}}',
+            '{{"bill.website" | t}}: {{website}}',
+            '{{/if}}',
+            '{{#if attribution}}',
+            '',
+            '{{attribution}}{{/if}}'
+        ].join('\n'),
+
+        minimal: [
+            '{{#if orderId}}',
+            '{{#bold}}{{"bill.orderId" | t}}:{{/bold}} {{orderId}}',
+            '{{/if}}',
+            '{{#bold}}{{"bill.orderFrom" | t}}{{/bold}} {{name}}',
+            '{{#bold}}{{"bill.phone" | t}}{{/bold}} {{mobile}}',
+            '',
+            '{{#each items}}',
+            '{{@number}}. {{name}} × {{quantity}}',
+            '{{/each}}',
+            '',
+            '{{#bold}}{{"bill.totalShort" | t}}{{/bold}} {{total | currency}}{{#if convertedTotal}} (≈ {{convertedTotal}}){{/if}}{{#if payment}}',
+            PAYMENT_LINE + '{{/if}}'
+        ].join('\n'),
+
+        detailed: [
+            '{{#bold}}{{"bill.orderNumber" | t:"orderId":orderNumber}}{{/bold}}',
+            '{{separator}}',
+            '',
+            '{{#bold}}{{"bill.customerDetails" | t}}{{/bold}}',
+            '{{"bill.name" | t}}: {{name}}',
+            '{{"bill.mobile" | t}}: {{mobile}}',
+            '{{#if email}}',
+            '{{"bill.email" | t}}: {{email}}',
+            '{{/if}}',
+            '',
+            '{{#bold}}{{"bill.deliveryDetails" | t}}{{/bold}}',
+            '{{"bill.type" | t}}: {{#if deliveryOption.label}}{{deliveryOption.label}}{{else}}{{"bill.standard" | t}}{{/if}}',
+            '{{#if branch}}',
+            '{{"bill.branch" | t}}: {{branch.name}}',
+            '{{/if}}',
+            '{{#if address}}',
+            '{{"bill.address" | t}}: {{address}}',
+            '{{/if}}',
+            '{{#if deliverySlot}}',
+            '{{"bill.slot" | t}}: {{deliverySlot.label}}',
+            '{{/if}}',
+            '{{#if notes}}',
+            '{{"bill.notes" | t}}: {{notes}}',
+            '{{/if}}',
+            '',
+            '{{#bold}}{{"bill.orderItems" | t}}{{/bold}}',
+            '{{separator}}',
+            '{{#each items}}',
+            '{{@number}}. {{name | bold}}',
+            '   {{"bill.price" | t}}: {{price | currency}}',
+            '   {{"bill.qty" | t}}: {{quantity}}',
+            '   {{"bill.subtotal" | t}}: {{total | currency}}',
+            '{{#unless @last}}',
+            '',
+            '{{/unless}}',
+            '{{/each}}',
+            '{{separator}}',
+            '{{#bold}}{{"bill.paymentSummary" | t}}{{/bold}}',
+            '{{"bill.itemsTotal" | t}}: {{subtotal | currency}}',
+            '{{#if deliveryCharge | gt:0}}',
+            '{{"bill.delivery" | t}}: {{deliveryCharge | currency}}',
+            '{{/if}}',
+            '{{#if discount}}',
+            '{{"bill.discount" | t}}{{#if couponCode}} ({{couponCode}}){{/if}}: -{{discount | currency}}',
+            '{{/if}}',
+            '{{#if tax}}',
+            '{{taxLabel}}: {{tax | currency}}',
+            '{{/if}}',
+            '{{#if roundOff}}',
+            '{{"bill.roundOff" | t}}: {{roundOff | currency}}',
+            '{{/if}}',
+            '{{separator}}',
+            '{{#bold}}{{"bill.grandTotal" | t}}: {{total | currency}}{{/bold}}',
+            '{{#if convertedTotal}}',
+            '{{"bill.approx" | t}}: {{convertedTotal}}',
+            '{{/if}}',
+            '{{#if payment}}',
+            PAYMENT_LINE,
+            '{{/if}}',
+            '{{separator}}',
+            '',
+            '{{"bill.orderDate" | t}}: {{date | datetime}}',
+            '{{#if config.includeWebsiteUrl}}',
+            '{{"bill.website" | t}}: {{website}}',
+            '{{/if}}',
+            ''
+        ].join('\n')
+    };
+
     /**
      * WhatsAppBilling Constructor
      * @param {Object} config - Configuration options
@@ -21,11 +260,18 @@
             // Display Configuration
             currency: '₹',
             currencyPosition: 'before', // 'before' or 'after'
+            currencyManager: null, // CurrencyManager: bill stays in the settlement currency, customer's currency shown alongside
             dateFormat: 'locale', // 'locale', 'iso', 'custom'
+            
+            // Language (I18n instance); locale pins the bill language, e.g. the shop owner's
+            i18n: null,
+            locale: null,
             timeFormat: '12h', // '12h' or '24h'
             
             // Message Configuration
-            messageTemplate: 'default', // 'default', 'minimal', 'detailed', 'custom'
+            messageTemplate: 'default', // 'default', 'minimal', 'detailed', 'custom' or a name from templates
+            templates: {}, // name → template source (WhatsAppTemplateEngine syntax)
+            templateSheet: 'MessageTemplates', // sheet tab for loadTemplates()
             includeTimestamp: true,
             includeWebsiteUrl: true,
             includeAttribution: true,
@@ -40,13 +286,27 @@
             showItemNumbers: true,
             showSubtotal: true,
             showDeliveryCharge: true,
+            showTax: true,
             groupByCategory: false,
             
+            // Pricing (PricingEngine instance shared with ShopCart); without one,
+            // PricingEngine.fromConfig(appConfig) (ConfigManager or plain object)
+            pricing: null,
+            appConfig: null,
+            
+            // Order persistence (OrderSubmitter instance, used by placeOrder)
+            orderSubmitter: null,
+            sendOnSubmitFailure: false,
+            
+            // Other channels (OrderDispatcher instance, used by placeOrder)
+            dispatcher: null,
+            
             // Callbacks
             onBeforeSend: null,
             onAfterSend: null,
             onError: null,
             onSuccess: null,
+            onOrderSaved: null,
             
             // Validation
             validatePhone: true,
@@ -60,12 +320,18 @@
         };
         
         this.orderData = null;
+        this.templates = { ...this.config.templates };
+        this.engine = null;
     }
 
     /**
      * Format currency value
      */
     WhatsAppBilling.prototype.formatCurrency = function(amount) {
+        if (this.config.currencyManager) {
+            return this.config.currencyManager.formatBase(amount);
+        }
+
         const formatted = typeof amount === 'number' ? amount.toFixed(2) : amount;
         
         if (this.config.currencyPosition === 'after') {
@@ -74,6 +340,39 @@
         return `${this.config.currency}${formatted}`;
     };
 
+    /**
+     * Translated bill text (built-in English without config.i18n)
+     */
+    WhatsAppBilling.prototype.t = function(key, params = {}) {
+        if (typeof window.ShopUtils !== 'undefined') {
+            return window.ShopUtils.translate(this.config.i18n, BILL_MESSAGES, key, params, { locale: this.config.locale || undefined });
+        }
+
+        // Pages without shop_utils.js
+        const message = BILL_MESSAGES[key];
+        if (this.config.i18n) {
+            return this.config.i18n.t(key, params, { default: message, locale: this.config.locale || undefined });
+        }
+        return String(message === undefined ? key : message).replace(/\{(\w+)\}/g, (match, name) => (name in params ? params[name] : match));
+    };
+
+    /**
+     * Item name for the bill, with the variant when there is one: "Kurta (M / Blue)"
+     */
+    WhatsAppBilling.prototype.getItemName = function(item) {
+        const name = item.name || item.title || '';
+        return item.variantLabel ? `${name} (${item.variantLabel})` : name;
+    };
+
+    /**
+     * Total in the customer's display currency ("USD $100.00"), or '' when it is the settlement currency
+     */
+    WhatsAppBilling.prototype.formatConvertedTotal = function(amount) {
+        const manager = this.config.currencyManager;
+        if (!manager || !manager.isConverted()) return '';
+        return `${manager.getDisplayCurrency()} ${manager.format(amount)}`;
+    };
+
     /**
      * Create separator line
      */
@@ -97,16 +396,114 @@
         if (this.config.dateFormat === 'iso') {
             return d.toISOString();
         } else if (this.config.dateFormat === 'locale') {
-            const dateStr = d.toLocaleDateString();
+            const locale = this.config.locale || (this.config.i18n ? this.config.i18n.getLocale() : undefined);
+            const dateStr = d.toLocaleDateString(locale);
             const timeStr = this.config.timeFormat === '12h' 
-                ? d.toLocaleTimeString('en-US', { hour12: true })
-                : d.toLocaleTimeString('en-US', { hour12: false });
+                ? d.toLocaleTimeString(locale || 'en-US', { hour12: true })
+                : d.toLocaleTimeString(locale || 'en-US', { hour12: false });
             return `${dateStr} ${timeStr}`;
         } else {
             return d.toString();
         }
     };
 
+    /**
+     * Calculate order totals through the shared pricing layer
+     * @param {Array} cart - Cart lines
+     * @param {Object} [adjustments] - discount, freeDelivery, deliveryType, deliveryCharge
+     * @returns {Object} Totals breakdown (see PricingEngine.calculate)
+     */
+    WhatsAppBilling.prototype.calculateTotals = function(cart, adjustments = {}) {
+        const pricing = this.getPricing();
+
+        if (pricing) {
+            return pricing.calculate(cart, adjustments);
+        }
+
+        const subtotal = cart.reduce((sum, item) => sum + (item.price * item.quantity), 0);
+        const discount = adjustments.discount || 0;
+        const deliveryCharge = adjustments.deliveryType === 'pickup' || adjustments.freeDelivery
+            ? 0
+            : (adjustments.deliveryCharge || 0);
+        return {
+            subtotal: subtotal,
+            discount: discount,
+            tax: 0,
+            taxLabel: 'GST',
+            taxInclusive: true,
+            deliveryCharge: deliveryCharge,
+            roundOff: 0,
+            total: subtotal - discount + deliveryCharge
+        };
+    };
+
+    /**
+     * The injected PricingEngine, else one built (once) with PricingEngine.fromConfig
+     * from config.appConfig. With neither, the shop's tax and delivery settings
+     * are unknown: that is logged, and totals carry no tax.
+     * @returns {PricingEngine|null}
+     */
+    WhatsAppBilling.prototype.getPricing = function() {
+        if (this.config.pricing || typeof PricingEngine === 'undefined') {
+            return this.config.pricing;
+        }
+
+        if (!this.config.appConfig) {
+            console.error('WhatsAppBilling: No pricing engine or appConfig given; bills are calculated without tax or delivery settings. Pass config.pricing (the cart\'s PricingEngine) or config.appConfig.');
+        }
+        this.config.pricing = PricingEngine.fromConfig(this.config.appConfig || {});
+        return this.config.pricing;
+    };
+
+    /**
+     * Fill in totals for orders that don't carry them yet
+     */
+    WhatsAppBilling.prototype.applyPricing = function(orderData) {
+        if (!orderData || !Array.isArray(orderData.cart)) {
+            return orderData;
+        }
+
+        // StoreLocator.attach(): the branch's own charge / free-above threshold
+        const branch = orderData.branch || {};
+        const totals = orderData.totals || (orderData.total === undefined
+            ? this.calculateTotals(orderData.cart, {
+                discount: orderData.discount,
+                freeDelivery: orderData.freeDelivery,
+                deliveryType: orderData.deliveryType,
+                deliveryCharge: orderData.deliveryCharge,
+                baseDeliveryCharge: branch.deliveryCharge,
+                freeDeliveryAbove: branch.freeAbove,
+                couponCode: orderData.couponCode
+            })
+            : null);
+
+        if (!totals) {
+            return orderData;
+        }
+
+        return {
+            ...orderData,
+            subtotal: totals.subtotal,
+            discount: totals.discount,
+            couponCode: totals.couponCode || orderData.couponCode,
+            tax: totals.tax,
+            taxLabel: totals.taxLabel,
+            taxInclusive: totals.taxInclusive,
+            deliveryCharge: totals.deliveryCharge,
+            roundOff: totals.roundOff,
+            total: totals.total,
+            totals: totals
+        };
+    };
+
+    /**
+     * Tax line label, e.g. "GST (incl.)"
+     */
+    WhatsAppBilling.prototype.getTaxLabel = function(orderData) {
+        const label = orderData.taxLabel || this.t('bill.tax');
+        return orderData.taxInclusive ? this.t('bill.taxIncluded', { label: label }) : label;
+    };
+
     /**
      * Validate order data
      */
@@ -115,29 +512,32 @@
 
         // Check required fields
         if (!orderData.name || orderData.name.trim() === '') {
-            errors.push('Customer name is required');
+            errors.push(this.t('bill.error.nameRequired'));
         }
 
         if (!orderData.mobile || orderData.mobile.trim() === '') {
-            errors.push('Mobile number is required');
+            errors.push(this.t('bill.error.mobileRequired'));
         }
 
         // Validate phone number
         if (this.config.validatePhone && orderData.mobile) {
             const phoneRegex = /^[0-9]{10}$/;
             if (!phoneRegex.test(orderData.mobile.replace(/\D/g, ''))) {
-                errors.push('Invalid mobile number format');
+                errors.push(this.t('bill.error.mobileInvalid'));
             }
         }
 
         // Validate cart
         if (!orderData.cart || !Array.isArray(orderData.cart) || orderData.cart.length === 0) {
-            errors.push('Cart is empty');
+            errors.push(this.t('bill.error.cartEmpty'));
         }
 
-        // Validate minimum order amount
-        if (this.config.minOrderAmount > 0 && orderData.total < this.config.minOrderAmount) {
-            errors.push(`Minimum order amount is ${this.formatCurrency(this.config.minOrderAmount)}`);
+        // Validate minimum order amount (the branch's own, see StoreLocator.attach())
+        const minOrderAmount = orderData.branch && orderData.branch.minOrder > 0
+            ? orderData.branch.minOrder
+            : this.config.minOrderAmount;
+        if (minOrderAmount > 0 && orderData.total < minOrderAmount) {
+            errors.push(this.t('bill.error.minOrder', { amount: this.formatCurrency(minOrderAmount) }));
         }
 
         return {
@@ -147,237 +547,245 @@
     };
 
     /**
-     * Generate WhatsApp message - Default Template
+     * Template engine with the bill's filters (created on first use), or null
+     * when whatsapp_template_engine.js isn't loaded
      */
-    WhatsAppBilling.prototype.generateDefaultMessage = function(orderData) {
-        let message = '';
-
-        // Header
-        message += this.bold('NEW ORDER') + '%0A';
-        message += this.createSeparator() + '%0A';
-
-        // Customer Information
-        message += `Name: ${orderData.name}%0A`;
-        message += `Mobile: ${orderData.mobile}%0A`;
-        
-        if (orderData.email && orderData.email.trim() !== '') {
-            message += `Email: ${orderData.email}%0A`;
-        }
+    WhatsAppBilling.prototype.getTemplateEngine = function() {
+        if (this.engine) return this.engine;
+        if (typeof WhatsAppTemplateEngine === 'undefined') return null;
+
+        this.engine = new WhatsAppTemplateEngine({
+            filters: {
+                currency: amount => this.formatCurrency(amount),
+                converted: amount => this.formatConvertedTotal(amount),
+                bold: text => (text === '' ? '' : this.bold(text)),
+                datetime: date => this.formatDateTime(date instanceof Date ? date : undefined),
+                // {{"bill.orderNumber" | t:"orderId":orderNumber}} - extra args are name/value pairs
+                t: (key, ...pairs) => {
+                    const params = {};
+                    for (let i = 0; i + 1 < pairs.length; i += 2) params[pairs[i]] = pairs[i + 1];
+                    return this.t(key, params);
+                }
+            }
+        });
+        return this.engine;
+    };
 
-        // Delivery Information
-        const deliveryLabel = orderData.deliveryType === 'delivery' 
-            ? orderData.deliveryOption?.label || 'Home Delivery'
-            : orderData.deliveryOption?.label || 'Pickup';
-        
-        message += `Delivery: ${deliveryLabel}%0A`;
-        
-        if (orderData.address && orderData.address.trim() !== '') {
-            message += `Address: ${orderData.address}%0A`;
+    // Every message except a customMessageGenerator's is rendered from a template
+    WhatsAppBilling.prototype.requireTemplateEngine = function() {
+        const engine = this.getTemplateEngine();
+        if (!engine) {
+            throw new Error('WhatsAppBilling: WhatsAppTemplateEngine is not loaded. Include whatsapp_template_engine.js');
         }
+        return engine;
+    };
 
-        // Custom Fields
-        if (this.config.customFields.length > 0) {
-            this.config.customFields.forEach(field => {
-                if (orderData[field.key]) {
-                    message += `${field.label}: ${orderData[field.key]}%0A`;
-                }
+    /**
+     * Data a template sees: the order plus display-ready fields
+     *   items (name with variant, total), groups (groupByCategory), deliveryLabel,
+     *   taxLabel, convertedTotal, orderNumber, extraFields, date, website, attribution, config
+     */
+    WhatsAppBilling.prototype.buildTemplateData = function(orderData) {
+        const items = (orderData.cart || []).map(item => ({
+            ...item,
+            name: this.getItemName(item),
+            total: item.price * item.quantity
+        }));
+
+        let groups = null;
+        if (this.config.groupByCategory && items.some(item => item.category)) {
+            const grouped = {};
+            items.forEach(item => {
+                const category = item.category || this.t('bill.otherCategory');
+                if (!grouped[category]) grouped[category] = { category: category, items: [] };
+                grouped[category].items.push(item);
             });
+            groups = Object.values(grouped);
         }
 
-        message += '%0A';
-        message += this.createSeparator() + '%0A';
-        message += this.bold('ORDER ITEMS') + '%0A';
-        message += this.createSeparator() + '%0A';
+        const deliveryLabel = orderData.deliveryOption?.label
+            || this.t(orderData.deliveryType === 'delivery' ? 'bill.homeDelivery' : 'bill.pickup');
 
-        // Order Items
-        if (this.config.groupByCategory && orderData.cart.some(item => item.category)) {
-            // Group by category
-            const grouped = {};
-            orderData.cart.forEach(item => {
-                const category = item.category || 'Other';
-                if (!grouped[category]) grouped[category] = [];
-                grouped[category].push(item);
-            });
+        return {
+            ...orderData,
+            email: orderData.email ? String(orderData.email).trim() : '',
+            address: orderData.address ? String(orderData.address).trim() : '',
+            items: items,
+            groups: groups,
+            deliveryLabel: deliveryLabel,
+            taxLabel: this.getTaxLabel(orderData),
+            convertedTotal: this.formatConvertedTotal(orderData.total),
+            orderNumber: orderData.orderId || `ORD${Date.now()}`,
+            extraFields: this.config.customFields
+                .filter(field => orderData[field.key])
+                .map(field => ({ label: field.label, value: orderData[field.key] })),
+            separator: this.createSeparator(),
+            date: new Date(),
+            website: window.location ? window.location.origin : '',
+            attribution: this.config.includeAttribution
+                ? this.config.customAttribution || this.t('bill.attribution')
+                : '',
+            config: this.config
+        };
+    };
 
-            Object.keys(grouped).forEach(category => {
-                message += `%0A${this.bold(category)}%0A`;
-                grouped[category].forEach((item, index) => {
-                    const itemTotal = item.price * item.quantity;
-                    const prefix = this.config.showItemNumbers ? `${index + 1}. ` : '• ';
-                    message += `${prefix}${item.name} × ${item.quantity} = ${this.formatCurrency(itemTotal)}%0A`;
-                });
-            });
-        } else {
-            // Simple list
-            orderData.cart.forEach((item, index) => {
-                const itemTotal = item.price * item.quantity;
-                const prefix = this.config.showItemNumbers ? `${index + 1}. ` : '• ';
-                message += `${prefix}${item.name} × ${item.quantity} = ${this.formatCurrency(itemTotal)}%0A`;
-            });
-        }
+    /**
+     * Template source by name: config.templates / loadTemplates() first, then built-ins
+     */
+    WhatsAppBilling.prototype.getTemplate = function(name) {
+        if (this.templates[name] !== undefined) return this.templates[name];
+        return BUILT_IN_TEMPLATES[name];
+    };
 
-        message += this.createSeparator() + '%0A';
+    /**
+     * Add (or replace) a named template; throws on syntax errors
+     */
+    WhatsAppBilling.prototype.addTemplate = function(name, source) {
+        this.requireTemplateEngine().compile(source);
+        this.templates[name] = source;
+        return this;
+    };
+
+    /**
+     * Load templates from a sheet tab (columns: name, template, enabled)
+     * Templates with syntax errors are skipped and reported, the rest are kept.
+     * @param {Object} [options] - { sheetName, fetcher }
+     * @returns {Promise<Object>} { loaded: [names], errors: [{ name, message }] }
+     */
+    WhatsAppBilling.prototype.loadTemplates = async function(options = {}) {
+        const fetcher = options.fetcher || (typeof SecureSheets !== 'undefined' ? SecureSheets : null);
+        const sheetName = options.sheetName || this.config.templateSheet;
 
-        // Pricing Breakdown
-        if (this.config.showSubtotal) {
-            message += `Subtotal: ${this.formatCurrency(orderData.subtotal)}%0A`;
+        if (!fetcher || typeof fetcher.getData !== 'function') {
+            throw new Error('WhatsAppBilling: SecureSheets is not loaded. Include securesheets_Client_v140.js or pass options.fetcher');
         }
-        
-        if (this.config.showDeliveryCharge && orderData.deliveryCharge > 0) {
-            message += `Delivery Charge: ${this.formatCurrency(orderData.deliveryCharge)}%0A`;
+
+        const response = await fetcher.getData(sheetName);
+        if (response && (response.status === 'error' || response.error)) {
+            throw new Error(response.message || response.error || 'WhatsAppBilling: Failed to load templates');
         }
 
-        message += this.bold(`TOTAL: ${this.formatCurrency(orderData.total)}`) + '%0A';
-        message += this.createSeparator() + '%0A';
+        const rows = response && Array.isArray(response.data) ? response.data : (Array.isArray(response) ? response : []);
+        const field = (row, name) => {
+            const key = Object.keys(row).find(k => k.trim().toLowerCase() === name);
+            return key !== undefined ? row[key] : undefined;
+        };
 
-        // Timestamp
-        if (this.config.includeTimestamp) {
-            message += `Date: ${this.formatDateTime()}%0A`;
-        }
+        const result = { loaded: [], errors: [] };
+        rows.forEach(row => {
+            const name = String(field(row, 'name') || '').trim();
+            const source = field(row, 'template');
+            const enabled = String(field(row, 'enabled') ?? 'true').trim().toLowerCase();
+            if (!name || !source || ['false', 'no', '0', 'n'].includes(enabled)) return;
+
+            try {
+                this.addTemplate(name, String(source));
+                result.loaded.push(name);
+            } catch (e) {
+                result.errors.push({ name: name, message: e.message });
+            }
+        });
 
-        // Website URL
-        if (this.config.includeWebsiteUrl) {
-            message += `Website: ${window.location.origin}%0A`;
+        if (result.errors.length) {
+            console.warn('WhatsAppBilling: Skipped templates with errors:', result.errors);
         }
+        return result;
+    };
 
-        // Attribution
-        if (this.config.includeAttribution) {
-            const attribution = this.config.customAttribution || 'Generated via WhatsApp Billing System';
-            message += `%0A${attribution}`;
-        }
+    /**
+     * Render a named template (or template source) for an order
+     * @returns {string} Plain message text
+     */
+    WhatsAppBilling.prototype.renderTemplate = function(nameOrSource, orderData) {
+        const source = this.getTemplate(nameOrSource);
+        return this.requireTemplateEngine().render(source !== undefined ? source : nameOrSource, this.buildTemplateData(orderData));
+    };
 
-        return message;
+    /**
+     * Generate WhatsApp message - Default Template
+     */
+    WhatsAppBilling.prototype.generateDefaultMessage = function(orderData) {
+        return this.renderTemplate('default', orderData);
     };
 
     /**
      * Generate WhatsApp message - Minimal Template
      */
     WhatsAppBilling.prototype.generateMinimalMessage = function(orderData) {
-        let message = '';
-
-        message += `${this.bold('Order from:')} ${orderData.name}%0A`;
-        message += `${this.bold('Phone:')} ${orderData.mobile}%0A%0A`;
-
-        orderData.cart.forEach((item, index) => {
-            message += `${index + 1}. ${item.name} × ${item.quantity}%0A`;
-        });
-
-        message += `%0A${this.bold('Total:')} ${this.formatCurrency(orderData.total)}`;
-
-        return message;
+        return this.renderTemplate('minimal', orderData);
     };
 
     /**
      * Generate WhatsApp message - Detailed Template
      */
     WhatsAppBilling.prototype.generateDetailedMessage = function(orderData) {
-        let message = '';
-
-        // Header with order ID
-        const orderId = orderData.orderId || `ORD${Date.now()}`;
-        message += this.bold(`ORDER #${orderId}`) + '%0A';
-        message += this.createSeparator() + '%0A%0A';
-
-        // Customer Details Section
-        message += this.bold('CUSTOMER DETAILS') + '%0A';
-        message += `Name: ${orderData.name}%0A`;
-        message += `Mobile: ${orderData.mobile}%0A`;
-        if (orderData.email) message += `Email: ${orderData.email}%0A`;
-        message += '%0A';
-
-        // Delivery Details Section
-        message += this.bold('DELIVERY DETAILS') + '%0A';
-        message += `Type: ${orderData.deliveryOption?.label || 'Standard'}%0A`;
-        if (orderData.address) {
-            message += `Address: ${orderData.address}%0A`;
-        }
-        message += '%0A';
-
-        // Items Section
-        message += this.bold('ORDER ITEMS') + '%0A';
-        message += this.createSeparator() + '%0A';
-        
-        orderData.cart.forEach((item, index) => {
-            message += `${index + 1}. ${this.bold(item.name)}%0A`;
-            message += `   Price: ${this.formatCurrency(item.price)}%0A`;
-            message += `   Qty: ${item.quantity}%0A`;
-            message += `   Subtotal: ${this.formatCurrency(item.price * item.quantity)}%0A`;
-            if (index < orderData.cart.length - 1) message += '%0A';
-        });
-
-        message += this.createSeparator() + '%0A';
-
-        // Payment Summary
-        message += this.bold('PAYMENT SUMMARY') + '%0A';
-        message += `Items Total: ${this.formatCurrency(orderData.subtotal)}%0A`;
-        if (orderData.deliveryCharge > 0) {
-            message += `Delivery: ${this.formatCurrency(orderData.deliveryCharge)}%0A`;
-        }
-        if (orderData.tax) {
-            message += `Tax: ${this.formatCurrency(orderData.tax)}%0A`;
-        }
-        if (orderData.discount) {
-            message += `Discount: -${this.formatCurrency(orderData.discount)}%0A`;
-        }
-        message += this.createSeparator() + '%0A';
-        message += this.bold(`GRAND TOTAL: ${this.formatCurrency(orderData.total)}`) + '%0A';
-        message += this.createSeparator() + '%0A%0A';
-
-        // Footer
-        message += `Order Date: ${this.formatDateTime()}%0A`;
-        if (this.config.includeWebsiteUrl) {
-            message += `Website: ${window.location.origin}%0A`;
-        }
-
-        return message;
+        return this.renderTemplate('detailed', orderData);
     };
 
     /**
-     * Generate WhatsApp message based on template
+     * Generate WhatsApp message based on template (plain text, not URL-encoded)
      */
     WhatsAppBilling.prototype.generateMessage = function(orderData) {
-        switch (this.config.messageTemplate) {
-            case 'minimal':
-                return this.generateMinimalMessage(orderData);
-            case 'detailed':
-                return this.generateDetailedMessage(orderData);
-            case 'custom':
-                // Allow custom message generation
-                if (typeof this.config.customMessageGenerator === 'function') {
-                    return this.config.customMessageGenerator(orderData, this);
+        if (this.config.messageTemplate === 'custom' && typeof this.config.customMessageGenerator === 'function') {
+            // Older generators returned URL-encoded text ('%0A' line breaks, '%20', ...) that
+            // WhatsApp decoded once; decode it here (a stray '%' is kept as typed)
+            return String(this.config.customMessageGenerator(orderData, this)).replace(/(%[0-9a-f]{2})+/gi, encoded => {
+                try {
+                    return decodeURIComponent(encoded);
+                } catch (e) {
+                    return encoded;
                 }
-                return this.generateDefaultMessage(orderData);
-            default:
-                return this.generateDefaultMessage(orderData);
+            });
         }
+
+        const name = this.getTemplate(this.config.messageTemplate) !== undefined ? this.config.messageTemplate : 'default';
+        return this.renderTemplate(name, orderData);
+    };
+
+    /**
+     * Number the order goes to: the branch's (StoreLocator.attach) or the shop's
+     */
+    WhatsAppBilling.prototype.getWhatsAppNumber = function(orderData) {
+        return (orderData && orderData.branch && orderData.branch.whatsappNumber) || this.config.whatsappNumber;
     };
 
     /**
      * Build WhatsApp URL
+     * @param {string} message - Plain message text
+     * @param {string} [number] - Defaults to config.whatsappNumber
      */
-    WhatsAppBilling.prototype.buildWhatsAppUrl = function(message) {
+    WhatsAppBilling.prototype.buildWhatsAppUrl = function(message, number) {
         // Clean and format phone number
-        let phoneNumber = this.config.whatsappNumber.replace(/\D/g, '');
+        let phoneNumber = String(number || this.config.whatsappNumber).replace(/\D/g, '');
         
         // Add country code if not present
         if (!phoneNumber.startsWith(this.config.countryCode)) {
             phoneNumber = this.config.countryCode + phoneNumber;
         }
 
-        // Build URL
-        return `https://wa.me/${phoneNumber}?text=${message}`;
+        // Build URL (the only place the message is encoded)
+        const Engine = typeof WhatsAppTemplateEngine !== 'undefined' ? WhatsAppTemplateEngine : null;
+        const text = Engine ? Engine.encode(message) : encodeURIComponent(message);
+        return `https://wa.me/${phoneNumber}?text=${text}`;
     };
 
     /**
      * Send order via WhatsApp
+     * @param {Object} orderData - Order data
+     * @param {Window} [targetWindow] - Window opened earlier in the click handler
+     *   (placeOrder uses this so the popup isn't blocked after an async step)
      */
-    WhatsAppBilling.prototype.send = function(orderData) {
+    WhatsAppBilling.prototype.send = function(orderData, targetWindow) {
         try {
+            // Compute totals once (no-op when the caller already passed them)
+            orderData = this.applyPricing(orderData);
+
             // Store order data
             this.orderData = orderData;
 
             // Validate WhatsApp number
-            if (!this.config.whatsappNumber) {
+            const whatsappNumber = this.getWhatsAppNumber(orderData);
+            if (!whatsappNumber) {
                 throw new Error('WhatsApp number is not configured');
             }
 
@@ -388,42 +796,31 @@
                     if (this.config.onError) {
                         this.config.onError(validation.errors);
                     }
-                    throw new Error('Order validation failed: ' + validation.errors.join(', '));
+                    throw new Error(this.t('bill.error.validation', { errors: validation.errors.join(', ') }));
                 }
             }
 
-            // Before send callback
-            if (this.config.onBeforeSend) {
-                const shouldContinue = this.config.onBeforeSend(orderData);
-                if (shouldContinue === false) {
-                    return false;
-                }
-            }
+            return this.deliver(orderData, targetWindow, () => {
+                // Generate message
+                const message = this.generateMessage(orderData);
 
-            // Generate message
-            const message = this.generateMessage(orderData);
+                // Build WhatsApp URL
+                const whatsappUrl = this.buildWhatsAppUrl(message, whatsappNumber);
 
-            // Build WhatsApp URL
-            const whatsappUrl = this.buildWhatsAppUrl(message);
-
-            // Open WhatsApp
-            const newWindow = window.open(whatsappUrl, '_blank');
-
-            if (newWindow) {
-                // Success callback
-                if (this.config.onSuccess) {
-                    this.config.onSuccess(orderData);
+                // Open WhatsApp
+                let newWindow;
+                if (targetWindow && !targetWindow.closed) {
+                    targetWindow.location.href = whatsappUrl;
+                    newWindow = targetWindow;
+                } else {
+                    newWindow = window.open(whatsappUrl, '_blank');
                 }
 
-                // After send callback
-                if (this.config.onAfterSend) {
-                    this.config.onAfterSend(orderData);
+                if (!newWindow) {
+                    throw new Error(this.t('bill.error.popupBlocked'));
                 }
-
-                return true;
-            } else {
-                throw new Error('Failed to open WhatsApp. Please check popup blocker settings.');
-            }
+                return 'whatsapp';
+            }) !== false;
 
         } catch (error) {
             console.error('WhatsAppBilling Error:', error);
@@ -436,26 +833,155 @@
         }
     };
 
+    /**
+     * Send through the configured OrderDispatcher (WhatsApp, Telegram, SMS, ...)
+     * @param {Object} orderData - Priced, validated order
+     * @param {Window} [targetWindow] - Window opened earlier in the click handler
+     * @returns {Promise<string|false>} Channel the order went out on, or false
+     */
+    WhatsAppBilling.prototype.dispatch = async function(orderData, targetWindow) {
+        try {
+            return await this.deliver(orderData, targetWindow, async () => {
+                const result = await this.config.dispatcher.dispatch(orderData, {
+                    channel: orderData.channel,
+                    targetWindow: targetWindow,
+                    validate: false
+                });
+
+                if (!result.success) {
+                    // Reason codes are for the shop's console, not the customer
+                    const reasons = result.attempts.map(attempt => `${attempt.channel}: ${attempt.reason}`).join(', ');
+                    throw new Error(`No channel could send the order: ${reasons}`);
+                }
+                return result.channel;
+            });
+        } catch (error) {
+            console.error('WhatsAppBilling:', error.message);
+            if (this.config.onError) {
+                this.config.onError(this.t('bill.error.noChannel'));
+            }
+            return false;
+        }
+    };
+
+    /**
+     * Shared by send() and dispatch(): onBeforeSend, hand the order to a
+     * channel, then onSuccess / onAfterSend
+     * @param {Object} orderData - Priced, validated order
+     * @param {Window} [targetWindow] - Closed if onBeforeSend cancels
+     * @param {Function} open - Sends the order; returns (or resolves with) the channel name, throws on failure
+     * @returns {string|false|Promise<string|false>} Channel name, or false if cancelled
+     */
+    WhatsAppBilling.prototype.deliver = function(orderData, targetWindow, open) {
+        this.orderData = orderData;
+
+        if (this.config.onBeforeSend && this.config.onBeforeSend(orderData) === false) {
+            if (targetWindow && !targetWindow.closed) targetWindow.close();
+            return false;
+        }
+
+        const sent = channel => {
+            if (this.config.onSuccess) {
+                this.config.onSuccess(orderData);
+            }
+            if (this.config.onAfterSend) {
+                this.config.onAfterSend(orderData);
+            }
+            return channel;
+        };
+
+        const channel = open();
+        return channel && typeof channel.then === 'function' ? channel.then(sent) : sent(channel);
+    };
+
+    /**
+     * Save the order through the configured OrderSubmitter, then send it
+     * via WhatsApp (or the OrderDispatcher's channels) with the assigned order ID in the message
+     * @param {Object} orderData - Order data (orderData.channel picks a dispatcher channel)
+     * @returns {Promise<Object|false>} Saved order (orderId, record, response, queued, channel) or false
+     */
+    WhatsAppBilling.prototype.placeOrder = async function(orderData) {
+        const submitter = this.config.orderSubmitter;
+        const dispatcher = this.config.dispatcher;
+        if (!submitter && !dispatcher) {
+            return this.send(orderData) ? { orderId: orderData.orderId || null, saved: false, channel: 'whatsapp' } : false;
+        }
+
+        orderData = this.applyPricing(orderData);
+
+        if (this.config.validateOrder) {
+            const validation = this.validateOrder(orderData);
+            if (!validation.isValid) {
+                if (this.config.onError) {
+                    this.config.onError(validation.errors);
+                }
+                return false;
+            }
+        }
+
+        // Open the tab while we're still inside the click handler; it is
+        // pointed at wa.me (or the dispatcher's channel) once the order has been saved.
+        const pendingWindow = window.open('', '_blank');
+
+        let result = { orderId: orderData.orderId || null, record: null, response: null };
+        try {
+            if (submitter) result = await submitter.submit(orderData);
+            orderData = { ...orderData, orderId: result.orderId };
+
+            if (submitter && this.config.onOrderSaved) {
+                this.config.onOrderSaved(result);
+            }
+        } catch (error) {
+            console.error('WhatsAppBilling: Order could not be saved:', error);
+
+            if (!this.config.sendOnSubmitFailure) {
+                if (pendingWindow) pendingWindow.close();
+                if (this.config.onError) {
+                    this.config.onError(error.message);
+                }
+                return false;
+            }
+
+            orderData = { ...orderData, orderId: error.orderId || orderData.orderId };
+            result = { orderId: orderData.orderId, record: error.record, response: null };
+        }
+
+        if (dispatcher) {
+            const channel = await this.dispatch(orderData, pendingWindow);
+            return channel ? { ...result, saved: !!result.response, channel: channel } : false;
+        }
+
+        if (!this.send(orderData, pendingWindow)) {
+            if (pendingWindow && !pendingWindow.closed) pendingWindow.close();
+            return false;
+        }
+
+        return { ...result, saved: !!result.response, channel: 'whatsapp' };
+    };
+
     /**
      * Quick send with minimal data
      */
     WhatsAppBilling.prototype.quickSend = function(name, mobile, cart, options = {}) {
-        const subtotal = cart.reduce((sum, item) => sum + (item.price * item.quantity), 0);
-        const deliveryCharge = options.deliveryCharge || 0;
-        const total = subtotal + deliveryCharge;
+        // Pass options.totals (e.g. shopCart.getTotals()) to reuse the cart's numbers as-is
+        const totals = options.totals || this.calculateTotals(cart, {
+            discount: options.discount,
+            freeDelivery: options.freeDelivery,
+            deliveryType: options.deliveryType || 'delivery',
+            deliveryCharge: options.deliveryCharge,
+            couponCode: options.couponCode
+        });
 
         const orderData = {
             name: name,
             mobile: mobile,
             email: options.email || '',
             cart: cart,
-            subtotal: subtotal,
-            deliveryCharge: deliveryCharge,
-            total: total,
             deliveryType: options.deliveryType || 'delivery',
             address: options.address || '',
-            deliveryOption: options.deliveryOption || { label: 'Standard Delivery' },
-            ...options
+            deliveryOption: options.deliveryOption || { label: this.t('bill.standardDelivery') },
+            ...options,
+            totals: totals
         };
 
         return this.send(orderData);
@@ -469,11 +995,22 @@
     };
 
     /**
-     * Preview message without sending
+     * Preview message without sending (the exact text WhatsApp receives)
      */
     WhatsAppBilling.prototype.preview = function(orderData) {
-        const message = this.generateMessage(orderData);
-        return decodeURIComponent(message.replace(/%0A/g, '\n'));
+        return this.generateMessage(this.applyPricing(orderData));
+    };
+
+    /**
+     * Preview as HTML, formatted the way WhatsApp displays it (*bold*, _italic_, ...)
+     */
+    WhatsAppBilling.prototype.previewHTML = function(orderData) {
+        const text = this.preview(orderData);
+        if (typeof WhatsAppTemplateEngine !== 'undefined') {
+            return WhatsAppTemplateEngine.toHTML(text);
+        }
+        // Plain text without the engine's WhatsApp formatting
+        return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/\n/g, '<br>');
     };
 
     /**
@@ -481,6 +1018,9 @@
      */
     WhatsAppBilling.prototype.updateConfig = function(newConfig) {
         this.config = { ...this.config, ...newConfig };
+        if (newConfig.templates) {
+            Object.keys(newConfig.templates).forEach(name => this.addTemplate(name, newConfig.templates[name]));
+        }
         return this;
     };
 
@@ -0,0 +1,523 @@
+/**
+ * WhatsAppTemplateEngine.js v1.0.0
+ * Small template language for WhatsApp order messages. Templates are plain
+ * text (real newlines, WhatsApp *bold* / _italic_ / ~strike~ markup) and can
+ * live in a sheet, so the shop owner can change the bill without a deploy.
+ * URL encoding is not the template's job: encode() the finished text once.
+ * (c) 2025
+ * MIT License
+ *
+ * Syntax:
+ *   {{name}}  {{customer.address}}  {{this}}         values (looked up in enclosing scopes too)
+ *   {{total | currency}}  {{email | default:"-"}}    filters, args after ':'
+ *   {{"bill.total" | t}}                             string / number literals
+ *   {{#each items}} {{@number}}. {{name}} {{else}} (empty) {{/each}}
+ *       @index (0-based), @number (1-based), @first, @last
+ *   {{#if discount | gt:0}} ... {{else}} ... {{/if}}   {{#unless @last}} ... {{/unless}}
+ *   {{#bold}}TOTAL: {{total | currency}}{{/bold}}    any filter as a block: filters the rendered body
+ *   {{! comment }}
+ * A line holding only a block tag or comment leaves no blank line behind.
+ *
+ * Usage:
+ * const engine = new WhatsAppTemplateEngine({ filters: { currency: n => '₹' + n.toFixed(2) } });
+ * const text = engine.render('{{#each items}}{{@number}}. {{name}}\n{{/each}}', { items });
+ * const url = 'https://wa.me/91...?text=' + WhatsAppTemplateEngine.encode(text);
+ * preview.innerHTML = WhatsAppTemplateEngine.toHTML(text);
+ */
+
+(function(global) {
+    'use strict';
+
+    const BLOCK_KEYWORDS = ['if', 'unless', 'each'];
+
+    // Filters every engine has; WhatsAppBilling adds currency, t, datetime, ...
+    const DEFAULT_FILTERS = {
+        upper: value => String(value).toUpperCase(),
+        lower: value => String(value).toLowerCase(),
+        trim: value => String(value).trim(),
+        default: (value, fallback = '') => (value === undefined || value === null || value === '' ? fallback : value),
+        bold: value => (value === '' ? '' : `*${value}*`),
+        italic: value => (value === '' ? '' : `_${value}_`),
+        strike: value => (value === '' ? '' : `~${value}~`),
+        mono: value => (value === '' ? '' : '```' + value + '```'),
+        append: (value, suffix = '') => `${value}${suffix}`,
+        prepend: (value, prefix = '') => `${prefix}${value}`,
+        pad: (value, length = 0, char = ' ') => String(value).padEnd(length, char),
+        padStart: (value, length = 0, char = ' ') => String(value).padStart(length, char),
+        truncate: (value, length = 30) => {
+            const text = String(value);
+            return text.length > length ? text.slice(0, Math.max(0, length - 1)) + '…' : text;
+        },
+        repeat: (value, count = 1) => String(value).repeat(Math.max(0, count)),
+        join: (value, separator = ', ') => (Array.isArray(value) ? value.join(separator) : value),
+        length: value => (value && value.length !== undefined ? value.length : 0),
+        number: (value, decimals) => {
+            const number = parseFloat(value) || 0;
+            return decimals === undefined ? String(number) : number.toFixed(decimals);
+        },
+        currency: value => (parseFloat(value) || 0).toFixed(2),
+        date: (value, locale) => toDate(value).toLocaleDateString(locale),
+        time: (value, locale) => toDate(value).toLocaleTimeString(locale),
+        datetime: (value, locale) => toDate(value).toLocaleString(locale),
+        eq: (value, other) => value === other,
+        ne: (value, other) => value !== other,
+        gt: (value, other) => Number(value) > Number(other),
+        gte: (value, other) => Number(value) >= Number(other),
+        lt: (value, other) => Number(value) < Number(other),
+        lte: (value, other) => Number(value) <= Number(other),
+        not: value => !isTruthy(value)
+    };
+
+    function toDate(value) {
+        return value instanceof Date ? value : (value ? new Date(value) : new Date());
+    }
+
+    // Markers only count at word edges and don't span lines, like WhatsApp
+    function replaceMarker(line, marker, replace) {
+        const m = marker.replace(/[*~]/g, '\\$&');
+        const pattern = new RegExp(`(^|[\\s(>*_~])${m}([^\\s${m}](?:[^${m}]*?[^\\s${m}])?)${m}(?=$|[\\s.,!?:;)<*_~])`, 'g');
+        return line.replace(pattern, (match, before, inner) => before + replace(inner));
+    }
+
+    // Apply converters to each line; ```code``` spans go to convert.code untouched by the others
+    function convertLines(text, convert) {
+        return String(text).replace(/\r\n/g, '\n').split('\n').map(line => {
+            const parts = line.split(/```/);
+            // Odd parts were inside ``` ... ``` (unless the last one is unclosed)
+            return parts.map((part, i) => {
+                if (i % 2 === 1 && i < parts.length - 1) return convert.code(part);
+                let plain = convert.text(i % 2 === 1 ? '```' + part : part);
+                plain = replaceMarker(plain, '*', convert.bold);
+                plain = replaceMarker(plain, '_', convert.italic);
+                return replaceMarker(plain, '~', convert.strike);
+            }).join('');
+        });
+    }
+
+    // Empty arrays are false, like an empty cart
+    function isTruthy(value) {
+        return Array.isArray(value) ? value.length > 0 : !!value;
+    }
+
+    // Split on a separator outside quotes ("a | b", 'x:"y:z"')
+    function splitOutsideQuotes(text, separator) {
+        const parts = [];
+        let current = '';
+        let quote = null;
+
+        for (const char of text) {
+            if (quote) {
+                if (char === quote) quote = null;
+                current += char;
+            } else if (char === '"' || char === "'") {
+                quote = char;
+                current += char;
+            } else if (char === separator) {
+                parts.push(current);
+                current = '';
+            } else {
+                current += char;
+            }
+        }
+        if (quote) throw new Error('unterminated string');
+
+        parts.push(current);
+        return parts.map(part => part.trim());
+    }
+
+    class WhatsAppTemplateEngine {
+        constructor(options = {}) {
+            this.filters = { ...DEFAULT_FILTERS, ...(options.filters || {}) };
+            this.cache = new Map();
+            this.options = {
+                strict: options.strict || false, // throw on values that aren't in the data
+                cacheSize: options.cacheSize || 50
+            };
+        }
+
+        /**
+         * Add or replace a filter
+         * @param {string} name - Used as {{value | name:arg}}
+         * @param {Function} fn - (value, ...args) => result
+         */
+        registerFilter(name, fn) {
+            if (typeof fn !== 'function') {
+                throw new Error(`WhatsAppTemplateEngine: Filter "${name}" must be a function`);
+            }
+            this.filters[name] = fn;
+            this.cache.clear();
+            return this;
+        }
+
+        // Own filters only, so {{x | constructor}} or {{#toString}} isn't taken for one
+        hasFilter(name) {
+            return Object.prototype.hasOwnProperty.call(this.filters, name) && typeof this.filters[name] === 'function';
+        }
+
+        /**
+         * Parse a template (cached); throws with the line number on syntax errors
+         * @param {string} source
+         * @returns {Object} { render(data) }
+         */
+        compile(source) {
+            const text = String(source === undefined || source === null ? '' : source);
+            if (this.cache.has(text)) return this.cache.get(text);
+
+            const nodes = this.parse(this.tokenize(text));
+            const template = { source: text, render: data => this.renderNodes(nodes, [data || {}], []) };
+
+            if (this.cache.size >= this.options.cacheSize) {
+                this.cache.delete(this.cache.keys().next().value);
+            }
+            this.cache.set(text, template);
+            return template;
+        }
+
+        /**
+         * Render a template with data
+         * @param {string} source
+         * @param {Object} data
+         * @returns {string} Plain text (not URL-encoded)
+         */
+        render(source, data) {
+            return this.compile(source).render(data);
+        }
+
+        // Template syntax problems without throwing: null when the template is fine
+        validate(source) {
+            try {
+                this.compile(source);
+                return null;
+            } catch (e) {
+                return e.message;
+            }
+        }
+
+        // Split into text and {{tag}} tokens; standalone block lines are trimmed
+        tokenize(source) {
+            const tokens = [];
+            const pattern = /\{\{([\s\S]*?)\}\}/g;
+            let last = 0;
+            let match;
+
+            while ((match = pattern.exec(source)) !== null) {
+                if (match.index > last) {
+                    tokens.push({ type: 'text', value: source.slice(last, match.index) });
+                }
+
+                const line = source.slice(0, match.index).split('\n').length;
+                const body = match[1].trim();
+                const token = { type: 'tag', line: line };
+
+                if (body.startsWith('!')) {
+                    token.kind = 'comment';
+                } else if (body.startsWith('#')) {
+                    const [, name, expression] = body.match(/^#\s*([\w.-]+)\s*([\s\S]*)$/) || [];
+                    if (!name) throw this.syntaxError('Block tag without a name', line);
+                    token.kind = 'open';
+                    token.name = name;
+                    token.expression = expression.trim();
+                } else if (body.startsWith('/')) {
+                    token.kind = 'close';
+                    token.name = body.slice(1).trim();
+                } else if (body === 'else') {
+                    token.kind = 'else';
+                } else {
+                    if (!body) throw this.syntaxError('Empty {{ }}', line);
+                    token.kind = 'value';
+                    token.expression = body;
+                }
+
+                tokens.push(token);
+                last = pattern.lastIndex;
+            }
+
+            if (last < source.length) {
+                tokens.push({ type: 'text', value: source.slice(last) });
+            }
+
+            this.trimStandalone(tokens);
+            return tokens;
+        }
+
+        // A block/else/close/comment tag alone on its line takes the line with it
+        trimStandalone(tokens) {
+            const standalone = tokens.map((token, i) => {
+                if (token.type !== 'tag' || token.kind === 'value') return false;
+
+                const before = tokens[i - 1];
+                const after = tokens[i + 1];
+                const startsLine = !before || (before.type === 'text'
+                    && (i === 1 ? /(^|\n)[ \t]*$/ : /\n[ \t]*$/).test(before.value));
+                const endsLine = !after || (after.type === 'text'
+                    && (i + 1 === tokens.length - 1 ? /^[ \t]*(\r?\n|$)/ : /^[ \t]*\r?\n/).test(after.value));
+
+                return startsLine && endsLine;
+            });
+
+            tokens.forEach((token, i) => {
+                if (!standalone[i]) return;
+                const before = tokens[i - 1];
+                const after = tokens[i + 1];
+                if (before) before.value = before.value.replace(/[ \t]*$/, '');
+                if (after) after.value = after.value.replace(/^[ \t]*(\r?\n)?/, '');
+            });
+        }
+
+        // Build the node tree from tokens
+        parse(tokens) {
+            const root = { children: [] };
+            const stack = [root];
+
+            tokens.forEach(token => {
+                const current = stack[stack.length - 1];
+                const target = current.inElse ? current.alternate : current.children;
+
+                if (token.type === 'text') {
+                    if (token.value) target.push({ type: 'text', value: token.value });
+                    return;
+                }
+
+                switch (token.kind) {
+                    case 'comment':
+                        break;
+                    case 'value':
+                        target.push({ type: 'value', expression: this.parseExpression(token.expression, token.line) });
+                        break;
+                    case 'open': {
+                        const isKeyword = BLOCK_KEYWORDS.includes(token.name);
+                        if (isKeyword && !token.expression) {
+                            throw this.syntaxError(`{{#${token.name}}} needs a value`, token.line);
+                        }
+                        if (!isKeyword && !this.hasFilter(token.name)) {
+                            throw this.syntaxError(`Unknown block or filter "${token.name}"`, token.line);
+                        }
+
+                        const node = {
+                            type: isKeyword ? token.name : 'filter',
+                            name: token.name,
+                            line: token.line,
+                            expression: token.expression ? this.parseExpression(token.expression, token.line) : null,
+                            children: [],
+                            alternate: [],
+                            inElse: false
+                        };
+                        target.push(node);
+                        stack.push(node);
+                        break;
+                    }
+                    case 'else':
+                        if (stack.length === 1 || current.type === 'filter' || current.inElse) {
+                            throw this.syntaxError('{{else}} outside {{#if}}, {{#unless}} or {{#each}}', token.line);
+                        }
+                        current.inElse = true;
+                        break;
+                    case 'close':
+                        if (stack.length === 1) {
+                            throw this.syntaxError(`{{/${token.name}}} without an opening tag`, token.line);
+                        }
+                        if (current.name !== token.name) {
+                            throw this.syntaxError(`{{/${token.name}}} closes {{#${current.name}}} from line ${current.line}`, token.line);
+                        }
+                        delete current.inElse;
+                        stack.pop();
+                        break;
+                }
+            });
+
+            if (stack.length > 1) {
+                const open = stack[stack.length - 1];
+                throw this.syntaxError(`{{#${open.name}}} is never closed`, open.line);
+            }
+
+            return root.children;
+        }
+
+        // "total | currency" → { value: {path}, filters: [{ name, args }] }
+        parseExpression(expression, line) {
+            let parts;
+            try {
+                parts = splitOutsideQuotes(expression, '|');
+            } catch (e) {
+                throw this.syntaxError(`${e.message} in "${expression}"`, line);
+            }
+
+            const value = this.parseOperand(parts[0], line);
+            const filters = parts.slice(1).map(part => {
+                const [name, ...args] = splitOutsideQuotes(part, ':');
+                if (!this.hasFilter(name)) {
+                    throw this.syntaxError(`Unknown filter "${name}"`, line);
+                }
+                return { name: name, args: args.map(arg => this.parseOperand(arg, line)) };
+            });
+
+            return { value: value, filters: filters };
+        }
+
+        // Literal or data path
+        parseOperand(text, line) {
+            if (/^(['"])[\s\S]*\1$/.test(text)) return { literal: text.slice(1, -1) };
+            if (/^-?\d+(\.\d+)?$/.test(text)) return { literal: parseFloat(text) };
+            if (text === 'true' || text === 'false') return { literal: text === 'true' };
+            if (text === 'null') return { literal: null };
+            if (!/^(@?[\w-]+|this)(\.[\w-]+)*$/.test(text)) {
+                throw this.syntaxError(`Invalid value "${text}"`, line);
+            }
+            return { path: text.split('.') };
+        }
+
+        renderNodes(nodes, scopes, frames) {
+            return nodes.map(node => this.renderNode(node, scopes, frames)).join('');
+        }
+
+        renderNode(node, scopes, frames) {
+            switch (node.type) {
+                case 'text':
+                    return node.value;
+
+                case 'value': {
+                    const value = this.evaluate(node.expression, scopes, frames);
+                    return value === undefined || value === null || value === false ? '' : String(value);
+                }
+
+                case 'if':
+                case 'unless': {
+                    const truthy = isTruthy(this.evaluate(node.expression, scopes, frames));
+                    const branch = (node.type === 'if') === truthy ? node.children : node.alternate;
+                    return this.renderNodes(branch, scopes, frames);
+                }
+
+                case 'each': {
+                    const list = this.evaluate(node.expression, scopes, frames);
+                    const items = Array.isArray(list) ? list
+                        : (list && typeof list === 'object' ? Object.values(list) : []);
+
+                    if (items.length === 0) {
+                        return this.renderNodes(node.alternate, scopes, frames);
+                    }
+
+                    return items.map((item, index) => this.renderNodes(
+                        node.children,
+                        scopes.concat([item]),
+                        frames.concat([{ index: index, number: index + 1, first: index === 0, last: index === items.length - 1 }])
+                    )).join('');
+                }
+
+                case 'filter': {
+                    const body = this.renderNodes(node.children, scopes, frames);
+                    const args = node.expression ? [this.evaluate(node.expression, scopes, frames)] : [];
+                    return String(this.filters[node.name](body, ...args));
+                }
+            }
+            return '';
+        }
+
+        evaluate(expression, scopes, frames) {
+            let value = this.resolve(expression.value, scopes, frames);
+
+            expression.filters.forEach(filter => {
+                const args = filter.args.map(arg => this.resolve(arg, scopes, frames));
+                value = this.filters[filter.name](value === undefined || value === null ? '' : value, ...args);
+            });
+
+            return value;
+        }
+
+        // Look a path up from the innermost scope outwards ({{config.x}} works inside {{#each}})
+        resolve(operand, scopes, frames) {
+            if ('literal' in operand) return operand.literal;
+
+            const [head, ...rest] = operand.path;
+
+            if (head.startsWith('@')) {
+                const frame = frames[frames.length - 1];
+                return frame ? frame[head.slice(1)] : undefined;
+            }
+
+            let value;
+            if (head === 'this') {
+                value = scopes[scopes.length - 1];
+            } else {
+                const scope = scopes.slice().reverse().find(s => s !== null && typeof s === 'object' && head in s);
+                if (!scope) {
+                    if (this.options.strict) throw new Error(`WhatsAppTemplateEngine: "${operand.path.join('.')}" is not defined`);
+                    return undefined;
+                }
+                value = scope[head];
+            }
+
+            for (const key of rest) {
+                if (value === undefined || value === null) return undefined;
+                value = value[key];
+            }
+            return value;
+        }
+
+        syntaxError(message, line) {
+            return new Error(`WhatsAppTemplateEngine: ${message} (line ${line})`);
+        }
+
+        /**
+         * URL-encode a finished message for wa.me / api.whatsapp.com
+         * @param {string} text
+         * @returns {string}
+         */
+        static encode(text) {
+            return encodeURIComponent(String(text).replace(/\r\n/g, '\n'));
+        }
+
+        /**
+         * HTML preview of a message as WhatsApp shows it: *bold*, _italic_,
+         * ~strike~, ```monospace```, line breaks. Text is HTML-escaped.
+         * @param {string} text
+         * @returns {string}
+         */
+        static toHTML(text) {
+            const escape = value => String(value)
+                .replace(/&/g, '&amp;')
+                .replace(/</g, '&lt;')
+                .replace(/>/g, '&gt;')
+                .replace(/"/g, '&quot;');
+
+            const lines = convertLines(text, {
+                text: escape,
+                code: part => `<code>${escape(part)}</code>`,
+                bold: inner => `<strong>${inner}</strong>`,
+                italic: inner => `<em>${inner}</em>`,
+                strike: inner => `<s>${inner}</s>`
+            });
+
+            return `<div class="wa-preview">${lines.join('<br>')}</div>`;
+        }
+
+        /**
+         * Convert WhatsApp markup for another channel
+         * @param {string} text
+         * @param {string} format - 'whatsapp' (unchanged), 'telegram' (**bold** __italic__ ~~strike~~) or 'plain'
+         * @returns {string}
+         */
+        static convertMarkup(text, format = 'plain') {
+            if (format === 'whatsapp') return String(text);
+
+            const telegram = format === 'telegram';
+            return convertLines(text, {
+                text: part => part,
+                code: part => (telegram ? '```' + part + '```' : part),
+                bold: inner => (telegram ? `**${inner}**` : inner),
+                italic: inner => (telegram ? `__${inner}__` : inner),
+                strike: inner => (telegram ? `~~${inner}~~` : inner)
+            }).join('\n');
+        }
+    }
+
+    WhatsAppTemplateEngine.DEFAULT_FILTERS = DEFAULT_FILTERS;
+
+    // Export for different module systems
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = WhatsAppTemplateEngine;
+    } else if (typeof define === 'function' && define.amd) {
+        define(function() { return WhatsAppTemplateEngine; });
+    } else {
+        global.WhatsAppTemplateEngine = WhatsAppTemplateEngine;
+    }
+})(typeof window !== 'undefined' ? window : this);
@@ -0,0 +1,1503 @@
+/**
+ * ============================================================================
+ * CLIENT LIBRARY HARNESS
+ * Runs each library in test/js against the mock Apps Script backend
+ * ============================================================================
+ *
+ * Browser builds are loaded as plain <script>s would be: into one shared
+ * window (a vm context with location, localStorage, fetch, WebCrypto and a
+ * bare document), so they talk to the mock over real HTTP exactly as they
+ * would to script.google.com.
+ *
+ * Usage:
+ *   node test/mock_server/harness.js            # all suites
+ *   node test/mock_server/harness.js GSRCDN     # suites whose name contains "GSRCDN"
+ *   node test/mock_server/harness.js --verbose  # keep the libraries' console output
+ *
+ * Exit code 1 if any check fails.
+ * ============================================================================
+ */
+
+'use strict';
+
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const { webcrypto } = require('crypto');
+const { MockAppsScript } = require('./server');
+
+const JS_DIR = path.join(__dirname, '..', 'js');
+const ORIGIN = 'http://localhost:8080';
+const FOREIGN_ORIGIN = 'https://evil.example';
+const TOKEN = 'harness-token';
+const SECRET = 'harness-secret';
+
+const args = process.argv.slice(2);
+const VERBOSE = args.includes('--verbose');
+const FILTER = args.find(arg => !arg.startsWith('--')) || '';
+
+const quietConsole = { log() {}, info() {}, warn() {}, error() {}, debug() {}, group() {}, groupEnd() {}, table() {} };
+
+// ============================================
+// BROWSER WINDOW
+// ============================================
+
+/**
+ * A window-like vm context; every fetch URL is recorded in window.__requests
+ */
+function createWindow(origin) {
+    const store = new Map();
+    const noop = () => {};
+    const element = () => ({ style: {}, classList: { add: noop, remove: noop, toggle: noop }, appendChild: noop, setAttribute: noop, addEventListener: noop });
+
+    const window = {
+        location: { origin: origin, href: origin + '/shop', protocol: new URL(origin).protocol, host: new URL(origin).host },
+        navigator: { onLine: true, userAgent: 'mock-harness' },
+        document: {
+            referrer: '',
+            head: { appendChild: noop },
+            body: { appendChild: noop },
+            createElement: element,
+            querySelector: () => null,
+            querySelectorAll: () => [],
+            getElementById: () => null,
+            addEventListener: noop
+        },
+        localStorage: {
+            getItem: key => (store.has(key) ? store.get(key) : null),
+            setItem: (key, value) => store.set(key, String(value)),
+            removeItem: key => store.delete(key),
+            clear: () => store.clear(),
+            key: i => Array.from(store.keys())[i] || null,
+            get length() { return store.size; }
+        },
+        addEventListener: noop,
+        removeEventListener: noop,
+        console: VERBOSE ? console : quietConsole,
+        crypto: webcrypto,
+        fetch: (url, options) => {
+            window.__requests.push(String(url));
+            return fetch(url, options);
+        },
+        __requests: [],
+        URL, URLSearchParams, AbortController, TextEncoder, TextDecoder, atob, btoa,
+        setTimeout, clearTimeout, setInterval, clearInterval
+    };
+
+    window.window = window;
+    window.self = window;
+    return vm.createContext(window);
+}
+
+/**
+ * Run test/js files in the window, in order, like <script> tags
+ */
+function loadScripts(window, files) {
+    files.forEach(file => {
+        const filename = path.join(JS_DIR, file);
+        vm.runInContext(fs.readFileSync(filename, 'utf8'), window, { filename: filename });
+    });
+    return window;
+}
+
+// ============================================
+// RUNNER
+// ============================================
+
+const suites = [];
+let passed = 0;
+let failed = 0;
+
+function suite(name, build) {
+    suites.push({ name, build });
+}
+
+async function runSuite({ name, build }, context) {
+    console.log(`\n${name}`);
+
+    const checks = [];
+    const check = (label, fn) => checks.push({ label, fn });
+    const state = await build(check, context);
+
+    for (const { label, fn } of checks) {
+        try {
+            await fn(state);
+            passed++;
+            console.log(`  ✓ ${label}`);
+        } catch (error) {
+            failed++;
+            console.log(`  ✗ ${label}\n      ${error.message}`);
+        }
+    }
+}
+
+async function waitFor(condition, timeout = 5000) {
+    const start = Date.now();
+    while (!condition()) {
+        if (Date.now() - start > timeout) throw new Error('Timed out waiting for condition');
+        await new Promise(resolve => setTimeout(resolve, 50));
+    }
+}
+
+function configureSecureSheets(SecureSheets, scriptUrl, overrides = {}) {
+    SecureSheets.configure({
+        scriptUrl: scriptUrl,
+        apiToken: TOKEN,
+        hmacSecret: SECRET,
+        origin: ORIGIN,
+        enforceHttps: false,
+        ...overrides
+    });
+    return SecureSheets;
+}
+
+// ============================================
+// SUITES
+// ============================================
+
+suite('Mock backend protocol', (check, { mock, scriptUrl }) => {
+    const get = async params => (await fetch(scriptUrl + '?' + new URLSearchParams(params))).json();
+
+    check('config reports the GSRECOM 1.4 router', async () => {
+        const config = await get({ action: 'config' });
+        assert.strictEqual(config.success, true);
+        assert.strictEqual(config.router.name, 'GSRECOM');
+        assert.strictEqual(config.router.version, '1.4.0');
+    });
+
+    check('unsigned getData is rejected (ERR_AUTH_001)', async () => {
+        const response = await get({ action: 'getData', sheet: 'Sheet2', origin: ORIGIN });
+        assert.strictEqual(response.code, 'ERR_AUTH_001');
+    });
+
+    check('public type from an unknown origin is denied (ERR_SEC_003)', async () => {
+        const response = await get({ type: 'coupons', sheet: 'Sheet3', origin: FOREIGN_ORIGIN });
+        assert.strictEqual(response.status, 'error');
+        assert.strictEqual(response.code, 'ERR_SEC_003');
+    });
+
+    check('modal type requires a range', async () => {
+        const response = await get({ type: 'modal', sheet: 'Sheet5', origin: ORIGIN });
+        assert.strictEqual(response.code, 'ERR_VAL_001');
+    });
+
+    check('JSONP callback wraps the response', async () => {
+        const text = await (await fetch(scriptUrl + '?action=health&callback=handle')).text();
+        assert.ok(/^handle\(\{.*\}\)$/.test(text), text);
+    });
+
+    check('fixtures loaded (CSV, JSON records, JSON blocks)', () => {
+        assert.ok(mock.sheets.Sheet2 && mock.sheets.Sheet3 && mock.sheets.Sheet4 && mock.sheets.Sheet5);
+    });
+});
+
+suite('SecureSheets (browser build, WebCrypto)', (check, { mock, scriptUrl }) => {
+    const window = loadScripts(createWindow(ORIGIN), ['securesheets_Client_v140.js']);
+    const SecureSheets = configureSecureSheets(window.SecureSheets, scriptUrl);
+
+    check('healthCheck', async () => {
+        const health = await SecureSheets.healthCheck({ useCache: false });
+        assert.strictEqual(health.status, 'healthy');
+    });
+
+    check('getData signs with HMAC and passes checksum validation', async () => {
+        const response = await SecureSheets.getData('Sheet2', { useCache: false });
+        assert.strictEqual(response.status, 'success', response.code);
+        assert.strictEqual(response.data.length, 5);
+        assert.strictEqual(response.data[0].title, 'Masala Chai (250g)');
+    });
+
+    check('replaying a signed URL is rejected (ERR_AUTH_006)', async () => {
+        const signed = window.__requests.filter(url => url.includes('signature=')).pop();
+        assert.ok(signed, 'no signed request recorded');
+        const replay = await (await fetch(signed)).json();
+        assert.strictEqual(replay.code, 'ERR_AUTH_006');
+        assert.ok(SecureSheets.toError(replay) instanceof SecureSheets.errors.AuthError);
+    });
+
+    check('getCellData reads B4', async () => {
+        const response = await SecureSheets.getCellData('B4', { useCache: false });
+        assert.strictEqual(response.data.value, 'INR');
+    });
+
+    check('getCellDataEnhanced reads Sheet!A1 references', async () => {
+        const response = await SecureSheets.getCellDataEnhanced('Sheet2!B2', { useCache: false });
+        assert.strictEqual(response.data.value, 'Masala Chai (250g)');
+    });
+
+    check('getRangeData and getCellDataBatch', async () => {
+        const range = await SecureSheets.getRangeData('Sheet4!A2:B3', { useCache: false });
+        assert.deepStrictEqual(range.data, [['businessName', 'Mock Store'], ['businessPhone', 919800000000]]);
+
+        const batch = await SecureSheets.getCellDataBatch(['Sheet4!B5', 'Sheet4!B6'], { useCache: false });
+        assert.deepStrictEqual(batch.data, { 'SHEET4!B5': 18, 'SHEET4!B6': 499 });
+    });
+
+    check('identical in-flight requests share one fetch only with the same options', async () => {
+        const before = window.__requests.length;
+        const params = { action: 'getData', sheet: 'Sheet2' };
+        const [first, second] = await Promise.all([
+            SecureSheets.makeRequest(params, { useCache: false }),
+            SecureSheets.makeRequest(params, { useCache: false })
+        ]);
+        assert.strictEqual(first, second);
+        assert.strictEqual(window.__requests.length - before, 1);
+
+        const next = window.__requests.length;
+        await Promise.all([
+            SecureSheets.makeRequest(params, { useCache: false }),
+            SecureSheets.makeRequest(params, { useCache: false, timeout: 20000 }),
+            SecureSheets.makeRequest(params, { useCache: false, retry: false })
+        ]);
+        assert.strictEqual(window.__requests.length - next, 3);
+    });
+
+    check('public calls are auto-batched into one ?action=batch', async () => {
+        const before = window.__requests.length;
+        const [scrolling, doodle] = await Promise.all([
+            SecureSheets.getScrollingMessages(null, { useCache: false }),
+            SecureSheets.getDoodleEvents(null, { useCache: false })
+        ]);
+        assert.strictEqual(scrolling.data.length, 3);
+        assert.strictEqual(doodle.data[1].eventName, 'diwali');
+        assert.strictEqual(window.__requests.length - before, 1);
+        assert.ok(window.__requests[before].includes('action=batch'));
+    });
+
+    check('only an unknown-action reply turns auto-batching off', async () => {
+        const getBatch = mock.getBatch;
+        const both = () => Promise.all([
+            SecureSheets.getScrollingMessages(null, { useCache: false }),
+            SecureSheets.getDoodleEvents(null, { useCache: false })
+        ]);
+        try {
+            mock.getBatch = () => ({ status: 'error', error: 'Service busy', code: 'ERR_SRV_001' });
+            const [scrolling] = await both();
+            assert.strictEqual(scrolling.data.length, 3);
+            assert.strictEqual(SecureSheets.batchUnsupported, false);
+
+            mock.getBatch = () => ({ status: 'error', error: 'Unknown action "batch"', code: 'ERR_VAL_001' });
+            await both();
+            assert.strictEqual(SecureSheets.batchUnsupported, true);
+        } finally {
+            mock.getBatch = getBatch;
+            SecureSheets.batchUnsupported = false;
+        }
+    });
+
+    check('modal content by cell', async () => {
+        const response = await SecureSheets.getModalContent('Sheet5', 'B1', null, { useCache: false });
+        assert.strictEqual(response.data.value, 'Welcome to Mock Store');
+    });
+
+    check('nonces skip random bytes that would bias base-36', async () => {
+        const getRandomBytes = SecureSheets.getRandomBytes;
+        const enableNonce = SecureSheets.config.enableNonce;
+        const bytes = [255, 252, 0, 35, 36, 251];
+        let index = 0;
+        SecureSheets.getRandomBytes = length => Uint8Array.from({ length }, () => bytes[index++ % bytes.length]);
+        SecureSheets.config.enableNonce = true;
+        try {
+            assert.ok(SecureSheets.generateNonce().endsWith('0z0z0z0z0'));
+        } finally {
+            SecureSheets.getRandomBytes = getRandomBytes;
+            SecureSheets.config.enableNonce = enableNonce;
+        }
+    });
+
+    check('signed POST with CSRF token', async () => {
+        const response = await SecureSheets.postGetSheetData('Sheet2');
+        assert.strictEqual(response.status, 'success', response.code);
+        assert.strictEqual(response.data.length, 5);
+    });
+
+    check('subscribe delivers row diffs and skips unchanged polls', async () => {
+        const diffs = [];
+        const unsubscribe = SecureSheets.subscribe('Sheet2', diff => diffs.push(diff), { interval: 1000 });
+        const row = mock.sheets.Sheet2[2];
+        const price = row[3];
+
+        try {
+            await waitFor(() => diffs.length === 1);
+            assert.strictEqual(diffs[0].initial, true);
+            assert.strictEqual(diffs[0].added.length, 5);
+
+            await waitFor(() => window.__requests.some(url => url.includes('ifNoneMatch=')));
+            row[3] = price + 10;
+            await waitFor(() => diffs.length === 2);
+            // Arrays built inside the vm window: compare by value
+            assert.strictEqual(JSON.stringify(diffs[1].changed.map(change => [change.key, change.fields])), '[["P002",["price"]]]');
+            assert.deepStrictEqual([diffs[1].added.length, diffs[1].removed.length], [0, 0]);
+        } finally {
+            unsubscribe();
+            row[3] = price;
+        }
+        assert.strictEqual(SecureSheets.subscriptions.size, 0);
+    });
+
+    check('a throwing onError does not break subscription polling', async () => {
+        const makeRequest = SecureSheets.makeRequest;
+        const consoleError = window.console.error;
+        const unhandled = [];
+        const onUnhandled = reason => unhandled.push(reason);
+        process.on('unhandledRejection', onUnhandled);
+        let failures = 0;
+        SecureSheets.makeRequest = async () => ({ status: 'error', error: 'Timed out', code: 'TIMEOUT' });
+        window.console.error = () => {};
+        const unsubscribe = SecureSheets.subscribe('Sheet2', () => {}, {
+            interval: 1000,
+            onError: () => {
+                failures++;
+                throw new Error('handler bug');
+            }
+        });
+
+        try {
+            await waitFor(() => failures === 2, 5000);
+            await new Promise(resolve => setImmediate(resolve));
+            assert.strictEqual(unhandled.length, 0);
+        } finally {
+            unsubscribe();
+            SecureSheets.makeRequest = makeRequest;
+            window.console.error = consoleError;
+            process.off('unhandledRejection', onUnhandled);
+        }
+    });
+
+    check('failed background revalidation keeps serving the cached sheet', async () => {
+        const makeRequest = SecureSheets.makeRequest;
+        const cacheStore = SecureSheets.cacheStore;
+        const entries = new Map();
+        SecureSheets.setCacheStore({
+            get: async key => entries.get(key) || null,
+            set: async (key, entry) => { entries.set(key, entry); },
+            delete: async key => { entries.delete(key); },
+            clear: async () => { entries.clear(); }
+        });
+        const good = { status: 'success', checksum: 'v1', data: [{ id: 'P001' }] };
+        const updates = [];
+        const errors = [];
+        const offUpdated = SecureSheets.on('updated', detail => updates.push(detail));
+        const offError = SecureSheets.on('error', detail => errors.push(detail));
+        const expire = () => entries.forEach(entry => { entry.expiry = 0; });
+
+        try {
+            SecureSheets.makeRequest = async () => good;
+            assert.strictEqual(await SecureSheets.getData('RevalidateStub'), good);
+            expire();
+
+            SecureSheets.makeRequest = async () => ({ status: 'error', code: 'ERR_SRV_001', message: 'Sheet unavailable' });
+            assert.strictEqual(await SecureSheets.getData('RevalidateStub'), good);
+            await waitFor(() => errors.length === 1);
+
+            SecureSheets.makeRequest = async () => { throw new Error('offline'); };
+            assert.strictEqual(await SecureSheets.getData('RevalidateStub'), good);
+            await waitFor(() => errors.length === 2);
+
+            assert.strictEqual(Array.from(entries.values())[0].data, good);
+            assert.strictEqual(updates.length, 0);
+            assert.strictEqual(errors[0].error.code, 'ERR_SRV_001');
+        } finally {
+            SecureSheets.makeRequest = makeRequest;
+            SecureSheets.cacheStore = cacheStore;
+            offUpdated();
+            offError();
+        }
+    });
+
+    check('blocked sheet → DomainDeniedError (ERR_SEC_003)', async () => {
+        const response = await SecureSheets.getCellDataEnhanced('Sheet1!B2', { useCache: false });
+        assert.strictEqual(response.code, 'ERR_SEC_003');
+        assert.ok(SecureSheets.toError(response) instanceof SecureSheets.errors.DomainDeniedError);
+    });
+
+    check('wrong secret → AuthError (ERR_AUTH_005)', async () => {
+        configureSecureSheets(SecureSheets, scriptUrl, { hmacSecret: 'wrong-secret' });
+        try {
+            const response = await SecureSheets.getCellDataEnhanced('A1', { useCache: false });
+            assert.strictEqual(response.code, 'ERR_AUTH_005');
+            assert.strictEqual(SecureSheets.isRetryable(SecureSheets.toError(response)), false);
+        } finally {
+            configureSecureSheets(SecureSheets, scriptUrl);
+        }
+    });
+});
+
+suite('SecureSheets (Node entry point)', (check, { scriptUrl }) => {
+    const SecureSheets = configureSecureSheets(require('../js/securesheets_node.js'), scriptUrl);
+
+    check('getData with node:crypto signing', async () => {
+        const response = await SecureSheets.getData('Sheet2', { useCache: false });
+        assert.strictEqual(response.status, 'success', response.code);
+        assert.strictEqual(response.data.length, 5);
+    });
+
+    check('getData for several sheets', async () => {
+        const response = await SecureSheets.getDataMultiSheet(['Sheet2', 'Sheet4'], { useCache: false });
+        assert.strictEqual(response.sheets.Sheet2.length, 5);
+        assert.strictEqual(response.sheets.Sheet4[1][1], 'Mock Store');
+    });
+});
+
+suite('GSRCDN', (check, { scriptUrl }) => {
+    const window = loadScripts(createWindow(ORIGIN), ['gsrcdn_client.js']);
+    const GSRCDN = window.GSRCDN;
+
+    return GSRCDN.configureWithDiscovery({ scriptUrl, apiToken: TOKEN, hmacSecret: SECRET, enforceHttps: false }).then(() => {
+        check('negotiates the gsrecom-1.4 profile', () => {
+            assert.strictEqual(GSRCDN.profile, 'gsrecom-1.4');
+            assert.strictEqual(GSRCDN.hasCapability('modalRange'), true);
+        });
+
+        check('getData (ISO timestamp, ?sheet=)', async () => {
+            const response = await GSRCDN.getData('Sheet2');
+            assert.strictEqual(response.data.length, 5);
+        });
+
+        check('getCoupons / getDoodleEvents / getScrollingMessages', async () => {
+            assert.strictEqual((await GSRCDN.getCoupons()).data.length, 3);
+            assert.strictEqual((await GSRCDN.getDoodleEvents()).data.length, 3);
+            assert.strictEqual((await GSRCDN.getScrollingMessages()).data.length, 3);
+        });
+
+        check('getModalContent with a range and a cell list', async () => {
+            const range = await GSRCDN.getModalContent('Sheet5', 'A1:B2');
+            assert.deepStrictEqual(range.data, [['Title', 'Welcome to Mock Store'], ['Body', 'Free delivery on orders above ₹499']]);
+            const cells = await GSRCDN.getModalContent('Sheet5', 'B3,B4');
+            assert.deepStrictEqual(cells.data, { B3: 'Shop now', B4: '/products' });
+        });
+
+        check('blocked sheet rejects with DomainDeniedError', async () => {
+            await assert.rejects(GSRCDN.getData('Sheet1'), error => error instanceof GSRCDN.errors.DomainDeniedError);
+        });
+
+        check('foreign origin: public call resolves ERR_SEC_003', async () => {
+            const foreign = loadScripts(createWindow(FOREIGN_ORIGIN), ['gsrcdn_client.js']).GSRCDN;
+            foreign.configure({ scriptUrl, apiToken: TOKEN, hmacSecret: SECRET, enforceHttps: false, routerVersion: 'gsrecom-1.4' });
+            const response = await foreign.getCoupons();
+            assert.strictEqual(response.code, 'ERR_SEC_003');
+            assert.ok(foreign.toError(response) instanceof foreign.errors.DomainDeniedError);
+        });
+
+        check('a failed negotiation is retried on the next request', async () => {
+            const fresh = loadScripts(createWindow(ORIGIN), ['gsrcdn_client.js']).GSRCDN;
+            fresh.configure({ scriptUrl, apiToken: TOKEN, hmacSecret: SECRET, enforceHttps: false });
+            const fetchServerConfig = fresh.fetchServerConfig;
+            let calls = 0;
+            fresh.fetchServerConfig = () => {
+                calls++;
+                return calls === 1 ? Promise.reject(new Error('Failed to fetch')) : fetchServerConfig();
+            };
+
+            await fresh.negotiate();
+            assert.strictEqual(fresh.serverInfo, null);
+            await fresh.negotiate();
+            await fresh.negotiate();
+            assert.strictEqual(calls, 2);
+            assert.ok(fresh.serverInfo);
+        });
+
+        check('caller-supplied origin and referrer are kept and signed', async () => {
+            const foreign = loadScripts(createWindow(FOREIGN_ORIGIN), ['gsrcdn_client.js']).GSRCDN;
+            foreign.configure({ scriptUrl, apiToken: TOKEN, hmacSecret: SECRET, enforceHttps: false, routerVersion: 'gsrecom-1.4' });
+            const response = await foreign.makeRequest({ action: 'getData', sheet: 'Sheet2', origin: ORIGIN, referrer: ORIGIN + '/shop' });
+            assert.strictEqual(response.data.length, 5);
+        });
+    });
+});
+
+suite('Page libraries', (check, { scriptUrl }) => {
+    const window = loadScripts(createWindow(ORIGIN), [
+        'securesheets_Client_v140.js',
+        'gsrcdn_client.js',
+        'product_schema.js',
+        'product_sheet_loader_secure.js',
+        'sheetconfig_securesheets.js',
+        'scrolling_text_secure.js',
+        'animated_doodle_system.js',
+        'shop_utils.js',
+        'coupon_engine.js',
+        'order_submitter.js',
+        'offline_outbox.js',
+        'pricing_engine.js',
+        'currency_manager.js',
+        'i18n.js',
+        'whatsapp_template_engine.js',
+        'whatsapp_order_billing.js',
+        'order_dispatcher.js',
+        'invoice_renderer.js',
+        'upi_payment.js',
+        'delivery_zones.js',
+        'location_detection.js',
+        'store_locator.js',
+        'checkout_form.js',
+        'shopcart_cdn.js'
+    ]);
+    configureSecureSheets(window.SecureSheets, scriptUrl);
+    window.GSRCDN.configure({ scriptUrl, apiToken: TOKEN, hmacSecret: SECRET, enforceHttps: false });
+
+    check('ProductSheetLoader.fetch', async () => {
+        const loader = new window.ProductSheetLoader({ sheetName: 'Sheet2', useCache: false, verbose: false });
+        const products = await loader.fetch();
+        assert.strictEqual(products.length, 5);
+    });
+
+    check('ProductSheetLoader.fetchAndParse validates with ProductSchema', async () => {
+        const loader = new window.ProductSheetLoader({ sheetName: 'Sheet2', useCache: false, verbose: false });
+        const products = await loader.fetchAndParse();
+        assert.strictEqual(products.length, 5);
+        assert.strictEqual(products[1].price, 320);
+        assert.strictEqual(products[1].originalPrice, null);
+        assert.strictEqual(products[3].inStock, false);
+        assert.strictEqual(JSON.stringify(products[0].tags), '["tea","spiced"]');
+        assert.strictEqual(loader.getValidationReport().rejected.length, 0);
+    });
+
+    check('ProductSchema reports rejected and fixed rows by sheet row', async () => {
+        const schema = new window.ProductSchema({ categories: ['Tea', 'Coffee'] });
+        const { products, report } = schema.parse([
+            { ID: 'T1', 'Product Name': 'Assam', Category: 'tea', Price: '₹1,299' },
+            { id: 'T2', name: 'Darjeeling', category: 'Tea', price: 'ask' },
+            {},
+            { name: 'Nilgiri', category: 'Herbal', price: 150, stock: '2.5' },
+            { id: 'T1', name: 'Assam again', price: 99 }
+        ]);
+        assert.strictEqual(JSON.stringify(products.map(p => [p.id, p.price, p.category])),
+            '[["T1",1299,"Tea"],["PROD4",150,"General"]]');
+        assert.strictEqual(JSON.stringify(report.rejected.map(r => r.row)), '[3,6]');
+        assert.strictEqual(JSON.stringify(report.fixed.map(r => [r.row, r.issues.map(i => i.field)])),
+            '[[5,["id","category","stock"]]]');
+        assert.strictEqual(report.skipped, 1);
+    });
+
+    check('ProductSchema attaches variant rows to their product', async () => {
+        const schema = new window.ProductSchema();
+        const { products, report } = schema.parse([
+            { id: 'K1', title: 'Kurta', price: 899, stock: 4 },
+            { parentId: 'K1', size: 'S', price: 799, stock: 0 },
+            { parentId: 'K1', size: 'M' },
+            { parentId: 'K9', size: 'L' }
+        ]);
+        const kurta = products[0];
+        assert.strictEqual(products.length, 1);
+        // M has no stock of its own: not tracked, rather than a copy of the product's 4
+        assert.strictEqual(JSON.stringify(kurta.variants.map(v => [v.id, v.price, v.stock, v.inStock])), '[["K1-S",799,0,false],["K1-M",899,null,true]]');
+        assert.strictEqual(kurta.price, 799);
+        assert.strictEqual(kurta.stock, null);
+        assert.strictEqual(window.ProductSchema.findVariant(kurta, { size: 'm' }).id, 'K1-M');
+        assert.strictEqual(JSON.stringify(report.rejected.map(r => r.row)), '[5]');
+
+        const { products: [tracked] } = schema.parse([
+            { id: 'K2', title: 'Kurta', price: 899, stock: 10 },
+            { parentId: 'K2', size: 'S', stock: 1 },
+            { parentId: 'K2', size: 'M', stock: 2 }
+        ]);
+        assert.strictEqual(tracked.stock, 3);
+    });
+
+    check('ShopCart keeps one line per variant and edits it by line ID', async () => {
+        const { products } = new window.ProductSchema().parse([
+            { id: 'K1', title: 'Kurta', price: 899 },
+            { parentId: 'K1', size: 'S', stock: 2 },
+            { parentId: 'K1', size: 'M', price: 949 },
+            { id: 'T1', title: 'Assam', price: 300 }
+        ]);
+        const cart = new window.ShopCart();
+        try {
+            cart.setProducts(products);
+            assert.strictEqual(cart.addToCart('K1'), false);
+            assert.strictEqual(cart.addToCart('K1', 1, 'K1-XL'), false);
+            assert.strictEqual(cart.addToCart('K1', 1, 'K1-S'), true);
+            assert.strictEqual(cart.addToCart('K1', 1, 'K1-M'), true);
+            assert.strictEqual(cart.addToCart('K1', 1, 'K1-M'), true);
+            assert.strictEqual(cart.addToCart('T1'), true);
+            assert.strictEqual(JSON.stringify(cart.getCart().map(item => [item.lineId, item.price, item.quantity])),
+                '[["K1::K1-S",899,1],["K1::K1-M",949,2],["T1",300,1]]');
+            assert.strictEqual(cart.getItemName(cart.getCart()[1]), 'Kurta (M)');
+
+            // Stock is per variant: S has 1 more, M isn't tracked
+            assert.strictEqual(cart.getAvailableQuantity('K1', 'K1-S'), 1);
+            assert.strictEqual(cart.getAvailableQuantity('K1', 'K1-M'), Infinity);
+            cart.setTempQuantity('K1::K1-S', 5);
+            cart.saveQuantity('K1::K1-S');
+            assert.strictEqual(cart.findLine('K1::K1-S').quantity, 2);
+
+            cart.removeFromCart('K1::K1-M');
+            assert.strictEqual(JSON.stringify(cart.getCart().map(item => item.lineId)), '["K1::K1-S","T1"]');
+
+            // Lines saved before variants have no lineId
+            assert.strictEqual(cart.getItemLineId({ id: 'T1' }), 'T1');
+            assert.strictEqual(cart.getItemLineId({ id: 'K1', variantId: 'K1-S' }), 'K1::K1-S');
+        } finally {
+            cart.destroy();
+            window.localStorage.removeItem('shopcart_items');
+        }
+    });
+
+    check('SheetConfig maps rows of the config sheet', async () => {
+        const loader = new window.SheetConfig({ sheetName: 'Sheet4', startRow: 2, useCache: false, verbose: false });
+        loader.addMapping([
+            { key: 'businessName', type: 'string' },
+            { key: 'businessPhone', type: 'string' },
+            { key: 'currency', type: 'string' },
+            { key: 'tax.rate', type: 'number' }
+        ]);
+        loader.addMapping([{ key: 'showBanner', type: 'boolean' }], 8);
+        const result = await loader.load();
+        assert.strictEqual(result.success, true, result.error);
+        assert.strictEqual(result.data.businessName, 'Mock Store');
+        assert.strictEqual(result.data.tax.rate, 18);
+        assert.strictEqual(result.data.showBanner, true);
+    });
+
+    check('ShopUtils reads config, formats built-in text and loads sheet rows', async () => {
+        const { ShopUtils } = window;
+        const get = ShopUtils.configGetter({ tax: { rate: 0, label: 'GST' } });
+        assert.deepStrictEqual([get('tax.rate', 18), get('tax.label'), get('delivery.charge', 40)], [0, 'GST', 40]);
+
+        const messages = { 'cart.onlyLeft': 'Only {count} left', 'cart.updated': { one: '{count} item updated', other: '{count} items updated' } };
+        assert.strictEqual(ShopUtils.translate(null, messages, 'cart.onlyLeft', { count: 2 }), 'Only 2 left');
+        assert.strictEqual(ShopUtils.translate(null, messages, 'cart.updated', { count: 1 }), '1 item updated');
+        assert.strictEqual(ShopUtils.translate(null, messages, 'cart.unknown'), 'cart.unknown');
+
+        const row = { 'Free Above': '-', free_delivery_above: 500, Enabled: 'No' };
+        assert.strictEqual(ShopUtils.rowField(row, 'freeAbove', 'freeDeliveryAbove'), 500);
+        assert.strictEqual(ShopUtils.rowField(row, 'minOrder'), undefined);
+        assert.deepStrictEqual([ShopUtils.isDisabled(row.Enabled), ShopUtils.isDisabled(' FALSE '), ShopUtils.isDisabled('yes'), ShopUtils.isDisabled(undefined)], [true, true, false, false]);
+
+        const labels = { owner: 'StoreLocator', what: 'branches' };
+        assert.strictEqual((await ShopUtils.loadSheetRows({ getData: async () => ({ status: 'success', data: [{ id: 'B1' }] }) }, 'Branches', labels)).length, 1);
+        await assert.rejects(ShopUtils.loadSheetRows(null, 'Branches', labels), /^Error: StoreLocator: SecureSheets is not loaded/);
+        await assert.rejects(ShopUtils.loadSheetRows({ getData: async () => ({ status: 'error', message: 'Sheet not found' }) }, 'Branches', labels), /Sheet not found/);
+        await assert.rejects(ShopUtils.loadSheetRows({ getData: async () => ({ rows: 3 }) }, 'Branches', labels), /StoreLocator: Invalid branches response/);
+
+        // Pages built before shop_utils.js still get the cart and bill text
+        window.ShopUtils = undefined;
+        try {
+            assert.strictEqual(new window.ShopCart().t('cart.onlyLeft', { count: 2 }), 'Only 2 left');
+            assert.strictEqual(new window.WhatsAppBilling().t('bill.paymentPending', { method: 'UPI' }), 'Payment: UPI (pending)');
+        } finally {
+            window.ShopUtils = ShopUtils;
+            window.localStorage.removeItem('shopcart_items');
+        }
+    });
+
+    check('CurrencyManager converts with sheet rates and keeps the base format', async () => {
+        const currency = new window.CurrencyManager();
+        try {
+            await currency.load();
+            assert.strictEqual(JSON.stringify(currency.getCurrencies().map(c => c.code)), '["INR","USD","AED"]');
+            assert.strictEqual(currency.format(1234567.5), '₹12,34,567.50');
+            assert.strictEqual(currency.setDisplayCurrency('GBP'), false);
+            assert.strictEqual(currency.setDisplayCurrency('USD'), true);
+            assert.strictEqual(currency.format(8325), '$100.00');
+            assert.strictEqual(currency.formatBase(8325), '₹8,325.00');
+        } finally {
+            window.localStorage.removeItem('shopcart_display_currency');
+        }
+    });
+
+    check('CurrencyManager reads decimal-comma and grouped rates', async () => {
+        const currency = new window.CurrencyManager();
+        const rates = ['83,25', '83.25', '1,234.5', '1.234,5', '1,234', '0,012', '₹ 22,67', '8,3,25', 'n/a'].map(value => currency.parseNumber(value));
+        assert.strictEqual(JSON.stringify(rates), '[83.25,83.25,1234.5,1234.5,1234,0.012,22.67,null,null]');
+        assert.strictEqual(currency.parseRate({ code: 'EUR', rate: '90,5' }).rate, 90.5);
+    });
+
+    check('CurrencyManager renders its switcher as text with a translated label', async () => {
+        const i18n = { t: (key, params, options) => (key === 'currency.switcher' ? 'நாணயம்' : options.default), subscribe: () => () => {} };
+        const currency = new window.CurrencyManager({ i18n, rates: [{ code: 'USD', rate: 83.25, name: '<img src=x onerror=alert(1)>' }] });
+        const createElement = window.document.createElement;
+        window.document.createElement = tag => ({
+            tag, attributes: {}, children: [],
+            setAttribute(name, value) { this.attributes[name] = value; },
+            appendChild(child) { this.children.push(child); },
+            addEventListener() {}
+        });
+        try {
+            const select = currency.renderSwitcher({ appendChild() {} });
+            assert.strictEqual(select.attributes['aria-label'], 'நாணயம்');
+            assert.strictEqual(JSON.stringify(select.children.map(option => [option.tag, option.value, option.textContent, option.selected])),
+                '[["option","INR","INR",true],["option","USD","USD - <img src=x onerror=alert(1)>",false]]');
+            assert.ok(select.children.every(option => option.innerHTML === undefined));
+        } finally {
+            window.document.createElement = createElement;
+            window.localStorage.removeItem('shopcart_display_currency');
+        }
+    });
+
+    check('ShopCart.destroy() releases its currency and language listeners', async () => {
+        const currency = new window.CurrencyManager();
+        const i18n = new window.I18n();
+        const cart = new window.ShopCart({ currencyManager: currency, i18n: i18n });
+        assert.deepStrictEqual([currency.listeners.size, i18n.listeners.size], [1, 1]);
+        cart.destroy();
+        assert.deepStrictEqual([currency.listeners.size, i18n.listeners.size], [0, 0]);
+    });
+
+    check('I18n loads catalogs with plurals, fallback and direction', async () => {
+        const i18n = new window.I18n({ locale: 'ta-IN' });
+        await i18n.load();
+        const resolved = { one: '{count} item in your cart was updated', other: '{count} items in your cart were updated' };
+        assert.strictEqual(JSON.stringify(i18n.getLocales().map(l => l.code)), '["en","hi","ta","ar"]');
+        assert.strictEqual(i18n.t('cart.added', { name: 'Chai' }), 'Chai கூடையில் சேர்க்கப்பட்டது!');
+        assert.strictEqual(i18n.t('cart.issue.resolvedMany', { count: 3 }, { default: resolved }), '3 பொருட்கள் புதுப்பிக்கப்பட்டன');
+        assert.strictEqual(i18n.t('cart.save', {}, { default: 'Save' }), 'Save');
+        assert.strictEqual(i18n.setLocale('fr'), false);
+        assert.strictEqual(i18n.setLocale('ar'), true);
+        assert.strictEqual(i18n.getDirection(), 'rtl');
+        assert.strictEqual(i18n.t('cart.issue.resolvedMany', { count: 2 }, { default: resolved }), '2 items in your cart were updated');
+    });
+
+    check('WhatsAppBilling renders sheet templates and encodes once', async () => {
+        const billing = new window.WhatsAppBilling({ whatsappNumber: '9800000000', messageTemplate: 'festive' });
+        const result = await billing.loadTemplates();
+        assert.strictEqual(JSON.stringify(result.loaded), '["festive"]');
+        assert.strictEqual(JSON.stringify(result.errors.map(e => e.name)), '["broken"]');
+
+        const order = { name: 'Asha', mobile: '9800000001', cart: [{ name: 'Ladoo & Barfi', price: 250, quantity: 2 }], total: 500 };
+        const text = billing.preview(order);
+        assert.strictEqual(text, '🪔 *Diwali order* from Asha\n1. Ladoo & Barfi × 2 = ₹500.00\n_Total: ₹500.00_');
+        assert.ok(billing.buildWhatsAppUrl(text).endsWith('?text=' + encodeURIComponent(text)));
+        assert.ok(billing.previewHTML(order).includes('<strong>Diwali order</strong>'));
+    });
+
+    check('WhatsAppBilling needs the template engine for every message but a custom generator', async () => {
+        const order = { orderId: 'ORD251018-K3F9QX', name: 'Asha', mobile: '9800000001', cart: [{ name: 'Chai', price: 180, quantity: 1 }] };
+
+        const Engine = window.WhatsAppTemplateEngine;
+        window.WhatsAppTemplateEngine = undefined; // delete doesn't reach the vm context's global
+        try {
+            ['default', 'minimal', 'detailed'].forEach(name => {
+                assert.throws(() => new window.WhatsAppBilling({ messageTemplate: name }).preview(order), /WhatsAppTemplateEngine is not loaded/, name);
+            });
+            assert.throws(() => new window.WhatsAppBilling({}).addTemplate('festive', 'Hi {{name}}'), /not loaded/);
+
+            const custom = new window.WhatsAppBilling({ messageTemplate: 'custom', customMessageGenerator: data => `Order%20from%20${data.name}%0A50%25 off, 10% tip` });
+            assert.strictEqual(custom.preview(order), 'Order from Asha\n50% off, 10% tip');
+        } finally {
+            window.WhatsAppTemplateEngine = Engine;
+        }
+    });
+
+    check('WhatsAppTemplateEngine only uses its own filters', async () => {
+        const engine = new window.WhatsAppTemplateEngine();
+        assert.throws(() => engine.compile('{{name | constructor}}'), /Unknown filter "constructor"/);
+        assert.throws(() => engine.compile('{{#toString}}x{{/toString}}'), /Unknown block or filter "toString"/);
+    });
+
+    check('OrderDispatcher falls back to the next channel with its own markup', async () => {
+        const opened = [];
+        window.open = url => opened.push(url) && {};
+        try {
+            const billing = new window.WhatsAppBilling({});
+            const dispatcher = new window.OrderDispatcher({
+                billing: billing,
+                channels: { whatsapp: {}, sms: { number: '+91 98000 00000' }, telegram: { username: '@myshop' } },
+                fallbackOrder: ['whatsapp', 'sms', 'telegram']
+            });
+
+            const order = { name: 'Asha', mobile: '9800000001', cart: [{ name: 'Chai', price: 180, quantity: 1 }], total: 180 };
+            const result = await dispatcher.dispatch(order);
+            assert.strictEqual(result.channel, 'telegram');
+            assert.strictEqual(JSON.stringify(result.attempts.map(a => a.reason || a.status)), '["not_configured","desktop","sent"]');
+
+            // The message carries a timestamp: compare everything but that line
+            const withoutDate = text => text.replace(/^Date: .*$/m, '');
+            const expected = window.WhatsAppTemplateEngine.convertMarkup(billing.preview(order), 'telegram');
+            assert.ok(opened[0].startsWith('https://t.me/myshop?text='));
+            assert.strictEqual(withoutDate(decodeURIComponent(opened[0].split('?text=')[1])), withoutDate(expected));
+        } finally {
+            delete window.open;
+        }
+    });
+
+    check('OrderDispatcher uses the pre-opened tab only for web links', async () => {
+        const tab = { closed: false, location: {}, close() { this.closed = true; } };
+        const dispatcher = new window.OrderDispatcher({
+            billing: new window.WhatsAppBilling({}),
+            channels: { email: { to: 'orders@example.com' } },
+            fallbackOrder: ['email']
+        });
+        const order = { name: 'Asha', mobile: '9800000001', cart: [{ name: 'Chai', price: 180, quantity: 1 }] };
+        const href = window.location.href;
+        const opened = [];
+        window.open = url => opened.push(url) && {};
+        try {
+            const result = await dispatcher.dispatch(order, { targetWindow: tab });
+            assert.strictEqual(result.channel, 'email');
+            assert.ok(window.location.href.startsWith('mailto:orders%40example.com?subject='));
+            assert.strictEqual(tab.location.href, undefined);
+            assert.strictEqual(tab.closed, true);
+            assert.strictEqual(opened.length, 0);
+        } finally {
+            window.location.href = href;
+            delete window.open;
+        }
+    });
+
+    check('OrderDispatcher fills the email subject without the template engine', async () => {
+        const dispatcher = new window.OrderDispatcher({ billing: new window.WhatsAppBilling({}) });
+        const order = { orderId: 'ORD251018-K3F9QX', name: 'Asha', branch: { name: 'Srirangam' }, cart: [] };
+        const subject = 'Order {{orderNumber}} from {{ name }} ({{branch.name}}){{missing}}';
+
+        const Engine = window.WhatsAppTemplateEngine;
+        window.WhatsAppTemplateEngine = undefined;
+        try {
+            assert.strictEqual(dispatcher.renderText(subject, order), 'Order ORD251018-K3F9QX from Asha (Srirangam)');
+        } finally {
+            window.WhatsAppTemplateEngine = Engine;
+        }
+        assert.strictEqual(dispatcher.renderText(subject, order), 'Order ORD251018-K3F9QX from Asha (Srirangam)');
+    });
+
+    check('WhatsAppBilling runs send() and dispatch() through the same hooks', async () => {
+        const calls = [];
+        window.open = () => ({ closed: false, close() {}, location: {} });
+        try {
+            const hooks = {
+                whatsappNumber: '919800000000',
+                onBeforeSend: () => calls.push('before'),
+                onSuccess: () => calls.push('success'),
+                onAfterSend: () => calls.push('after'),
+                onError: message => calls.push(`error: ${message}`)
+            };
+            const billing = new window.WhatsAppBilling(hooks);
+            const order = { name: 'Asha', mobile: '9800000001', cart: [{ name: 'Chai', price: 180, quantity: 1 }] };
+
+            assert.strictEqual(billing.send(order), true);
+            billing.config.dispatcher = new window.OrderDispatcher({ billing: billing, channels: { telegram: { username: 'myshop' } }, fallbackOrder: ['telegram'] });
+            assert.strictEqual((await billing.placeOrder(order)).channel, 'telegram');
+            assert.strictEqual(calls.join(), 'before,success,after,before,success,after');
+
+            calls.length = 0;
+            billing.config.dispatcher = new window.OrderDispatcher({ billing: billing, channels: { telegram: {} }, fallbackOrder: ['telegram'] });
+            assert.strictEqual(await billing.placeOrder(order), false);
+            assert.strictEqual(calls.join(), `before,error: ${billing.t('bill.error.noChannel')}`);
+        } finally {
+            delete window.open;
+        }
+    });
+
+    check('WhatsAppBilling prices with the shop config when no engine is injected', async () => {
+        const billing = new window.WhatsAppBilling({ appConfig: { tax: { rate: 18, inclusive: false }, delivery: { charge: 40 } } });
+        const totals = billing.calculateTotals([{ name: 'Chai', price: 100, quantity: 2 }]);
+        assert.strictEqual(totals.tax, 36);
+        assert.strictEqual(totals.deliveryCharge, 40);
+        assert.strictEqual(billing.getPricing(), billing.getPricing());
+    });
+
+    check('PricingEngine reports free delivery only when a charge was waived', async () => {
+        const pricing = new window.PricingEngine({ deliveryCharge: 50, freeDeliveryAbove: 500 });
+        const cart = [{ name: 'Chai', price: 300, quantity: 1 }];
+        assert.strictEqual(pricing.calculate(cart).freeDelivery, false);
+        assert.strictEqual(pricing.calculate(cart, { freeDelivery: true }).freeDelivery, true);
+        assert.strictEqual(pricing.calculate([{ name: 'Chai', price: 300, quantity: 2 }]).freeDelivery, true);
+
+        // Nothing to waive: pickup, a zone or slot that charges 0, no charge configured
+        assert.strictEqual(pricing.calculate(cart, { deliveryType: 'pickup', freeDelivery: true }).freeDelivery, false);
+        assert.strictEqual(pricing.calculate(cart, { deliveryCharge: 0 }).freeDelivery, false);
+        assert.strictEqual(pricing.calculate(cart, { deliveryCharge: 30, freeDelivery: true }).freeDelivery, true);
+        assert.strictEqual(new window.PricingEngine({}).calculate(cart).freeDelivery, false);
+        assert.strictEqual(pricing.calculate([]).freeDelivery, false);
+    });
+
+    check('InvoiceRenderer splits GST per rate and links the UPI payment', async () => {
+        const billing = new window.WhatsAppBilling({ pricing: new window.PricingEngine({ taxRate: 18, taxInclusive: false }) });
+        const invoices = window.InvoiceRenderer.fromConfig({
+            business: { name: 'Chai & Co', gstin: '33ABCDE1234F1Z5', state: 'Tamil Nadu', upiId: 'chai@upi' },
+            invoice: { qr: 'upi' }
+        }, { billing: billing });
+
+        billing.orderData = billing.applyPricing({ orderId: 'ORD-7', name: 'Asha', deliveryType: 'pickup', cart: [{ name: 'Chai', price: 100, quantity: 2 }] });
+        const order = invoices.getOrder();
+        const breakdown = invoices.getTaxBreakdown(order);
+        assert.strictEqual(JSON.stringify(breakdown.rows), '[{"rate":18,"taxable":200,"tax":36,"cgst":18,"sgst":18,"igst":0}]');
+        assert.strictEqual(invoices.getTaxBreakdown({ ...order, state: 'Kerala' }).mode, 'igst');
+        assert.strictEqual(invoices.getQrText(order), 'upi://pay?pa=chai%40upi&pn=Chai%20%26%20Co&tn=Order%20ORD-7&am=236.00&cu=INR');
+
+        const html = invoices.render();
+        assert.ok(html.includes('INV-7') && html.includes('Chai &amp; Co') && html.includes('CGST'));
+
+        // Unique numbers only: the generated order ID, an explicit invoice number, or nothing
+        assert.strictEqual(invoices.getInvoiceNumber({ orderId: 'ORD251018-K3F9QX' }), 'INV-251018-K3F9QX');
+        assert.strictEqual(invoices.getInvoiceNumber({ invoiceNumber: 'GST/25-26/0042', orderId: 'ORD-7' }), 'GST/25-26/0042');
+        assert.throws(() => invoices.render({ ...order, orderId: undefined }), /no order ID or invoice number/);
+
+        // An order without taxInclusive is exclusive in the breakdown and the totals alike
+        const plain = { orderId: 'ORD-8', name: 'Ravi', subtotal: 100, tax: 5, total: 105, totals: { lines: [{ name: 'Tea', price: 100, quantity: 1, amount: 100, taxRate: 5, tax: 5 }] } };
+        const exclusive = new window.InvoiceRenderer({ qr: 'none' });
+        assert.strictEqual(exclusive.getTaxBreakdown(plain).rows[0].taxable, 100);
+        assert.ok(exclusive.render(plain).includes('<td>GST</td>'));
+
+        // No order link configured: no QR, rather than the page the invoice was printed from
+        assert.strictEqual(new window.InvoiceRenderer({ qr: 'order' }).getQrText(plain), '');
+        assert.strictEqual(new window.InvoiceRenderer({ qr: 'order', orderUrl: 'https://shop.in/orders/{orderId}' }).getQrText(plain), 'https://shop.in/orders/ORD-8');
+    });
+
+    check('UpiPayment builds the intent and carries the UTR to the bill and order record', async () => {
+        const payments = window.UpiPayment.fromConfig({ business: { name: 'Chai & Co', upiId: 'chai@okaxis' } });
+        const order = payments.prepare({ name: 'Asha', mobile: '9800000001', cart: [{ name: 'Chai', price: 120, quantity: 1 }], total: 120 });
+        assert.ok(/^ORD[0-9A-Z]+$/.test(order.orderId));
+        assert.strictEqual(payments.buildIntent({ amount: 120, orderId: 'ORD-9' }),
+            'upi://pay?pa=chai%40okaxis&pn=Chai%20%26%20Co&tn=Order%20ORD-9&am=120.00&cu=INR');
+        // Transaction reference and merchant code only for a merchant VPA
+        assert.strictEqual(new window.UpiPayment({ payeeVpa: 'chai@hdfcbank', payeeName: 'Chai', merchantCode: '5812' }).buildIntent({ amount: 120, orderId: 'ORD-9' }),
+            'upi://pay?pa=chai%40hdfcbank&pn=Chai&mc=5812&tr=ORD-9&tn=Order%20ORD-9&am=120.00&cu=INR');
+
+        assert.strictEqual(payments.normalizeReference('4123 4567 8901'), '412345678901');
+        assert.strictEqual(payments.normalizeReference('12345'), null);
+        assert.strictEqual(payments.createPayment(order).status, 'pending');
+
+        const paid = payments.attach(order, payments.createPayment(order, '412345678901'));
+        const billing = new window.WhatsAppBilling({ messageTemplate: 'minimal' });
+        assert.ok(billing.preview(paid).endsWith('\nPayment: UPI submitted, unverified (Ref: 412345678901)'));
+        const invoice = new window.InvoiceRenderer({ qr: 'none' }).render({ ...paid, subtotal: 120 });
+        assert.ok(invoice.includes('UPI payment submitted (unverified), Ref: 412345678901'));
+        const record = new window.OrderSubmitter().buildRecord(paid);
+        assert.strictEqual(record.payment.status, 'submitted');
+        assert.strictEqual(record.payment.reference, '412345678901');
+    });
+
+    check('CheckoutForm offers sheet delivery slots and sends the structured address', async () => {
+        const lookups = [];
+        const placed = [];
+        const checkout = new window.CheckoutForm({
+            locationDetector: { lookupPincode: async pincode => (lookups.push(pincode), { pincode, district: 'Tiruchirappalli', state: 'Tamil Nadu' }) },
+            onSubmit: async order => (placed.push(order), { orderId: 'ORD-1' })
+        });
+        await checkout.loadSlots();
+        assert.strictEqual(JSON.stringify(checkout.slots.map(slot => slot.id)), '["morning","evening","sunday"]');
+
+        const saturday = checkout.getAvailableSlots(new Date(2025, 9, 18, 10, 0)).map(slot => slot.key);
+        assert.strictEqual(JSON.stringify(saturday), '["2025-10-18|evening","2025-10-19|sunday","2025-10-20|morning","2025-10-20|evening"]');
+
+        const slot = checkout.getAvailableSlots().find(entry => entry.id === 'evening');
+        const values = {
+            name: 'Asha', mobile: '98000 00001', deliveryType: 'delivery', addressId: 'new', saveAddress: true, slot: slot.key,
+            address: { label: 'home', line1: '12 Car Street', landmark: 'Rockfort temple', pincode: '620002' },
+            cart: [{ name: 'Chai', price: 120, quantity: 1 }]
+        };
+        assert.strictEqual(JSON.stringify(await checkout.submit(values)), '{"orderId":"ORD-1"}');
+        await checkout.submit({ ...values, address: { ...values.address, label: 'work' } });
+        assert.strictEqual(checkout.getAddresses().length, 1);
+        assert.strictEqual(lookups.length, 1);
+
+        const order = placed[0];
+        assert.strictEqual(order.address, '12 Car Street, Near Rockfort temple, Tiruchirappalli, Tamil Nadu - 620002');
+        assert.strictEqual(order.deliveryCharge, 30);
+        const text = new window.WhatsAppBilling({}).preview(order);
+        assert.ok(text.includes(`Delivery Slot: ${slot.label}\n`));
+    });
+
+    check('CheckoutForm uses the shop clock for slots and refuses one that has closed', async () => {
+        const shown = [];
+        const checkout = new window.CheckoutForm({ timeZone: 'Asia/Kolkata', onSubmit: order => order });
+        checkout.showErrors = errors => shown.push(errors);
+        await checkout.loadSlots();
+
+        // 10:00 in Tiruchirappalli is 04:30 UTC, whatever the customer's device says
+        const saturday = checkout.getAvailableSlots(new Date(Date.UTC(2025, 9, 18, 4, 30))).map(slot => slot.key);
+        assert.strictEqual(JSON.stringify(saturday), '["2025-10-18|evening","2025-10-19|sunday","2025-10-20|morning","2025-10-20|evening"]');
+        const lateSaturday = checkout.getAvailableSlots(new Date(Date.UTC(2025, 9, 18, 11, 0))).map(slot => slot.key);
+        assert.strictEqual(lateSaturday[0], '2025-10-19|sunday');
+
+        const values = { name: 'Asha', mobile: '9800000001', deliveryType: 'pickup', address: {}, slot: '2025-10-18|evening', cart: [{ name: 'Chai', price: 120, quantity: 1 }] };
+        assert.strictEqual(await checkout.submit(values), false);
+        assert.strictEqual(shown.pop().slot, 'Please choose a delivery slot');
+        assert.strictEqual(checkout.buildOrderData({ ...values, slot: '' }).deliverySlot, null);
+    });
+
+    check('CheckoutForm keeps a UPI payment whose order failed to send', async () => {
+        const payments = window.UpiPayment.fromConfig({ business: { name: 'Chai & Co', upiId: 'chai@okaxis' } });
+        let collected = 0;
+        payments.collect = async order => (collected++, payments.createPayment(order, '412345678901'));
+        let fail = true;
+        const placed = [];
+        const checkout = new window.CheckoutForm({
+            storageKey: 'harnessPaidCheckout',
+            payments,
+            onSubmit: async order => {
+                if (fail) throw new Error('offline');
+                placed.push(order);
+                return { orderId: order.orderId };
+            }
+        });
+        const shown = [];
+        checkout.showErrors = errors => shown.push(errors.form);
+        const values = { name: 'Asha', mobile: '9800000001', deliveryType: 'pickup', address: {}, cart: [{ name: 'Chai', price: 120, quantity: 1 }] };
+        try {
+            assert.strictEqual(await checkout.submit({ ...values }), false);
+            assert.ok(shown.pop().includes('Ref 412345678901'));
+            const order = checkout.buildOrderData({ ...values });
+            const saved = checkout.loadPayment(order);
+            assert.strictEqual(saved.reference, '412345678901');
+
+            // Only for the same order, and not once it has expired
+            assert.strictEqual(checkout.loadPayment(checkout.buildOrderData({ ...values, cart: [{ name: 'Chai', price: 120, quantity: 2 }] })), null);
+            const stored = window.localStorage.getItem('harnessPaidCheckout_payment');
+            const record = JSON.parse(stored);
+            window.localStorage.setItem('harnessPaidCheckout_payment', JSON.stringify({ ...record, savedAt: record.savedAt - 31 * 60000 }));
+            assert.strictEqual(checkout.loadPayment(order), null);
+            assert.strictEqual(window.localStorage.getItem('harnessPaidCheckout_payment'), null);
+            window.localStorage.setItem('harnessPaidCheckout_payment', stored);
+
+            // Retrying sends the same order ID and payment without asking to pay again
+            fail = false;
+            const result = await checkout.submit({ ...values });
+            assert.strictEqual(collected, 1);
+            assert.strictEqual(result.orderId, saved.orderId);
+            assert.strictEqual(placed[0].payment.reference, '412345678901');
+            assert.strictEqual(checkout.loadPayment(order), null);
+        } finally {
+            window.localStorage.removeItem('harnessPaidCheckout_payment');
+            window.localStorage.removeItem('harnessPaidCheckout_contact');
+        }
+    });
+
+    check('DeliveryZones matches pincodes, prefixes and radius with zone charges', async () => {
+        const position = { coordinates: null };
+        const zones = new window.DeliveryZones({
+            store: { lat: 10.805, lon: 78.6856 },
+            locationDetector: { getCoordinates: () => position.coordinates }
+        });
+        await zones.load();
+        assert.strictEqual(JSON.stringify(zones.zones.map(zone => zone.id)), '["city","district","nearby"]');
+
+        const city = zones.check('620001', 120);
+        assert.strictEqual(city.message, 'Delivers to 620001 in 2 days');
+        assert.strictEqual(city.charge, 20);
+        assert.strictEqual(zones.check('620019', 300).charge, 0);
+
+        const district = zones.check('621005', 150);
+        assert.strictEqual(district.zone.id, 'district');
+        assert.strictEqual(district.shortfall, 50);
+        assert.strictEqual(zones.check('600001').reason, 'not_serviceable');
+
+        position.coordinates = { lat: 10.83, lon: 78.70 };
+        assert.strictEqual(zones.check('').zone.id, 'nearby');
+        assert.strictEqual(zones.check('').message, 'Delivers to your location tomorrow');
+
+        const placed = [];
+        const checkout = new window.CheckoutForm({ deliveryZones: zones, onSubmit: async order => (placed.push(order), { orderId: 'ORD-2' }) });
+        const values = {
+            name: 'Ravi', mobile: '9800000002', deliveryType: 'delivery', addressId: 'new',
+            address: { line1: '4 Main Road', city: 'Srirangam', pincode: '620006' },
+            cart: [{ name: 'Chai', price: 150, quantity: 1 }]
+        };
+        try {
+            assert.strictEqual(await checkout.submit(values), false);
+            assert.strictEqual(await checkout.submit({ ...values, name: '', cart: [{ name: 'Chai', price: 150, quantity: 2 }] }), false);
+            assert.strictEqual(placed.length, 0);
+            assert.strictEqual(zones.getPincode(), '');
+            await checkout.submit({ ...values, cart: [{ name: 'Chai', price: 150, quantity: 2 }] });
+            assert.strictEqual(placed[0].deliveryCharge, 40);
+            assert.strictEqual(placed[0].deliveryZone.eta, 'in 3-4 days');
+            assert.strictEqual(zones.getPincode(), '620006');
+        } finally {
+            window.localStorage.removeItem('delivery_pincode');
+        }
+    });
+
+    check('ShopCart prices delivery with the zone first, then the branch, then the shop', async () => {
+        const zones = new window.DeliveryZones({
+            storageKey: 'harnessZonePricing',
+            locationDetector: { getCoordinates: () => null },
+            zones: [
+                { id: 'city', pincodes: '620001', charge: 20 },
+                { id: 'far', pincodes: '621001', charge: 60, freeAbove: 1000 },
+                { id: 'never', pincodes: '622001', charge: 80, freeAbove: 0 }
+            ]
+        });
+        const branch = { baseDeliveryCharge: 30, freeDeliveryAbove: 400 };
+        const cart = new window.ShopCart({
+            pricing: new window.PricingEngine({ deliveryCharge: 50, freeDeliveryAbove: 500 }),
+            storeLocator: { getAdjustments: () => branch, subscribe: () => () => {} },
+            deliveryZones: zones
+        });
+        const totals = (amount, adjustments) => {
+            cart.cart = [{ id: 'P1', name: 'Chai', price: amount, quantity: 1 }];
+            const result = cart.getTotals(adjustments);
+            return `${result.deliveryCharge}/${result.freeDelivery}/${result.deliveryAvailable}`;
+        };
+        try {
+            // No pincode yet: the branch's charge and threshold
+            assert.strictEqual(totals(300), '30/false/true');
+            assert.strictEqual(totals(450), '0/true/true');
+
+            // The zone's charge; the branch threshold unless the zone has its own
+            assert.strictEqual(totals(300, { pincode: '620001' }), '20/false/true');
+            assert.strictEqual(totals(450, { pincode: '620001' }), '0/true/true');
+            assert.strictEqual(totals(450, { pincode: '621001' }), '60/false/true');
+            assert.strictEqual(totals(900, { pincode: '622001' }), '80/false/true');
+            assert.strictEqual(totals(300, { pincode: '620001', deliveryCharge: 45 }), '45/false/true');
+
+            // Zones configured but none serves the pincode: no charge, delivery not available
+            assert.strictEqual(totals(300, { pincode: '600001' }), '0/false/false');
+
+            // No zones configured: the shop's rules
+            const shopOnly = new window.ShopCart({ pricing: new window.PricingEngine({ deliveryCharge: 50 }), deliveryZones: new window.DeliveryZones({ zones: [] }) });
+            shopOnly.cart = [{ id: 'P1', name: 'Chai', price: 300, quantity: 1 }];
+            assert.strictEqual(shopOnly.getTotals({ pincode: '600001' }).deliveryCharge, 50);
+        } finally {
+            window.localStorage.removeItem('shopcart_items');
+        }
+    });
+
+    check('LocationDetector looks pincodes up offline first, then its provider chain', async () => {
+        const calls = [];
+        const locator = new window.LocationDetector({
+            autoDetect: false,
+            showNotifications: false,
+            storageKey: 'harnessLocation',
+            providers: { pincode: ['offline'] },
+            providerOptions: { backup: { rateLimit: { requests: 1, interval: 60000 } } },
+            pincodeData: {
+                '620001': { district: 'Tiruchirappalli', state: 'Tamil Nadu', areas: ['Main Guard Gate'] },
+                '641': { district: 'Coimbatore', state: 'Tamil Nadu' }
+            }
+        });
+        locator.registerProvider('pincode', 'backup', {
+            lookup: async ({ pincode }) => (calls.push(pincode), pincode === '560001' ? { district: 'Bengaluru', state: 'Karnataka' } : null)
+        });
+
+        assert.strictEqual(JSON.stringify(await locator.lookupPincode('620001')),
+            '{"pincode":"620001","district":"Tiruchirappalli","state":"Tamil Nadu","country":"India","areas":["Main Guard Gate"]}');
+        assert.strictEqual((await locator.lookupPincode('641018')).district, 'Coimbatore');
+        assert.strictEqual((await locator.lookupPincode('560001')).state, 'Karnataka');
+        assert.strictEqual((await locator.lookupPincode('560001')).state, 'Karnataka');
+        assert.strictEqual(JSON.stringify(calls), '["560001"]');
+        await assert.rejects(locator.lookupPincode('110001'), /rate limit/);
+        assert.ok(!window.__requests.some(url => /postalpincode|zippopotam|nominatim|ip-?api/.test(url)));
+    });
+
+    check('LocationDetector never caches IP lookups', async () => {
+        let calls = 0;
+        const locator = new window.LocationDetector({
+            autoDetect: false,
+            showNotifications: false,
+            storageKey: 'harnessIp',
+            providers: { ip: ['stub'] }
+        });
+        locator.registerProvider('ip', 'stub', { lookup: async () => (calls++, calls === 1 ? null : { city: 'Tiruchirappalli' }) });
+
+        try {
+            assert.strictEqual(await locator.geocode('ip'), null);
+            assert.strictEqual((await locator.geocode('ip')).city, 'Tiruchirappalli');
+            assert.strictEqual(calls, 2);
+            assert.strictEqual(window.localStorage.getItem('harnessIp_geocache'), null);
+        } finally {
+            locator.clearGeocodeCache();
+        }
+    });
+
+    check('StoreLocator picks the nearest branch and routes the order to its number and rules', async () => {
+        const pricing = new window.PricingEngine({ deliveryCharge: 50, freeDeliveryAbove: 500 });
+        const billing = new window.WhatsAppBilling({ whatsappNumber: '9999999999', pricing });
+        const locator = new window.LocationDetector({
+            autoDetect: false,
+            showNotifications: false,
+            storageKey: 'harnessStores',
+            providers: { pincode: ['offline'] },
+            pincodeData: { '620006': { district: 'Tiruchirappalli', state: 'Tamil Nadu', lat: 10.863, lon: 78.694 } }
+        });
+        window.localStorage.removeItem('store_branch');
+        try {
+            const stores = new window.StoreLocator({ locationDetector: locator });
+            await stores.load();
+            assert.strictEqual(stores.getSelected(), null);
+            assert.strictEqual(JSON.stringify(stores.branches.map(branch => branch.id)), '["thillai","srirangam","junction"]');
+            assert.strictEqual(JSON.stringify(stores.rank({ lat: 10.80, lon: 78.685 }).map(entry => entry.branch.id)), '["junction","thillai","srirangam"]');
+            assert.strictEqual(stores.isOpen(stores.getBranch('thillai'), new Date(2025, 9, 19, 12, 0)), false);
+
+            // Automatic pick: used for this order, not remembered
+            assert.strictEqual((await stores.selectNearest('620006')).id, 'srirangam');
+            assert.strictEqual(stores.position.source, 'pincode');
+            assert.strictEqual(stores.getChosen(), null);
+            assert.strictEqual(window.localStorage.getItem('store_branch'), null);
+
+            // Branch rules reach the totals as adjustments; shop settings stay as configured
+            const cart = [{ name: 'Chai', price: 320, quantity: 1 }];
+            stores.select('thillai');
+            assert.strictEqual(window.localStorage.getItem('store_branch'), 'thillai');
+            assert.strictEqual(pricing.calculate(cart, stores.getAdjustments()).deliveryCharge, 25);
+            assert.strictEqual(pricing.calculate([{ name: 'Chai', price: 450, quantity: 1 }], stores.getAdjustments()).deliveryCharge, 0);
+            assert.strictEqual(pricing.options.deliveryCharge, 50);
+            assert.strictEqual(billing.config.minOrderAmount, 0);
+            stores.select('srirangam');
+            assert.strictEqual(pricing.calculate(cart, stores.getAdjustments()).deliveryCharge, 50);
+            assert.strictEqual(new window.StoreLocator({ branches: [{ id: 'srirangam' }] }).getSelected().id, 'srirangam');
+
+            // The branch minimum order travels with the order
+            const order = stores.attach({ name: 'Meena', mobile: '9800000003', deliveryType: 'pickup', cart });
+            assert.strictEqual(billing.validateOrder(billing.applyPricing(order)).isValid, true);
+            const small = billing.validateOrder(billing.applyPricing({ ...order, cart: [{ name: 'Chai', price: 120, quantity: 1 }] }));
+            assert.ok(small.errors.some(error => error.includes('300')));
+
+            const text = billing.preview(order);
+            assert.ok(text.includes('Store: Srirangam\n'));
+            assert.ok(billing.buildWhatsAppUrl(text, billing.getWhatsAppNumber(order)).startsWith('https://wa.me/919840022222?'));
+
+            // Without a saved choice each order is matched to its own address again
+            stores.clearSelection();
+            assert.strictEqual((await stores.selectNearest('620006')).id, 'srirangam');
+            const thillai = stores.getBranch('thillai');
+            locator.coordinates = { lat: thillai.lat, lon: thillai.lon };
+            assert.strictEqual((await stores.selectNearest()).id, 'thillai');
+            assert.strictEqual(new window.StoreLocator({ branches: [{ id: 'srirangam' }] }).getSelected(), null);
+        } finally {
+            window.localStorage.removeItem('store_branch');
+        }
+    });
+
+    check('DeliveryZones keeps the zones of the latest requested sheet', async () => {
+        const pending = {};
+        const fetcher = { getData: sheet => new Promise(resolve => { pending[sheet] = resolve; }) };
+        const zones = new window.DeliveryZones({ fetcher, storageKey: 'harnessZoneSource' });
+        const shopZones = zones.load();
+        const branchZones = zones.useSource({ sheetName: 'BranchZones', store: { lat: 10.86, lon: 78.69 } });
+        pending.BranchZones({ data: [{ id: 'branch', name: 'Branch', pincodes: '620006' }] });
+        await branchZones;
+        pending.DeliveryZones({ data: [{ id: 'shop', name: 'Shop', pincodes: '620001' }] });
+        await shopZones;
+        assert.strictEqual(JSON.stringify(zones.zones.map(zone => zone.id)), '["branch"]');
+
+        const restored = zones.useSource(null);
+        pending.DeliveryZones({ data: [{ id: 'shop', name: 'Shop', pincodes: '620001' }] });
+        assert.strictEqual(JSON.stringify((await restored).map(zone => zone.id)), '["shop"]');
+        assert.strictEqual(zones.source.sheetName, 'DeliveryZones');
+        assert.strictEqual(zones.source.store, null);
+    });
+
+    check('CheckoutForm checks the branch for pickup and its minimum order', async () => {
+        const stores = new window.StoreLocator({
+            storageKey: 'harnessPickupBranch',
+            branches: [
+                { id: 'depot', name: 'Depot', lat: 10.8, lon: 78.7, delivery: 'TRUE', pickup: 'FALSE' },
+                { id: 'counter', name: 'Counter', lat: 10.9, lon: 78.7, delivery: 'FALSE', pickup: 'TRUE', minOrder: '200' }
+            ]
+        });
+        const shop = new window.ShopCart({ storeLocator: stores });
+        const form = new window.CheckoutForm({ cart: shop, storeLocator: stores, onSubmit: order => order });
+        const shown = [];
+        form.showErrors = errors => shown.push(errors.form);
+        const values = { name: 'Meena', mobile: '9800000003', deliveryType: 'pickup', address: {} };
+        try {
+            // The pickup counter is picked automatically, with its own minimum order
+            shop.cart = [{ id: 'P1', name: 'Chai', price: 150, quantity: 1 }];
+            assert.strictEqual(await form.submit({ ...values }), false);
+            assert.strictEqual(shown.pop(), 'Minimum order at Counter is 200');
+
+            shop.cart = [{ id: 'P1', name: 'Chai', price: 250, quantity: 1 }];
+            assert.strictEqual((await form.submit({ ...values })).branch.id, 'counter');
+
+            // The customer's own branch doesn't offer pickup
+            stores.select('depot');
+            assert.strictEqual(await form.submit({ ...values }), false);
+            assert.strictEqual(shown.pop(), 'Depot does not offer pickup');
+        } finally {
+            stores.clearSelection();
+            shop.destroy();
+        }
+    });
+
+    check('ScrollingTextManager skips disabled messages', async () => {
+        const manager = new window.ScrollingTextManager({ useCache: false, verbose: false });
+        const messages = await manager.loadMessagesFromSheet();
+        assert.strictEqual(messages.length, 2);
+    });
+
+    check('AnimatedDoodleSystem parses doodles from row 100', async () => {
+        const doodles = window.AnimatedDoodleSystem;
+        doodles.config = { ...doodles.config, sheetName: 'Sheet3', startRow: 101, cdnPath: 'https://cdn.example.com/' };
+        await doodles.loadDoodlesFromGSRCDN();
+        assert.deepStrictEqual(Object.keys(doodles.getAllDoodles()).sort(), ['christmas', 'default', 'diwali']);
+        assert.strictEqual(doodles.getAllDoodles().diwali.priority, 10);
+    });
+
+    check('CouponEngine validates sheet coupons', async () => {
+        const engine = new window.CouponEngine();
+        await engine.load();
+        const cart = [{ id: 'P001', price: 300, quantity: 1, category: 'Tea' }];
+        assert.strictEqual(engine.validate('welcome10', cart).discount, 30);
+        assert.strictEqual(engine.validate('EXPIRED5', cart).reason, 'EXPIRED');
+        assert.strictEqual(engine.validate('FLAT50', cart).reason, 'MIN_ORDER');
+    });
+
+    check('ShopCart drops a coupon the cart no longer qualifies for when the cart changes, not when pricing', async () => {
+        const changes = [];
+        const engine = new window.CouponEngine({ coupons: [{ code: 'BIG50', type: 'flat', value: 50, minOrder: 300 }] });
+        const cart = new window.ShopCart({ couponEngine: engine, onCouponChange: result => changes.push(result ? result.code : null) });
+        try {
+            cart.cart = [{ id: 'P001', name: 'Chai', price: 200, quantity: 2 }];
+            assert.strictEqual((await cart.applyCoupon('big50')).valid, true);
+            assert.strictEqual(cart.getTotals().discount, 50);
+
+            cart.cart[0].quantity = 1;
+            assert.strictEqual(cart.getTotals().discount, 0);
+            assert.strictEqual(cart.appliedCoupon, 'BIG50');
+            assert.strictEqual(JSON.stringify(changes), '["BIG50"]');
+
+            await cart.validateForCheckout();
+            assert.strictEqual(cart.appliedCoupon, null);
+            assert.strictEqual(window.localStorage.getItem('shopcart_coupon'), null);
+            assert.strictEqual(JSON.stringify(changes), '["BIG50",null]');
+        } finally {
+            window.localStorage.removeItem('shopcart_items');
+            window.localStorage.removeItem('shopcart_coupon');
+        }
+    });
+
+    check('CheckoutForm re-checks the cart and ShopCart fixes the lines that changed', async () => {
+        const { products } = new window.ProductSchema().parse([
+            { id: 'T1', title: 'Assam', price: 300 },
+            { id: 'T2', title: 'Nilgiri', price: 150, stock: 3, maxPerOrder: 2 }
+        ]);
+        assert.strictEqual(products[0].stock, null);
+        assert.strictEqual(products[0].inStock, true);
+
+        let fresh = products;
+        const cart = new window.ShopCart({ productSource: async () => fresh });
+        const form = new window.CheckoutForm({ cart, onSubmit: order => order });
+        const shown = [];
+        form.showErrors = errors => shown.push(errors.form);
+        const values = { name: 'Ravi', mobile: '9800000004', deliveryType: 'pickup', address: {} };
+        try {
+            cart.setProducts(products);
+            assert.strictEqual(cart.addToCart('T1', 25), true);
+            assert.strictEqual(cart.getCart()[0].quantity, 25);
+            assert.strictEqual(cart.getAvailableQuantity('T1'), Infinity);
+            cart.addToCart('T2', 1);
+            assert.strictEqual(cart.getAvailableQuantity('T2'), 1);
+
+            fresh = [{ ...products[0], price: 320 }, { ...products[1], stock: 0, inStock: false }];
+            assert.strictEqual(await form.submit({ ...values }), false);
+            assert.strictEqual(shown.pop(), 'Please review your cart: Assam is now $320.00 (was $300.00); Nilgiri is out of stock');
+
+            assert.strictEqual(cart.fixLine('T2'), 1);
+            assert.strictEqual(cart.resolveCartIssues(), 1);
+            assert.strictEqual(JSON.stringify(cart.getCart().map(item => [item.id, item.price, item.quantity])), '[["T1",320,25]]');
+            assert.strictEqual((await form.submit({ ...values })).cart.length, 1);
+        } finally {
+            cart.destroy();
+            window.localStorage.removeItem('shopcart_items');
+        }
+    });
+
+    check('OrderSubmitter writes once per orderId', async () => {
+        const submitter = new window.OrderSubmitter({ maxRetries: 0 });
+        const order = { orderId: 'ORD-HARNESS-1', name: 'Test', cart: [{ id: 'P001', price: 180, quantity: 2 }], total: 360 };
+        const first = await submitter.submit(order);
+        const second = await submitter.submit(order);
+        assert.strictEqual(first.response.status, 'success');
+        assert.strictEqual(second.response.row, first.response.row);
+    });
+
+    check('OrderSubmitter retries only what the client marks retryable', async () => {
+        const replies = [];
+        const retries = [];
+        const client = {
+            makePostRequest: (body, options) => window.SecureSheets.withRetry(async () => replies.shift(), options.retry),
+            toError: response => window.SecureSheets.toError(response)
+        };
+        const submitter = new window.OrderSubmitter({ client, maxRetries: 2, retryDelay: 1, onRetry: attempt => retries.push(attempt) });
+        const order = { orderId: 'ORD-HARNESS-2', name: 'Test', cart: [{ id: 'P001', price: 180, quantity: 1 }], total: 180 };
+
+        replies.push({ status: 'error', code: 'TIMEOUT', message: 'timed out' }, { status: 'success', row: 7 });
+        const saved = await submitter.submit(order);
+        assert.strictEqual(saved.response.row, 7);
+        assert.strictEqual(retries.join(), '1');
+
+        replies.push({ status: 'error', code: 'ERR_VAL_001', message: 'bad order' }, { status: 'success', row: 8 });
+        await assert.rejects(submitter.submit(order), error => error.code === 'ERR_VAL_001');
+        assert.strictEqual(retries.join(), '1');
+    });
+
+    check('OfflineOutbox replays until the server accepts and gives up on rejections', async () => {
+        const replies = [];
+        const client = {
+            send: async () => {
+                const reply = replies.shift();
+                return typeof reply === 'function' ? reply() : reply;
+            },
+            toError: response => window.SecureSheets.toError(response)
+        };
+        const outbox = new window.OfflineOutbox({ autoReplay: false, baseDelay: 1000, maxAttempts: 3 });
+        await outbox.init();
+        outbox.registerClient('Stub', client);
+        const events = [];
+        ['sent', 'retry', 'failed'].forEach(name => outbox.on(name, ({ entry }) => events.push(`${name}:${entry.id}`)));
+
+        // Rate limited, then dropped connection, then accepted
+        replies.push({ status: 'error', code: 'ERR_RATE_001', message: 'slow down' });
+        const queued = await outbox.send('Stub', 'send', [{ order: 1 }], { idempotencyKey: 'ok' });
+        assert.strictEqual(queued.queued, true);
+        replies.push(() => {
+            throw new window.SecureSheets.errors.NetworkError('Failed to fetch');
+        }, { status: 'success' });
+        const before = Date.now();
+        await outbox.replay(true);
+        assert.ok(outbox.entries.get('ok').nextAttemptAt >= before + 500);
+        await outbox.replay(true);
+        assert.strictEqual(outbox.entries.has('ok'), false);
+
+        // A 4xx-style rejection is final: not queued by send(), given up on by replay()
+        replies.push({ status: 'error', code: 'ERR_VAL_001', message: 'bad order' });
+        const rejected = await outbox.send('Stub', 'send', [{ order: 2 }], { idempotencyKey: 'bad' });
+        assert.strictEqual(rejected.status, 'error');
+        await outbox.enqueue({ id: 'bad', client: 'Stub', method: 'send', args: [{ order: 2 }] });
+        replies.push({ status: 'error', code: 'ERR_VAL_001', message: 'bad order' });
+        await outbox.replay(true);
+        assert.strictEqual(outbox.entries.get('bad').status, 'failed');
+
+        // Retryable failures stop after maxAttempts
+        await outbox.enqueue({ id: 'down', client: 'Stub', method: 'send', args: [{ order: 3 }] });
+        for (let i = 0; i < 3; i++) {
+            replies.push({ status: 'error', code: 'TIMEOUT', message: 'timed out' });
+            await outbox.replay(true);
+        }
+        assert.strictEqual(outbox.entries.get('down').status, 'failed');
+        assert.strictEqual(outbox.entries.get('down').attempts, 3);
+
+        assert.strictEqual(events.join(' '), 'retry:ok sent:ok failed:bad retry:down retry:down failed:down');
+    });
+});
+
+// ============================================
+// MAIN
+// ============================================
+
+async function main() {
+    const mock = new MockAppsScript({
+        apiToken: TOKEN,
+        hmacSecret: SECRET,
+        allowedOrigins: [ORIGIN],
+        log: VERBOSE
+    });
+    const scriptUrl = await mock.listen(0);
+    console.log(`Mock backend: ${scriptUrl}`);
+
+    try {
+        for (const entry of suites) {
+            if (FILTER && !entry.name.toLowerCase().includes(FILTER.toLowerCase())) continue;
+            try {
+                await runSuite(entry, { mock, scriptUrl });
+            } catch (error) {
+                failed++;
+                console.log(`  ✗ suite setup failed\n      ${error.stack || error.message}`);
+            }
+        }
+    } finally {
+        await mock.close();
+    }
+
+    console.log(`\n${passed} passed, ${failed} failed`);
+    // Libraries may leave timers (auto-refresh, batching); don't wait for them
+    process.exit(failed > 0 ? 1 : 0);
+}
+
+main().catch(error => {
+    console.error(error);
+    process.exit(1);
+});
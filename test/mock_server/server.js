@@ -0,0 +1,892 @@
+/**
+ * ============================================================================
+ * MOCK APPS SCRIPT BACKEND
+ * Local stand-in for the GSRECOM router / SecureSheets server, for running
+ * the client libraries offline. Requires Node.js 18+, no dependencies.
+ * ============================================================================
+ * @version 1.0.0
+ * @license MIT
+ *
+ * Protocol (same URL for everything, like a deployed web app):
+ *   GET  ?action=config | health                     unsigned
+ *   GET  ?action=scrolling | doodle | modal | batch  public, domain checked
+ *   GET  ?type=scrolling | doodle | coupons | modal  public (GSRECOM router)
+ *   GET  ?action=getData | cellData | getCell | getRange | getCellBatch
+ *        signed: token, timestamp (ISO or epoch ms), signature, optional nonce
+ *   POST { action: getData | getCell | addOrder, ..., 'csrf-token' } signed
+ *   getData&ifNoneMatch=<checksum> → { status: 'not_modified' } while unchanged
+ *
+ * Security checks, in the server's order:
+ *   origin not allowed          → ERR_SEC_003   referrer not allowed → ERR_SEC_007
+ *   bad token                   → ERR_AUTH_001  stale timestamp      → ERR_AUTH_002
+ *   bad CSRF token (POST)       → ERR_AUTH_003  bad signature        → ERR_AUTH_005
+ *   nonce already used          → ERR_AUTH_006  blocked sheet        → ERR_SEC_003
+ *   rate limit (if enabled)     → ERR_RATE_001  bad input            → ERR_VAL_*
+ * Errors are HTTP 200 { status: 'error', error, message, code }, as from Apps Script.
+ *
+ * Fixtures: one file per sheet in fixtures/ (Sheet2.csv, Sheet3.json, ...).
+ *   CSV                 → grid, row 1 = headers
+ *   JSON [ {..}, .. ]   → records, keys become the header row
+ *   JSON [ [..], .. ]   → grid
+ *   JSON { blocks: [ { row: 100, records: [..] } | { row, values: [[..]] } ] }
+ *                       → several tables on one sheet (Sheet3: scrolling rows 1-90,
+ *                         doodles from row 100, coupons from row 150)
+ *
+ * Usage:
+ *   node test/mock_server/server.js --port 8787 --origin http://localhost:8080
+ *   SecureSheets.configure({ scriptUrl: 'http://127.0.0.1:8787/exec', apiToken: 'mock-token',
+ *                            hmacSecret: 'mock-secret', enforceHttps: false });
+ *
+ *   // or in-process (see harness.js)
+ *   const { MockAppsScript } = require('./server');
+ *   const mock = new MockAppsScript({ allowedOrigins: ['http://localhost:8080'] });
+ *   const scriptUrl = await mock.listen(0);
+ * ============================================================================
+ */
+
+'use strict';
+
+const http = require('http');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULTS = {
+    host: '127.0.0.1',
+    port: 8787,
+    apiToken: 'mock-token',
+    hmacSecret: 'mock-secret',
+    allowedOrigins: ['http://localhost:8080', 'http://127.0.0.1:8080'], // empty = allow any
+    fixturesDir: path.join(__dirname, 'fixtures'),
+    timestampWindow: 5 * 60 * 1000,
+    csrfMaxAge: 30 * 60 * 1000,
+    requireNonce: false,          // GSRCDN does not send one
+    rateLimit: null,              // { max: 60, windowMs: 60000 }
+    latency: 0,                   // ms added to every response
+    serverVersion: '3.9.0',
+    router: { name: 'GSRECOM', version: '1.4.0' },
+    defaultSheet: 'Sheet2',
+    blockedSheets: ['Sheet1', 'Sheet7', 'ReadMe', 'SecurityLogs'],
+    gridSheets: ['Sheet4'],       // getData returns rows as arrays (SheetConfig reads by row number)
+    cellDataSheet: 'Sheet4',      // ?action=cellData reads B4 / B7 here
+    cellDataCells: ['B4', 'B7'],
+    modalSheets: ['Sheet5', 'Sheet6'],
+    publicTypes: {
+        scrolling: { sheet: 'Sheet3', headerRow: 1, lastRow: 90 },
+        doodle: { sheet: 'Sheet3', headerRow: 100, lastRow: 149 },
+        coupons: { sheet: 'Sheet3', headerRow: 150 }
+    },
+    ordersSheet: 'Orders',
+    log: false
+};
+
+const PUBLIC_ACTIONS = ['scrolling', 'doodle', 'coupons', 'modal', 'batch'];
+const BATCHABLE_ACTIONS = ['scrolling', 'doodle', 'coupons', 'health'];
+
+// ============================================
+// ERRORS
+// ============================================
+
+class MockError extends Error {
+    constructor(message, code, details = null) {
+        super(message);
+        this.code = code;
+        this.details = details;
+    }
+}
+
+// ============================================
+// FIXTURES
+// ============================================
+
+/**
+ * Parse CSV text into rows of strings (RFC 4180 quoting)
+ */
+function parseCsv(text) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+
+        if (quoted) {
+            if (char === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === ',') {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+
+    if (field !== '' || row.length > 0) {
+        row.push(field);
+        rows.push(row);
+    }
+
+    return rows;
+}
+
+/**
+ * CSV cell → the typed value Sheets' getValues() would return
+ */
+function toCellValue(text) {
+    const value = String(text).trim();
+    if (value === '') return '';
+    if (/^true$/i.test(value)) return true;
+    if (/^false$/i.test(value)) return false;
+    if (/^-?\d+(\.\d+)?$/.test(value) && !/^0\d/.test(value)) return Number(value);
+    return value;
+}
+
+/**
+ * Records → grid, starting at a given 1-based row
+ */
+function writeRecords(grid, startRow, records) {
+    const headers = [];
+    records.forEach(record => Object.keys(record).forEach(key => {
+        if (!headers.includes(key)) headers.push(key);
+    }));
+
+    grid[startRow - 1] = headers;
+    records.forEach((record, i) => {
+        grid[startRow + i] = headers.map(key => (record[key] === undefined || record[key] === null ? '' : record[key]));
+    });
+}
+
+/**
+ * Load one fixture file into a grid (array of rows, row 1 at index 0)
+ */
+function loadFixture(file) {
+    const text = fs.readFileSync(file, 'utf8');
+
+    if (path.extname(file).toLowerCase() === '.csv') {
+        return parseCsv(text).map(row => row.map(toCellValue));
+    }
+
+    const json = JSON.parse(text);
+    const grid = [];
+
+    if (Array.isArray(json)) {
+        if (json.length === 0 || Array.isArray(json[0])) {
+            return json.map(row => row.slice());
+        }
+        writeRecords(grid, 1, json);
+        return grid;
+    }
+
+    (json.blocks || []).forEach(block => {
+        if (block.records) {
+            writeRecords(grid, block.row, block.records);
+        } else {
+            (block.values || []).forEach((row, i) => { grid[block.row - 1 + i] = row.slice(); });
+        }
+    });
+
+    return grid;
+}
+
+/**
+ * Load every .csv / .json file in a directory, keyed by sheet name
+ */
+function loadFixtures(dir) {
+    const sheets = {};
+    if (!dir || !fs.existsSync(dir)) return sheets;
+
+    fs.readdirSync(dir).forEach(name => {
+        const ext = path.extname(name).toLowerCase();
+        if (ext === '.csv' || ext === '.json') {
+            sheets[path.basename(name, ext)] = loadFixture(path.join(dir, name));
+        }
+    });
+
+    return sheets;
+}
+
+// ============================================
+// A1 NOTATION
+// ============================================
+
+/**
+ * 'B4' → { row: 4, col: 2 } (1-based)
+ */
+function parseCell(ref) {
+    const match = /^([A-Z]+)(\d+)$/i.exec(String(ref).trim());
+    if (!match) {
+        throw new MockError('Invalid cell reference: ' + ref, 'ERR_VAL_003');
+    }
+
+    let col = 0;
+    for (const char of match[1].toUpperCase()) {
+        col = col * 26 + (char.charCodeAt(0) - 64);
+    }
+
+    return { row: parseInt(match[2], 10), col: col };
+}
+
+/**
+ * 'Sheet2!A1:C3' → { sheet: 'Sheet2', ref: 'A1:C3' }
+ */
+function splitSheetRef(ref, defaultSheet) {
+    const value = String(ref || '');
+    const index = value.lastIndexOf('!');
+    if (index === -1) return { sheet: defaultSheet, ref: value };
+    return { sheet: value.slice(0, index).replace(/^'|'$/g, ''), ref: value.slice(index + 1) };
+}
+
+function getValue(grid, row, col) {
+    const cells = grid[row - 1];
+    const value = cells ? cells[col - 1] : undefined;
+    return value === undefined || value === null ? '' : value;
+}
+
+function getRangeValues(grid, ref) {
+    const [start, end] = ref.split(':');
+    const from = parseCell(start);
+    const to = end ? parseCell(end) : from;
+    const values = [];
+
+    for (let row = Math.min(from.row, to.row); row <= Math.max(from.row, to.row); row++) {
+        const line = [];
+        for (let col = Math.min(from.col, to.col); col <= Math.max(from.col, to.col); col++) {
+            line.push(getValue(grid, row, col));
+        }
+        values.push(line);
+    }
+
+    return values;
+}
+
+function isBlankRow(row) {
+    return !row || row.every(value => value === '' || value === null || value === undefined);
+}
+
+/**
+ * Header row + following rows as objects, up to lastRow or the first blank row
+ */
+function readRecords(grid, headerRow = 1, lastRow = Infinity) {
+    const headers = grid[headerRow - 1] || [];
+    const records = [];
+
+    for (let row = headerRow + 1; row <= Math.min(lastRow, grid.length); row++) {
+        const cells = grid[row - 1];
+        if (isBlankRow(cells)) break;
+
+        const record = {};
+        headers.forEach((header, col) => {
+            if (header !== '' && header !== null && header !== undefined) {
+                record[header] = cells[col] === undefined || cells[col] === null ? '' : cells[col];
+            }
+        });
+        records.push(record);
+    }
+
+    return records;
+}
+
+// ============================================
+// SIGNING (same rules as the clients)
+// ============================================
+
+function hmac(message, secret) {
+    return crypto.createHmac('sha256', String(secret)).update(String(message), 'utf8').digest('hex');
+}
+
+function sha256(message) {
+    return crypto.createHash('sha256').update(String(message), 'utf8').digest('hex');
+}
+
+/**
+ * Sorted key=value string over every param except the signature
+ */
+function buildSignatureString(params) {
+    return Object.keys(params)
+        .filter(key => key !== 'signature')
+        .sort()
+        .map(key => key + '=' + String(params[key] || ''))
+        .join('&');
+}
+
+function safeEqual(a, b) {
+    const left = Buffer.from(String(a || ''));
+    const right = Buffer.from(String(b || ''));
+    return left.length === right.length && crypto.timingSafeEqual(left, right);
+}
+
+function parseTimestamp(value) {
+    if (value === undefined || value === null || value === '') return NaN;
+    return /^\d+$/.test(String(value)) ? Number(value) : Date.parse(value);
+}
+
+function originOf(url) {
+    try {
+        return new URL(url).origin;
+    } catch (error) {
+        return '';
+    }
+}
+
+// ============================================
+// SERVER
+// ============================================
+
+class MockAppsScript {
+    constructor(options = {}) {
+        this.options = {
+            ...DEFAULTS,
+            ...options,
+            publicTypes: { ...DEFAULTS.publicTypes, ...(options.publicTypes || {}) }
+        };
+        this.server = null;
+        this.url = null;
+        this.reset();
+    }
+
+    /**
+     * Reload fixtures and forget nonces, rate limits, orders and the request log
+     */
+    reset() {
+        this.sheets = loadFixtures(this.options.fixturesDir);
+        Object.assign(this.sheets, this.options.sheets || {});
+        this.nonces = new Map();
+        this.rateWindow = { start: Date.now(), count: 0 };
+        this.orders = new Map();
+        this.requests = [];
+        return this;
+    }
+
+    /**
+     * Replace a sheet's contents (grid or records)
+     */
+    setSheet(name, rows) {
+        if (rows.length > 0 && !Array.isArray(rows[0])) {
+            const grid = [];
+            writeRecords(grid, 1, rows);
+            rows = grid;
+        }
+        this.sheets[name] = rows;
+        return this;
+    }
+
+    /**
+     * Start listening; resolves with the script URL (port 0 = any free port)
+     */
+    listen(port = this.options.port, host = this.options.host) {
+        this.server = http.createServer((req, res) => this.handle(req, res));
+
+        return new Promise((resolve, reject) => {
+            this.server.once('error', reject);
+            this.server.listen(port, host, () => {
+                const address = this.server.address();
+                this.url = `http://${host}:${address.port}/exec`;
+                resolve(this.url);
+            });
+        });
+    }
+
+    close() {
+        if (!this.server) return Promise.resolve();
+        return new Promise(resolve => this.server.close(() => resolve()));
+    }
+
+    // ============================================
+    // HTTP
+    // ============================================
+
+    async handle(req, res) {
+        const headers = {
+            'Access-Control-Allow-Origin': '*',
+            'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+            'Access-Control-Allow-Headers': 'Content-Type, Accept'
+        };
+
+        if (req.method === 'OPTIONS') {
+            res.writeHead(204, headers);
+            res.end();
+            return;
+        }
+
+        let params = {};
+        let body;
+
+        try {
+            const url = new URL(req.url, 'http://localhost');
+            params = Object.fromEntries(url.searchParams);
+
+            if (req.method === 'POST') {
+                const raw = await readBody(req);
+                try {
+                    params = { ...params, ...JSON.parse(raw || '{}') };
+                } catch (error) {
+                    throw new MockError('Invalid JSON body', 'ERR_VAL_001');
+                }
+                body = this.doPost(params);
+            } else {
+                body = this.doGet(params);
+            }
+        } catch (error) {
+            body = this.errorResponse(error);
+        }
+
+        this.requests.push({ method: req.method, params: params, code: body.code || null });
+        if (this.options.log) {
+            console.log(`[mock] ${req.method} ${params.action || params.type || '-'} → ${body.code || body.status}`);
+        }
+
+        if (this.options.latency > 0) {
+            await new Promise(resolve => setTimeout(resolve, this.options.latency));
+        }
+
+        // JSONP, as ContentService supports it
+        const callback = params.callback;
+        if (typeof callback === 'string' && /^[A-Za-z_$][\w$.]*$/.test(callback)) {
+            res.writeHead(200, { ...headers, 'Content-Type': 'application/javascript' });
+            res.end(`${callback}(${JSON.stringify(body)})`);
+            return;
+        }
+
+        res.writeHead(200, { ...headers, 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(body));
+    }
+
+    doGet(params) {
+        const action = params.action;
+
+        if (action === 'config') return this.getConfig();
+        if (action === 'health') return this.getHealth();
+
+        if (params.type && !action) {
+            this.checkDomain(params);
+            return this.getPublic(params.type, params);
+        }
+
+        if (PUBLIC_ACTIONS.includes(action)) {
+            this.checkDomain(params);
+            return action === 'batch' ? this.getBatch(params) : this.getPublic(action, params);
+        }
+
+        if (!action) {
+            throw new MockError('Missing action or type parameter', 'ERR_VAL_001');
+        }
+
+        this.authenticate(params, false);
+        return this.runProtected(action, params);
+    }
+
+    doPost(params) {
+        this.authenticate(params, true);
+
+        if (params.action === 'addOrder') {
+            return this.addOrder(params);
+        }
+        return this.runProtected(params.action, params);
+    }
+
+    // ============================================
+    // SECURITY
+    // ============================================
+
+    checkDomain(params) {
+        const allowed = this.options.allowedOrigins || [];
+        if (allowed.length === 0) return;
+
+        if (!allowed.includes(params.origin || '')) {
+            throw new MockError('Access denied', 'ERR_SEC_003', { origin: params.origin || null });
+        }
+        if (params.referrer && !allowed.includes(originOf(params.referrer))) {
+            throw new MockError('Access denied', 'ERR_SEC_007', { referrer: params.referrer });
+        }
+    }
+
+    authenticate(params, isPost) {
+        this.checkDomain(params);
+        this.checkRateLimit();
+
+        if (!safeEqual(params.token, this.options.apiToken)) {
+            throw new MockError('Invalid API token', 'ERR_AUTH_001');
+        }
+
+        const timestamp = parseTimestamp(params.timestamp);
+        if (isNaN(timestamp) || Math.abs(Date.now() - timestamp) > this.options.timestampWindow) {
+            throw new MockError('Request expired or timestamp invalid', 'ERR_AUTH_002');
+        }
+
+        if (isPost && !this.isValidCsrfToken(params['csrf-token'], params.origin)) {
+            throw new MockError('Invalid CSRF token', 'ERR_AUTH_003');
+        }
+
+        const expected = hmac(buildSignatureString(params), this.options.hmacSecret);
+        if (!safeEqual(params.signature, expected)) {
+            throw new MockError('Invalid signature', 'ERR_AUTH_005');
+        }
+
+        // Only after the signature checks out, so forged requests can't burn nonces
+        this.checkNonce(params.nonce);
+    }
+
+    isValidCsrfToken(token, origin) {
+        const [timestamp, signature] = String(token || '').split(':');
+        const issued = Number(timestamp);
+        if (!issued || Date.now() - issued > this.options.csrfMaxAge) return false;
+        return safeEqual(signature, hmac(timestamp + ':' + (origin || ''), this.options.hmacSecret));
+    }
+
+    checkNonce(nonce) {
+        const now = Date.now();
+        this.nonces.forEach((expiry, key) => {
+            if (expiry < now) this.nonces.delete(key);
+        });
+
+        if (!nonce) {
+            if (this.options.requireNonce) {
+                throw new MockError('Nonce required', 'ERR_AUTH_006');
+            }
+            return;
+        }
+
+        if (this.nonces.has(nonce)) {
+            throw new MockError('Nonce already used (replay rejected)', 'ERR_AUTH_006');
+        }
+        this.nonces.set(nonce, now + this.options.timestampWindow * 2);
+    }
+
+    checkRateLimit() {
+        const limit = this.options.rateLimit;
+        if (!limit) return;
+
+        const now = Date.now();
+        if (now - this.rateWindow.start >= limit.windowMs) {
+            this.rateWindow = { start: now, count: 0 };
+        }
+
+        if (++this.rateWindow.count > limit.max) {
+            const resetAt = this.rateWindow.start + limit.windowMs;
+            throw new MockError('Rate limit exceeded', 'ERR_RATE_001', {
+                resetAt: new Date(resetAt).toISOString(),
+                retryAfter: Math.ceil((resetAt - now) / 1000)
+            });
+        }
+    }
+
+    /**
+     * Sheet grid by name; case-insensitive, since the clients upper-case 'Sheet2!A1' refs
+     */
+    getSheet(name) {
+        if (this.isBlocked(name)) {
+            throw new MockError(`Sheet "${name}" is not accessible`, 'ERR_SEC_003', { sheet: name });
+        }
+
+        const key = Object.keys(this.sheets).find(sheet => sheet.toLowerCase() === String(name).toLowerCase());
+        if (!key) {
+            throw new MockError(`Sheet "${name}" not found`, 'ERR_VAL_002', { sheet: name });
+        }
+        return this.sheets[key];
+    }
+
+    isBlocked(name) {
+        return this.options.blockedSheets.some(sheet => sheet.toLowerCase() === String(name).toLowerCase());
+    }
+
+    // ============================================
+    // ACTIONS
+    // ============================================
+
+    getConfig() {
+        return {
+            success: true,
+            status: 'success',
+            version: this.options.serverVersion,
+            router: { ...this.options.router },
+            features: {
+                core: ['getData', 'cellData', 'getCell', 'getRange', 'getCellBatch', 'batch', 'scrolling', 'doodle', 'modal'],
+                domainValidation: (this.options.allowedOrigins || []).length > 0,
+                modalRange: true,
+                nonce: true,
+                csrf: true,
+                checksum: true
+            },
+            limits: this.options.rateLimit ? { max: this.options.rateLimit.max, windowMs: this.options.rateLimit.windowMs } : null,
+            timestamp: new Date().toISOString()
+        };
+    }
+
+    getHealth() {
+        return { status: 'healthy', version: this.options.serverVersion, timestamp: new Date().toISOString() };
+    }
+
+    getPublic(type, params) {
+        if (type === 'modal') {
+            return this.getModal(params);
+        }
+
+        const table = this.options.publicTypes[type];
+        if (!table) {
+            throw new MockError(`Unknown type "${type}"`, 'ERR_VAL_001');
+        }
+        if (params.sheet && params.sheet !== table.sheet) {
+            throw new MockError(`Sheet "${params.sheet}" is not the ${type} sheet`, 'ERR_SEC_003', { sheet: params.sheet });
+        }
+
+        return this.success(readRecords(this.getSheet(table.sheet), table.headerRow, table.lastRow), { type: type });
+    }
+
+    getModal(params) {
+        const sheet = params.sheet;
+        if (!this.options.modalSheets.includes(sheet)) {
+            throw new MockError(`Sheet "${sheet}" is not a modal sheet`, 'ERR_SEC_003', { sheet: sheet || null });
+        }
+
+        const grid = this.getSheet(sheet);
+
+        // SecureSheets: ?action=modal&cell=B2
+        if (params.cell) {
+            const cell = parseCell(params.cell);
+            return this.success({ cell: params.cell.toUpperCase(), value: getValue(grid, cell.row, cell.col) }, { type: 'modal' });
+        }
+
+        // GSRECOM: ?type=modal&range=A1:B4 or A1,C3
+        if (!params.range) {
+            throw new MockError('Range parameter is required', 'ERR_VAL_001');
+        }
+
+        if (params.range.includes(',')) {
+            const data = {};
+            params.range.split(',').forEach(ref => {
+                const cell = parseCell(ref);
+                data[ref.trim().toUpperCase()] = getValue(grid, cell.row, cell.col);
+            });
+            return this.success(data, { type: 'modal', range: params.range });
+        }
+
+        return this.success(getRangeValues(grid, params.range.toUpperCase()), { type: 'modal', range: params.range });
+    }
+
+    getBatch(params) {
+        const actions = String(params.actions || '').split(',').map(a => a.trim()).filter(Boolean);
+        if (actions.length === 0) {
+            throw new MockError('actions parameter is required', 'ERR_VAL_001');
+        }
+
+        const results = {};
+        actions.forEach(action => {
+            if (!BATCHABLE_ACTIONS.includes(action)) {
+                results[action] = this.errorResponse(new MockError(`Action "${action}" cannot be batched`, 'ERR_VAL_001'));
+                return;
+            }
+            try {
+                results[action] = action === 'health' ? this.getHealth() : this.getPublic(action, {});
+            } catch (error) {
+                results[action] = this.errorResponse(error);
+            }
+        });
+
+        return { status: 'success', results: results, timestamp: new Date().toISOString() };
+    }
+
+    runProtected(action, params) {
+        switch (action) {
+            case 'getData': return this.getData(params);
+            case 'cellData': return this.getCellData(params);
+            case 'getCell': return this.getCell(params);
+            case 'getRange': return this.getRange(params);
+            case 'getCellBatch': return this.getCellBatch(params);
+            default:
+                throw new MockError(`Unknown action "${action}"`, 'ERR_VAL_001');
+        }
+    }
+
+    getData(params) {
+        const startRow = parseInt(params.startRow, 10);
+        const read = name => {
+            const grid = this.getSheet(name);
+            if (this.options.gridSheets.includes(name)) return grid.map(row => (row || []).slice());
+            return readRecords(grid, startRow > 1 ? startRow - 1 : 1);
+        };
+
+        if (params.sheets) {
+            const sheets = {};
+            String(params.sheets).split(',').map(s => s.trim()).filter(Boolean).forEach(name => {
+                sheets[name] = read(name);
+            });
+            return { status: 'success', sheets: sheets, timestamp: new Date().toISOString() };
+        }
+
+        // GSRECOM takes ?sheet=, SecureSheets ?dataType=, the doodle loader ?sheetName=
+        const sheet = params.sheet || params.dataType || params.sheetName || this.options.defaultSheet;
+        const response = this.success(read(sheet), { sheet: sheet });
+
+        // SecureSheets.subscribe() polls with the last checksum it saw
+        if (params.ifNoneMatch && params.ifNoneMatch === response.checksum) {
+            return { status: 'not_modified', sheet: sheet, timestamp: response.timestamp };
+        }
+        return response;
+    }
+
+    getCellData(params) {
+        const ref = String(params.cell || '').toUpperCase();
+        if (!this.options.cellDataCells.includes(ref)) {
+            throw new MockError(`cellData only serves ${this.options.cellDataCells.join(', ')}`, 'ERR_VAL_003');
+        }
+
+        const cell = parseCell(ref);
+        const value = getValue(this.getSheet(this.options.cellDataSheet), cell.row, cell.col);
+        return this.success({ cell: ref, value: value });
+    }
+
+    getCell(params) {
+        const { sheet, ref } = splitSheetRef(params.cell, this.options.defaultSheet);
+        const cell = parseCell(ref);
+        return this.success({ sheet: sheet, cell: ref.toUpperCase(), value: getValue(this.getSheet(sheet), cell.row, cell.col) });
+    }
+
+    getRange(params) {
+        const { sheet, ref } = splitSheetRef(params.range, this.options.defaultSheet);
+        if (!ref) {
+            throw new MockError('Range parameter is required', 'ERR_VAL_001');
+        }
+        return this.success(getRangeValues(this.getSheet(sheet), ref.toUpperCase()), { sheet: sheet, range: ref.toUpperCase() });
+    }
+
+    getCellBatch(params) {
+        const data = {};
+        String(params.cells || '').split(',').map(c => c.trim()).filter(Boolean).forEach(ref => {
+            const target = splitSheetRef(ref, this.options.defaultSheet);
+            const cell = parseCell(target.ref);
+            data[ref.toUpperCase()] = getValue(this.getSheet(target.sheet), cell.row, cell.col);
+        });
+
+        if (Object.keys(data).length === 0) {
+            throw new MockError('cells parameter is required', 'ERR_VAL_001');
+        }
+        return this.success(data);
+    }
+
+    /**
+     * Append an order row; the same orderId is written once (outbox retries are safe)
+     */
+    addOrder(params) {
+        if (!params.orderId || !params.order) {
+            throw new MockError('orderId and order are required', 'ERR_VAL_001');
+        }
+
+        let order;
+        try {
+            order = typeof params.order === 'string' ? JSON.parse(params.order) : params.order;
+        } catch (error) {
+            throw new MockError('order must be JSON', 'ERR_VAL_001');
+        }
+
+        const sheetName = params.sheet || this.options.ordersSheet;
+        if (this.isBlocked(sheetName)) {
+            throw new MockError(`Sheet "${sheetName}" is not accessible`, 'ERR_SEC_003', { sheet: sheetName });
+        }
+
+        if (!this.orders.has(params.orderId)) {
+            const grid = this.sheets[sheetName] || (this.sheets[sheetName] = [['orderId', 'createdAt', 'status', 'total', 'order']]);
+            grid.push([params.orderId, order.createdAt || new Date().toISOString(), order.status || 'placed',
+                (order.totals && order.totals.total) || 0, JSON.stringify(order)]);
+            this.orders.set(params.orderId, grid.length);
+        }
+
+        return { status: 'success', orderId: params.orderId, row: this.orders.get(params.orderId), timestamp: new Date().toISOString() };
+    }
+
+    // ============================================
+    // RESPONSES
+    // ============================================
+
+    success(data, extra = {}) {
+        return {
+            status: 'success',
+            ...extra,
+            data: data,
+            checksum: sha256(JSON.stringify(data)),
+            timestamp: new Date().toISOString()
+        };
+    }
+
+    errorResponse(error) {
+        const code = error.code && /^ERR_/.test(error.code) ? error.code : 'ERR_SYS_001';
+        return {
+            status: 'error',
+            error: error.message,
+            message: error.message,
+            code: code,
+            ...(error.details || {}),
+            timestamp: new Date().toISOString()
+        };
+    }
+}
+
+function readBody(req) {
+    return new Promise((resolve, reject) => {
+        let raw = '';
+        req.setEncoding('utf8');
+        req.on('data', chunk => { raw += chunk; });
+        req.on('end', () => resolve(raw));
+        req.on('error', reject);
+    });
+}
+
+module.exports = {
+    MockAppsScript,
+    DEFAULTS,
+    parseCsv,
+    loadFixtures,
+    buildSignatureString
+};
+
+// ============================================
+// CLI
+// ============================================
+
+if (require.main === module) {
+    const args = process.argv.slice(2);
+    const options = { log: true };
+    const origins = [];
+
+    for (let i = 0; i < args.length; i++) {
+        const value = args[i + 1];
+        switch (args[i]) {
+            case '--port': options.port = parseInt(value, 10); i++; break;
+            case '--host': options.host = value; i++; break;
+            case '--fixtures': options.fixturesDir = path.resolve(value); i++; break;
+            case '--origin': origins.push(value); i++; break;
+            case '--any-origin': options.allowedOrigins = []; break;
+            case '--latency': options.latency = parseInt(value, 10) || 0; i++; break;
+            case '--quiet': options.log = false; break;
+        }
+    }
+
+    if (origins.length > 0) options.allowedOrigins = origins;
+    if (process.env.API_TOKEN) options.apiToken = process.env.API_TOKEN;
+    if (process.env.HMAC_SECRET) options.hmacSecret = process.env.HMAC_SECRET;
+
+    const mock = new MockAppsScript(options);
+    mock.listen().then(url => {
+        console.log(`Mock Apps Script backend on ${url}`);
+        console.log(`  token: ${mock.options.apiToken}  secret: ${mock.options.hmacSecret}`);
+        console.log(`  sheets: ${Object.keys(mock.sheets).join(', ') || '(none)'}`);
+        console.log(`  origins: ${mock.options.allowedOrigins.join(', ') || '(any)'}`);
+    }, error => {
+        console.error('Mock server failed to start:', error.message);
+        process.exit(1);
+    });
+}